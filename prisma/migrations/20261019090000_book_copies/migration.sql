@@ -0,0 +1,90 @@
+-- CreateEnum
+CREATE TYPE "CopyStatus" AS ENUM ('AVAILABLE', 'BORROWED', 'MAINTENANCE', 'LOST');
+
+-- CreateEnum
+CREATE TYPE "CopyCondition" AS ENUM ('NEW', 'GOOD', 'FAIR', 'POOR', 'DAMAGED');
+
+-- AlterTable
+ALTER TABLE "borrowing" ADD COLUMN     "copy_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "book_copies" (
+    "id" TEXT NOT NULL,
+    "book_id" TEXT NOT NULL,
+    "copy_number" INTEGER NOT NULL,
+    "accession_number" TEXT NOT NULL,
+    "shelf_id" TEXT,
+    "status" "CopyStatus" NOT NULL DEFAULT 'AVAILABLE',
+    "condition" "CopyCondition" NOT NULL DEFAULT 'GOOD',
+    "notes" TEXT,
+    "acquired_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "qr_code" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "book_copies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "book_copies_accession_number_key" ON "book_copies"("accession_number");
+
+-- CreateIndex
+CREATE INDEX "book_copies_book_id_idx" ON "book_copies"("book_id");
+
+-- CreateIndex
+CREATE INDEX "book_copies_shelf_id_idx" ON "book_copies"("shelf_id");
+
+-- CreateIndex
+CREATE INDEX "book_copies_status_idx" ON "book_copies"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "book_copies_book_id_copy_number_key" ON "book_copies"("book_id", "copy_number");
+
+-- CreateIndex
+CREATE INDEX "borrowing_copy_id_idx" ON "borrowing"("copy_id");
+
+-- AddForeignKey
+ALTER TABLE "book_copies" ADD CONSTRAINT "book_copies_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "book_copies" ADD CONSTRAINT "book_copies_shelf_id_fkey" FOREIGN KEY ("shelf_id") REFERENCES "shelves"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "borrowing" ADD CONSTRAINT "borrowing_copy_id_fkey" FOREIGN KEY ("copy_id") REFERENCES "book_copies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: create one copy record per counted copy of every existing book
+INSERT INTO "book_copies" ("id", "book_id", "copy_number", "accession_number", "shelf_id", "updated_at")
+SELECT
+    gen_random_uuid()::text,
+    b."id",
+    n,
+    upper(substr(b."id", 1, 8)) || '-' || lpad(n::text, 3, '0'),
+    b."shelf_id",
+    CURRENT_TIMESTAMP
+FROM "books" b
+CROSS JOIN LATERAL generate_series(1, b."copies_total") AS n;
+
+-- Backfill: attach active borrowings to copies in borrow order
+UPDATE "borrowing" bo
+SET "copy_id" = c."id"
+FROM (
+    SELECT "id", "book_id", row_number() OVER (PARTITION BY "book_id" ORDER BY "borrow_date") AS rn
+    FROM "borrowing"
+    WHERE "status" IN ('BORROWED', 'OVERDUE')
+) active
+JOIN "book_copies" c ON c."book_id" = active."book_id" AND c."copy_number" = active.rn
+WHERE bo."id" = active."id";
+
+UPDATE "book_copies"
+SET "status" = 'BORROWED'
+WHERE "id" IN (
+    SELECT "copy_id" FROM "borrowing"
+    WHERE "copy_id" IS NOT NULL AND "status" IN ('BORROWED', 'OVERDUE')
+);
+
+-- Backfill: recompute book counters from copy records
+UPDATE "books" b
+SET "copies_available" = (
+    SELECT count(*)::int FROM "book_copies" c
+    WHERE c."book_id" = b."id" AND c."status" = 'AVAILABLE'
+);
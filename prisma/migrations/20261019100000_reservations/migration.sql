@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "ReservationStatus" AS ENUM ('PENDING', 'READY', 'FULFILLED', 'CANCELLED', 'EXPIRED');
+
+-- AlterEnum
+ALTER TYPE "CopyStatus" ADD VALUE 'ON_HOLD';
+
+-- CreateTable
+CREATE TABLE "reservations" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "book_id" TEXT NOT NULL,
+    "copy_id" TEXT,
+    "status" "ReservationStatus" NOT NULL DEFAULT 'PENDING',
+    "notes" TEXT,
+    "ready_at" TIMESTAMP(3),
+    "expires_at" TIMESTAMP(3),
+    "fulfilled_at" TIMESTAMP(3),
+    "cancelled_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "reservations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reservations_user_id_idx" ON "reservations"("user_id");
+
+-- CreateIndex
+CREATE INDEX "reservations_book_id_status_created_at_idx" ON "reservations"("book_id", "status", "created_at");
+
+-- CreateIndex
+CREATE INDEX "reservations_copy_id_idx" ON "reservations"("copy_id");
+
+-- CreateIndex
+CREATE INDEX "reservations_status_expires_at_idx" ON "reservations"("status", "expires_at");
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_copy_id_fkey" FOREIGN KEY ("copy_id") REFERENCES "book_copies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
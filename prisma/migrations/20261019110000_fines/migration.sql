@@ -0,0 +1,90 @@
+-- CreateEnum
+CREATE TYPE "FineType" AS ENUM ('OVERDUE', 'LOST', 'DAMAGED');
+
+-- CreateEnum
+CREATE TYPE "FineStatus" AS ENUM ('OUTSTANDING', 'PAID', 'WAIVED');
+
+-- CreateEnum
+CREATE TYPE "FineTransactionType" AS ENUM ('PAYMENT', 'WAIVER');
+
+-- AlterEnum
+ALTER TYPE "BorrowingStatus" ADD VALUE 'LOST';
+
+-- CreateTable
+CREATE TABLE "fine_policies" (
+    "id" TEXT NOT NULL,
+    "category_id" TEXT,
+    "daily_rate" DECIMAL(10,2),
+    "grace_period_days" INTEGER,
+    "max_amount" DECIMAL(10,2),
+    "lost_item_fee" DECIMAL(10,2),
+    "damaged_item_fee" DECIMAL(10,2),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "fine_policies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "fines" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "borrowing_id" TEXT,
+    "book_id" TEXT,
+    "type" "FineType" NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "balance" DECIMAL(10,2) NOT NULL,
+    "status" "FineStatus" NOT NULL DEFAULT 'OUTSTANDING',
+    "description" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "fines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "fine_transactions" (
+    "id" TEXT NOT NULL,
+    "fine_id" TEXT NOT NULL,
+    "type" "FineTransactionType" NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "method" TEXT,
+    "notes" TEXT,
+    "processed_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fine_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "fine_policies_category_id_key" ON "fine_policies"("category_id");
+
+-- CreateIndex
+CREATE INDEX "fines_user_id_status_idx" ON "fines"("user_id", "status");
+
+-- CreateIndex
+CREATE INDEX "fines_borrowing_id_idx" ON "fines"("borrowing_id");
+
+-- CreateIndex
+CREATE INDEX "fines_status_idx" ON "fines"("status");
+
+-- CreateIndex
+CREATE INDEX "fine_transactions_fine_id_idx" ON "fine_transactions"("fine_id");
+
+-- AddForeignKey
+ALTER TABLE "fine_policies" ADD CONSTRAINT "fine_policies_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fines" ADD CONSTRAINT "fines_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fines" ADD CONSTRAINT "fines_borrowing_id_fkey" FOREIGN KEY ("borrowing_id") REFERENCES "borrowing"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fines" ADD CONSTRAINT "fines_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fine_transactions" ADD CONSTRAINT "fine_transactions_fine_id_fkey" FOREIGN KEY ("fine_id") REFERENCES "fines"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fine_transactions" ADD CONSTRAINT "fine_transactions_processed_by_id_fkey" FOREIGN KEY ("processed_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
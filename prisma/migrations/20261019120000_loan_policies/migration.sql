@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "borrowing" ADD COLUMN     "loan_policy_id" TEXT,
+ADD COLUMN     "renewal_count" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "loan_policies" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "role" "UserRole",
+    "category_id" TEXT,
+    "loan_period_days" INTEGER,
+    "max_items" INTEGER,
+    "max_renewals" INTEGER,
+    "renewal_days" INTEGER,
+    "reference_only" BOOLEAN,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "loan_policies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "loan_policies_category_id_idx" ON "loan_policies"("category_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "loan_policies_role_category_id_key" ON "loan_policies"("role", "category_id");
+
+-- AddForeignKey
+ALTER TABLE "borrowing" ADD CONSTRAINT "borrowing_loan_policy_id_fkey" FOREIGN KEY ("loan_policy_id") REFERENCES "loan_policies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "loan_policies" ADD CONSTRAINT "loan_policies_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
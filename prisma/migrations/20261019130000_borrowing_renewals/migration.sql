@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "RenewalSource" AS ENUM ('STAFF', 'SELF');
+
+-- CreateTable
+CREATE TABLE "borrowing_renewals" (
+    "id" TEXT NOT NULL,
+    "borrowing_id" TEXT NOT NULL,
+    "renewed_by_id" TEXT,
+    "source" "RenewalSource" NOT NULL,
+    "previous_due_date" TIMESTAMP(3) NOT NULL,
+    "new_due_date" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "borrowing_renewals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "borrowing_renewals_borrowing_id_idx" ON "borrowing_renewals"("borrowing_id");
+
+-- AddForeignKey
+ALTER TABLE "borrowing_renewals" ADD CONSTRAINT "borrowing_renewals_borrowing_id_fkey" FOREIGN KEY ("borrowing_id") REFERENCES "borrowing"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "borrowing_renewals" ADD CONSTRAINT "borrowing_renewals_renewed_by_id_fkey" FOREIGN KEY ("renewed_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
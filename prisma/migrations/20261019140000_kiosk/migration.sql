@@ -0,0 +1,72 @@
+-- CreateEnum
+CREATE TYPE "KioskSessionStatus" AS ENUM ('OPEN', 'COMMITTED', 'CANCELLED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "kiosk_devices" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "location" TEXT,
+    "api_key_prefix" TEXT NOT NULL,
+    "api_key_hash" TEXT NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "last_seen_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "kiosk_devices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "kiosk_sessions" (
+    "id" TEXT NOT NULL,
+    "device_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "status" "KioskSessionStatus" NOT NULL DEFAULT 'OPEN',
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "committed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "kiosk_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "kiosk_session_items" (
+    "id" TEXT NOT NULL,
+    "session_id" TEXT NOT NULL,
+    "copy_id" TEXT NOT NULL,
+    "borrowing_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "kiosk_session_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "kiosk_devices_api_key_hash_key" ON "kiosk_devices"("api_key_hash");
+
+-- CreateIndex
+CREATE INDEX "kiosk_sessions_device_id_status_idx" ON "kiosk_sessions"("device_id", "status");
+
+-- CreateIndex
+CREATE INDEX "kiosk_sessions_user_id_idx" ON "kiosk_sessions"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "kiosk_session_items_borrowing_id_key" ON "kiosk_session_items"("borrowing_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "kiosk_session_items_session_id_copy_id_key" ON "kiosk_session_items"("session_id", "copy_id");
+
+-- AddForeignKey
+ALTER TABLE "kiosk_sessions" ADD CONSTRAINT "kiosk_sessions_device_id_fkey" FOREIGN KEY ("device_id") REFERENCES "kiosk_devices"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "kiosk_sessions" ADD CONSTRAINT "kiosk_sessions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "kiosk_session_items" ADD CONSTRAINT "kiosk_session_items_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "kiosk_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "kiosk_session_items" ADD CONSTRAINT "kiosk_session_items_copy_id_fkey" FOREIGN KEY ("copy_id") REFERENCES "book_copies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "kiosk_session_items" ADD CONSTRAINT "kiosk_session_items_borrowing_id_fkey" FOREIGN KEY ("borrowing_id") REFERENCES "borrowing"("id") ON DELETE SET NULL ON UPDATE CASCADE;
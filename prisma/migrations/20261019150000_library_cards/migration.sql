@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "LibraryCardStatus" AS ENUM ('ACTIVE', 'REPLACED', 'REVOKED');
+
+-- CreateTable
+CREATE TABLE "library_cards" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "card_number" TEXT NOT NULL,
+    "status" "LibraryCardStatus" NOT NULL DEFAULT 'ACTIVE',
+    "issued_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revoked_at" TIMESTAMP(3),
+    "revoked_reason" TEXT,
+    "qr_code" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "library_cards_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "library_cards_card_number_key" ON "library_cards"("card_number");
+
+-- CreateIndex
+CREATE INDEX "library_cards_user_id_status_idx" ON "library_cards"("user_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "library_cards" ADD CONSTRAINT "library_cards_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
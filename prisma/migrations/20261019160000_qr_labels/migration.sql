@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "books" ADD COLUMN     "call_number" TEXT,
+ADD COLUMN     "label_printed_at" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "shelves" ADD COLUMN     "label_printed_at" TIMESTAMP(3);
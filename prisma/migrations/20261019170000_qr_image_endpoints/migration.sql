@@ -0,0 +1,20 @@
+/*
+  Warnings:
+
+  - You are about to drop the column `qr_code` on the `book_copies` table. All the data in the column will be lost.
+  - You are about to drop the column `qr_code` on the `books` table. All the data in the column will be lost.
+  - You are about to drop the column `qr_code` on the `library_cards` table. All the data in the column will be lost.
+  - You are about to drop the column `qr_code` on the `shelves` table. All the data in the column will be lost.
+
+*/
+-- AlterTable
+ALTER TABLE "book_copies" DROP COLUMN "qr_code";
+
+-- AlterTable
+ALTER TABLE "books" DROP COLUMN "qr_code";
+
+-- AlterTable
+ALTER TABLE "library_cards" DROP COLUMN "qr_code";
+
+-- AlterTable
+ALTER TABLE "shelves" DROP COLUMN "qr_code";
@@ -0,0 +1,105 @@
+-- CreateEnum
+CREATE TYPE "InventoryAuditStatus" AS ENUM ('OPEN', 'CLOSED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "InventoryFindingType" AS ENUM ('MISSING', 'MISPLACED', 'UNEXPECTED', 'BORROWED_ON_SHELF');
+
+-- CreateEnum
+CREATE TYPE "InventoryResolution" AS ENUM ('SHELF_UPDATED', 'MARKED_LOST', 'IGNORED');
+
+-- CreateTable
+CREATE TABLE "inventory_audits" (
+    "id" TEXT NOT NULL,
+    "shelf_id" TEXT,
+    "floor" INTEGER,
+    "status" "InventoryAuditStatus" NOT NULL DEFAULT 'OPEN',
+    "notes" TEXT,
+    "summary" JSONB,
+    "started_by_id" TEXT,
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "inventory_audits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "inventory_audit_scans" (
+    "id" TEXT NOT NULL,
+    "audit_id" TEXT NOT NULL,
+    "copy_id" TEXT NOT NULL,
+    "shelf_id" TEXT NOT NULL,
+    "scanned_by_id" TEXT,
+    "scanned_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "inventory_audit_scans_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "inventory_audit_findings" (
+    "id" TEXT NOT NULL,
+    "audit_id" TEXT NOT NULL,
+    "copy_id" TEXT NOT NULL,
+    "type" "InventoryFindingType" NOT NULL,
+    "copy_status" "CopyStatus" NOT NULL,
+    "expected_shelf_id" TEXT,
+    "found_shelf_id" TEXT,
+    "resolution" "InventoryResolution",
+    "resolved_by_id" TEXT,
+    "resolved_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "inventory_audit_findings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "inventory_audits_shelf_id_idx" ON "inventory_audits"("shelf_id");
+
+-- CreateIndex
+CREATE INDEX "inventory_audits_floor_idx" ON "inventory_audits"("floor");
+
+-- CreateIndex
+CREATE INDEX "inventory_audits_status_idx" ON "inventory_audits"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inventory_audit_scans_audit_id_copy_id_key" ON "inventory_audit_scans"("audit_id", "copy_id");
+
+-- CreateIndex
+CREATE INDEX "inventory_audit_findings_audit_id_type_idx" ON "inventory_audit_findings"("audit_id", "type");
+
+-- CreateIndex
+CREATE INDEX "inventory_audit_findings_copy_id_idx" ON "inventory_audit_findings"("copy_id");
+
+-- AddForeignKey
+ALTER TABLE "inventory_audits" ADD CONSTRAINT "inventory_audits_shelf_id_fkey" FOREIGN KEY ("shelf_id") REFERENCES "shelves"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_audits" ADD CONSTRAINT "inventory_audits_started_by_id_fkey" FOREIGN KEY ("started_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_audit_scans" ADD CONSTRAINT "inventory_audit_scans_audit_id_fkey" FOREIGN KEY ("audit_id") REFERENCES "inventory_audits"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_audit_scans" ADD CONSTRAINT "inventory_audit_scans_copy_id_fkey" FOREIGN KEY ("copy_id") REFERENCES "book_copies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_audit_scans" ADD CONSTRAINT "inventory_audit_scans_shelf_id_fkey" FOREIGN KEY ("shelf_id") REFERENCES "shelves"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_audit_scans" ADD CONSTRAINT "inventory_audit_scans_scanned_by_id_fkey" FOREIGN KEY ("scanned_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_audit_findings" ADD CONSTRAINT "inventory_audit_findings_audit_id_fkey" FOREIGN KEY ("audit_id") REFERENCES "inventory_audits"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_audit_findings" ADD CONSTRAINT "inventory_audit_findings_copy_id_fkey" FOREIGN KEY ("copy_id") REFERENCES "book_copies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_audit_findings" ADD CONSTRAINT "inventory_audit_findings_expected_shelf_id_fkey" FOREIGN KEY ("expected_shelf_id") REFERENCES "shelves"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_audit_findings" ADD CONSTRAINT "inventory_audit_findings_found_shelf_id_fkey" FOREIGN KEY ("found_shelf_id") REFERENCES "shelves"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_audit_findings" ADD CONSTRAINT "inventory_audit_findings_resolved_by_id_fkey" FOREIGN KEY ("resolved_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
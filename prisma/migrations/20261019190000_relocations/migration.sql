@@ -0,0 +1,60 @@
+-- CreateEnum
+CREATE TYPE "RelocationStatus" AS ENUM ('OPEN', 'CLOSED');
+
+-- CreateTable
+CREATE TABLE "relocation_sessions" (
+    "id" TEXT NOT NULL,
+    "shelf_id" TEXT,
+    "status" "RelocationStatus" NOT NULL DEFAULT 'OPEN',
+    "started_by_id" TEXT,
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "relocation_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "relocation_moves" (
+    "id" TEXT NOT NULL,
+    "session_id" TEXT NOT NULL,
+    "book_id" TEXT NOT NULL,
+    "from_shelf_id" TEXT,
+    "to_shelf_id" TEXT,
+    "copies_moved" INTEGER NOT NULL DEFAULT 0,
+    "moved_by_id" TEXT,
+    "moved_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "relocation_moves_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "relocation_sessions_status_idx" ON "relocation_sessions"("status");
+
+-- CreateIndex
+CREATE INDEX "relocation_moves_session_id_idx" ON "relocation_moves"("session_id");
+
+-- CreateIndex
+CREATE INDEX "relocation_moves_book_id_idx" ON "relocation_moves"("book_id");
+
+-- AddForeignKey
+ALTER TABLE "relocation_sessions" ADD CONSTRAINT "relocation_sessions_shelf_id_fkey" FOREIGN KEY ("shelf_id") REFERENCES "shelves"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "relocation_sessions" ADD CONSTRAINT "relocation_sessions_started_by_id_fkey" FOREIGN KEY ("started_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "relocation_moves" ADD CONSTRAINT "relocation_moves_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "relocation_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "relocation_moves" ADD CONSTRAINT "relocation_moves_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "relocation_moves" ADD CONSTRAINT "relocation_moves_from_shelf_id_fkey" FOREIGN KEY ("from_shelf_id") REFERENCES "shelves"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "relocation_moves" ADD CONSTRAINT "relocation_moves_to_shelf_id_fkey" FOREIGN KEY ("to_shelf_id") REFERENCES "shelves"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "relocation_moves" ADD CONSTRAINT "relocation_moves_moved_by_id_fkey" FOREIGN KEY ("moved_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,87 @@
+-- CreateEnum
+CREATE TYPE "LocationType" AS ENUM ('FLOOR', 'ROOM', 'RANGE');
+
+-- AlterTable
+ALTER TABLE "shelves" ADD COLUMN     "location_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "borrowing" ADD COLUMN     "branch_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "branches" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "address" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "branches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "locations" (
+    "id" TEXT NOT NULL,
+    "branch_id" TEXT NOT NULL,
+    "parent_id" TEXT,
+    "type" "LocationType" NOT NULL,
+    "name" TEXT NOT NULL,
+    "code" TEXT,
+    "level" INTEGER,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "locations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "branch_staff" (
+    "id" TEXT NOT NULL,
+    "branch_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "is_primary" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "branch_staff_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "branches_code_key" ON "branches"("code");
+
+-- CreateIndex
+CREATE INDEX "locations_branch_id_idx" ON "locations"("branch_id");
+
+-- CreateIndex
+CREATE INDEX "locations_parent_id_idx" ON "locations"("parent_id");
+
+-- CreateIndex
+CREATE INDEX "branch_staff_user_id_idx" ON "branch_staff"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "branch_staff_branch_id_user_id_key" ON "branch_staff"("branch_id", "user_id");
+
+-- CreateIndex
+CREATE INDEX "shelves_location_id_idx" ON "shelves"("location_id");
+
+-- CreateIndex
+CREATE INDEX "borrowing_branch_id_idx" ON "borrowing"("branch_id");
+
+-- AddForeignKey
+ALTER TABLE "shelves" ADD CONSTRAINT "shelves_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "locations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "borrowing" ADD CONSTRAINT "borrowing_branch_id_fkey" FOREIGN KEY ("branch_id") REFERENCES "branches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "locations" ADD CONSTRAINT "locations_branch_id_fkey" FOREIGN KEY ("branch_id") REFERENCES "branches"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "locations" ADD CONSTRAINT "locations_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "locations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "branch_staff" ADD CONSTRAINT "branch_staff_branch_id_fkey" FOREIGN KEY ("branch_id") REFERENCES "branches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "branch_staff" ADD CONSTRAINT "branch_staff_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
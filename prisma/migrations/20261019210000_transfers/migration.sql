@@ -0,0 +1,93 @@
+-- AlterEnum
+ALTER TYPE "CopyStatus" ADD VALUE 'IN_TRANSIT';
+
+-- AlterEnum
+ALTER TYPE "ReservationStatus" ADD VALUE 'IN_TRANSIT';
+
+-- CreateEnum
+CREATE TYPE "TransferStatus" AS ENUM ('REQUESTED', 'IN_TRANSIT', 'COMPLETED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "TransferItemStatus" AS ENUM ('PENDING', 'IN_TRANSIT', 'RECEIVED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "reservations" ADD COLUMN     "pickup_branch_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "transfers" (
+    "id" TEXT NOT NULL,
+    "from_branch_id" TEXT NOT NULL,
+    "to_branch_id" TEXT NOT NULL,
+    "status" "TransferStatus" NOT NULL DEFAULT 'REQUESTED',
+    "notes" TEXT,
+    "requested_by_id" TEXT,
+    "dispatched_at" TIMESTAMP(3),
+    "completed_at" TIMESTAMP(3),
+    "cancelled_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "transfers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "transfer_items" (
+    "id" TEXT NOT NULL,
+    "transfer_id" TEXT NOT NULL,
+    "copy_id" TEXT NOT NULL,
+    "reservation_id" TEXT,
+    "status" "TransferItemStatus" NOT NULL DEFAULT 'PENDING',
+    "dispatched_by_id" TEXT,
+    "dispatched_at" TIMESTAMP(3),
+    "received_by_id" TEXT,
+    "received_at" TIMESTAMP(3),
+    "received_shelf_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "transfer_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transfers_from_branch_id_status_idx" ON "transfers"("from_branch_id", "status");
+
+-- CreateIndex
+CREATE INDEX "transfers_to_branch_id_status_idx" ON "transfers"("to_branch_id", "status");
+
+-- CreateIndex
+CREATE INDEX "transfer_items_transfer_id_idx" ON "transfer_items"("transfer_id");
+
+-- CreateIndex
+CREATE INDEX "transfer_items_copy_id_status_idx" ON "transfer_items"("copy_id", "status");
+
+-- CreateIndex
+CREATE INDEX "transfer_items_reservation_id_idx" ON "transfer_items"("reservation_id");
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_pickup_branch_id_fkey" FOREIGN KEY ("pickup_branch_id") REFERENCES "branches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfers" ADD CONSTRAINT "transfers_from_branch_id_fkey" FOREIGN KEY ("from_branch_id") REFERENCES "branches"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfers" ADD CONSTRAINT "transfers_to_branch_id_fkey" FOREIGN KEY ("to_branch_id") REFERENCES "branches"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfers" ADD CONSTRAINT "transfers_requested_by_id_fkey" FOREIGN KEY ("requested_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_items" ADD CONSTRAINT "transfer_items_transfer_id_fkey" FOREIGN KEY ("transfer_id") REFERENCES "transfers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_items" ADD CONSTRAINT "transfer_items_copy_id_fkey" FOREIGN KEY ("copy_id") REFERENCES "book_copies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_items" ADD CONSTRAINT "transfer_items_reservation_id_fkey" FOREIGN KEY ("reservation_id") REFERENCES "reservations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_items" ADD CONSTRAINT "transfer_items_dispatched_by_id_fkey" FOREIGN KEY ("dispatched_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_items" ADD CONSTRAINT "transfer_items_received_by_id_fkey" FOREIGN KEY ("received_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_items" ADD CONSTRAINT "transfer_items_received_shelf_id_fkey" FOREIGN KEY ("received_shelf_id") REFERENCES "shelves"("id") ON DELETE SET NULL ON UPDATE CASCADE;
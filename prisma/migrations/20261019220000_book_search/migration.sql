@@ -0,0 +1,53 @@
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- AlterTable
+ALTER TABLE "books" ADD COLUMN     "search_vector" tsvector;
+
+-- Search document: title (A), author (B), category name (C), description (D)
+CREATE FUNCTION "book_search_vector"(p_title TEXT, p_author TEXT, p_description TEXT, p_category_id TEXT)
+RETURNS tsvector AS $$
+  SELECT setweight(to_tsvector('english', coalesce(p_title, '')), 'A') ||
+         setweight(to_tsvector('english', coalesce(p_author, '')), 'B') ||
+         setweight(to_tsvector('english', coalesce((SELECT "name" FROM "categories" WHERE "id" = p_category_id), '')), 'C') ||
+         setweight(to_tsvector('english', coalesce(p_description, '')), 'D');
+$$ LANGUAGE sql STABLE;
+
+-- Keep a book's document current when it is written
+CREATE FUNCTION "books_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+  NEW."search_vector" := "book_search_vector"(NEW."title", NEW."author", NEW."description", NEW."category_id");
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "books_search_vector_update"
+  BEFORE INSERT OR UPDATE OF "title", "author", "description", "category_id" ON "books"
+  FOR EACH ROW EXECUTE FUNCTION "books_search_vector_trigger"();
+
+-- Renaming a category rewrites the documents of its books
+CREATE FUNCTION "categories_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+  UPDATE "books"
+  SET "search_vector" = "book_search_vector"("title", "author", "description", "category_id")
+  WHERE "category_id" = NEW."id";
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "categories_search_vector_update"
+  AFTER UPDATE OF "name" ON "categories"
+  FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+  EXECUTE FUNCTION "categories_search_vector_trigger"();
+
+-- Backfill existing books
+UPDATE "books" SET "search_vector" = "book_search_vector"("title", "author", "description", "category_id");
+
+-- CreateIndex
+CREATE INDEX "books_search_vector_idx" ON "books" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX "books_title_trgm_idx" ON "books" USING GIN ("title" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "books_author_trgm_idx" ON "books" USING GIN ("author" gin_trgm_ops);
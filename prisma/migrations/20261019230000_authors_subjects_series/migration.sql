@@ -0,0 +1,214 @@
+-- CreateEnum
+CREATE TYPE "ContributorRole" AS ENUM ('AUTHOR', 'EDITOR', 'TRANSLATOR', 'ILLUSTRATOR');
+
+-- AlterTable
+ALTER TABLE "books" ADD COLUMN     "edition" TEXT,
+ADD COLUMN     "language" TEXT,
+ADD COLUMN     "page_count" INTEGER,
+ADD COLUMN     "publisher" TEXT,
+ADD COLUMN     "series_id" TEXT,
+ADD COLUMN     "series_number" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "authors" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "sort_name" TEXT,
+    "bio" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "authors_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "book_authors" (
+    "book_id" TEXT NOT NULL,
+    "author_id" TEXT NOT NULL,
+    "role" "ContributorRole" NOT NULL DEFAULT 'AUTHOR',
+    "position" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "book_authors_pkey" PRIMARY KEY ("book_id","author_id","role")
+);
+
+-- CreateTable
+CREATE TABLE "subjects" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "subjects_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "book_subjects" (
+    "book_id" TEXT NOT NULL,
+    "subject_id" TEXT NOT NULL,
+
+    CONSTRAINT "book_subjects_pkey" PRIMARY KEY ("book_id","subject_id")
+);
+
+-- CreateTable
+CREATE TABLE "series" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "series_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "books_series_id_idx" ON "books"("series_id");
+
+-- CreateIndex
+CREATE INDEX "books_language_idx" ON "books"("language");
+
+-- CreateIndex
+CREATE INDEX "authors_name_idx" ON "authors"("name");
+
+-- CreateIndex
+CREATE INDEX "book_authors_author_id_idx" ON "book_authors"("author_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subjects_name_key" ON "subjects"("name");
+
+-- CreateIndex
+CREATE INDEX "book_subjects_subject_id_idx" ON "book_subjects"("subject_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "series_name_key" ON "series"("name");
+
+-- AddForeignKey
+ALTER TABLE "books" ADD CONSTRAINT "books_series_id_fkey" FOREIGN KEY ("series_id") REFERENCES "series"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "book_authors" ADD CONSTRAINT "book_authors_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "book_authors" ADD CONSTRAINT "book_authors_author_id_fkey" FOREIGN KEY ("author_id") REFERENCES "authors"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "book_subjects" ADD CONSTRAINT "book_subjects_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "book_subjects" ADD CONSTRAINT "book_subjects_subject_id_fkey" FOREIGN KEY ("subject_id") REFERENCES "subjects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- One author record per distinct author of the existing books
+INSERT INTO "authors" ("id", "name", "updated_at")
+SELECT gen_random_uuid()::text, "author", CURRENT_TIMESTAMP
+FROM (SELECT DISTINCT "author" FROM "books") AS "existing";
+
+INSERT INTO "book_authors" ("book_id", "author_id", "role", "position")
+SELECT "books"."id", "authors"."id", 'AUTHOR', 0
+FROM "books"
+JOIN "authors" ON "authors"."name" = "books"."author";
+
+-- Search document: title (A), credited names (B), category, subjects and series (C), description (D)
+CREATE FUNCTION "book_search_vector"(p_id TEXT, p_title TEXT, p_author TEXT, p_description TEXT, p_category_id TEXT, p_series_id TEXT)
+RETURNS tsvector AS $$
+  SELECT setweight(to_tsvector('english', coalesce(p_title, '')), 'A') ||
+         setweight(to_tsvector('english', coalesce(p_author, '') || ' ' || coalesce((
+           SELECT string_agg(a."name", ' ')
+           FROM "book_authors" ba JOIN "authors" a ON a."id" = ba."author_id"
+           WHERE ba."book_id" = p_id
+         ), '')), 'B') ||
+         setweight(to_tsvector('english', coalesce((SELECT "name" FROM "categories" WHERE "id" = p_category_id), '') || ' ' || coalesce((
+           SELECT string_agg(s."name", ' ')
+           FROM "book_subjects" bs JOIN "subjects" s ON s."id" = bs."subject_id"
+           WHERE bs."book_id" = p_id
+         ), '') || ' ' || coalesce((SELECT "name" FROM "series" WHERE "id" = p_series_id), '')), 'C') ||
+         setweight(to_tsvector('english', coalesce(p_description, '')), 'D');
+$$ LANGUAGE sql STABLE;
+
+-- Rebuild one book's document
+CREATE FUNCTION "refresh_book_search_vector"(p_book_id TEXT) RETURNS void AS $$
+  UPDATE "books"
+  SET "search_vector" = "book_search_vector"("id", "title", "author", "description", "category_id", "series_id")
+  WHERE "id" = p_book_id;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION "books_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+  NEW."search_vector" := "book_search_vector"(NEW."id", NEW."title", NEW."author", NEW."description", NEW."category_id", NEW."series_id");
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER "books_search_vector_update" ON "books";
+
+CREATE TRIGGER "books_search_vector_update"
+  BEFORE INSERT OR UPDATE OF "title", "author", "description", "category_id", "series_id" ON "books"
+  FOR EACH ROW EXECUTE FUNCTION "books_search_vector_trigger"();
+
+CREATE OR REPLACE FUNCTION "categories_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+  PERFORM "refresh_book_search_vector"("id") FROM "books" WHERE "category_id" = NEW."id";
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION "book_search_vector"(TEXT, TEXT, TEXT, TEXT);
+
+-- Crediting or tagging a book rewrites its document
+CREATE FUNCTION "book_links_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    PERFORM "refresh_book_search_vector"(OLD."book_id");
+  ELSE
+    PERFORM "refresh_book_search_vector"(NEW."book_id");
+  END IF;
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "book_authors_search_vector_update"
+  AFTER INSERT OR UPDATE OR DELETE ON "book_authors"
+  FOR EACH ROW EXECUTE FUNCTION "book_links_search_vector_trigger"();
+
+CREATE TRIGGER "book_subjects_search_vector_update"
+  AFTER INSERT OR DELETE ON "book_subjects"
+  FOR EACH ROW EXECUTE FUNCTION "book_links_search_vector_trigger"();
+
+-- Renaming an author, subject or series rewrites the documents of its books
+CREATE FUNCTION "authors_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+  PERFORM "refresh_book_search_vector"("book_id") FROM "book_authors" WHERE "author_id" = NEW."id";
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "authors_search_vector_update"
+  AFTER UPDATE OF "name" ON "authors"
+  FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+  EXECUTE FUNCTION "authors_search_vector_trigger"();
+
+CREATE FUNCTION "subjects_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+  PERFORM "refresh_book_search_vector"("book_id") FROM "book_subjects" WHERE "subject_id" = NEW."id";
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "subjects_search_vector_update"
+  AFTER UPDATE OF "name" ON "subjects"
+  FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+  EXECUTE FUNCTION "subjects_search_vector_trigger"();
+
+CREATE FUNCTION "series_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+  PERFORM "refresh_book_search_vector"("id") FROM "books" WHERE "series_id" = NEW."id";
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "series_search_vector_update"
+  AFTER UPDATE OF "name" ON "series"
+  FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+  EXECUTE FUNCTION "series_search_vector_trigger"();
+
+-- Backfill existing books
+UPDATE "books" SET "search_vector" = "book_search_vector"("id", "title", "author", "description", "category_id", "series_id");
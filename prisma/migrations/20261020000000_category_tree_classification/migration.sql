@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN     "classification" TEXT,
+ADD COLUMN     "parent_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "books" ADD COLUMN     "call_number_sort" TEXT,
+ADD COLUMN     "classification" TEXT;
+
+-- CreateIndex
+CREATE INDEX "categories_parent_id_idx" ON "categories"("parent_id");
+
+-- CreateIndex
+CREATE INDEX "books_call_number_sort_idx" ON "books"("call_number_sort");
+
+-- AddForeignKey
+ALTER TABLE "categories" ADD CONSTRAINT "categories_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "categories"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill sort keys of existing call numbers (same rules as callNumberSortKey in classification.service.js)
+CREATE FUNCTION call_number_sort_key(p_call_number TEXT) RETURNS TEXT AS $$
+DECLARE
+  token TEXT;
+  parts TEXT[] := '{}';
+BEGIN
+  FOR token IN
+    SELECT (regexp_matches(upper(p_call_number), '\.[A-Z]+[0-9]*|[A-Z]+|[0-9]+(?:\.[0-9]+)?', 'g'))[1]
+  LOOP
+    IF token LIKE '.%' THEN
+      -- Cutter numbers compare as decimals
+      parts := parts || substr(token, 2);
+    ELSIF token ~ '^[0-9]' THEN
+      parts := parts || (
+        lpad(split_part(token, '.', 1), greatest(6, length(split_part(token, '.', 1))), '0')
+        || CASE WHEN position('.' IN token) > 0 THEN '.' || split_part(token, '.', 2) ELSE '' END
+      );
+    ELSE
+      parts := parts || token;
+    END IF;
+  END LOOP;
+
+  RETURN nullif(array_to_string(parts, ' '), '');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+UPDATE "books" SET "call_number_sort" = call_number_sort_key("call_number") WHERE "call_number" IS NOT NULL;
+
+DROP FUNCTION call_number_sort_key(TEXT);
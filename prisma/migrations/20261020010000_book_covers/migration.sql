@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "books" ADD COLUMN     "cover_key" TEXT,
+ADD COLUMN     "cover_thumbnail_key" TEXT;
@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "ItemType" AS ENUM ('PHYSICAL', 'DIGITAL');
+
+-- CreateEnum
+CREATE TYPE "DigitalFormat" AS ENUM ('PDF', 'EPUB', 'LINK');
+
+-- AlterTable
+ALTER TABLE "books" ADD COLUMN     "item_type" "ItemType" NOT NULL DEFAULT 'PHYSICAL',
+ADD COLUMN     "license_count" INTEGER;
+
+-- AlterTable
+ALTER TABLE "borrowing" ADD COLUMN     "item_type" "ItemType" NOT NULL DEFAULT 'PHYSICAL';
+
+-- CreateTable
+CREATE TABLE "digital_resources" (
+    "id" TEXT NOT NULL,
+    "book_id" TEXT NOT NULL,
+    "format" "DigitalFormat" NOT NULL,
+    "storage_key" TEXT,
+    "url" TEXT,
+    "file_name" TEXT,
+    "content_type" TEXT,
+    "file_size" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "digital_resources_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "books_item_type_idx" ON "books"("item_type");
+
+-- CreateIndex
+CREATE INDEX "borrowing_item_type_status_idx" ON "borrowing"("item_type", "status");
+
+-- CreateIndex
+CREATE INDEX "digital_resources_book_id_idx" ON "digital_resources"("book_id");
+
+-- AddForeignKey
+ALTER TABLE "digital_resources" ADD CONSTRAINT "digital_resources_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- DropIndex
+DROP INDEX "inventory_audits_floor_idx";
+
+-- AlterTable
+ALTER TABLE "inventory_audits" ADD COLUMN     "branch_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "inventory_audits_branch_id_floor_idx" ON "inventory_audits"("branch_id", "floor");
+
+-- AddForeignKey
+ALTER TABLE "inventory_audits" ADD CONSTRAINT "inventory_audits_branch_id_fkey" FOREIGN KEY ("branch_id") REFERENCES "branches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
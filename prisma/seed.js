@@ -1,5 +1,8 @@
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcrypt';
+import { formatAccessionNumber } from '../src/services/copy.service.js';
+import { issueLibraryCard } from '../src/services/libraryCard.service.js';
+import { callNumberFields, generateCallNumber } from '../src/services/classification.service.js';
 
 const prisma = new PrismaClient();
 
@@ -58,13 +61,22 @@ async function main() {
 
   console.log('✓ Regular users created');
 
+  // Issue library cards
+  const existingCard = await prisma.libraryCard.findFirst({
+    where: { userId: user1.id, status: 'ACTIVE' }
+  });
+  if (!existingCard) {
+    const card = await issueLibraryCard(user1.id);
+    console.log(`✓ Library card ${card.cardNumber} issued to ${user1.fullName}`);
+  }
+
   // Create categories
   const categories = [
-    { name: 'Computer Science', description: 'Programming, Algorithms, AI, Data Structures' },
-    { name: 'Mathematics', description: 'Calculus, Algebra, Statistics, Probability' },
-    { name: 'Physics', description: 'Mechanics, Thermodynamics, Quantum Physics' },
-    { name: 'Literature', description: 'Novels, Poetry, Drama, Fiction' },
-    { name: 'History', description: 'World History, Ancient Civilizations' }
+    { name: 'Computer Science', description: 'Programming, Algorithms, AI, Data Structures', classification: '004' },
+    { name: 'Mathematics', description: 'Calculus, Algebra, Statistics, Probability', classification: '510' },
+    { name: 'Physics', description: 'Mechanics, Thermodynamics, Quantum Physics', classification: '530' },
+    { name: 'Literature', description: 'Novels, Poetry, Drama, Fiction', classification: '800' },
+    { name: 'History', description: 'World History, Ancient Civilizations', classification: '900' }
   ];
 
   const createdCategories = [];
@@ -77,6 +89,22 @@ async function main() {
     createdCategories.push(category);
   }
 
+  // Subcategories
+  const subcategories = [
+    { name: 'Algorithms', parent: 'Computer Science', classification: '005.1' },
+    { name: 'Calculus', parent: 'Mathematics', classification: '515' },
+    { name: 'Fiction', parent: 'Literature', classification: '813' }
+  ];
+
+  for (const { parent, ...cat } of subcategories) {
+    const category = await prisma.category.upsert({
+      where: { name: cat.name },
+      update: {},
+      create: { ...cat, parentId: createdCategories.find(created => created.name === parent).id }
+    });
+    createdCategories.push(category);
+  }
+
   console.log('✓ Categories created');
 
   // Create shelves
@@ -104,8 +132,8 @@ async function main() {
     {
       title: 'Introduction to Algorithms',
       author: 'Thomas H. Cormen',
-      isbn: '978-0262033848',
-      categoryId: createdCategories[0].id,
+      isbn: '9780262033848',
+      categoryId: createdCategories[5].id,
       shelfId: createdShelves[0].id,
       copiesTotal: 3,
       copiesAvailable: 3,
@@ -115,7 +143,7 @@ async function main() {
     {
       title: 'Clean Code',
       author: 'Robert C. Martin',
-      isbn: '978-0132350884',
+      isbn: '9780132350884',
       categoryId: createdCategories[0].id,
       shelfId: createdShelves[0].id,
       copiesTotal: 2,
@@ -126,8 +154,8 @@ async function main() {
     {
       title: 'Calculus: Early Transcendentals',
       author: 'James Stewart',
-      isbn: '978-1285741550',
-      categoryId: createdCategories[1].id,
+      isbn: '9781285741550',
+      categoryId: createdCategories[6].id,
       shelfId: createdShelves[2].id,
       copiesTotal: 5,
       copiesAvailable: 5,
@@ -137,8 +165,8 @@ async function main() {
     {
       title: 'To Kill a Mockingbird',
       author: 'Harper Lee',
-      isbn: '978-0061120084',
-      categoryId: createdCategories[3].id,
+      isbn: '9780061120084',
+      categoryId: createdCategories[7].id,
       shelfId: createdShelves[3].id,
       copiesTotal: 4,
       copiesAvailable: 4,
@@ -148,8 +176,8 @@ async function main() {
     {
       title: '1984',
       author: 'George Orwell',
-      isbn: '978-0451524935',
-      categoryId: createdCategories[3].id,
+      isbn: '9780451524935',
+      categoryId: createdCategories[7].id,
       shelfId: createdShelves[3].id,
       copiesTotal: 3,
       copiesAvailable: 3,
@@ -159,14 +187,49 @@ async function main() {
   ];
 
   for (const book of books) {
-    await prisma.book.upsert({
+    // Books are shelved under their category's class number
+    const { classification } = createdCategories.find(category => category.id === book.categoryId);
+
+    const createdBook = await prisma.book.upsert({
       where: { isbn: book.isbn },
       update: {},
-      create: book
+      create: {
+        ...book,
+        classification,
+        ...callNumberFields(generateCallNumber({ ...book, classification }))
+      }
     });
+
+    // Credit the author
+    const author = await prisma.author.findFirst({ where: { name: book.author } }) ||
+      await prisma.author.create({ data: { name: book.author } });
+
+    await prisma.bookAuthor.upsert({
+      where: {
+        bookId_authorId_role: { bookId: createdBook.id, authorId: author.id, role: 'AUTHOR' }
+      },
+      update: {},
+      create: { bookId: createdBook.id, authorId: author.id }
+    });
+
+    // Create one copy record per counted copy
+    const existingCopies = await prisma.bookCopy.count({
+      where: { bookId: createdBook.id }
+    });
+
+    for (let copyNumber = existingCopies + 1; copyNumber <= createdBook.copiesTotal; copyNumber++) {
+      await prisma.bookCopy.create({
+        data: {
+          bookId: createdBook.id,
+          copyNumber,
+          accessionNumber: formatAccessionNumber(createdBook.id, copyNumber),
+          shelfId: createdBook.shelfId
+        }
+      });
+    }
   }
 
-  console.log('✓ Sample books created');
+  console.log('✓ Sample books, authors and copies created');
   console.log('\nSeed completed successfully!');
   console.log('\nDefault credentials:');
   console.log('Admin: admin@library.local / admin123');
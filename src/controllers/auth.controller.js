@@ -5,21 +5,24 @@
 
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import { AppError } from '../middleware/error.middleware.js';
+import {
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken
+} from '../services/session.service.js';
 
 const prisma = new PrismaClient();
 
 /**
- * Generate JWT token
+ * Describe the client of a request for its session
  */
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
-};
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent') || null,
+  deviceName: req.body?.deviceName
+});
 
 /**
  * Register new user
@@ -66,8 +69,8 @@ export const register = async (req, res, next) => {
       }
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Open a session
+    const tokens = await createSession(user, getClientInfo(req));
 
     // Log audit
     await prisma.auditLog.create({
@@ -83,7 +86,7 @@ export const register = async (req, res, next) => {
       success: true,
       data: {
         user,
-        token
+        ...tokens
       },
       message: 'User registered successfully'
     });
@@ -126,14 +129,15 @@ export const login = async (req, res, next) => {
       throw new AppError('Your account is inactive or suspended', 'ACCOUNT_INACTIVE', 403);
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Open a session
+    const tokens = await createSession(user, getClientInfo(req));
 
     // Log audit
     await prisma.auditLog.create({
       data: {
         userId: user.id,
         action: 'USER_LOGIN',
+        newValue: { sessionId: tokens.sessionId },
         ipAddress: req.ip
       }
     });
@@ -145,7 +149,7 @@ export const login = async (req, res, next) => {
       success: true,
       data: {
         user: userWithoutPassword,
-        token
+        ...tokens
       },
       message: 'Login successful'
     });
@@ -154,6 +158,52 @@ export const login = async (req, res, next) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access and refresh token
+ * The refresh token sent is used up; reusing it signs the session out.
+ * POST /api/auth/refresh
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, getClientInfo(req));
+
+    res.json({
+      success: true,
+      data: tokens,
+      message: 'Token refreshed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out the current session
+ * POST /api/auth/logout
+ */
+export const logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.sessionId, 'LOGOUT');
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'USER_LOGOUT',
+        newValue: { sessionId: req.sessionId },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get current user profile
  * GET /api/auth/me
@@ -250,17 +300,24 @@ export const changePassword = async (req, res, next) => {
       data: { password: hashedPassword }
     });
 
+    // Sign out everywhere else, in case the old password was known to someone
+    const revokedSessions = await revokeUserSessions(req.user.id, 'PASSWORD_CHANGED', {
+      exceptSessionId: req.sessionId
+    });
+
     // Log audit
     await prisma.auditLog.create({
       data: {
         userId: req.user.id,
         action: 'PASSWORD_CHANGED',
+        newValue: { revokedSessions },
         ipAddress: req.ip
       }
     });
 
     res.json({
       success: true,
+      data: { revokedSessions },
       message: 'Password changed successfully'
     });
   } catch (error) {
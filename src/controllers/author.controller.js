@@ -0,0 +1,184 @@
+/**
+ * Author Controller
+ * Handles authors and the other contributors credited on books
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { refreshAuthorStatements } from '../services/bibliography.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get an author or fail
+ */
+const findAuthor = async (id) => {
+  const author = await prisma.author.findUnique({ where: { id } });
+
+  if (!author) {
+    throw new AppError('Author not found', 'AUTHOR_NOT_FOUND', 404);
+  }
+
+  return author;
+};
+
+/**
+ * Get authors, optionally matching a name
+ * GET /api/authors
+ */
+export const getAuthors = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, search } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = search ? { name: { contains: search, mode: 'insensitive' } } : {};
+
+    const [authors, total] = await Promise.all([
+      prisma.author.findMany({
+        where,
+        include: { _count: { select: { books: true } } },
+        orderBy: [{ sortName: 'asc' }, { name: 'asc' }],
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.author.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        authors,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an author with the books they are credited on
+ * GET /api/authors/:id
+ */
+export const getAuthorById = async (req, res, next) => {
+  try {
+    const author = await prisma.author.findUnique({
+      where: { id: req.params.id },
+      include: {
+        books: {
+          include: {
+            book: {
+              select: { id: true, title: true, author: true, publicationYear: true, copiesAvailable: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!author) {
+      throw new AppError('Author not found', 'AUTHOR_NOT_FOUND', 404);
+    }
+
+    const { books, ...rest } = author;
+
+    res.json({
+      success: true,
+      data: {
+        ...rest,
+        books: books.map(({ book, role }) => ({ ...book, role }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create author
+ * POST /api/authors
+ */
+export const createAuthor = async (req, res, next) => {
+  try {
+    const { name, sortName, bio } = req.body;
+
+    if (!name || !name.trim()) {
+      throw new AppError('Author name is required', 'VALIDATION_ERROR', 400);
+    }
+
+    const author = await prisma.author.create({
+      data: { name: name.trim(), sortName, bio }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: author,
+      message: 'Author created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update author
+ * A new name is carried into the author statement of their books.
+ * PUT /api/authors/:id
+ */
+export const updateAuthor = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, sortName, bio } = req.body;
+
+    const existing = await findAuthor(id);
+
+    const author = await prisma.author.update({
+      where: { id },
+      data: {
+        ...(name && { name: name.trim() }),
+        ...(sortName !== undefined && { sortName }),
+        ...(bio !== undefined && { bio })
+      }
+    });
+
+    if (author.name !== existing.name) {
+      await refreshAuthorStatements(id);
+    }
+
+    res.json({ success: true, data: author, message: 'Author updated' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an author who is not credited on any book
+ * DELETE /api/authors/:id
+ */
+export const deleteAuthor = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await findAuthor(id);
+
+    const credits = await prisma.bookAuthor.count({ where: { authorId: id } });
+
+    if (credits > 0) {
+      throw new AppError(
+        `Author is credited on ${credits} book(s); change those books first`,
+        'AUTHOR_IN_USE',
+        409
+      );
+    }
+
+    await prisma.author.delete({ where: { id } });
+
+    res.json({ success: true, message: 'Author deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -5,10 +5,74 @@
 
 import { PrismaClient } from '@prisma/client';
 import { AppError } from '../middleware/error.middleware.js';
-import { generateBookQRCode } from '../services/qr.service.js';
+import { renderQRImage, withQRCodeUrl } from '../services/qr.service.js';
+import {
+  ACTIVE_BORROWING_STATUSES,
+  createCopies,
+  syncBookCopyCounts
+} from '../services/copy.service.js';
+import {
+  OCCUPYING_COPY_STATUSES,
+  checkShelfPlacement,
+  copiesFollowingBook
+} from '../services/shelf.service.js';
+import { parseISBN } from '../services/isbn.service.js';
+import { lookupISBN } from '../services/catalog.service.js';
+import { searchBooks, suggestBooks } from '../services/search.service.js';
+import {
+  buildBookWhere,
+  getBookFacets,
+  parseBookFilters,
+  resolveBookSort
+} from '../services/facet.service.js';
+import {
+  BOOK_AUTHORS_INCLUDE,
+  BOOK_SUBJECTS_INCLUDE,
+  findRelatedBooks,
+  formatAuthorStatement,
+  parseBibliographicFields,
+  resolveContributors,
+  resolveSeries,
+  resolveSubjects,
+  setBookContributors,
+  setBookSubjects
+} from '../services/bibliography.service.js';
+import { getCategoryClassification, getCategorySubtreeIds } from '../services/category.service.js';
+import { deleteBookCover, withCoverUrls } from '../services/cover.service.js';
+import {
+  DIGITAL_RESOURCE_SELECT,
+  deleteDigitalFiles,
+  parseItemType,
+  parseLicenseCount
+} from '../services/digitalResource.service.js';
+import {
+  callNumberFields,
+  generateCallNumber,
+  parseClassification
+} from '../services/classification.service.js';
 
 const prisma = new PrismaClient();
 
+/**
+ * Find a book catalogued under either form of an ISBN
+ */
+const findBookByISBN = ({ isbn13, isbn10 }, excludeId = null) => {
+  return prisma.book.findFirst({
+    where: {
+      isbn: { in: [isbn13, isbn10].filter(Boolean) },
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  });
+};
+
+/**
+ * Link a book to its cover images, and the book and its copies to their QR images
+ */
+const withQRCodeUrls = (book) => ({
+  ...withQRCodeUrl('BOOK', withCoverUrls(book)),
+  ...(book.copies && { copies: book.copies.map(copy => withQRCodeUrl('COPY', copy)) })
+});
+
 /**
  * Get all books with filters and pagination
  * GET /api/books
@@ -19,60 +83,70 @@ export const getAllBooks = async (req, res, next) => {
       page = 1,
       limit = 10,
       search,
-      categoryId,
-      shelfId,
-      status
+      sort,
+      order,
+      facets = 'true'
     } = req.query;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build filter conditions
-    const where = {};
-
-    if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { author: { contains: search, mode: 'insensitive' } },
-        { isbn: { contains: search, mode: 'insensitive' } }
-      ];
-    }
+    const filters = parseBookFilters(req.query);
 
-    if (categoryId) {
-      where.categoryId = categoryId;
+    // A category includes all of its subcategories
+    if (filters.categoryIds.length > 0) {
+      filters.categoryIds = await getCategorySubtreeIds(filters.categoryIds);
     }
 
-    if (shelfId) {
-      where.shelfId = shelfId;
-    }
+    const where = buildBookWhere(filters);
+    const orderBy = resolveBookSort(sort, order, Boolean(search));
+
+    const include = {
+      category: true,
+      shelf: true,
+      series: true,
+      authors: BOOK_AUTHORS_INCLUDE,
+      borrowings: {
+        where: { status: 'BORROWED' },
+        take: 1,
+        orderBy: { borrowDate: 'desc' }
+      }
+    };
 
-    if (status) {
-      where.status = status;
-    }
+    let books;
+    let total;
+    let searchMode;
+    let scope = null;
 
-    // Get books with pagination
-    const [books, total] = await Promise.all([
-      prisma.book.findMany({
-        where,
-        include: {
-          category: true,
-          shelf: true,
-          borrowings: {
-            where: { status: 'BORROWED' },
-            take: 1,
-            orderBy: { borrowDate: 'desc' }
-          }
-        },
+    // A search is ordered by relevance unless another sort is chosen
+    if (search) {
+      ({ books, total, mode: searchMode, scope } = await searchBooks(search, where, {
         skip,
         take: parseInt(limit),
-        orderBy: { createdAt: 'desc' }
-      }),
-      prisma.book.count({ where })
-    ]);
+        include,
+        orderBy
+      }));
+    } else {
+      [books, total] = await Promise.all([
+        prisma.book.findMany({
+          where,
+          include,
+          skip,
+          take: parseInt(limit),
+          orderBy
+        }),
+        prisma.book.count({ where })
+      ]);
+    }
+
+    const facetCounts = facets === 'false' ? null : await getBookFacets(filters, scope);
 
     res.json({
       success: true,
       data: {
-        books,
+        books: books.map(withQRCodeUrls),
+        ...(searchMode && { searchMode }),
+        ...(facetCounts && { facets: facetCounts }),
         pagination: {
           total,
           page: parseInt(page),
@@ -99,6 +173,9 @@ export const getBookById = async (req, res, next) => {
       include: {
         category: true,
         shelf: true,
+        series: true,
+        authors: BOOK_AUTHORS_INCLUDE,
+        subjects: BOOK_SUBJECTS_INCLUDE,
         borrowings: {
           include: {
             user: {
@@ -111,6 +188,13 @@ export const getBookById = async (req, res, next) => {
           },
           orderBy: { borrowDate: 'desc' },
           take: 10
+        },
+        copies: {
+          orderBy: { copyNumber: 'asc' }
+        },
+        digitalResources: {
+          select: DIGITAL_RESOURCE_SELECT,
+          orderBy: { createdAt: 'asc' }
         }
       }
     });
@@ -119,9 +203,66 @@ export const getBookById = async (req, res, next) => {
       throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
     }
 
+    // More by the same authors, and the rest of the series
+    const related = await findRelatedBooks(book);
+
+    res.json({
+      success: true,
+      data: {
+        ...withQRCodeUrls(book),
+        related
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suggest books while a search is typed
+ * GET /api/books/suggest?q=
+ */
+export const suggestBookTitles = async (req, res, next) => {
+  try {
+    const { q = '', limit = 8 } = req.query;
+    const text = q.trim();
+
+    if (text.length < 2) {
+      throw new AppError('Type at least 2 characters', 'VALIDATION_ERROR', 400);
+    }
+
+    const suggestions = await suggestBooks(text, Math.min(Math.max(parseInt(limit) || 8, 1), 20));
+
     res.json({
       success: true,
-      data: book
+      data: suggestions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Look up catalog metadata for an ISBN before creating a book
+ * GET /api/books/lookup?isbn=
+ */
+export const lookupBook = async (req, res, next) => {
+  try {
+    const { isbn } = req.query;
+
+    if (!isbn) {
+      throw new AppError('ISBN is required', 'VALIDATION_ERROR', 400);
+    }
+
+    const metadata = await lookupISBN(isbn);
+    const existingBook = await findBookByISBN({ isbn13: metadata.isbn, isbn10: metadata.isbn10 });
+
+    res.json({
+      success: true,
+      data: {
+        ...metadata,
+        existingBook
+      }
     });
   } catch (error) {
     next(error);
@@ -135,62 +276,109 @@ export const getBookById = async (req, res, next) => {
 export const createBook = async (req, res, next) => {
   try {
     const {
-      title,
-      author,
       isbn,
       categoryId,
       shelfId,
       copiesTotal,
-      description,
-      publicationYear
+      callNumber,
+      importMetadata
     } = req.body;
 
-    // Validation
-    if (!title || !author) {
-      throw new AppError('Title and author are required', 'VALIDATION_ERROR', 400);
+    // ISBNs are checked and stored as ISBN-13
+    const parsedIsbn = isbn ? parseISBN(isbn) : null;
+
+    if (importMetadata && !parsedIsbn) {
+      throw new AppError('An ISBN is required to import a book', 'VALIDATION_ERROR', 400);
     }
 
     // Check if ISBN already exists
-    if (isbn) {
-      const existingBook = await prisma.book.findUnique({
-        where: { isbn }
-      });
+    if (parsedIsbn && await findBookByISBN(parsedIsbn)) {
+      throw new AppError('A book with this ISBN already exists', 'ISBN_EXISTS', 409);
+    }
 
-      if (existingBook) {
-        throw new AppError('A book with this ISBN already exists', 'ISBN_EXISTS', 409);
-      }
+    // Import by ISBN: anything not typed in is filled from the catalog
+    const metadata = importMetadata ? await lookupISBN(isbn) : null;
+
+    const title = req.body.title || metadata?.title;
+    const authors = req.body.authors || (req.body.author ? [req.body.author] : metadata?.authors);
+    const description = req.body.description ?? metadata?.description;
+    const publicationYear = req.body.publicationYear ?? metadata?.publicationYear;
+
+    // Validation
+    if (!title || !authors || authors.length === 0) {
+      throw new AppError('Title and author are required', 'VALIDATION_ERROR', 400);
     }
 
+    const bibliographic = parseBibliographicFields({
+      publisher: metadata?.publisher,
+      pageCount: metadata?.pageCount,
+      language: metadata?.language,
+      ...req.body
+    });
+
+    // Digital items lend licenses instead of physical copies
+    const itemType = parseItemType(req.body.itemType);
+    const digital = itemType === 'DIGITAL';
+    const licenseCount = digital ? parseLicenseCount(req.body.licenseCount ?? 1) : null;
+
+    // Check the shelf has room for the new copies
+    const warning = digital ? null : await checkShelfPlacement(shelfId, copiesTotal || 1, { categoryId });
+
+    const contributors = await resolveContributors(authors);
+    const subjectIds = req.body.subjects ? await resolveSubjects(req.body.subjects) : [];
+    const seriesId = await resolveSeries(req.body);
+    const author = formatAuthorStatement(contributors);
+
+    // Unclassified books take their category's class number; the call number is built from it unless given
+    const classification = parseClassification(req.body.classification)
+      || await getCategoryClassification(categoryId);
+
     // Create book
     const book = await prisma.book.create({
       data: {
         title,
         author,
-        isbn,
+        isbn: parsedIsbn ? parsedIsbn.isbn13 : null,
         categoryId,
-        shelfId,
-        copiesTotal: copiesTotal || 1,
-        copiesAvailable: copiesTotal || 1,
+        shelfId: digital ? null : shelfId,
+        copiesTotal: 0,
+        copiesAvailable: 0,
+        itemType,
+        licenseCount,
         description,
         publicationYear,
-        status: 'AVAILABLE'
-      },
-      include: {
-        category: true,
-        shelf: true
+        classification,
+        ...callNumberFields(callNumber || generateCallNumber({ classification, author, title, publicationYear })),
+        ...bibliographic,
+        ...(seriesId && { seriesId }),
+        status: 'AVAILABLE',
+        authors: {
+          create: contributors.map(({ authorId, role, position }) => ({ authorId, role, position }))
+        },
+        subjects: {
+          create: subjectIds.map(subjectId => ({ subjectId }))
+        }
       }
     });
 
-    // Generate QR code
-    const qrCode = await generateBookQRCode(book.id);
+    // Digital items start with all licenses free; physical ones get copies (each with its own QR code)
+    if (digital) {
+      await syncBookCopyCounts(book.id);
+    } else {
+      await createCopies(book, copiesTotal || 1);
+    }
 
-    // Update book with QR code
-    const updatedBook = await prisma.book.update({
+    const updatedBook = await prisma.book.findUnique({
       where: { id: book.id },
-      data: { qrCode },
       include: {
         category: true,
-        shelf: true
+        shelf: true,
+        series: true,
+        authors: BOOK_AUTHORS_INCLUDE,
+        subjects: BOOK_SUBJECTS_INCLUDE,
+        copies: {
+          orderBy: { copyNumber: 'asc' }
+        }
       }
     });
 
@@ -203,7 +391,9 @@ export const createBook = async (req, res, next) => {
         newValue: {
           title: book.title,
           author: book.author,
-          isbn: book.isbn
+          isbn: book.isbn,
+          ...(digital && { itemType, licenseCount }),
+          ...(metadata && { importedFrom: metadata.source })
         },
         ipAddress: req.ip
       }
@@ -211,8 +401,11 @@ export const createBook = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      data: updatedBook,
-      message: 'Book created successfully with QR code'
+      data: withQRCodeUrls(updatedBook),
+      message: metadata
+        ? `Book imported from ${metadata.source} with QR code`
+        : 'Book created successfully with QR code',
+      ...(warning && { warning })
     });
   } catch (error) {
     next(error);
@@ -229,6 +422,8 @@ export const updateBook = async (req, res, next) => {
     const {
       title,
       author,
+      authors,
+      subjects,
       isbn,
       categoryId,
       shelfId,
@@ -236,9 +431,22 @@ export const updateBook = async (req, res, next) => {
       copiesAvailable,
       description,
       publicationYear,
+      classification,
+      callNumber,
+      itemType,
+      licenseCount,
       status
     } = req.body;
 
+    // Copy counts are derived from the book's copy records
+    if (copiesTotal !== undefined || copiesAvailable !== undefined) {
+      throw new AppError(
+        'Copy counts cannot be set directly; manage copies via /api/books/:id/copies',
+        'VALIDATION_ERROR',
+        400
+      );
+    }
+
     // Get existing book
     const existingBook = await prisma.book.findUnique({
       where: { id }
@@ -248,49 +456,113 @@ export const updateBook = async (req, res, next) => {
       throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
     }
 
-    // Check ISBN uniqueness
-    if (isbn && isbn !== existingBook.isbn) {
-      const duplicateIsbn = await prisma.book.findUnique({
-        where: { isbn }
+    // A book keeps its item type; licenses only apply to digital items
+    if (itemType !== undefined && parseItemType(itemType) !== existingBook.itemType) {
+      throw new AppError('The item type of a book cannot be changed', 'VALIDATION_ERROR', 400);
+    }
+
+    if (licenseCount !== undefined && existingBook.itemType !== 'DIGITAL') {
+      throw new AppError('Only digital items have licenses', 'NOT_DIGITAL_ITEM', 400);
+    }
+
+    const licenses = licenseCount !== undefined ? parseLicenseCount(licenseCount) : undefined;
+
+    // Check ISBN checksum and uniqueness
+    const parsedIsbn = isbn ? parseISBN(isbn) : null;
+
+    if (parsedIsbn && await findBookByISBN(parsedIsbn, id)) {
+      throw new AppError('A book with this ISBN already exists', 'ISBN_EXISTS', 409);
+    }
+
+    const bibliographic = parseBibliographicFields(req.body);
+
+    // Copies kept with the book move to its new shelf, if there is room
+    const movingShelf = shelfId && shelfId !== existingBook.shelfId;
+    let warning = null;
+
+    if (movingShelf) {
+      const incoming = await prisma.bookCopy.count({
+        where: { ...copiesFollowingBook(existingBook), status: { in: OCCUPYING_COPY_STATUSES } }
       });
 
-      if (duplicateIsbn) {
-        throw new AppError('A book with this ISBN already exists', 'ISBN_EXISTS', 409);
-      }
+      warning = await checkShelfPlacement(shelfId, incoming, {
+        categoryId: categoryId !== undefined ? categoryId : existingBook.categoryId
+      });
     }
 
-    // Validate copies
-    if (copiesAvailable !== undefined && copiesTotal !== undefined) {
-      if (copiesAvailable > copiesTotal) {
-        throw new AppError(
-          'Available copies cannot exceed total copies',
-          'VALIDATION_ERROR',
-          400
-        );
-      }
+    // A plain author name replaces the contributors with that one author
+    const contributors = authors || author
+      ? await resolveContributors(authors || [author])
+      : null;
+    const subjectIds = subjects ? await resolveSubjects(subjects) : null;
+    const seriesId = await resolveSeries(req.body);
+
+    // A new class number rebuilds the call number unless one is given; other
+    // changes leave it alone so it keeps matching the spine label
+    const classificationCode = classification !== undefined ? parseClassification(classification) : undefined;
+    let callNumberData = {};
+
+    if (callNumber !== undefined) {
+      callNumberData = callNumberFields(callNumber);
+    } else if (classificationCode !== undefined) {
+      callNumberData = callNumberFields(generateCallNumber({
+        classification: classificationCode,
+        author: contributors ? formatAuthorStatement(contributors) : existingBook.author,
+        title: title || existingBook.title,
+        publicationYear: publicationYear !== undefined ? publicationYear : existingBook.publicationYear
+      }));
     }
 
     // Update book
-    const book = await prisma.book.update({
+    await prisma.book.update({
       where: { id },
       data: {
         ...(title && { title }),
-        ...(author && { author }),
-        ...(isbn !== undefined && { isbn }),
+        ...(isbn !== undefined && { isbn: parsedIsbn ? parsedIsbn.isbn13 : null }),
         ...(categoryId !== undefined && { categoryId }),
         ...(shelfId !== undefined && { shelfId }),
-        ...(copiesTotal !== undefined && { copiesTotal }),
-        ...(copiesAvailable !== undefined && { copiesAvailable }),
         ...(description !== undefined && { description }),
         ...(publicationYear !== undefined && { publicationYear }),
+        ...(classificationCode !== undefined && { classification: classificationCode }),
+        ...callNumberData,
+        ...bibliographic,
+        ...(seriesId !== undefined && { seriesId }),
+        ...(licenses !== undefined && { licenseCount: licenses }),
         ...(status && { status })
-      },
+      }
+    });
+
+    // Fewer licenses leave fewer free; e-loans already out run to their end
+    if (licenses !== undefined) {
+      await syncBookCopyCounts(id);
+    }
+
+    if (contributors) {
+      await setBookContributors(id, contributors);
+    }
+
+    if (subjectIds) {
+      await setBookSubjects(id, subjectIds);
+    }
+
+    const book = await prisma.book.findUnique({
+      where: { id },
       include: {
         category: true,
-        shelf: true
+        shelf: true,
+        series: true,
+        authors: BOOK_AUTHORS_INCLUDE,
+        subjects: BOOK_SUBJECTS_INCLUDE
       }
     });
 
+    if (movingShelf) {
+      await prisma.bookCopy.updateMany({
+        where: copiesFollowingBook(existingBook),
+        data: { shelfId }
+      });
+    }
+
     // Log audit
     await prisma.auditLog.create({
       data: {
@@ -305,8 +577,9 @@ export const updateBook = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: book,
-      message: 'Book updated successfully'
+      data: withQRCodeUrls(book),
+      message: 'Book updated successfully',
+      ...(warning && { warning })
     });
   } catch (error) {
     next(error);
@@ -325,7 +598,7 @@ export const deleteBook = async (req, res, next) => {
     const activeBorrowings = await prisma.borrowing.count({
       where: {
         bookId: id,
-        status: 'BORROWED'
+        status: { in: ACTIVE_BORROWING_STATUSES }
       }
     });
 
@@ -339,7 +612,8 @@ export const deleteBook = async (req, res, next) => {
 
     // Get book for audit log
     const book = await prisma.book.findUnique({
-      where: { id }
+      where: { id },
+      include: { digitalResources: true }
     });
 
     if (!book) {
@@ -351,6 +625,10 @@ export const deleteBook = async (req, res, next) => {
       where: { id }
     });
 
+    // Its cover and e-book files go with it
+    await deleteBookCover(book);
+    await deleteDigitalFiles(book.digitalResources);
+
     // Log audit
     await prisma.auditLog.create({
       data: {
@@ -375,30 +653,26 @@ export const deleteBook = async (req, res, next) => {
 };
 
 /**
- * Regenerate QR code for a book
- * POST /api/books/:id/regenerate-qr
+ * Get the QR code image for a book
+ * GET /api/books/:id/qr.png, GET /api/books/:id/qr.svg
  */
-export const regenerateQRCode = async (req, res, next) => {
+export const getBookQRImage = async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { id, format } = req.params;
 
-    // Verify book exists
     const book = await prisma.book.findUnique({
-      where: { id }
+      where: { id },
+      select: { id: true }
     });
 
     if (!book) {
       throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
     }
 
-    // Generate new QR code
-    const qrCode = await generateBookQRCode(id);
+    const image = await renderQRImage('BOOK', book.id, format, req.query);
 
-    res.json({
-      success: true,
-      data: { qrCode },
-      message: 'QR code regenerated successfully'
-    });
+    res.set({ 'Cache-Control': image.cacheControl, ETag: image.etag });
+    res.type(image.contentType).send(image.body);
   } catch (error) {
     next(error);
   }
@@ -446,31 +720,25 @@ export const getBookStats = async (req, res, next) => {
 };
 
 /**
- * Sync all book statuses based on copiesAvailable
+ * Sync all book counters and statuses from their copy records
  * POST /api/books/sync-status
  */
 export const syncBookStatus = async (req, res, next) => {
   try {
     // Get all books
-    const books = await prisma.book.findMany({
-      where: {
-        status: {
-          notIn: ['MAINTENANCE', 'LOST'] // Don't change manual statuses
-        }
-      }
-    });
+    const books = await prisma.book.findMany();
 
     let updated = 0;
 
-    // Update each book's status based on copiesAvailable
+    // Recalculate each book's counters and status from its copies
     for (const book of books) {
-      const correctStatus = book.copiesAvailable > 0 ? 'AVAILABLE' : 'BORROWED';
+      const synced = await syncBookCopyCounts(book.id);
 
-      if (book.status !== correctStatus) {
-        await prisma.book.update({
-          where: { id: book.id },
-          data: { status: correctStatus }
-        });
+      if (
+        synced.status !== book.status ||
+        synced.copiesTotal !== book.copiesTotal ||
+        synced.copiesAvailable !== book.copiesAvailable
+      ) {
         updated++;
       }
     }
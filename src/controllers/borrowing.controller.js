@@ -5,101 +5,242 @@
 
 import { PrismaClient } from '@prisma/client';
 import { AppError } from '../middleware/error.middleware.js';
+import { ACTIVE_BORROWING_STATUSES, syncBookCopyCounts } from '../services/copy.service.js';
+import { assignCopyToNextReservation, releaseHeldCopy } from '../services/reservation.service.js';
+import { assessLostFines, assessReturnFines } from '../services/fine.service.js';
+import { checkoutCopy, checkoutDigitalItem } from '../services/borrowing.service.js';
+import { createDownloadLinks, resolveDownloadLink } from '../services/digitalLending.service.js';
+import { DIGITAL_RESOURCE_SELECT } from '../services/digitalResource.service.js';
+import { getStorage } from '../services/storage.service.js';
+import { resolveCardHolderId } from '../services/libraryCard.service.js';
+import { renewBorrowing } from '../services/renewal.service.js';
 
 const prisma = new PrismaClient();
 
+const COPY_CONDITIONS = ['NEW', 'GOOD', 'FAIR', 'POOR', 'DAMAGED'];
+
 /**
  * Borrow a book
  * POST /api/borrowing/borrow
  */
 export const borrowBook = async (req, res, next) => {
   try {
-    const { bookId, borrowDays, notes } = req.body;
+    const { bookId, copyId, borrowDays, notes, cardNumber, cardQrData } = req.body;
     let { userId } = req.body;
 
-    // If no userId provided, use current user
-    // If userId provided, only ADMIN can borrow for others
-    if (!userId) {
+    // A scanned library card identifies the borrower at the desk
+    // Otherwise: no userId means the current user, and only ADMIN can borrow for others
+    if (cardNumber || cardQrData) {
+      userId = await resolveCardHolderId({ qrData: cardQrData, cardNumber });
+    } else if (!userId) {
       userId = req.user.id;
     } else if (userId !== req.user.id && req.user.role !== 'ADMIN') {
       throw new AppError('Only administrators can borrow books for other users', 'FORBIDDEN', 403);
     }
 
-    // Validation
-    if (!bookId) {
-      throw new AppError('Book ID is required', 'VALIDATION_ERROR', 400);
-    }
+    // Digital items are lent as e-loans, without a copy
+    const book = bookId && !copyId
+      ? await prisma.book.findUnique({ where: { id: bookId }, select: { itemType: true } })
+      : null;
 
-    // Check if book exists and is available
-    const book = await prisma.book.findUnique({
-      where: { id: bookId }
-    });
+    if (book?.itemType === 'DIGITAL') {
+      const { borrowing, downloadLinks } = await prisma.$transaction(tx => checkoutDigitalItem(tx, {
+        userId,
+        bookId,
+        borrowDays,
+        notes,
+        actorId: req.user.id,
+        ipAddress: req.ip
+      }));
 
-    if (!book) {
-      throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
+      return res.status(201).json({
+        success: true,
+        data: { ...borrowing, downloadLinks },
+        message: 'E-book borrowed successfully'
+      });
     }
 
-    if (book.copiesAvailable <= 0) {
-      throw new AppError('No copies available for borrowing', 'NO_COPIES_AVAILABLE', 400);
+    const { borrowing, releasedReservation } = await prisma.$transaction(tx => checkoutCopy(tx, {
+      userId,
+      bookId,
+      copyId,
+      borrowDays,
+      notes,
+      actorId: req.user.id,
+      ipAddress: req.ip
+    }));
+
+    if (releasedReservation) {
+      await releaseHeldCopy(releasedReservation);
     }
 
-    // Check if user exists
-    const user = await prisma.user.findUnique({
-      where: { id: userId }
+    res.status(201).json({
+      success: true,
+      data: borrowing,
+      message: 'Book borrowed successfully'
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (!user) {
-      throw new AppError('User not found', 'USER_NOT_FOUND', 404);
+/**
+ * Borrow a digital item for yourself (self-service e-lending)
+ * POST /api/borrowing/digital
+ */
+export const borrowDigitalItem = async (req, res, next) => {
+  try {
+    const { bookId, borrowDays } = req.body;
+
+    const { borrowing, downloadLinks } = await prisma.$transaction(tx => checkoutDigitalItem(tx, {
+      userId: req.user.id,
+      bookId,
+      borrowDays,
+      actorId: req.user.id,
+      ipAddress: req.ip
+    }));
+
+    res.status(201).json({
+      success: true,
+      data: { ...borrowing, downloadLinks },
+      message: 'E-book borrowed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get fresh download links for an e-loan
+ * GET /api/borrowing/:borrowingId/download-links
+ */
+export const getDownloadLinks = async (req, res, next) => {
+  try {
+    const { borrowingId } = req.params;
+
+    const borrowing = await prisma.borrowing.findUnique({
+      where: { id: borrowingId },
+      include: {
+        book: {
+          select: {
+            id: true,
+            title: true,
+            digitalResources: { select: DIGITAL_RESOURCE_SELECT, orderBy: { createdAt: 'asc' } }
+          }
+        }
+      }
+    });
+
+    if (!borrowing) {
+      throw new AppError('Borrowing record not found', 'BORROWING_NOT_FOUND', 404);
     }
 
-    if (user.status !== 'ACTIVE') {
-      throw new AppError('User account is not active', 'INACTIVE_USER', 403);
+    if (borrowing.userId !== req.user.id && req.user.role === 'USER') {
+      throw new AppError('You can only download your own e-loans', 'FORBIDDEN', 403);
     }
 
-    // Check if user already has this book borrowed
-    const existingBorrowing = await prisma.borrowing.findFirst({
-      where: {
-        userId,
-        bookId,
-        status: 'BORROWED'
+    if (borrowing.itemType !== 'DIGITAL') {
+      throw new AppError('This borrowing is not an e-loan', 'NOT_DIGITAL_ITEM', 400);
+    }
+
+    if (!ACTIVE_BORROWING_STATUSES.includes(borrowing.status) || new Date() >= borrowing.expectedReturnDate) {
+      throw new AppError('This e-loan has ended', 'LOAN_NOT_ACTIVE', 410);
+    }
+
+    res.json({
+      success: true,
+      data: createDownloadLinks(borrowing, borrowing.book.digitalResources)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a file of an e-loan through a signed link (no login needed)
+ * GET /api/borrowing/:borrowingId/download/:resourceId?expires=&signature=
+ */
+export const downloadDigitalResource = async (req, res, next) => {
+  try {
+    const { borrowingId, resourceId } = req.params;
+    const { expires, signature } = req.query;
+
+    const { borrowing, resource } = await resolveDownloadLink({ borrowingId, resourceId, expires, signature });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: borrowing.userId,
+        bookId: borrowing.bookId,
+        action: 'EBOOK_DOWNLOADED',
+        newValue: { borrowingId, resourceId, format: resource.format },
+        ipAddress: req.ip
       }
     });
 
-    if (existingBorrowing) {
-      throw new AppError('User already has this book borrowed', 'ALREADY_BORROWED', 400);
+    res.set('Cache-Control', 'private, no-store');
+
+    // External links are handed over as a redirect
+    if (resource.format === 'LINK') {
+      return res.redirect(302, resource.url);
     }
 
-    // Check borrowing limit (optional: max 5 books per user)
-    const activeBorrowings = await prisma.borrowing.count({
-      where: {
-        userId,
-        status: 'BORROWED'
+    const file = await getStorage().get(resource.storageKey);
+
+    res.type(resource.contentType);
+    res.attachment(resource.fileName);
+    if (resource.fileSize) {
+      res.set('Content-Length', String(resource.fileSize));
+    }
+
+    file.on('error', next);
+    file.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Return a book
+ * POST /api/borrowing/return/:borrowingId
+ */
+export const returnBook = async (req, res, next) => {
+  try {
+    const { borrowingId } = req.params;
+    const { notes, condition } = req.body;
+
+    if (condition && !COPY_CONDITIONS.includes(condition)) {
+      throw new AppError(`Condition must be one of ${COPY_CONDITIONS.join(', ')}`, 'VALIDATION_ERROR', 400);
+    }
+
+    // Get borrowing record
+    const borrowing = await prisma.borrowing.findUnique({
+      where: { id: borrowingId },
+      include: {
+        book: true,
+        user: true
       }
     });
 
-    const MAX_BOOKS_PER_USER = parseInt(process.env.MAX_BOOKS_PER_USER) || 5;
-    if (activeBorrowings >= MAX_BOOKS_PER_USER) {
-      throw new AppError(
-        `User has reached the maximum borrowing limit of ${MAX_BOOKS_PER_USER} books`,
-        'BORROWING_LIMIT_REACHED',
-        400
-      );
+    if (!borrowing) {
+      throw new AppError('Borrowing record not found', 'BORROWING_NOT_FOUND', 404);
+    }
+
+    if (borrowing.status === 'RETURNED') {
+      throw new AppError('Book already returned', 'ALREADY_RETURNED', 400);
     }
 
-    // Calculate expected return date
-    const days = borrowDays || parseInt(process.env.MAX_BORROW_DAYS) || 14;
-    const expectedReturnDate = new Date();
-    expectedReturnDate.setDate(expectedReturnDate.getDate() + days);
+    if (borrowing.status === 'LOST') {
+      throw new AppError('Book was declared lost', 'BORROWING_LOST', 400);
+    }
 
-    // Create borrowing record
-    const borrowing = await prisma.borrowing.create({
+    // Update borrowing record
+    const updatedBorrowing = await prisma.borrowing.update({
+      where: { id: borrowingId },
       data: {
-        userId,
-        bookId,
-        borrowDate: new Date(),
-        expectedReturnDate,
-        status: 'BORROWED',
-        notes
+        status: 'RETURNED',
+        actualReturnDate: new Date(),
+        notes: notes || borrowing.notes
       },
       include: {
         user: {
@@ -114,51 +255,81 @@ export const borrowBook = async (req, res, next) => {
             category: true,
             shelf: true
           }
-        }
+        },
+        copy: true
       }
     });
 
-    // Update book availability
-    await prisma.book.update({
-      where: { id: bookId },
-      data: {
-        copiesAvailable: {
-          decrement: 1
+    // Put the copy back in circulation (damaged copies go to maintenance)
+    if (borrowing.copyId) {
+      updatedBorrowing.copy = await prisma.bookCopy.update({
+        where: { id: borrowing.copyId },
+        data: {
+          status: condition === 'DAMAGED' ? 'MAINTENANCE' : 'AVAILABLE',
+          ...(condition && { condition })
         }
-      }
+      });
+    }
+
+    // Update book availability
+    await syncBookCopyCounts(borrowing.bookId);
+
+    // Hold the returned copy for the next patron in the reservation queue
+    let reservation = null;
+    if (updatedBorrowing.copy?.status === 'AVAILABLE') {
+      reservation = await assignCopyToNextReservation(borrowing.copyId);
+    }
+
+    // Assess overdue and damage fines (e-loans end on time by themselves)
+    const fines = borrowing.itemType === 'DIGITAL' ? [] : await assessReturnFines(borrowing, {
+      returnDate: updatedBorrowing.actualReturnDate,
+      condition,
+      actorId: req.user.id,
+      ipAddress: req.ip
     });
 
     // Log audit
     await prisma.auditLog.create({
       data: {
         userId: req.user.id,
-        bookId,
-        action: 'BOOK_BORROWED',
+        bookId: borrowing.bookId,
+        action: 'BOOK_RETURNED',
+        oldValue: {
+          status: 'BORROWED',
+          borrowDate: borrowing.borrowDate
+        },
         newValue: {
-          borrower: user.fullName,
-          borrowerId: userId,
-          borrowDate: borrowing.borrowDate,
-          expectedReturn: expectedReturnDate
+          status: 'RETURNED',
+          returnDate: updatedBorrowing.actualReturnDate,
+          copyId: borrowing.copyId,
+          ...(condition && { condition })
         },
         ipAddress: req.ip
       }
     });
 
     // Create notification for user
+    const isOverdue = new Date() > new Date(borrowing.expectedReturnDate);
     await prisma.notification.create({
       data: {
-        userId,
-        type: 'INFO',
-        title: 'Book Borrowed Successfully',
-        message: `You have borrowed "${book.title}". Please return it by ${expectedReturnDate.toLocaleDateString()}.`,
+        userId: borrowing.userId,
+        type: isOverdue ? 'REMINDER' : 'INFO',
+        title: 'Book Returned',
+        message: `Thank you for returning "${borrowing.book.title}"${isOverdue ? ' (was overdue)' : ''}.`,
         isRead: false
       }
     });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      data: borrowing,
-      message: 'Book borrowed successfully'
+      data: {
+        ...updatedBorrowing,
+        holdReservation: reservation,
+        fines
+      },
+      message: reservation
+        ? 'Book returned successfully. Place the copy on the hold shelf for the next patron'
+        : 'Book returned successfully'
     });
   } catch (error) {
     next(error);
@@ -166,15 +337,14 @@ export const borrowBook = async (req, res, next) => {
 };
 
 /**
- * Return a book
- * POST /api/borrowing/return/:borrowingId
+ * Declare a borrowed book lost
+ * POST /api/borrowing/:borrowingId/lost
  */
-export const returnBook = async (req, res, next) => {
+export const markBorrowingLost = async (req, res, next) => {
   try {
     const { borrowingId } = req.params;
     const { notes } = req.body;
 
-    // Get borrowing record
     const borrowing = await prisma.borrowing.findUnique({
       where: { id: borrowingId },
       include: {
@@ -187,16 +357,18 @@ export const returnBook = async (req, res, next) => {
       throw new AppError('Borrowing record not found', 'BORROWING_NOT_FOUND', 404);
     }
 
-    if (borrowing.status === 'RETURNED') {
-      throw new AppError('Book already returned', 'ALREADY_RETURNED', 400);
+    if (!ACTIVE_BORROWING_STATUSES.includes(borrowing.status)) {
+      throw new AppError('Only active borrowings can be declared lost', 'INVALID_STATUS', 400);
+    }
+
+    if (borrowing.itemType === 'DIGITAL') {
+      throw new AppError('E-loans cannot be declared lost', 'INVALID_STATUS', 400);
     }
 
-    // Update borrowing record
     const updatedBorrowing = await prisma.borrowing.update({
       where: { id: borrowingId },
       data: {
-        status: 'RETURNED',
-        actualReturnDate: new Date(),
+        status: 'LOST',
         notes: notes || borrowing.notes
       },
       include: {
@@ -207,59 +379,50 @@ export const returnBook = async (req, res, next) => {
             email: true
           }
         },
-        book: {
-          include: {
-            category: true,
-            shelf: true
-          }
-        }
+        book: true,
+        copy: true
       }
     });
 
-    // Update book availability
-    await prisma.book.update({
-      where: { id: borrowing.bookId },
-      data: {
-        copiesAvailable: {
-          increment: 1
-        }
-      }
-    });
+    // Take the copy out of the holdings
+    if (borrowing.copyId) {
+      updatedBorrowing.copy = await prisma.bookCopy.update({
+        where: { id: borrowing.copyId },
+        data: { status: 'LOST' }
+      });
+    }
+
+    await syncBookCopyCounts(borrowing.bookId);
 
     // Log audit
     await prisma.auditLog.create({
       data: {
         userId: req.user.id,
         bookId: borrowing.bookId,
-        action: 'BOOK_RETURNED',
-        oldValue: {
-          status: 'BORROWED',
-          borrowDate: borrowing.borrowDate
-        },
+        action: 'BOOK_LOST',
+        oldValue: { status: borrowing.status },
         newValue: {
-          status: 'RETURNED',
-          returnDate: updatedBorrowing.actualReturnDate
+          status: 'LOST',
+          borrowerId: borrowing.userId,
+          copyId: borrowing.copyId
         },
         ipAddress: req.ip
       }
     });
 
-    // Create notification for user
-    const isOverdue = new Date() > new Date(borrowing.expectedReturnDate);
-    await prisma.notification.create({
-      data: {
-        userId: borrowing.userId,
-        type: isOverdue ? 'REMINDER' : 'INFO',
-        title: 'Book Returned',
-        message: `Thank you for returning "${borrowing.book.title}"${isOverdue ? ' (was overdue)' : ''}.`,
-        isRead: false
-      }
+    // Assess lost item and overdue fines
+    const fines = await assessLostFines(borrowing, {
+      actorId: req.user.id,
+      ipAddress: req.ip
     });
 
     res.json({
       success: true,
-      data: updatedBorrowing,
-      message: 'Book returned successfully'
+      data: {
+        ...updatedBorrowing,
+        fines
+      },
+      message: 'Book declared lost'
     });
   } catch (error) {
     next(error);
@@ -277,7 +440,9 @@ export const getAllBorrowings = async (req, res, next) => {
       limit = 10,
       status,
       userId,
-      bookId
+      bookId,
+      branchId,
+      itemType
     } = req.query;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -287,6 +452,8 @@ export const getAllBorrowings = async (req, res, next) => {
     if (status) where.status = status;
     if (userId) where.userId = userId;
     if (bookId) where.bookId = bookId;
+    if (branchId) where.branchId = branchId;
+    if (itemType) where.itemType = itemType;
 
     const [borrowings, total] = await Promise.all([
       prisma.borrowing.findMany({
@@ -305,7 +472,9 @@ export const getAllBorrowings = async (req, res, next) => {
               category: true,
               shelf: true
             }
-          }
+          },
+          copy: true,
+          branch: { select: { id: true, code: true, name: true } }
         },
         skip,
         take: parseInt(limit),
@@ -351,6 +520,10 @@ export const getUserBorrowings = async (req, res, next) => {
             category: true,
             shelf: true
           }
+        },
+        copy: true,
+        renewals: {
+          orderBy: { createdAt: 'asc' }
         }
       },
       orderBy: { borrowDate: 'desc' }
@@ -371,12 +544,17 @@ export const getUserBorrowings = async (req, res, next) => {
  */
 export const getOverdueBorrowings = async (req, res, next) => {
   try {
+    const { branchId } = req.query;
+
     const borrowings = await prisma.borrowing.findMany({
       where: {
         status: 'BORROWED',
+        // E-loans expire instead of going overdue
+        itemType: 'PHYSICAL',
         expectedReturnDate: {
           lt: new Date()
-        }
+        },
+        ...(branchId && { branchId })
       },
       include: {
         user: {
@@ -418,7 +596,7 @@ export const getOverdueBorrowings = async (req, res, next) => {
 };
 
 /**
- * Extend borrowing period
+ * Extend borrowing period (desk renewal)
  * PUT /api/borrowing/:borrowingId/extend
  */
 export const extendBorrowing = async (req, res, next) => {
@@ -426,10 +604,6 @@ export const extendBorrowing = async (req, res, next) => {
     const { borrowingId } = req.params;
     const { additionalDays } = req.body;
 
-    if (!additionalDays || additionalDays < 1) {
-      throw new AppError('Additional days must be at least 1', 'VALIDATION_ERROR', 400);
-    }
-
     const borrowing = await prisma.borrowing.findUnique({
       where: { id: borrowingId },
       include: { book: true, user: true }
@@ -439,45 +613,54 @@ export const extendBorrowing = async (req, res, next) => {
       throw new AppError('Borrowing record not found', 'BORROWING_NOT_FOUND', 404);
     }
 
-    if (borrowing.status !== 'BORROWED') {
-      throw new AppError('Can only extend active borrowings', 'INVALID_STATUS', 400);
-    }
+    const updatedBorrowing = await renewBorrowing(borrowing, {
+      source: 'STAFF',
+      additionalDays,
+      actorId: req.user.id,
+      ipAddress: req.ip
+    });
 
-    // Calculate new expected return date
-    const newExpectedReturn = new Date(borrowing.expectedReturnDate);
-    newExpectedReturn.setDate(newExpectedReturn.getDate() + parseInt(additionalDays));
+    res.json({
+      success: true,
+      data: updatedBorrowing,
+      message: 'Borrowing period extended successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const updatedBorrowing = await prisma.borrowing.update({
+/**
+ * Renew own borrowing (self-service)
+ * POST /api/borrowing/:borrowingId/renew
+ */
+export const renewOwnBorrowing = async (req, res, next) => {
+  try {
+    const { borrowingId } = req.params;
+
+    const borrowing = await prisma.borrowing.findUnique({
       where: { id: borrowingId },
-      data: { expectedReturnDate: newExpectedReturn },
-      include: {
-        user: {
-          select: {
-            id: true,
-            fullName: true,
-            email: true
-          }
-        },
-        book: true
-      }
+      include: { book: true, user: true }
     });
 
-    // Log audit
-    await prisma.auditLog.create({
-      data: {
-        userId: req.user.id,
-        bookId: borrowing.bookId,
-        action: 'BORROWING_EXTENDED',
-        oldValue: { expectedReturnDate: borrowing.expectedReturnDate },
-        newValue: { expectedReturnDate: newExpectedReturn },
-        ipAddress: req.ip
-      }
+    if (!borrowing) {
+      throw new AppError('Borrowing record not found', 'BORROWING_NOT_FOUND', 404);
+    }
+
+    if (borrowing.userId !== req.user.id) {
+      throw new AppError('You can only renew your own borrowings', 'FORBIDDEN', 403);
+    }
+
+    const updatedBorrowing = await renewBorrowing(borrowing, {
+      source: 'SELF',
+      actorId: req.user.id,
+      ipAddress: req.ip
     });
 
     res.json({
       success: true,
       data: updatedBorrowing,
-      message: 'Borrowing period extended successfully'
+      message: `Renewed until ${updatedBorrowing.expectedReturnDate.toLocaleDateString()}`
     });
   } catch (error) {
     next(error);
@@ -490,17 +673,21 @@ export const extendBorrowing = async (req, res, next) => {
  */
 export const getBorrowingStats = async (req, res, next) => {
   try {
+    const { branchId } = req.query;
+    const branch = branchId ? { branchId } : {};
+
     const [
       totalBorrowings,
       activeBorrowings,
       returnedBorrowings,
       overdueBorrowings
     ] = await Promise.all([
-      prisma.borrowing.count(),
-      prisma.borrowing.count({ where: { status: 'BORROWED' } }),
-      prisma.borrowing.count({ where: { status: 'RETURNED' } }),
+      prisma.borrowing.count({ where: branch }),
+      prisma.borrowing.count({ where: { ...branch, status: 'BORROWED' } }),
+      prisma.borrowing.count({ where: { ...branch, status: 'RETURNED' } }),
       prisma.borrowing.count({
         where: {
+          ...branch,
           status: 'BORROWED',
           expectedReturnDate: { lt: new Date() }
         }
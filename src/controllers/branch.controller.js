@@ -0,0 +1,447 @@
+/**
+ * Branch Controller
+ * Handles library branches, their floors, rooms and ranges, and the staff assigned to them
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { buildLocationTree, validateLocationParent } from '../services/location.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get a branch or throw
+ */
+const findBranch = async (id) => {
+  const branch = await prisma.branch.findUnique({ where: { id } });
+
+  if (!branch) {
+    throw new AppError('Branch not found', 'BRANCH_NOT_FOUND', 404);
+  }
+
+  return branch;
+};
+
+/**
+ * Get a location of the given branch or throw
+ */
+const findBranchLocation = async (branchId, locationId) => {
+  const location = await prisma.location.findUnique({ where: { id: locationId } });
+
+  if (!location || location.branchId !== branchId) {
+    throw new AppError('Location not found', 'LOCATION_NOT_FOUND', 404);
+  }
+
+  return location;
+};
+
+/**
+ * Validate a whole-number level (floor number)
+ */
+const parseLevel = (level) => {
+  if (level === undefined || level === null) {
+    return level;
+  }
+
+  const value = Number(level);
+
+  if (!Number.isInteger(value)) {
+    throw new AppError('level must be a whole number', 'VALIDATION_ERROR', 400);
+  }
+
+  return value;
+};
+
+/**
+ * Get all branches
+ * GET /api/branches
+ */
+export const getBranches = async (req, res, next) => {
+  try {
+    const branches = await prisma.branch.findMany({
+      include: {
+        _count: { select: { locations: true, staff: true } }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: branches
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a branch with its floors, rooms and ranges
+ * GET /api/branches/:id
+ */
+export const getBranchById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const branch = await findBranch(id);
+
+    const locations = await prisma.location.findMany({
+      where: { branchId: id },
+      include: {
+        _count: { select: { shelves: true } }
+      },
+      orderBy: [{ sortOrder: 'asc' }, { level: 'asc' }, { name: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...branch,
+        locations: buildLocationTree(locations)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create branch
+ * POST /api/branches
+ */
+export const createBranch = async (req, res, next) => {
+  try {
+    const { code, name, address } = req.body;
+
+    if (!code || !name) {
+      throw new AppError('Code and name are required', 'VALIDATION_ERROR', 400);
+    }
+
+    const branch = await prisma.branch.create({
+      data: { code, name, address }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: branch,
+      message: 'Branch created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update branch
+ * PUT /api/branches/:id
+ */
+export const updateBranch = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { code, name, address, isActive } = req.body;
+
+    await findBranch(id);
+
+    const branch = await prisma.branch.update({
+      where: { id },
+      data: {
+        ...(code && { code }),
+        ...(name && { name }),
+        ...(address !== undefined && { address }),
+        ...(isActive !== undefined && { isActive: Boolean(isActive) })
+      }
+    });
+
+    res.json({
+      success: true,
+      data: branch,
+      message: 'Branch updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete branch
+ * DELETE /api/branches/:id
+ */
+export const deleteBranch = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await findBranch(id);
+
+    const locations = await prisma.location.count({ where: { branchId: id } });
+
+    if (locations > 0) {
+      throw new AppError(
+        'Cannot delete a branch that still has floors, rooms or ranges; deactivate it instead',
+        'BRANCH_IN_USE',
+        400
+      );
+    }
+
+    await prisma.branch.delete({ where: { id } });
+
+    res.json({
+      success: true,
+      message: 'Branch deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a floor, room or range to a branch
+ * POST /api/branches/:id/locations
+ */
+export const createLocation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { type, name, code, level, parentId, sortOrder } = req.body;
+
+    await findBranch(id);
+
+    if (!type || !name) {
+      throw new AppError('Type and name are required', 'VALIDATION_ERROR', 400);
+    }
+
+    const parent = parentId ? await findBranchLocation(id, parentId) : null;
+    validateLocationParent({ branchId: id, type }, parent);
+
+    const location = await prisma.location.create({
+      data: {
+        branchId: id,
+        parentId: parent ? parent.id : null,
+        type,
+        name,
+        code,
+        level: parseLevel(level),
+        ...(sortOrder !== undefined && { sortOrder: parseInt(sortOrder) || 0 })
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: location,
+      message: `${type.charAt(0)}${type.slice(1).toLowerCase()} created successfully`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a floor, room or range
+ * PUT /api/branches/:id/locations/:locationId
+ */
+export const updateLocation = async (req, res, next) => {
+  try {
+    const { id, locationId } = req.params;
+    const { name, code, level, parentId, sortOrder } = req.body;
+
+    const existing = await findBranchLocation(id, locationId);
+
+    if (parentId !== undefined && parentId !== existing.parentId) {
+      const parent = parentId ? await findBranchLocation(id, parentId) : null;
+      validateLocationParent(existing, parent);
+    }
+
+    const location = await prisma.location.update({
+      where: { id: locationId },
+      data: {
+        ...(name && { name }),
+        ...(code !== undefined && { code }),
+        ...(level !== undefined && { level: parseLevel(level) }),
+        ...(parentId !== undefined && { parentId: parentId || null }),
+        ...(sortOrder !== undefined && { sortOrder: parseInt(sortOrder) || 0 })
+      }
+    });
+
+    res.json({
+      success: true,
+      data: location,
+      message: 'Location updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an empty floor, room or range
+ * DELETE /api/branches/:id/locations/:locationId
+ */
+export const deleteLocation = async (req, res, next) => {
+  try {
+    const { id, locationId } = req.params;
+
+    await findBranchLocation(id, locationId);
+
+    const [children, shelves] = await Promise.all([
+      prisma.location.count({ where: { parentId: locationId } }),
+      prisma.shelf.count({ where: { locationId } })
+    ]);
+
+    if (children > 0 || shelves > 0) {
+      throw new AppError(
+        'Cannot delete a location that still contains rooms, ranges or shelves',
+        'LOCATION_IN_USE',
+        400
+      );
+    }
+
+    await prisma.location.delete({ where: { id: locationId } });
+
+    res.json({
+      success: true,
+      message: 'Location deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the staff assigned to a branch
+ * GET /api/branches/:id/staff
+ */
+export const getBranchStaff = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await findBranch(id);
+
+    const staff = await prisma.branchStaff.findMany({
+      where: { branchId: id },
+      include: {
+        user: {
+          select: {
+            id: true,
+            fullName: true,
+            email: true,
+            role: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: staff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a staff member to a branch
+ * POST /api/branches/:id/staff
+ */
+export const assignBranchStaff = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { userId, isPrimary = false } = req.body;
+
+    await findBranch(id);
+
+    if (!userId) {
+      throw new AppError('User ID is required', 'VALIDATION_ERROR', 400);
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw new AppError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    if (!['ADMIN', 'STAFF'].includes(user.role)) {
+      throw new AppError('Only staff and administrators can be assigned to a branch', 'INVALID_ROLE', 400);
+    }
+
+    // A staff member has at most one primary branch
+    const assignment = await prisma.$transaction(async (tx) => {
+      if (isPrimary) {
+        await tx.branchStaff.updateMany({
+          where: { userId, isPrimary: true },
+          data: { isPrimary: false }
+        });
+      }
+
+      return tx.branchStaff.upsert({
+        where: { branchId_userId: { branchId: id, userId } },
+        create: { branchId: id, userId, isPrimary: Boolean(isPrimary) },
+        update: { isPrimary: Boolean(isPrimary) },
+        include: {
+          user: { select: { id: true, fullName: true, email: true, role: true } }
+        }
+      });
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'BRANCH_STAFF_ASSIGNED',
+        newValue: {
+          branchId: id,
+          staffId: userId,
+          isPrimary: assignment.isPrimary
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: assignment,
+      message: 'Staff member assigned to branch'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a staff member from a branch
+ * DELETE /api/branches/:id/staff/:userId
+ */
+export const removeBranchStaff = async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+
+    const assignment = await prisma.branchStaff.findUnique({
+      where: { branchId_userId: { branchId: id, userId } }
+    });
+
+    if (!assignment) {
+      throw new AppError('Staff member is not assigned to this branch', 'ASSIGNMENT_NOT_FOUND', 404);
+    }
+
+    await prisma.branchStaff.delete({ where: { id: assignment.id } });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'BRANCH_STAFF_REMOVED',
+        oldValue: {
+          branchId: id,
+          staffId: userId,
+          isPrimary: assignment.isPrimary
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Staff member removed from branch'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * Catalog Import Controller
+ * Handles bulk catalog import and export in CSV, MARC21 and MARCXML
+ */
+
+import {
+  exportCatalog,
+  importCatalog,
+  parseCatalogFile,
+  resolveCatalogFormat
+} from '../services/catalogImport.service.js';
+
+/**
+ * Import books from a CSV, MARC21 or MARCXML file sent as the request body
+ * POST /api/books/import?format=csv&dryRun=true
+ */
+export const importBooks = async (req, res, next) => {
+  try {
+    const format = resolveCatalogFormat(req.query.format, req.get('Content-Type'));
+    const dryRun = req.query.dryRun === 'true';
+
+    const rows = parseCatalogFile(req.body, format);
+    const summary = await importCatalog(rows, {
+      format,
+      dryRun,
+      actorId: req.user.id,
+      ipAddress: req.ip
+    });
+
+    const verb = dryRun ? 'would be' : 'were';
+
+    res.json({
+      success: true,
+      data: summary,
+      message: `${summary.created} books ${verb} created, ${summary.updated} ${verb} updated and ${summary.failed} rows failed`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export the catalog as CSV, MARC21 or MARCXML
+ * GET /api/books/export?format=csv
+ */
+export const exportBooks = async (req, res, next) => {
+  try {
+    const { format = 'csv', categoryId, shelfId, branchId } = req.query;
+
+    const catalogFormat = resolveCatalogFormat(format);
+    const file = await exportCatalog(catalogFormat, { categoryId, shelfId, branchId });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Disposition': `attachment; filename="catalog-${date}.${file.extension}"`,
+      'X-Record-Count': String(file.count)
+    });
+    res.type(file.contentType).send(file.body);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,20 +1,64 @@
 import { PrismaClient } from '@prisma/client';
 import { AppError } from '../middleware/error.middleware.js';
+import {
+  buildCategoryTree,
+  getCategoryPath,
+  getCategorySubtreeIds,
+  validateCategoryParent
+} from '../services/category.service.js';
+import { parseClassification } from '../services/classification.service.js';
 
 const prisma = new PrismaClient();
 
 export const getAllCategories = async (req, res, next) => {
   try {
+    const { tree } = req.query;
+
     const categories = await prisma.category.findMany({
       include: {
         _count: {
-          select: { books: true }
+          select: { books: true, children: true }
         }
       },
       orderBy: { name: 'asc' }
     });
 
-    res.json({ success: true, data: categories });
+    res.json({ success: true, data: tree === 'true' ? buildCategoryTree(categories) : categories });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getCategoryById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const category = await prisma.category.findUnique({
+      where: { id },
+      include: {
+        children: {
+          include: { _count: { select: { books: true, children: true } } },
+          orderBy: { name: 'asc' }
+        },
+        _count: { select: { books: true } }
+      }
+    });
+
+    if (!category) {
+      throw new AppError('Category not found', 'CATEGORY_NOT_FOUND', 404);
+    }
+
+    const [path, subtreeIds] = await Promise.all([
+      getCategoryPath(category.parentId),
+      getCategorySubtreeIds([id])
+    ]);
+
+    const totalBooks = await prisma.book.count({ where: { categoryId: { in: subtreeIds } } });
+
+    res.json({
+      success: true,
+      data: { ...category, ancestors: path, totalBooks }
+    });
   } catch (error) {
     next(error);
   }
@@ -22,14 +66,21 @@ export const getAllCategories = async (req, res, next) => {
 
 export const createCategory = async (req, res, next) => {
   try {
-    const { name, description } = req.body;
-    
+    const { name, description, parentId, classification } = req.body;
+
     if (!name) {
       throw new AppError('Category name is required', 'VALIDATION_ERROR', 400);
     }
 
+    await validateCategoryParent(null, parentId);
+
     const category = await prisma.category.create({
-      data: { name, description }
+      data: {
+        name,
+        description,
+        parentId: parentId || null,
+        classification: parseClassification(classification)
+      }
     });
 
     res.status(201).json({
@@ -45,11 +96,27 @@ export const createCategory = async (req, res, next) => {
 export const updateCategory = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, description } = req.body;
+    const { name, description, parentId, classification } = req.body;
+
+    const existing = await prisma.category.findUnique({ where: { id } });
+
+    if (!existing) {
+      throw new AppError('Category not found', 'CATEGORY_NOT_FOUND', 404);
+    }
+
+    // Moving a category takes its subcategories and books along
+    if (parentId !== undefined) {
+      await validateCategoryParent(id, parentId);
+    }
 
     const category = await prisma.category.update({
       where: { id },
-      data: { ...(name && { name }), ...(description !== undefined && { description }) }
+      data: {
+        ...(name && { name }),
+        ...(description !== undefined && { description }),
+        ...(parentId !== undefined && { parentId: parentId || null }),
+        ...(classification !== undefined && { classification: parseClassification(classification) })
+      }
     });
 
     res.json({ success: true, data: category, message: 'Category updated' });
@@ -62,6 +129,16 @@ export const deleteCategory = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    const children = await prisma.category.count({ where: { parentId: id } });
+
+    if (children > 0) {
+      throw new AppError(
+        'Category has subcategories; move or delete them first',
+        'CATEGORY_HAS_CHILDREN',
+        409
+      );
+    }
+
     await prisma.category.delete({ where: { id } });
 
     res.json({ success: true, message: 'Category deleted' });
@@ -0,0 +1,412 @@
+/**
+ * Book Copy Controller
+ * Handles management of individual physical copies of a book
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { renderQRImage, withQRCodeUrl } from '../services/qr.service.js';
+import {
+  ACTIVE_BORROWING_STATUSES,
+  createCopies,
+  syncBookCopyCounts
+} from '../services/copy.service.js';
+import { assignCopyToNextReservation } from '../services/reservation.service.js';
+import { OCCUPYING_COPY_STATUSES, checkShelfPlacement } from '../services/shelf.service.js';
+
+const prisma = new PrismaClient();
+
+const COPY_CONDITIONS = ['NEW', 'GOOD', 'FAIR', 'POOR', 'DAMAGED'];
+
+// Statuses staff may set by hand; BORROWED is only set through the borrowing flow
+const MANUAL_COPY_STATUSES = ['AVAILABLE', 'MAINTENANCE', 'LOST'];
+
+/**
+ * Find a copy that belongs to the given book or throw
+ */
+const findBookCopy = async (bookId, copyId) => {
+  const copy = await prisma.bookCopy.findUnique({
+    where: { id: copyId }
+  });
+
+  if (!copy || copy.bookId !== bookId) {
+    throw new AppError('Copy not found', 'COPY_NOT_FOUND', 404);
+  }
+
+  return copy;
+};
+
+/**
+ * Get all copies of a book
+ * GET /api/books/:id/copies
+ */
+export const getBookCopies = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    const book = await prisma.book.findUnique({
+      where: { id }
+    });
+
+    if (!book) {
+      throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
+    }
+
+    const copies = await prisma.bookCopy.findMany({
+      where: {
+        bookId: id,
+        ...(status && { status })
+      },
+      include: {
+        shelf: true,
+        borrowings: {
+          where: { status: { in: ACTIVE_BORROWING_STATUSES } },
+          include: {
+            user: {
+              select: {
+                id: true,
+                fullName: true,
+                email: true
+              }
+            }
+          },
+          take: 1
+        }
+      },
+      orderBy: { copyNumber: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: copies.map(({ borrowings, ...copy }) => ({
+        ...withQRCodeUrl('COPY', copy),
+        currentLoan: borrowings[0] || null
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single copy with its loan history
+ * GET /api/books/:id/copies/:copyId
+ */
+export const getCopyById = async (req, res, next) => {
+  try {
+    const { id, copyId } = req.params;
+
+    await findBookCopy(id, copyId);
+
+    const copy = await prisma.bookCopy.findUnique({
+      where: { id: copyId },
+      include: {
+        book: true,
+        shelf: true,
+        borrowings: {
+          include: {
+            user: {
+              select: {
+                id: true,
+                fullName: true,
+                email: true
+              }
+            }
+          },
+          orderBy: { borrowDate: 'desc' },
+          take: 10
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: withQRCodeUrl('COPY', copy)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add one or more copies to a book
+ * POST /api/books/:id/copies
+ */
+export const createCopy = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      count = 1,
+      accessionNumber,
+      shelfId,
+      condition,
+      notes,
+      acquiredAt
+    } = req.body;
+
+    const copiesToCreate = parseInt(count);
+
+    // Validation
+    if (!copiesToCreate || copiesToCreate < 1) {
+      throw new AppError('Count must be at least 1', 'VALIDATION_ERROR', 400);
+    }
+
+    if (accessionNumber && copiesToCreate > 1) {
+      throw new AppError(
+        'An accession number can only be given when adding a single copy',
+        'VALIDATION_ERROR',
+        400
+      );
+    }
+
+    if (condition && !COPY_CONDITIONS.includes(condition)) {
+      throw new AppError(`Condition must be one of ${COPY_CONDITIONS.join(', ')}`, 'VALIDATION_ERROR', 400);
+    }
+
+    const book = await prisma.book.findUnique({
+      where: { id }
+    });
+
+    if (!book) {
+      throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
+    }
+
+    if (book.itemType === 'DIGITAL') {
+      throw new AppError('Digital items have licenses, not physical copies', 'NOT_PHYSICAL_ITEM', 400);
+    }
+
+    // Check the shelf has room for the new copies
+    const warning = await checkShelfPlacement(
+      shelfId !== undefined ? shelfId : book.shelfId,
+      copiesToCreate,
+      { categoryId: book.categoryId }
+    );
+
+    const copies = await createCopies(book, copiesToCreate, {
+      accessionNumber,
+      shelfId,
+      condition,
+      notes,
+      acquiredAt
+    });
+
+    // New copies serve the reservation queue first
+    for (const copy of copies) {
+      const reservation = await assignCopyToNextReservation(copy.id);
+      if (reservation) {
+        copy.status = 'ON_HOLD';
+      }
+    }
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: id,
+        action: 'COPY_CREATED',
+        newValue: {
+          copies: copies.map(copy => copy.accessionNumber)
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: copies,
+      message: `${copies.length} cop${copies.length === 1 ? 'y' : 'ies'} added with QR code`,
+      ...(warning && { warning })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a copy (condition, shelf, status, notes)
+ * PUT /api/books/:id/copies/:copyId
+ */
+export const updateCopy = async (req, res, next) => {
+  try {
+    const { id, copyId } = req.params;
+    const { accessionNumber, shelfId, status, condition, notes } = req.body;
+
+    const existingCopy = await findBookCopy(id, copyId);
+
+    if (condition && !COPY_CONDITIONS.includes(condition)) {
+      throw new AppError(`Condition must be one of ${COPY_CONDITIONS.join(', ')}`, 'VALIDATION_ERROR', 400);
+    }
+
+    if (status && status !== existingCopy.status) {
+      if (!MANUAL_COPY_STATUSES.includes(status)) {
+        throw new AppError(
+          `Status must be one of ${MANUAL_COPY_STATUSES.join(', ')}`,
+          'VALIDATION_ERROR',
+          400
+        );
+      }
+
+      if (existingCopy.status === 'BORROWED') {
+        throw new AppError('Copy is currently on loan', 'COPY_ON_LOAN', 400);
+      }
+
+      if (existingCopy.status === 'ON_HOLD') {
+        throw new AppError(
+          'Copy is on hold for a reservation; cancel the reservation first',
+          'COPY_ON_HOLD',
+          400
+        );
+      }
+
+      if (existingCopy.status === 'IN_TRANSIT') {
+        throw new AppError('Copy is in transit between branches; receive it first', 'COPY_IN_TRANSIT', 400);
+      }
+    }
+
+    // Check the new shelf has room, unless the copy is being written off
+    const occupiesShelf = OCCUPYING_COPY_STATUSES.includes(status || existingCopy.status);
+    let warning = null;
+
+    if (shelfId && shelfId !== existingCopy.shelfId && occupiesShelf) {
+      const book = await prisma.book.findUnique({
+        where: { id },
+        select: { categoryId: true }
+      });
+
+      warning = await checkShelfPlacement(shelfId, 1, { categoryId: book.categoryId });
+    }
+
+    let copy = await prisma.bookCopy.update({
+      where: { id: copyId },
+      data: {
+        ...(accessionNumber && { accessionNumber }),
+        ...(shelfId !== undefined && { shelfId }),
+        ...(status && { status }),
+        ...(condition && { condition }),
+        ...(notes !== undefined && { notes })
+      },
+      include: {
+        shelf: true
+      }
+    });
+
+    if (status && status !== existingCopy.status) {
+      await syncBookCopyCounts(id);
+
+      // A copy back in circulation serves the reservation queue first
+      if (status === 'AVAILABLE' && await assignCopyToNextReservation(copyId)) {
+        copy = { ...copy, status: 'ON_HOLD' };
+      }
+    }
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: id,
+        shelfId: copy.shelfId,
+        action: 'COPY_UPDATED',
+        oldValue: {
+          accessionNumber: existingCopy.accessionNumber,
+          shelfId: existingCopy.shelfId,
+          status: existingCopy.status,
+          condition: existingCopy.condition
+        },
+        newValue: {
+          accessionNumber: copy.accessionNumber,
+          shelfId: copy.shelfId,
+          status: copy.status,
+          condition: copy.condition
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: withQRCodeUrl('COPY', copy),
+      message: 'Copy updated successfully',
+      ...(warning && { warning })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a copy
+ * DELETE /api/books/:id/copies/:copyId
+ */
+export const deleteCopy = async (req, res, next) => {
+  try {
+    const { id, copyId } = req.params;
+
+    const copy = await findBookCopy(id, copyId);
+
+    const activeBorrowings = await prisma.borrowing.count({
+      where: {
+        copyId,
+        status: { in: ACTIVE_BORROWING_STATUSES }
+      }
+    });
+
+    if (activeBorrowings > 0) {
+      throw new AppError('Cannot delete a copy that is on loan', 'COPY_ON_LOAN', 400);
+    }
+
+    if (copy.status === 'ON_HOLD') {
+      throw new AppError('Cannot delete a copy that is on hold for a reservation', 'COPY_ON_HOLD', 400);
+    }
+
+    if (copy.status === 'IN_TRANSIT') {
+      throw new AppError('Cannot delete a copy that is in transit between branches', 'COPY_IN_TRANSIT', 400);
+    }
+
+    await prisma.bookCopy.delete({
+      where: { id: copyId }
+    });
+
+    await syncBookCopyCounts(id);
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: id,
+        action: 'COPY_DELETED',
+        oldValue: {
+          id: copy.id,
+          accessionNumber: copy.accessionNumber,
+          condition: copy.condition
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Copy deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the QR code image for a copy
+ * GET /api/books/:id/copies/:copyId/qr.png, GET /api/books/:id/copies/:copyId/qr.svg
+ */
+export const getCopyQRImage = async (req, res, next) => {
+  try {
+    const { id, copyId, format } = req.params;
+
+    const copy = await findBookCopy(id, copyId);
+    const image = await renderQRImage('COPY', copy.id, format, req.query);
+
+    res.set({ 'Cache-Control': image.cacheControl, ETag: image.etag });
+    res.type(image.contentType).send(image.body);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,107 @@
+/**
+ * Cover Controller
+ * Handles uploading and removing book cover images
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { deleteBookCover, storeBookCover, withCoverUrls } from '../services/cover.service.js';
+
+const prisma = new PrismaClient();
+
+const COVER_SELECT = { id: true, title: true, coverKey: true, coverThumbnailKey: true };
+
+/**
+ * Get a book's cover fields or fail
+ */
+const findBook = async (id) => {
+  const book = await prisma.book.findUnique({ where: { id }, select: COVER_SELECT });
+
+  if (!book) {
+    throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
+  }
+
+  return book;
+};
+
+/**
+ * Upload a book's cover image (the image is the raw request body)
+ * PUT /api/books/:id/cover
+ */
+export const uploadBookCover = async (req, res, next) => {
+  try {
+    const existing = await findBook(req.params.id);
+
+    const { coverKey, coverThumbnailKey, width, height } = await storeBookCover(
+      existing,
+      req.body,
+      req.get('Content-Type')
+    );
+
+    const book = await prisma.book.update({
+      where: { id: existing.id },
+      data: { coverKey, coverThumbnailKey },
+      select: COVER_SELECT
+    });
+
+    // The replaced cover is removed once the book points at the new one
+    await deleteBookCover(existing);
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: book.id,
+        action: 'BOOK_COVER_UPDATED',
+        oldValue: existing.coverKey ? { coverKey: existing.coverKey } : undefined,
+        newValue: { coverKey, width, height },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: withCoverUrls(book),
+      message: 'Cover uploaded'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a book's cover image
+ * DELETE /api/books/:id/cover
+ */
+export const removeBookCover = async (req, res, next) => {
+  try {
+    const existing = await findBook(req.params.id);
+
+    if (!existing.coverKey) {
+      throw new AppError('Book has no cover', 'COVER_NOT_FOUND', 404);
+    }
+
+    const book = await prisma.book.update({
+      where: { id: existing.id },
+      data: { coverKey: null, coverThumbnailKey: null },
+      select: COVER_SELECT
+    });
+
+    await deleteBookCover(existing);
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: book.id,
+        action: 'BOOK_COVER_REMOVED',
+        oldValue: { coverKey: existing.coverKey },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({ success: true, data: withCoverUrls(book), message: 'Cover removed' });
+  } catch (error) {
+    next(error);
+  }
+};
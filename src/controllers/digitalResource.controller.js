@@ -0,0 +1,126 @@
+/**
+ * Digital Resource Controller
+ * Handles the files and links attached to digital items
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import {
+  DIGITAL_RESOURCE_SELECT,
+  deleteDigitalFiles,
+  parseResourceLink,
+  storeDigitalFile
+} from '../services/digitalResource.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get a digital book or fail
+ */
+const findDigitalBook = async (id) => {
+  const book = await prisma.book.findUnique({
+    where: { id },
+    select: { id: true, title: true, itemType: true }
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
+  }
+
+  if (book.itemType !== 'DIGITAL') {
+    throw new AppError('Files and links can only be attached to digital items', 'NOT_DIGITAL_ITEM', 400);
+  }
+
+  return book;
+};
+
+/**
+ * Attach a file or link to a digital item
+ * The file is the raw request body (application/pdf or application/epub+zip);
+ * a link is sent as JSON { url }.
+ * POST /api/books/:id/resources
+ */
+export const addDigitalResource = async (req, res, next) => {
+  try {
+    const book = await findDigitalBook(req.params.id);
+
+    let fields;
+
+    if (Buffer.isBuffer(req.body)) {
+      fields = await storeDigitalFile(book, req.body, req.get('Content-Type'), req.query.fileName);
+    } else if (req.body?.url) {
+      fields = parseResourceLink(req.body.url);
+    } else {
+      throw new AppError('Send a PDF or EPUB file as the request body, or JSON with a url', 'VALIDATION_ERROR', 400);
+    }
+
+    const resource = await prisma.digitalResource.create({
+      data: { bookId: book.id, ...fields },
+      select: DIGITAL_RESOURCE_SELECT
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: book.id,
+        action: 'DIGITAL_RESOURCE_ADDED',
+        newValue: {
+          resourceId: resource.id,
+          format: resource.format,
+          ...(fields.url ? { url: fields.url } : { fileName: resource.fileName, fileSize: resource.fileSize })
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: resource,
+      message: resource.format === 'LINK' ? 'Link added' : 'File uploaded'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a file or link from a digital item
+ * DELETE /api/books/:id/resources/:resourceId
+ */
+export const removeDigitalResource = async (req, res, next) => {
+  try {
+    const { id, resourceId } = req.params;
+
+    const resource = await prisma.digitalResource.findFirst({
+      where: { id: resourceId, bookId: id }
+    });
+
+    if (!resource) {
+      throw new AppError('Digital resource not found', 'DIGITAL_RESOURCE_NOT_FOUND', 404);
+    }
+
+    await prisma.digitalResource.delete({ where: { id: resource.id } });
+
+    await deleteDigitalFiles([resource]);
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: id,
+        action: 'DIGITAL_RESOURCE_REMOVED',
+        oldValue: {
+          resourceId: resource.id,
+          format: resource.format,
+          ...(resource.url ? { url: resource.url } : { fileName: resource.fileName })
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({ success: true, message: 'Digital resource removed' });
+  } catch (error) {
+    next(error);
+  }
+};
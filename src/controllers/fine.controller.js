@@ -0,0 +1,504 @@
+/**
+ * Fine Controller
+ * Handles the fine ledger, payments, waivers and fine policies
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import {
+  getFineBlockThreshold,
+  getOutstandingBalance,
+  resolveFinePolicy,
+  toMoney
+} from '../services/fine.service.js';
+
+const prisma = new PrismaClient();
+
+const POLICY_FIELDS = ['dailyRate', 'gracePeriodDays', 'maxAmount', 'lostItemFee', 'damagedItemFee'];
+
+/**
+ * Get a fine the current user may access or throw
+ */
+const findAccessibleFine = async (id, user) => {
+  const fine = await prisma.fine.findUnique({
+    where: { id },
+    include: {
+      user: {
+        select: {
+          id: true,
+          fullName: true,
+          email: true
+        }
+      },
+      book: true,
+      borrowing: true,
+      transactions: {
+        include: {
+          processedBy: {
+            select: {
+              id: true,
+              fullName: true
+            }
+          }
+        },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!fine) {
+    throw new AppError('Fine not found', 'FINE_NOT_FOUND', 404);
+  }
+
+  if (user.role === 'USER' && fine.userId !== user.id) {
+    throw new AppError('You can only access your own fines', 'FORBIDDEN', 403);
+  }
+
+  return fine;
+};
+
+/**
+ * Set the balance of a fine read earlier, unless another payment or waiver changed it since
+ * Runs in the transaction that records the payment or waiver, so both stay in step.
+ */
+const updateFineBalance = async (tx, fine, data) => {
+  const updated = await tx.fine.updateMany({
+    where: { id: fine.id, status: 'OUTSTANDING', balance: fine.balance },
+    data
+  });
+
+  if (updated.count === 0) {
+    throw new AppError('Fine was changed by another payment or waiver; reload it and try again', 'FINE_CHANGED', 409);
+  }
+
+  return tx.fine.findUnique({ where: { id: fine.id } });
+};
+
+/**
+ * Validate and pick fine policy fields from a request body
+ */
+const pickPolicyFields = (body) => {
+  const data = {};
+
+  for (const field of POLICY_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] !== null && (Number.isNaN(Number(body[field])) || Number(body[field]) < 0)) {
+      throw new AppError(`${field} must be a non-negative number`, 'VALIDATION_ERROR', 400);
+    }
+
+    data[field] = body[field] === null
+      ? null
+      : (field === 'gracePeriodDays' ? parseInt(body[field]) : toMoney(body[field]));
+  }
+
+  return data;
+};
+
+/**
+ * Get fines (patrons only see their own)
+ * GET /api/fines
+ */
+export const getAllFines = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      type,
+      userId
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+    if (req.user.role === 'USER') {
+      where.userId = req.user.id;
+    } else if (userId) {
+      where.userId = userId;
+    }
+
+    const [fines, total] = await Promise.all([
+      prisma.fine.findMany({
+        where,
+        include: {
+          user: {
+            select: {
+              id: true,
+              fullName: true,
+              email: true
+            }
+          },
+          book: {
+            select: {
+              id: true,
+              title: true,
+              author: true
+            }
+          }
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.fine.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        fines,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's outstanding balance and whether borrowing is blocked
+ * GET /api/fines/user/:userId/balance
+ */
+export const getUserBalance = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.role === 'USER' && userId !== req.user.id) {
+      throw new AppError('You can only access your own fines', 'FORBIDDEN', 403);
+    }
+
+    const [outstandingBalance, outstandingFines] = await Promise.all([
+      getOutstandingBalance(userId),
+      prisma.fine.count({ where: { userId, status: 'OUTSTANDING' } })
+    ]);
+    const threshold = getFineBlockThreshold();
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        outstandingBalance,
+        outstandingFines,
+        threshold,
+        borrowingBlocked: outstandingBalance > threshold
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single fine with its transactions
+ * GET /api/fines/:id
+ */
+export const getFineById = async (req, res, next) => {
+  try {
+    const fine = await findAccessibleFine(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: fine
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a payment against a fine
+ * POST /api/fines/:id/pay
+ */
+export const payFine = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { method, notes } = req.body;
+
+    const fine = await findAccessibleFine(id, req.user);
+    const balance = toMoney(fine.balance);
+    const amount = req.body.amount !== undefined ? toMoney(req.body.amount) : balance;
+
+    if (fine.status !== 'OUTSTANDING') {
+      throw new AppError('Fine is already settled', 'FINE_SETTLED', 400);
+    }
+
+    if (!(amount > 0) || amount > balance) {
+      throw new AppError(
+        `Payment amount must be between 0.01 and ${balance.toFixed(2)}`,
+        'VALIDATION_ERROR',
+        400
+      );
+    }
+
+    const newBalance = toMoney(balance - amount);
+
+    const updatedFine = await prisma.$transaction(async (tx) => {
+      const updated = await updateFineBalance(tx, fine, {
+        balance: newBalance,
+        ...(newBalance === 0 && { status: 'PAID' })
+      });
+
+      await tx.fineTransaction.create({
+        data: {
+          fineId: id,
+          type: 'PAYMENT',
+          amount,
+          method,
+          notes,
+          processedById: req.user.id
+        }
+      });
+
+      return updated;
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: fine.bookId,
+        action: 'FINE_PAID',
+        oldValue: { fineId: id, balance },
+        newValue: { fineId: id, balance: newBalance, amount, method },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: updatedFine,
+      message: newBalance === 0 ? 'Fine paid in full' : 'Partial payment recorded'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Waive all or part of a fine
+ * POST /api/fines/:id/waive
+ */
+export const waiveFine = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      throw new AppError('A reason is required to waive a fine', 'VALIDATION_ERROR', 400);
+    }
+
+    const fine = await findAccessibleFine(id, req.user);
+    const balance = toMoney(fine.balance);
+    const amount = req.body.amount !== undefined ? toMoney(req.body.amount) : balance;
+
+    if (fine.status !== 'OUTSTANDING') {
+      throw new AppError('Fine is already settled', 'FINE_SETTLED', 400);
+    }
+
+    if (!(amount > 0) || amount > balance) {
+      throw new AppError(
+        `Waiver amount must be between 0.01 and ${balance.toFixed(2)}`,
+        'VALIDATION_ERROR',
+        400
+      );
+    }
+
+    const newBalance = toMoney(balance - amount);
+    const hasPayments = fine.transactions.some(t => t.type === 'PAYMENT');
+
+    const updatedFine = await prisma.$transaction(async (tx) => {
+      const updated = await updateFineBalance(tx, fine, {
+        balance: newBalance,
+        ...(newBalance === 0 && { status: hasPayments ? 'PAID' : 'WAIVED' })
+      });
+
+      await tx.fineTransaction.create({
+        data: {
+          fineId: id,
+          type: 'WAIVER',
+          amount,
+          notes: reason,
+          processedById: req.user.id
+        }
+      });
+
+      return updated;
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: fine.bookId,
+        action: 'FINE_WAIVED',
+        oldValue: { fineId: id, balance },
+        newValue: { fineId: id, balance: newBalance, amount, reason },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: updatedFine,
+      message: newBalance === 0 ? 'Fine waived' : 'Partial waiver recorded'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all fine policies and the resolved default
+ * GET /api/fines/policies
+ */
+export const getFinePolicies = async (req, res, next) => {
+  try {
+    const [policies, effectiveDefault] = await Promise.all([
+      prisma.finePolicy.findMany({
+        include: { category: true },
+        orderBy: { createdAt: 'asc' }
+      }),
+      resolveFinePolicy(null)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        policies,
+        effectiveDefault,
+        blockThreshold: getFineBlockThreshold()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a fine policy (no categoryId = library-wide default)
+ * POST /api/fines/policies
+ */
+export const createFinePolicy = async (req, res, next) => {
+  try {
+    const { categoryId } = req.body;
+    const data = pickPolicyFields(req.body);
+
+    if (categoryId) {
+      const category = await prisma.category.findUnique({ where: { id: categoryId } });
+      if (!category) {
+        throw new AppError('Category not found', 'CATEGORY_NOT_FOUND', 404);
+      }
+    } else {
+      const existingDefault = await prisma.finePolicy.findFirst({ where: { categoryId: null } });
+      if (existingDefault) {
+        throw new AppError('A default fine policy already exists', 'POLICY_EXISTS', 409);
+      }
+    }
+
+    const policy = await prisma.finePolicy.create({
+      data: {
+        categoryId: categoryId || null,
+        ...data
+      },
+      include: { category: true }
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'FINE_POLICY_CREATED',
+        newValue: { policyId: policy.id, categoryId: policy.categoryId, ...data },
+        ipAddress: req.ip
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+      message: 'Fine policy created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a fine policy
+ * PUT /api/fines/policies/:id
+ */
+export const updateFinePolicy = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const data = pickPolicyFields(req.body);
+
+    const existingPolicy = await prisma.finePolicy.findUnique({ where: { id } });
+
+    if (!existingPolicy) {
+      throw new AppError('Fine policy not found', 'POLICY_NOT_FOUND', 404);
+    }
+
+    const policy = await prisma.finePolicy.update({
+      where: { id },
+      data,
+      include: { category: true }
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'FINE_POLICY_UPDATED',
+        oldValue: existingPolicy,
+        newValue: policy,
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: policy,
+      message: 'Fine policy updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a fine policy
+ * DELETE /api/fines/policies/:id
+ */
+export const deleteFinePolicy = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const policy = await prisma.finePolicy.delete({ where: { id } });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'FINE_POLICY_DELETED',
+        oldValue: policy,
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Fine policy deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,604 @@
+/**
+ * Inventory Audit Controller
+ * Handles shelf and floor stock-takes: scanning what is on the shelves and reporting discrepancies
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { resolveQRCode } from '../services/qrPayload.service.js';
+import {
+  FINDING_INCLUDE,
+  buildDiscrepancyReport,
+  buildFindings,
+  classifyScan,
+  floorShelfWhere,
+  getAuditShelfIds,
+  resolveFinding
+} from '../services/inventoryAudit.service.js';
+import { getShelfBranchId } from '../services/location.service.js';
+
+const prisma = new PrismaClient();
+
+const AUDIT_INCLUDE = {
+  shelf: { select: { id: true, shelfCode: true, location: true, floor: true } },
+  branch: { select: { id: true, code: true, name: true } },
+  startedBy: { select: { id: true, fullName: true } }
+};
+
+/**
+ * Get an audit or throw
+ */
+const findAudit = async (id) => {
+  const audit = await prisma.inventoryAudit.findUnique({
+    where: { id },
+    include: AUDIT_INCLUDE
+  });
+
+  if (!audit) {
+    throw new AppError('Inventory audit not found', 'INVENTORY_AUDIT_NOT_FOUND', 404);
+  }
+
+  return audit;
+};
+
+/**
+ * Get an audit that is still accepting scans or throw
+ */
+const findOpenAudit = async (id) => {
+  const audit = await findAudit(id);
+
+  if (audit.status !== 'OPEN') {
+    throw new AppError('Inventory audit is already closed', 'INVENTORY_AUDIT_CLOSED', 400);
+  }
+
+  return audit;
+};
+
+/**
+ * Work out which copy was scanned
+ * A book QR counts as one of the book's copies not yet scanned, preferring
+ * copies that belong on the shelf being audited.
+ */
+const resolveScannedCopy = async (audit, { qrData, copyId, accessionNumber, foundShelfId }) => {
+  const include = { book: { select: { id: true, title: true, author: true } } };
+  let where = copyId ? { id: copyId } : accessionNumber ? { accessionNumber } : null;
+
+  if (qrData) {
+    const scanned = await resolveQRCode(qrData, ['COPY', 'BOOK']);
+
+    if (scanned.type === 'BOOK') {
+      const copies = await prisma.bookCopy.findMany({
+        where: { bookId: scanned.id },
+        include: {
+          ...include,
+          inventoryScans: { where: { auditId: audit.id }, select: { id: true } }
+        },
+        orderBy: { copyNumber: 'asc' }
+      });
+
+      if (copies.length === 0) {
+        throw new AppError('Book has no copies', 'COPY_NOT_FOUND', 404);
+      }
+
+      const unscanned = copies
+        .filter(copy => copy.inventoryScans.length === 0)
+        .sort((a, b) => (b.shelfId === foundShelfId) - (a.shelfId === foundShelfId));
+
+      if (unscanned.length === 0) {
+        throw new AppError(
+          'Every copy of this book has already been scanned; scan the copy QR instead',
+          'ALREADY_SCANNED',
+          409
+        );
+      }
+
+      const { inventoryScans, ...copy } = unscanned[0];
+      return copy;
+    }
+
+    where = { id: scanned.id };
+  }
+
+  if (!where) {
+    throw new AppError('Copy QR data, book QR data, copy ID or accession number is required', 'VALIDATION_ERROR', 400);
+  }
+
+  const copy = await prisma.bookCopy.findUnique({ where, include });
+
+  if (!copy) {
+    throw new AppError('Copy not found', 'COPY_NOT_FOUND', 404);
+  }
+
+  return copy;
+};
+
+/**
+ * Get inventory audit history
+ * GET /api/inventory-audits
+ */
+export const getInventoryAudits = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      shelfId,
+      branchId,
+      floor
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const where = {};
+    if (status) where.status = status;
+    if (shelfId) where.shelfId = shelfId;
+    if (branchId) where.branchId = branchId;
+    if (floor !== undefined) where.floor = parseInt(floor);
+
+    const [audits, total] = await Promise.all([
+      prisma.inventoryAudit.findMany({
+        where,
+        include: {
+          ...AUDIT_INCLUDE,
+          _count: { select: { scans: true, findings: true } }
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { startedAt: 'desc' }
+      }),
+      prisma.inventoryAudit.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        audits,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start an inventory audit of a shelf or a whole floor of a branch
+ * POST /api/inventory-audits
+ */
+export const startInventoryAudit = async (req, res, next) => {
+  try {
+    const { shelfId, branchId, notes } = req.body;
+    const floor = req.body.floor !== undefined ? parseInt(req.body.floor) : undefined;
+
+    if (Boolean(shelfId) === (floor !== undefined)) {
+      throw new AppError('Either shelfId or floor is required', 'VALIDATION_ERROR', 400);
+    }
+
+    // Audits may not overlap: a shelf and the floor it is on count as the same stock
+    let overlap;
+
+    if (shelfId) {
+      const shelf = await prisma.shelf.findUnique({ where: { id: shelfId } });
+
+      if (!shelf) {
+        throw new AppError('Shelf not found', 'SHELF_NOT_FOUND', 404);
+      }
+
+      // Only shelves placed in a branch can be part of a floor audit
+      const shelfBranchId = await getShelfBranchId(shelf.id);
+
+      overlap = [
+        { shelfId },
+        ...(shelf.floor !== null && shelfBranchId ? [{ branchId: shelfBranchId, floor: shelf.floor }] : [])
+      ];
+    } else {
+      if (Number.isNaN(floor)) {
+        throw new AppError('Floor must be a number', 'VALIDATION_ERROR', 400);
+      }
+
+      // Floor numbers repeat across branches
+      if (!branchId) {
+        throw new AppError('branchId is required for floor audits', 'VALIDATION_ERROR', 400);
+      }
+
+      const branch = await prisma.branch.findUnique({ where: { id: branchId } });
+
+      if (!branch) {
+        throw new AppError('Branch not found', 'BRANCH_NOT_FOUND', 404);
+      }
+
+      const shelves = await prisma.shelf.findMany({
+        where: floorShelfWhere(branchId, floor),
+        select: { id: true }
+      });
+
+      if (shelves.length === 0) {
+        throw new AppError(`No shelves on floor ${floor} of ${branch.name}`, 'SHELF_NOT_FOUND', 404);
+      }
+
+      overlap = [{ branchId, floor }, { shelfId: { in: shelves.map(shelf => shelf.id) } }];
+    }
+
+    const inProgress = await prisma.inventoryAudit.findFirst({
+      where: { status: 'OPEN', OR: overlap }
+    });
+
+    if (inProgress) {
+      throw new AppError(
+        'An inventory audit of this shelf or floor is already in progress',
+        'AUDIT_IN_PROGRESS',
+        409
+      );
+    }
+
+    const audit = await prisma.inventoryAudit.create({
+      data: {
+        ...(shelfId ? { shelfId } : { branchId, floor }),
+        notes,
+        startedById: req.user.id
+      },
+      include: AUDIT_INCLUDE
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        shelfId: shelfId || null,
+        action: 'INVENTORY_AUDIT_STARTED',
+        newValue: {
+          inventoryAuditId: audit.id,
+          ...(shelfId ? { shelfId } : { branchId, floor })
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    const { summary } = await buildFindings(audit);
+
+    res.status(201).json({
+      success: true,
+      data: { ...audit, summary },
+      message: 'Inventory audit started'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an inventory audit with its scans
+ * GET /api/inventory-audits/:id
+ */
+export const getInventoryAudit = async (req, res, next) => {
+  try {
+    const audit = await findAudit(req.params.id);
+
+    const scans = await prisma.inventoryAuditScan.findMany({
+      where: { auditId: audit.id },
+      include: {
+        copy: {
+          select: {
+            id: true,
+            accessionNumber: true,
+            status: true,
+            book: { select: { id: true, title: true, author: true } }
+          }
+        },
+        shelf: { select: { id: true, shelfCode: true } },
+        scannedBy: { select: { id: true, fullName: true } }
+      },
+      orderBy: { scannedAt: 'desc' }
+    });
+
+    // Open audits show live progress
+    const summary = audit.status === 'OPEN' ? (await buildFindings(audit)).summary : audit.summary;
+
+    res.json({
+      success: true,
+      data: { ...audit, summary, scans }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a book or copy found on a shelf
+ * POST /api/inventory-audits/:id/scans
+ */
+export const recordInventoryScan = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { qrData, copyId, accessionNumber, shelfQrData } = req.body;
+    let { shelfId } = req.body;
+
+    const audit = await findOpenAudit(id);
+
+    // Floor audits need to know which shelf the item is on
+    if (shelfQrData) {
+      shelfId = (await resolveQRCode(shelfQrData, 'SHELF')).id;
+    }
+
+    if (!shelfId) {
+      if (!audit.shelfId) {
+        throw new AppError('Scan the shelf QR or send shelfId for floor audits', 'VALIDATION_ERROR', 400);
+      }
+      shelfId = audit.shelfId;
+    }
+
+    const shelfIds = await getAuditShelfIds(audit);
+
+    if (!shelfIds.includes(shelfId)) {
+      throw new AppError('Shelf is not part of this inventory audit', 'SHELF_NOT_IN_AUDIT', 400);
+    }
+
+    const copy = await resolveScannedCopy(audit, {
+      qrData,
+      copyId,
+      accessionNumber,
+      foundShelfId: shelfId
+    });
+
+    const key = { auditId_copyId: { auditId: id, copyId: copy.id } };
+    const existing = await prisma.inventoryAuditScan.findUnique({ where: key });
+
+    // Scanning an item again records where it was seen last
+    const scan = await prisma.inventoryAuditScan.upsert({
+      where: key,
+      create: {
+        auditId: id,
+        copyId: copy.id,
+        shelfId,
+        scannedById: req.user.id
+      },
+      update: {
+        shelfId,
+        scannedById: req.user.id,
+        scannedAt: new Date()
+      }
+    });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: {
+        scan,
+        copy,
+        result: classifyScan(copy, shelfId) || 'FOUND',
+        alreadyScanned: Boolean(existing)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a scan recorded by mistake
+ * DELETE /api/inventory-audits/:id/scans/:scanId
+ */
+export const removeInventoryScan = async (req, res, next) => {
+  try {
+    const { id, scanId } = req.params;
+
+    await findOpenAudit(id);
+
+    const scan = await prisma.inventoryAuditScan.findUnique({ where: { id: scanId } });
+
+    if (!scan || scan.auditId !== id) {
+      throw new AppError('Scan not found', 'SCAN_NOT_FOUND', 404);
+    }
+
+    await prisma.inventoryAuditScan.delete({ where: { id: scanId } });
+
+    res.json({
+      success: true,
+      message: 'Scan removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close an audit, save its discrepancies and optionally apply corrections
+ * POST /api/inventory-audits/:id/close
+ */
+export const closeInventoryAudit = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { moveMisplaced = false, markMissingLost = false, notes } = req.body;
+
+    const audit = await findOpenAudit(id);
+    const { findings, summary } = await buildFindings(audit);
+
+    await prisma.$transaction(async (tx) => {
+      // Guard against the audit being closed twice at once
+      const closed = await tx.inventoryAudit.updateMany({
+        where: { id, status: 'OPEN' },
+        data: {
+          status: 'CLOSED',
+          closedAt: new Date(),
+          summary,
+          ...(notes !== undefined && { notes })
+        }
+      });
+
+      if (closed.count === 0) {
+        throw new AppError('Inventory audit is already closed', 'INVENTORY_AUDIT_CLOSED', 400);
+      }
+
+      await tx.inventoryAuditFinding.createMany({
+        data: findings.map(finding => ({ ...finding, auditId: id }))
+      });
+    });
+
+    // Requested corrections; findings that no longer apply are left for review
+    const correctable = [
+      ...(moveMisplaced ? ['MISPLACED'] : []),
+      ...(markMissingLost ? ['MISSING'] : [])
+    ];
+
+    const corrections = { applied: 0, skipped: [] };
+
+    if (correctable.length > 0) {
+      const toCorrect = await prisma.inventoryAuditFinding.findMany({
+        where: { auditId: id, type: { in: correctable } }
+      });
+
+      for (const finding of toCorrect) {
+        try {
+          await resolveFinding(finding, finding.type === 'MISPLACED' ? 'MOVE' : 'MARK_LOST', req.user.id);
+          corrections.applied++;
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+          corrections.skipped.push({ findingId: finding.id, code: error.code, message: error.message });
+        }
+      }
+    }
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        shelfId: audit.shelfId,
+        action: 'INVENTORY_AUDIT_CLOSED',
+        newValue: {
+          inventoryAuditId: id,
+          summary,
+          correctionsApplied: corrections.applied
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    const closedAudit = await findAudit(id);
+    const report = await buildDiscrepancyReport(closedAudit);
+
+    res.json({
+      success: true,
+      data: {
+        audit: closedAudit,
+        ...report,
+        corrections
+      },
+      message: 'Inventory audit closed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an audit without saving a report
+ * POST /api/inventory-audits/:id/cancel
+ */
+export const cancelInventoryAudit = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const audit = await findOpenAudit(id);
+
+    const cancelledAudit = await prisma.inventoryAudit.update({
+      where: { id },
+      data: { status: 'CANCELLED', closedAt: new Date() },
+      include: AUDIT_INCLUDE
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        shelfId: audit.shelfId,
+        action: 'INVENTORY_AUDIT_CANCELLED',
+        newValue: { inventoryAuditId: id },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: cancelledAudit,
+      message: 'Inventory audit cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the discrepancy report of an audit (a live preview while it is open)
+ * GET /api/inventory-audits/:id/report
+ */
+export const getInventoryAuditReport = async (req, res, next) => {
+  try {
+    const audit = await findAudit(req.params.id);
+    const report = await buildDiscrepancyReport(audit);
+
+    res.json({
+      success: true,
+      data: { audit, ...report }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply a correction to a single finding
+ * POST /api/inventory-audits/:id/findings/:findingId/resolve
+ */
+export const resolveInventoryFinding = async (req, res, next) => {
+  try {
+    const { id, findingId } = req.params;
+    const { action } = req.body;
+
+    const finding = await prisma.inventoryAuditFinding.findUnique({
+      where: { id: findingId },
+      include: FINDING_INCLUDE
+    });
+
+    if (!finding || finding.auditId !== id) {
+      throw new AppError('Finding not found', 'FINDING_NOT_FOUND', 404);
+    }
+
+    const resolved = await resolveFinding(finding, action, req.user.id);
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: finding.copy.book.id,
+        shelfId: finding.foundShelfId || finding.expectedShelfId,
+        action: 'INVENTORY_FINDING_RESOLVED',
+        oldValue: {
+          copyStatus: finding.copy.status,
+          shelfId: finding.expectedShelfId
+        },
+        newValue: {
+          inventoryAuditId: id,
+          copyId: finding.copyId,
+          type: finding.type,
+          resolution: resolved.resolution
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: resolved,
+      message: 'Finding resolved'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,576 @@
+/**
+ * Kiosk Controller
+ * Handles self-checkout kiosk devices and patron checkout sessions
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { ACTIVE_BORROWING_STATUSES } from '../services/copy.service.js';
+import { releaseHeldCopy } from '../services/reservation.service.js';
+import {
+  assertPatronCanBorrow,
+  checkLoanPolicy,
+  checkoutCopy,
+  resolveCheckoutCopy
+} from '../services/borrowing.service.js';
+import { generateKioskKey, getKioskSessionExpiry } from '../services/kiosk.service.js';
+import { resolveCardHolderId } from '../services/libraryCard.service.js';
+import { resolveQRCode } from '../services/qrPayload.service.js';
+
+const prisma = new PrismaClient();
+
+// Device fields that are safe to return (never the key hash)
+const DEVICE_SELECT = {
+  id: true,
+  name: true,
+  location: true,
+  apiKeyPrefix: true,
+  isActive: true,
+  lastSeenAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const SESSION_INCLUDE = {
+  user: {
+    select: {
+      id: true,
+      fullName: true
+    }
+  },
+  items: {
+    include: {
+      copy: {
+        include: {
+          book: {
+            select: {
+              id: true,
+              title: true,
+              author: true,
+              categoryId: true
+            }
+          }
+        }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+/**
+ * Get an open session that belongs to this kiosk or throw
+ * Sessions past their expiry are closed on access.
+ */
+const findOpenSession = async (id, device) => {
+  const session = await prisma.kioskSession.findUnique({
+    where: { id },
+    include: SESSION_INCLUDE
+  });
+
+  if (!session || session.deviceId !== device.id) {
+    throw new AppError('Kiosk session not found', 'KIOSK_SESSION_NOT_FOUND', 404);
+  }
+
+  if (session.status === 'OPEN' && session.expiresAt < new Date()) {
+    await prisma.kioskSession.update({
+      where: { id },
+      data: { status: 'EXPIRED' }
+    });
+
+    throw new AppError('Kiosk session timed out; please scan your card again', 'KIOSK_SESSION_EXPIRED', 400);
+  }
+
+  if (session.status !== 'OPEN') {
+    throw new AppError('Kiosk session is already closed', 'KIOSK_SESSION_CLOSED', 400);
+  }
+
+  return session;
+};
+
+/**
+ * Get all kiosk devices
+ * GET /api/kiosk/devices
+ */
+export const getKioskDevices = async (req, res, next) => {
+  try {
+    const devices = await prisma.kioskDevice.findMany({
+      select: DEVICE_SELECT,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: devices
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a kiosk device and issue its key
+ * POST /api/kiosk/devices
+ */
+export const createKioskDevice = async (req, res, next) => {
+  try {
+    const { name, location } = req.body;
+
+    if (!name) {
+      throw new AppError('Device name is required', 'VALIDATION_ERROR', 400);
+    }
+
+    const { apiKey, apiKeyPrefix, apiKeyHash } = generateKioskKey();
+
+    const device = await prisma.kioskDevice.create({
+      data: {
+        name,
+        location,
+        apiKeyPrefix,
+        apiKeyHash
+      },
+      select: DEVICE_SELECT
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'KIOSK_DEVICE_CREATED',
+        newValue: { deviceId: device.id, name, location },
+        ipAddress: req.ip
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...device,
+        apiKey
+      },
+      message: 'Kiosk device registered. Store the API key now; it will not be shown again'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a kiosk device (name, location, enable/disable)
+ * PUT /api/kiosk/devices/:id
+ */
+export const updateKioskDevice = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, location, isActive } = req.body;
+
+    const device = await prisma.kioskDevice.update({
+      where: { id },
+      data: {
+        ...(name && { name }),
+        ...(location !== undefined && { location }),
+        ...(isActive !== undefined && { isActive: Boolean(isActive) })
+      },
+      select: DEVICE_SELECT
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'KIOSK_DEVICE_UPDATED',
+        newValue: device,
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: device,
+      message: 'Kiosk device updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a new key for a kiosk device, invalidating the old one
+ * POST /api/kiosk/devices/:id/rotate-key
+ */
+export const rotateKioskKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { apiKey, apiKeyPrefix, apiKeyHash } = generateKioskKey();
+
+    const device = await prisma.kioskDevice.update({
+      where: { id },
+      data: { apiKeyPrefix, apiKeyHash },
+      select: DEVICE_SELECT
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'KIOSK_KEY_ROTATED',
+        newValue: { deviceId: id, apiKeyPrefix },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...device,
+        apiKey
+      },
+      message: 'Kiosk key rotated. Store the API key now; it will not be shown again'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a kiosk device
+ * DELETE /api/kiosk/devices/:id
+ */
+export const deleteKioskDevice = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const device = await prisma.kioskDevice.delete({
+      where: { id },
+      select: DEVICE_SELECT
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'KIOSK_DEVICE_DELETED',
+        oldValue: device,
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Kiosk device deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start a checkout session by scanning a patron's library card
+ * POST /api/kiosk/sessions
+ */
+export const startKioskSession = async (req, res, next) => {
+  try {
+    const { qrData } = req.body;
+
+    if (!qrData) {
+      throw new AppError('Scan your library card to start', 'VALIDATION_ERROR', 400);
+    }
+
+    // Nobody watches the kiosk, so only a signed card QR identifies the patron;
+    // typed card numbers and unsigned codes could be made up by anyone
+    const scanned = await resolveQRCode(qrData, 'USER');
+
+    if (scanned.signed !== true) {
+      throw new AppError('This library card QR is not signed; please get a new card at the desk', 'QR_UNSIGNED', 400);
+    }
+
+    const userId = await resolveCardHolderId({ cardNumber: scanned.id });
+
+    const user = await assertPatronCanBorrow(userId);
+
+    // A kiosk serves one patron at a time
+    await prisma.kioskSession.updateMany({
+      where: { deviceId: req.kiosk.id, status: 'OPEN' },
+      data: { status: 'CANCELLED' }
+    });
+
+    const [session, activeLoans, readyHolds] = await Promise.all([
+      prisma.kioskSession.create({
+        data: {
+          deviceId: req.kiosk.id,
+          userId: user.id,
+          expiresAt: getKioskSessionExpiry()
+        },
+        include: SESSION_INCLUDE
+      }),
+      prisma.borrowing.count({
+        where: { userId: user.id, status: { in: ACTIVE_BORROWING_STATUSES } }
+      }),
+      prisma.reservation.count({
+        where: { userId: user.id, status: 'READY' }
+      })
+    ]);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...session,
+        activeLoans,
+        readyHolds
+      },
+      message: `Welcome, ${user.fullName}. Scan the books you want to borrow`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current state of a checkout session
+ * GET /api/kiosk/sessions/:id
+ */
+export const getKioskSession = async (req, res, next) => {
+  try {
+    const session = await findOpenSession(req.params.id, req.kiosk);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Scan a book or copy QR into a checkout session
+ * POST /api/kiosk/sessions/:id/items
+ */
+export const addKioskSessionItem = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { qrData, accessionNumber } = req.body;
+    let { copyId, bookId } = req.body;
+
+    const session = await findOpenSession(id, req.kiosk);
+
+    if (qrData) {
+      const scanned = await resolveQRCode(qrData, ['COPY', 'BOOK']);
+      copyId = scanned.type === 'COPY' ? scanned.id : null;
+      bookId = scanned.type === 'BOOK' ? scanned.id : null;
+    }
+
+    if (accessionNumber && !copyId) {
+      const scanned = await prisma.bookCopy.findUnique({ where: { accessionNumber } });
+      if (!scanned) {
+        throw new AppError('Copy not found', 'COPY_NOT_FOUND', 404);
+      }
+      copyId = scanned.id;
+    }
+
+    // Same checks as the desk, counting what is already in the session
+    const { book, copy } = await resolveCheckoutCopy(prisma, {
+      userId: session.userId,
+      bookId,
+      copyId
+    });
+
+    if (session.items.some(item => item.copyId === copy.id)) {
+      throw new AppError('This copy is already in your checkout', 'ALREADY_IN_SESSION', 409);
+    }
+
+    const user = await assertPatronCanBorrow(session.userId);
+    await checkLoanPolicy(prisma, {
+      user,
+      book,
+      pendingBooks: session.items.map(item => item.copy.book)
+    });
+
+    // Another kiosk may have the same copy in an open session
+    const otherSession = await prisma.kioskSessionItem.findFirst({
+      where: {
+        copyId: copy.id,
+        sessionId: { not: id },
+        session: { status: 'OPEN', expiresAt: { gt: new Date() } }
+      }
+    });
+
+    if (otherSession) {
+      throw new AppError('This copy is being checked out at another kiosk', 'COPY_NOT_AVAILABLE', 409);
+    }
+
+    await prisma.kioskSessionItem.create({
+      data: {
+        sessionId: id,
+        copyId: copy.id
+      }
+    });
+
+    const updatedSession = await prisma.kioskSession.update({
+      where: { id },
+      data: { expiresAt: getKioskSessionExpiry() },
+      include: SESSION_INCLUDE
+    });
+
+    res.status(201).json({
+      success: true,
+      data: updatedSession,
+      message: `"${book.title}" added`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a scanned item from a checkout session
+ * DELETE /api/kiosk/sessions/:id/items/:itemId
+ */
+export const removeKioskSessionItem = async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const session = await findOpenSession(id, req.kiosk);
+
+    if (!session.items.some(item => item.id === itemId)) {
+      throw new AppError('Item not found in this session', 'KIOSK_ITEM_NOT_FOUND', 404);
+    }
+
+    await prisma.kioskSessionItem.delete({ where: { id: itemId } });
+
+    const updatedSession = await prisma.kioskSession.update({
+      where: { id },
+      data: { expiresAt: getKioskSessionExpiry() },
+      include: SESSION_INCLUDE
+    });
+
+    res.json({
+      success: true,
+      data: updatedSession,
+      message: 'Item removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check out every item in the session at once and return a receipt
+ * Either all items are lent or none are.
+ * POST /api/kiosk/sessions/:id/commit
+ */
+export const commitKioskSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const session = await findOpenSession(id, req.kiosk);
+
+    if (session.items.length === 0) {
+      throw new AppError('Scan at least one book before checking out', 'KIOSK_SESSION_EMPTY', 400);
+    }
+
+    const results = await prisma.$transaction(async (tx) => {
+      const checkedOut = [];
+
+      for (const item of session.items) {
+        try {
+          const result = await checkoutCopy(tx, {
+            userId: session.userId,
+            copyId: item.copyId,
+            actorId: session.userId,
+            ipAddress: req.ip
+          });
+
+          await tx.kioskSessionItem.update({
+            where: { id: item.id },
+            data: { borrowingId: result.borrowing.id }
+          });
+
+          checkedOut.push(result);
+        } catch (error) {
+          if (error instanceof AppError) {
+            throw new AppError(`"${item.copy.book.title}": ${error.message}`, error.code, error.status, error.details);
+          }
+          throw error;
+        }
+      }
+
+      await tx.kioskSession.update({
+        where: { id },
+        data: {
+          status: 'COMMITTED',
+          committedAt: new Date()
+        }
+      });
+
+      return checkedOut;
+    }, { timeout: 15000 });
+
+    // Copies held for the patron that they did not take go to the next in line
+    for (const { releasedReservation } of results) {
+      if (releasedReservation) {
+        await releaseHeldCopy(releasedReservation);
+      }
+    }
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: session.userId,
+        action: 'KIOSK_CHECKOUT',
+        newValue: {
+          sessionId: id,
+          deviceId: req.kiosk.id,
+          borrowingIds: results.map(({ borrowing }) => borrowing.id)
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    const receipt = {
+      receiptNumber: id.slice(0, 8).toUpperCase(),
+      patron: session.user.fullName,
+      kiosk: req.kiosk.name,
+      location: req.kiosk.location,
+      checkedOutAt: new Date(),
+      items: results.map(({ borrowing }) => ({
+        borrowingId: borrowing.id,
+        title: borrowing.book.title,
+        author: borrowing.book.author,
+        accessionNumber: borrowing.copy.accessionNumber,
+        dueDate: borrowing.expectedReturnDate
+      }))
+    };
+
+    res.json({
+      success: true,
+      data: receipt,
+      message: `${receipt.items.length} item(s) checked out`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a checkout session without borrowing anything
+ * POST /api/kiosk/sessions/:id/cancel
+ */
+export const cancelKioskSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await findOpenSession(id, req.kiosk);
+
+    await prisma.kioskSession.update({
+      where: { id },
+      data: { status: 'CANCELLED' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Checkout session cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,204 @@
+/**
+ * Library Card Controller
+ * Handles issuing, reissuing and revoking patron library cards
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { renderQRImage, withQRCodeUrl } from '../services/qr.service.js';
+import { isCardExpired, issueLibraryCard } from '../services/libraryCard.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Check the current user may see this patron's card
+ */
+const assertCardAccess = (userId, user) => {
+  if (user.role === 'USER' && userId !== user.id) {
+    throw new AppError('You can only access your own library card', 'FORBIDDEN', 403);
+  }
+};
+
+/**
+ * Get the patron's active card or throw
+ */
+const findActiveCard = async (userId) => {
+  const card = await prisma.libraryCard.findFirst({
+    where: { userId, status: 'ACTIVE' },
+    orderBy: { issuedAt: 'desc' }
+  });
+
+  if (!card) {
+    throw new AppError('User has no active library card', 'CARD_NOT_FOUND', 404);
+  }
+
+  return card;
+};
+
+/**
+ * Get a user's current library card and card history
+ * GET /api/users/:id/card
+ */
+export const getUserCard = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    assertCardAccess(id, req.user);
+
+    const cards = await prisma.libraryCard.findMany({
+      where: { userId: id },
+      orderBy: { issuedAt: 'desc' }
+    });
+
+    const current = cards.find(card => card.status === 'ACTIVE');
+
+    if (!current) {
+      throw new AppError('User has no active library card', 'CARD_NOT_FOUND', 404);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...withQRCodeUrl('USER', current),
+        isExpired: isCardExpired(current),
+        history: cards.filter(card => card.id !== current.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the QR image for a user's library card
+ * GET /api/users/:id/card/qr.png, GET /api/users/:id/card/qr.svg
+ * GET /api/users/:id/card/image (PNG)
+ */
+export const getUserCardImage = async (req, res, next) => {
+  try {
+    const { id, format = 'png' } = req.params;
+
+    assertCardAccess(id, req.user);
+
+    const card = await findActiveCard(id);
+    const image = await renderQRImage('USER', card.cardNumber, format, req.query);
+
+    res.set({
+      'Cache-Control': image.cacheControl,
+      ETag: image.etag,
+      'Content-Disposition': `inline; filename="library-card-${card.cardNumber}.${format}"`
+    });
+    res.type(image.contentType).send(image.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a library card, replacing the current one if any
+ * POST /api/users/:id/card
+ */
+export const issueUserCard = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { id } });
+
+    if (!user) {
+      throw new AppError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    const previousCard = await prisma.libraryCard.findFirst({
+      where: { userId: id, status: 'ACTIVE' }
+    });
+
+    const card = await issueLibraryCard(id);
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: previousCard ? 'LIBRARY_CARD_REISSUED' : 'LIBRARY_CARD_ISSUED',
+        oldValue: previousCard ? { cardNumber: previousCard.cardNumber } : undefined,
+        newValue: {
+          patronId: id,
+          cardNumber: card.cardNumber,
+          expiresAt: card.expiresAt,
+          ...(reason && { reason })
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    await prisma.notification.create({
+      data: {
+        userId: id,
+        type: 'INFO',
+        title: previousCard ? 'Library Card Replaced' : 'Library Card Issued',
+        message: previousCard
+          ? `Your library card has been replaced. Card ${previousCard.cardNumber} no longer works.`
+          : `Your library card ${card.cardNumber} is ready to use until ${card.expiresAt.toLocaleDateString()}.`,
+        isRead: false
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: card,
+      message: previousCard ? 'Library card reissued successfully' : 'Library card issued successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a user's library card (lost, stolen or withdrawn)
+ * POST /api/users/:id/card/revoke
+ */
+export const revokeUserCard = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      throw new AppError('A reason is required to revoke a card', 'VALIDATION_ERROR', 400);
+    }
+
+    const card = await findActiveCard(id);
+
+    const revokedCard = await prisma.libraryCard.update({
+      where: { id: card.id },
+      data: {
+        status: 'REVOKED',
+        revokedAt: new Date(),
+        revokedReason: reason
+      }
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'LIBRARY_CARD_REVOKED',
+        oldValue: { status: card.status },
+        newValue: {
+          patronId: id,
+          cardNumber: card.cardNumber,
+          status: 'REVOKED',
+          reason
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: revokedCard,
+      message: 'Library card revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
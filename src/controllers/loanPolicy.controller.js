@@ -0,0 +1,280 @@
+/**
+ * Loan Policy Controller
+ * Handles loan rules per user role and book category
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { LOAN_POLICY_FIELDS, resolveLoanPolicy } from '../services/loanPolicy.service.js';
+
+const prisma = new PrismaClient();
+
+const USER_ROLES = ['ADMIN', 'STAFF', 'USER'];
+
+/**
+ * Validate and pick loan policy fields from a request body
+ */
+const pickPolicyFields = (body) => {
+  const data = {};
+
+  for (const field of LOAN_POLICY_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] === null) {
+      data[field] = null;
+    } else if (field === 'referenceOnly') {
+      if (typeof body[field] !== 'boolean') {
+        throw new AppError('referenceOnly must be true or false', 'VALIDATION_ERROR', 400);
+      }
+      data[field] = body[field];
+    } else {
+      const value = Number(body[field]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new AppError(`${field} must be a non-negative whole number`, 'VALIDATION_ERROR', 400);
+      }
+      data[field] = value;
+    }
+  }
+
+  if (data.loanPeriodDays === 0) {
+    throw new AppError('loanPeriodDays must be at least 1', 'VALIDATION_ERROR', 400);
+  }
+
+  return data;
+};
+
+/**
+ * Validate the role and category a policy applies to
+ */
+const validatePolicyScope = async (role, categoryId) => {
+  if (role && !USER_ROLES.includes(role)) {
+    throw new AppError(`Role must be one of ${USER_ROLES.join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+
+  if (categoryId) {
+    const category = await prisma.category.findUnique({ where: { id: categoryId } });
+    if (!category) {
+      throw new AppError('Category not found', 'CATEGORY_NOT_FOUND', 404);
+    }
+  }
+};
+
+/**
+ * Get all loan policies and the resolved library-wide default
+ * GET /api/loan-policies
+ */
+export const getLoanPolicies = async (req, res, next) => {
+  try {
+    const { role, categoryId } = req.query;
+
+    const where = {};
+    if (role) where.role = role;
+    if (categoryId) where.categoryId = categoryId;
+
+    const [policies, effectiveDefault] = await Promise.all([
+      prisma.loanPolicy.findMany({
+        where,
+        include: { category: true },
+        orderBy: { createdAt: 'asc' }
+      }),
+      resolveLoanPolicy({ role: null, categoryId: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        policies,
+        effectiveDefault
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve the rules that apply to a role and category
+ * GET /api/loan-policies/resolve?role=&categoryId=
+ */
+export const resolvePolicy = async (req, res, next) => {
+  try {
+    const { role = 'USER', categoryId } = req.query;
+
+    await validatePolicyScope(role, categoryId);
+
+    const policy = await resolveLoanPolicy({ role, categoryId: categoryId || null });
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single loan policy
+ * GET /api/loan-policies/:id
+ */
+export const getLoanPolicyById = async (req, res, next) => {
+  try {
+    const policy = await prisma.loanPolicy.findUnique({
+      where: { id: req.params.id },
+      include: {
+        category: true,
+        _count: {
+          select: { borrowings: true }
+        }
+      }
+    });
+
+    if (!policy) {
+      throw new AppError('Loan policy not found', 'POLICY_NOT_FOUND', 404);
+    }
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a loan policy (no role and no categoryId = library-wide default)
+ * POST /api/loan-policies
+ */
+export const createLoanPolicy = async (req, res, next) => {
+  try {
+    const { name, role, categoryId } = req.body;
+    const data = pickPolicyFields(req.body);
+
+    if (!name) {
+      throw new AppError('Policy name is required', 'VALIDATION_ERROR', 400);
+    }
+
+    await validatePolicyScope(role, categoryId);
+
+    // The unique index does not treat NULLs as equal, so check the scope by hand
+    const existingPolicy = await prisma.loanPolicy.findFirst({
+      where: {
+        role: role || null,
+        categoryId: categoryId || null
+      }
+    });
+
+    if (existingPolicy) {
+      throw new AppError('A loan policy already exists for this role and category', 'POLICY_EXISTS', 409);
+    }
+
+    const policy = await prisma.loanPolicy.create({
+      data: {
+        name,
+        role: role || null,
+        categoryId: categoryId || null,
+        ...data
+      },
+      include: { category: true }
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'LOAN_POLICY_CREATED',
+        newValue: {
+          policyId: policy.id,
+          role: policy.role,
+          categoryId: policy.categoryId,
+          ...data
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+      message: 'Loan policy created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a loan policy's rules
+ * PUT /api/loan-policies/:id
+ */
+export const updateLoanPolicy = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+    const data = pickPolicyFields(req.body);
+
+    const existingPolicy = await prisma.loanPolicy.findUnique({ where: { id } });
+
+    if (!existingPolicy) {
+      throw new AppError('Loan policy not found', 'POLICY_NOT_FOUND', 404);
+    }
+
+    const policy = await prisma.loanPolicy.update({
+      where: { id },
+      data: {
+        ...(name && { name }),
+        ...data
+      },
+      include: { category: true }
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'LOAN_POLICY_UPDATED',
+        oldValue: existingPolicy,
+        newValue: policy,
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: policy,
+      message: 'Loan policy updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a loan policy
+ * DELETE /api/loan-policies/:id
+ */
+export const deleteLoanPolicy = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const policy = await prisma.loanPolicy.delete({ where: { id } });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'LOAN_POLICY_DELETED',
+        oldValue: policy,
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Loan policy deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,11 +1,36 @@
 /**
  * QR Code Controller
- * Handles QR code scanning and validation
+ * Handles QR code scanning, validation, label printing and shelf relocation
  */
 
-import { validateQRCode, scanBook, scanShelf } from '../services/qr.service.js';
+import { PrismaClient } from '@prisma/client';
+import { validateQRCode, scanBook, scanCopy, scanShelf, scanUser } from '../services/qr.service.js';
+import { resolveLibraryCard } from '../services/libraryCard.service.js';
+import { resolveQRCode } from '../services/qrPayload.service.js';
+import { collectLabelItems, markLabelsPrinted, renderLabelSheet } from '../services/label.service.js';
+import { RELOCATION_INCLUDE, buildRelocationSummary, relocateBook } from '../services/relocation.service.js';
+import { getShelfOccupancy } from '../services/shelf.service.js';
 import { AppError } from '../middleware/error.middleware.js';
 
+const prisma = new PrismaClient();
+
+/**
+ * Get a relocation session that is still accepting scans or throw
+ */
+const findOpenRelocation = async (id) => {
+  const session = await prisma.relocationSession.findUnique({ where: { id } });
+
+  if (!session) {
+    throw new AppError('Relocation session not found', 'RELOCATION_NOT_FOUND', 404);
+  }
+
+  if (session.status !== 'OPEN') {
+    throw new AppError('Relocation session is already closed', 'RELOCATION_CLOSED', 400);
+  }
+
+  return session;
+};
+
 /**
  * Validate scanned QR code
  * POST /api/qr/validate
@@ -22,8 +47,10 @@ export const validateQR = async (req, res, next) => {
 
     res.json({
       success: result.valid,
+      type: result.valid ? result.type : null,
       data: result.valid ? result.data : null,
-      error: result.valid ? null : result.error
+      error: result.valid ? null : result.error,
+      ...(!result.valid && { code: result.code })
     });
   } catch (error) {
     next(error);
@@ -40,16 +67,9 @@ export const scanBookQR = async (req, res, next) => {
 
     let id = bookId;
 
-    // If qrData provided, extract bookId from it
+    // If qrData provided, verify its signature and extract bookId from it
     if (qrData) {
-      try {
-        const parsed = JSON.parse(qrData);
-        if (parsed.type === 'BOOK' && parsed.id) {
-          id = parsed.id;
-        }
-      } catch {
-        throw new AppError('Invalid QR data format', 'INVALID_QR', 400);
-      }
+      id = (await resolveQRCode(qrData, 'BOOK')).id;
     }
 
     if (!id) {
@@ -77,16 +97,9 @@ export const scanShelfQR = async (req, res, next) => {
 
     let id = shelfId;
 
-    // If qrData provided, extract shelfId from it
+    // If qrData provided, verify its signature and extract shelfId from it
     if (qrData) {
-      try {
-        const parsed = JSON.parse(qrData);
-        if (parsed.type === 'SHELF' && parsed.id) {
-          id = parsed.id;
-        }
-      } catch {
-        throw new AppError('Invalid QR data format', 'INVALID_QR', 400);
-      }
+      id = (await resolveQRCode(qrData, 'SHELF')).id;
     }
 
     if (!id) {
@@ -103,3 +116,269 @@ export const scanShelfQR = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Scan copy QR code
+ * POST /api/qr/scan/copy
+ */
+export const scanCopyQR = async (req, res, next) => {
+  try {
+    const { copyId, accessionNumber, qrData } = req.body;
+
+    let id = copyId;
+
+    // If qrData provided, verify its signature and extract copyId from it
+    if (qrData) {
+      id = (await resolveQRCode(qrData, 'COPY')).id;
+    }
+
+    if (!id && !accessionNumber) {
+      throw new AppError('Copy ID, accession number or QR data is required', 'VALIDATION_ERROR', 400);
+    }
+
+    const copyDetails = await scanCopy(id ? { id } : { accessionNumber });
+
+    res.json({
+      success: true,
+      data: copyDetails
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Scan a patron's library card QR
+ * POST /api/qr/scan/user
+ */
+export const scanUserQR = async (req, res, next) => {
+  try {
+    const { cardNumber, qrData } = req.body;
+
+    const card = await resolveLibraryCard({ qrData, cardNumber });
+    const patronDetails = await scanUser(card);
+
+    res.json({
+      success: true,
+      data: patronDetails
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Print QR labels for books and shelves as a PDF label sheet
+ * POST /api/qr/labels
+ */
+export const printQRLabels = async (req, res, next) => {
+  try {
+    const { layout = 'AVERY_5160', startPosition } = req.body;
+
+    const items = await collectLabelItems(req.body);
+
+    if (items.length === 0) {
+      throw new AppError('No books or shelves match the selection', 'NO_LABELS', 404);
+    }
+
+    const pdf = await renderLabelSheet(items, { layout, startPosition });
+
+    await markLabelsPrinted(items);
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'QR_LABELS_PRINTED',
+        newValue: {
+          layout,
+          books: items.filter(item => item.type === 'BOOK').length,
+          shelves: items.filter(item => item.type === 'SHELF').length
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set('Content-Disposition', `attachment; filename="qr-labels-${date}.pdf"`);
+    res.type('pdf').send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start relocating books: scan the shelf they are moving to
+ * POST /api/qr/relocations
+ */
+export const startRelocation = async (req, res, next) => {
+  try {
+    const { shelfId, qrData } = req.body;
+
+    let id = shelfId;
+
+    if (qrData) {
+      id = (await resolveQRCode(qrData, 'SHELF')).id;
+    }
+
+    if (!id) {
+      throw new AppError('Shelf ID or shelf QR data is required', 'VALIDATION_ERROR', 400);
+    }
+
+    const shelf = await getShelfOccupancy(id);
+
+    const session = await prisma.relocationSession.create({
+      data: {
+        shelfId: shelf.id,
+        startedById: req.user.id
+      },
+      include: RELOCATION_INCLUDE
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...session, shelf },
+      message: `Scan books to move them to shelf ${shelf.shelfCode}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Scan into a relocation session
+ * A book QR moves the book to the current shelf; a shelf QR switches to that shelf.
+ * POST /api/qr/relocations/:id/scan
+ */
+export const scanRelocationItem = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { qrData, bookId, shelfId } = req.body;
+
+    const session = await findOpenRelocation(id);
+
+    let scanned = null;
+
+    if (qrData) {
+      scanned = await resolveQRCode(qrData, ['BOOK', 'SHELF']);
+    } else if (bookId) {
+      scanned = { type: 'BOOK', id: bookId };
+    } else if (shelfId) {
+      scanned = { type: 'SHELF', id: shelfId };
+    }
+
+    if (!scanned) {
+      throw new AppError('Book or shelf QR data is required', 'VALIDATION_ERROR', 400);
+    }
+
+    let outcome;
+
+    if (scanned.type === 'SHELF') {
+      const shelf = await getShelfOccupancy(scanned.id);
+
+      await prisma.relocationSession.update({
+        where: { id: session.id },
+        data: { shelfId: shelf.id }
+      });
+
+      outcome = { result: 'SHELF_SELECTED', toShelf: shelf };
+    } else {
+      if (!session.shelfId) {
+        throw new AppError('Scan the shelf the books are moving to first', 'VALIDATION_ERROR', 400);
+      }
+
+      outcome = await relocateBook(session, scanned.id, {
+        actorId: req.user.id,
+        ipAddress: req.ip
+      });
+    }
+
+    const messages = {
+      SHELF_SELECTED: `Scan books to move them to shelf ${outcome.toShelf.shelfCode}`,
+      MOVED: `Moved to shelf ${outcome.toShelf.shelfCode}`,
+      ALREADY_ON_SHELF: `Already on shelf ${outcome.toShelf.shelfCode}`
+    };
+
+    res.json({
+      success: true,
+      data: outcome,
+      message: messages[outcome.result]
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a relocation session and what it has moved so far
+ * GET /api/qr/relocations/:id
+ */
+export const getRelocation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const session = await prisma.relocationSession.findUnique({
+      where: { id },
+      include: RELOCATION_INCLUDE
+    });
+
+    if (!session) {
+      throw new AppError('Relocation session not found', 'RELOCATION_NOT_FOUND', 404);
+    }
+
+    const summary = await buildRelocationSummary(session.id);
+
+    res.json({
+      success: true,
+      data: { ...session, summary }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finish a relocation session and summarise what moved
+ * POST /api/qr/relocations/:id/close
+ */
+export const closeRelocation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await findOpenRelocation(id);
+
+    const session = await prisma.relocationSession.update({
+      where: { id },
+      data: {
+        status: 'CLOSED',
+        closedAt: new Date()
+      },
+      include: RELOCATION_INCLUDE
+    });
+
+    const summary = await buildRelocationSummary(session.id);
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'RELOCATION_CLOSED',
+        newValue: {
+          relocationId: session.id,
+          booksMoved: summary.booksMoved,
+          copiesMoved: summary.copiesMoved
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { ...session, summary },
+      message: `Relocation finished: ${summary.booksMoved} book(s) moved`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,386 @@
+/**
+ * Reservation Controller
+ * Handles holds on books that have no copies available
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { ACTIVE_BORROWING_STATUSES } from '../services/copy.service.js';
+import { branchShelfFilter } from '../services/location.service.js';
+import {
+  ACTIVE_RESERVATION_STATUSES,
+  assignCopyToNextReservation,
+  getQueuePosition,
+  releaseHeldCopy
+} from '../services/reservation.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get a reservation the current user may access or throw
+ */
+const findAccessibleReservation = async (id, user) => {
+  const reservation = await prisma.reservation.findUnique({
+    where: { id },
+    include: {
+      user: {
+        select: {
+          id: true,
+          fullName: true,
+          email: true
+        }
+      },
+      book: true,
+      copy: true,
+      pickupBranch: true
+    }
+  });
+
+  if (!reservation) {
+    throw new AppError('Reservation not found', 'RESERVATION_NOT_FOUND', 404);
+  }
+
+  if (user.role === 'USER' && reservation.userId !== user.id) {
+    throw new AppError('You can only access your own reservations', 'FORBIDDEN', 403);
+  }
+
+  return reservation;
+};
+
+/**
+ * Place a hold on a book
+ * POST /api/reservations
+ */
+export const createReservation = async (req, res, next) => {
+  try {
+    const { bookId, pickupBranchId, notes } = req.body;
+    let { userId } = req.body;
+
+    // Patrons place holds for themselves; staff may place them for others
+    if (!userId) {
+      userId = req.user.id;
+    } else if (userId !== req.user.id && req.user.role === 'USER') {
+      throw new AppError('Only staff can place reservations for other users', 'FORBIDDEN', 403);
+    }
+
+    if (!bookId) {
+      throw new AppError('Book ID is required', 'VALIDATION_ERROR', 400);
+    }
+
+    const book = await prisma.book.findUnique({
+      where: { id: bookId }
+    });
+
+    if (!book) {
+      throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
+    }
+
+    // Holds are kept on copies; a digital item is borrowed once a license is free
+    if (book.itemType === 'DIGITAL') {
+      throw new AppError('Digital items cannot be reserved', 'NOT_PHYSICAL_ITEM', 400);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    if (user.status !== 'ACTIVE') {
+      throw new AppError('User account is not active', 'INACTIVE_USER', 403);
+    }
+
+    if (pickupBranchId) {
+      const branch = await prisma.branch.findUnique({ where: { id: pickupBranchId } });
+
+      if (!branch || !branch.isActive) {
+        throw new AppError('Pickup branch not found', 'BRANCH_NOT_FOUND', 404);
+      }
+    }
+
+    // With a pickup branch, only copies on its shelves rule out a hold
+    const [availableCopies, existingBorrowing, existingReservation] = await Promise.all([
+      prisma.bookCopy.count({
+        where: {
+          bookId,
+          status: 'AVAILABLE',
+          ...(pickupBranchId && { shelf: branchShelfFilter(pickupBranchId) })
+        }
+      }),
+      prisma.borrowing.findFirst({
+        where: { userId, bookId, status: { in: ACTIVE_BORROWING_STATUSES } }
+      }),
+      prisma.reservation.findFirst({
+        where: { userId, bookId, status: { in: ACTIVE_RESERVATION_STATUSES } }
+      })
+    ]);
+
+    if (availableCopies > 0) {
+      throw new AppError('This book has copies available; borrow it instead', 'COPIES_AVAILABLE', 400);
+    }
+
+    if (existingBorrowing) {
+      throw new AppError('User already has this book borrowed', 'ALREADY_BORROWED', 400);
+    }
+
+    if (existingReservation) {
+      throw new AppError('User already has a reservation for this book', 'ALREADY_RESERVED', 409);
+    }
+
+    const created = await prisma.reservation.create({
+      data: {
+        userId,
+        bookId,
+        pickupBranchId,
+        notes
+      },
+      include: {
+        book: true,
+        pickupBranch: true
+      }
+    });
+
+    // A copy free at another branch is sent to the pickup branch straight away
+    const elsewhere = pickupBranchId
+      ? await prisma.bookCopy.findFirst({
+        where: { bookId, status: 'AVAILABLE' },
+        orderBy: { copyNumber: 'asc' }
+      })
+      : null;
+    const allocated = elsewhere ? await assignCopyToNextReservation(elsewhere.id) : null;
+    const reservation = allocated?.id === created.id ? { ...created, ...allocated } : created;
+
+    const queuePosition = await getQueuePosition(reservation);
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId,
+        action: 'RESERVATION_CREATED',
+        newValue: {
+          reservationId: reservation.id,
+          patronId: userId,
+          pickupBranchId: reservation.pickupBranchId,
+          status: reservation.status,
+          queuePosition
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    // Routed holds have already told the patron their copy is on its way
+    if (reservation.status === 'PENDING') {
+      await prisma.notification.create({
+        data: {
+          userId,
+          type: 'INFO',
+          title: 'Reservation Placed',
+          message: `You are number ${queuePosition} in the queue for "${book.title}". We will notify you when it is ready for pickup.`,
+          isRead: false
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...reservation,
+        queuePosition
+      },
+      message: 'Reservation placed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get reservations (patrons only see their own)
+ * GET /api/reservations
+ */
+export const getAllReservations = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      bookId,
+      userId,
+      pickupBranchId
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const where = {};
+    if (status) where.status = status;
+    if (bookId) where.bookId = bookId;
+    if (pickupBranchId) where.pickupBranchId = pickupBranchId;
+    if (req.user.role === 'USER') {
+      where.userId = req.user.id;
+    } else if (userId) {
+      where.userId = userId;
+    }
+
+    const [reservations, total] = await Promise.all([
+      prisma.reservation.findMany({
+        where,
+        include: {
+          user: {
+            select: {
+              id: true,
+              fullName: true,
+              email: true
+            }
+          },
+          book: true,
+          copy: true,
+          pickupBranch: true
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.reservation.count({ where })
+    ]);
+
+    const withPositions = await Promise.all(
+      reservations.map(async reservation => ({
+        ...reservation,
+        queuePosition: await getQueuePosition(reservation)
+      }))
+    );
+
+    res.json({
+      success: true,
+      data: {
+        reservations: withPositions,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the hold queue for a book
+ * GET /api/reservations/book/:bookId
+ */
+export const getBookQueue = async (req, res, next) => {
+  try {
+    const { bookId } = req.params;
+
+    const queue = await prisma.reservation.findMany({
+      where: {
+        bookId,
+        status: { in: ACTIVE_RESERVATION_STATUSES }
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            fullName: true,
+            email: true
+          }
+        },
+        copy: true,
+        pickupBranch: true
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    // Ready holds first, then holds on their way to a pickup branch, then pending holds in FIFO order
+    const ready = queue.filter(r => r.status === 'READY');
+    const inTransit = queue.filter(r => r.status === 'IN_TRANSIT');
+    const pending = queue
+      .filter(r => r.status === 'PENDING')
+      .map((reservation, index) => ({ ...reservation, queuePosition: index + 1 }));
+
+    res.json({
+      success: true,
+      data: {
+        ready,
+        inTransit,
+        pending
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single reservation
+ * GET /api/reservations/:id
+ */
+export const getReservationById = async (req, res, next) => {
+  try {
+    const reservation = await findAccessibleReservation(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        ...reservation,
+        queuePosition: await getQueuePosition(reservation)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a reservation
+ * POST /api/reservations/:id/cancel
+ */
+export const cancelReservation = async (req, res, next) => {
+  try {
+    const reservation = await findAccessibleReservation(req.params.id, req.user);
+
+    if (!ACTIVE_RESERVATION_STATUSES.includes(reservation.status)) {
+      throw new AppError('Only pending, in-transit or ready reservations can be cancelled', 'INVALID_STATUS', 400);
+    }
+
+    const updatedReservation = await prisma.reservation.update({
+      where: { id: reservation.id },
+      data: {
+        status: 'CANCELLED',
+        cancelledAt: new Date()
+      }
+    });
+
+    // Pass a held copy on to the next patron in line
+    if (['READY', 'IN_TRANSIT'].includes(reservation.status)) {
+      await releaseHeldCopy(reservation);
+    }
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        bookId: reservation.bookId,
+        action: 'RESERVATION_CANCELLED',
+        oldValue: { status: reservation.status },
+        newValue: { status: 'CANCELLED', reservationId: reservation.id },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: updatedReservation,
+      message: 'Reservation cancelled successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,183 @@
+/**
+ * Session Controller
+ * Lists signed-in sessions and signs them out, for the user themselves or an admin
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import {
+  activeSessionWhere,
+  revokeSession,
+  revokeUserSessions
+} from '../services/session.service.js';
+
+const prisma = new PrismaClient();
+
+// Fields of a session shown to its user and admins
+const SESSION_SELECT = {
+  id: true,
+  deviceName: true,
+  userAgent: true,
+  ipAddress: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true
+};
+
+/**
+ * Get a user's signed-in sessions, most recently used first
+ */
+const listActiveSessions = (userId) => prisma.session.findMany({
+  where: { userId, ...activeSessionWhere() },
+  select: SESSION_SELECT,
+  orderBy: { lastUsedAt: 'desc' }
+});
+
+/**
+ * Get own signed-in sessions
+ * GET /api/auth/sessions
+ */
+export const getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session.id === req.sessionId }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out one of own sessions
+ * DELETE /api/auth/sessions/:sessionId
+ */
+export const revokeMySession = async (req, res, next) => {
+  try {
+    const session = await prisma.session.findFirst({
+      where: { id: req.params.sessionId, userId: req.user.id, ...activeSessionWhere() },
+      select: SESSION_SELECT
+    });
+
+    if (!session) {
+      throw new AppError('Session not found', 'SESSION_NOT_FOUND', 404);
+    }
+
+    await revokeSession(session.id, 'REVOKED');
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'SESSION_REVOKED',
+        oldValue: { sessionId: session.id, deviceName: session.deviceName, ipAddress: session.ipAddress },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      message: session.id === req.sessionId ? 'Logged out successfully' : 'Session signed out'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out all own sessions
+ * Query: keepCurrent=true keeps the session making the request signed in.
+ * DELETE /api/auth/sessions
+ */
+export const revokeMySessions = async (req, res, next) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const revokedSessions = await revokeUserSessions(req.user.id, 'REVOKED', {
+      exceptSessionId: keepCurrent ? req.sessionId : null
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'SESSIONS_REVOKED',
+        newValue: { revokedSessions, keepCurrent },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { revokedSessions },
+      message: `${revokedSessions} session(s) signed out`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's signed-in sessions (admin)
+ * GET /api/users/:id/sessions
+ */
+export const getUserSessions = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { id: true }
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    const sessions = await listActiveSessions(user.id);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out all of a user's sessions (admin)
+ * DELETE /api/users/:id/sessions
+ */
+export const revokeAllUserSessions = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, fullName: true }
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    const revokedSessions = await revokeUserSessions(user.id, 'REVOKED');
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'SESSIONS_REVOKED',
+        newValue: { targetUserId: user.id, revokedSessions },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { revokedSessions },
+      message: `${revokedSessions} session(s) of ${user.fullName} signed out`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
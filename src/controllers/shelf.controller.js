@@ -1,18 +1,28 @@
 import { PrismaClient } from '@prisma/client';
 import { AppError } from '../middleware/error.middleware.js';
-import { generateShelfQRCode } from '../services/qr.service.js';
+import { renderQRImage, withQRCodeUrl } from '../services/qr.service.js';
+import { buildOccupancyReport, getShelfOccupancy, suggestShelves } from '../services/shelf.service.js';
+import { branchShelfFilter, describeShelfPlacement, getLocationSubtreeIds } from '../services/location.service.js';
 
 const prisma = new PrismaClient();
 
 export const getAllShelves = async (req, res, next) => {
   try {
+    const { branchId, locationId } = req.query;
+
+    const where = {
+      ...(branchId && branchShelfFilter(branchId)),
+      ...(locationId && { locationId: { in: await getLocationSubtreeIds(locationId) } })
+    };
+
     const shelves = await prisma.shelf.findMany({
+      where,
       include: {
         _count: { select: { books: true } }
       },
       orderBy: { shelfCode: 'asc' }
     });
-    res.json({ success: true, data: shelves });
+    res.json({ success: true, data: shelves.map(shelf => withQRCodeUrl('SHELF', shelf)) });
   } catch (error) {
     next(error);
   }
@@ -24,7 +34,11 @@ export const getShelfById = async (req, res, next) => {
     const shelf = await prisma.shelf.findUnique({
       where: { id },
       include: {
-        books: { include: { category: true } }
+        place: true,
+        books: {
+          include: { category: true },
+          orderBy: [{ callNumberSort: { sort: 'asc', nulls: 'last' } }, { title: 'asc' }]
+        }
       }
     });
     
@@ -32,7 +46,7 @@ export const getShelfById = async (req, res, next) => {
       throw new AppError('Shelf not found', 'SHELF_NOT_FOUND', 404);
     }
     
-    res.json({ success: true, data: shelf });
+    res.json({ success: true, data: withQRCodeUrl('SHELF', shelf) });
   } catch (error) {
     next(error);
   }
@@ -40,24 +54,22 @@ export const getShelfById = async (req, res, next) => {
 
 export const createShelf = async (req, res, next) => {
   try {
-    const { shelfCode, location, floor, capacity, description } = req.body;
+    const { shelfCode, location, floor, locationId, capacity, description } = req.body;
     
-    if (!shelfCode || !location) {
+    if (!shelfCode || (!location && !locationId)) {
       throw new AppError('Shelf code and location are required', 'VALIDATION_ERROR', 400);
     }
 
+    // A shelf placed in the hierarchy takes its floor and location label from it
+    const placement = await describeShelfPlacement(locationId);
+
     const shelf = await prisma.shelf.create({
-      data: { shelfCode, location, floor, capacity, description }
+      data: { shelfCode, location, floor, locationId, capacity, description, ...placement }
     });
 
-    // Generate QR code
-    await generateShelfQRCode(shelf.id);
-
-    const updatedShelf = await prisma.shelf.findUnique({ where: { id: shelf.id } });
-
     res.status(201).json({
       success: true,
-      data: updatedShelf,
+      data: withQRCodeUrl('SHELF', shelf),
       message: 'Shelf created with QR code'
     });
   } catch (error) {
@@ -70,12 +82,16 @@ export const updateShelf = async (req, res, next) => {
     const { id } = req.params;
     const updates = req.body;
 
+    if (updates.locationId) {
+      Object.assign(updates, await describeShelfPlacement(updates.locationId));
+    }
+
     const shelf = await prisma.shelf.update({
       where: { id },
       data: updates
     });
 
-    res.json({ success: true, data: shelf, message: 'Shelf updated' });
+    res.json({ success: true, data: withQRCodeUrl('SHELF', shelf), message: 'Shelf updated' });
   } catch (error) {
     next(error);
   }
@@ -97,3 +113,56 @@ export const deleteShelf = async (req, res, next) => {
     next(error);
   }
 };
+
+export const getShelfQRImage = async (req, res, next) => {
+  try {
+    const { id, format } = req.params;
+
+    const shelf = await prisma.shelf.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!shelf) {
+      throw new AppError('Shelf not found', 'SHELF_NOT_FOUND', 404);
+    }
+
+    const image = await renderQRImage('SHELF', shelf.id, format, req.query);
+
+    res.set({ 'Cache-Control': image.cacheControl, ETag: image.etag });
+    res.type(image.contentType).send(image.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getShelfOccupancyReport = async (req, res, next) => {
+  try {
+    const { groupBy, branchId, floor, location, status } = req.query;
+
+    const report = await buildOccupancyReport({ groupBy, branchId, floor, location, status });
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getShelfSuggestions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { categoryId, needed = 1, limit = 5 } = req.query;
+
+    const shelf = await getShelfOccupancy(id);
+    const suggestions = await suggestShelves({
+      near: shelf,
+      categoryId,
+      needed: parseInt(needed) || 1,
+      limit: parseInt(limit) || 5
+    });
+
+    res.json({ success: true, data: { shelf, suggestions } });
+  } catch (error) {
+    next(error);
+  }
+};
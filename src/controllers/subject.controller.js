@@ -0,0 +1,89 @@
+/**
+ * Subject Controller
+ * Handles subjects, the topics books are tagged with
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get subjects with their book counts
+ * GET /api/subjects
+ */
+export const getSubjects = async (req, res, next) => {
+  try {
+    const { search } = req.query;
+
+    const subjects = await prisma.subject.findMany({
+      where: search ? { name: { contains: search, mode: 'insensitive' } } : {},
+      include: { _count: { select: { books: true } } },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ success: true, data: subjects });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create subject
+ * POST /api/subjects
+ */
+export const createSubject = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || !name.trim()) {
+      throw new AppError('Subject name is required', 'VALIDATION_ERROR', 400);
+    }
+
+    const subject = await prisma.subject.create({
+      data: { name: name.trim(), description }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: subject,
+      message: 'Subject created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update subject
+ * PUT /api/subjects/:id
+ */
+export const updateSubject = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    const subject = await prisma.subject.update({
+      where: { id },
+      data: { ...(name && { name: name.trim() }), ...(description !== undefined && { description }) }
+    });
+
+    res.json({ success: true, data: subject, message: 'Subject updated' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete subject (its books are untagged)
+ * DELETE /api/subjects/:id
+ */
+export const deleteSubject = async (req, res, next) => {
+  try {
+    await prisma.subject.delete({ where: { id: req.params.id } });
+
+    res.json({ success: true, message: 'Subject deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,383 @@
+/**
+ * Transfer Controller
+ * Handles moving copies between branches, driven by dispatch and receipt scans
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { resolveQRCode } from '../services/qrPayload.service.js';
+import {
+  TRANSFER_INCLUDE,
+  TRANSFER_STATUSES,
+  addTransferItem,
+  dispatchCopy,
+  receiveCopy,
+  releaseTransferItem
+} from '../services/transfer.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get a transfer or throw
+ */
+const findTransfer = async (id) => {
+  const transfer = await prisma.transfer.findUnique({ where: { id } });
+
+  if (!transfer) {
+    throw new AppError('Transfer not found', 'TRANSFER_NOT_FOUND', 404);
+  }
+
+  return transfer;
+};
+
+/**
+ * Get an active branch or throw
+ */
+const findActiveBranch = async (id) => {
+  const branch = await prisma.branch.findUnique({ where: { id } });
+
+  if (!branch) {
+    throw new AppError('Branch not found', 'BRANCH_NOT_FOUND', 404);
+  }
+
+  if (!branch.isActive) {
+    throw new AppError(`Branch ${branch.name} is not active`, 'BRANCH_INACTIVE', 400);
+  }
+
+  return branch;
+};
+
+/**
+ * Work out the copy a request refers to: scanned QR, copy ID or accession number
+ */
+const resolveScannedCopyId = async ({ qrData, copyId, accessionNumber }) => {
+  if (qrData) {
+    return (await resolveQRCode(qrData, 'COPY')).id;
+  }
+
+  if (copyId) {
+    return copyId;
+  }
+
+  if (accessionNumber) {
+    const copy = await prisma.bookCopy.findUnique({ where: { accessionNumber } });
+
+    if (!copy) {
+      throw new AppError('Copy not found', 'COPY_NOT_FOUND', 404);
+    }
+
+    return copy.id;
+  }
+
+  throw new AppError('Copy ID, accession number or QR data is required', 'VALIDATION_ERROR', 400);
+};
+
+/**
+ * Get transfers
+ * GET /api/transfers
+ */
+export const getTransfers = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      fromBranchId,
+      toBranchId,
+      branchId
+    } = req.query;
+
+    if (status && !TRANSFER_STATUSES.includes(status)) {
+      throw new AppError(`Status must be one of ${TRANSFER_STATUSES.join(', ')}`, 'VALIDATION_ERROR', 400);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter (branchId matches transfers in either direction)
+    const where = {};
+    if (status) where.status = status;
+    if (fromBranchId) where.fromBranchId = fromBranchId;
+    if (toBranchId) where.toBranchId = toBranchId;
+    if (branchId) where.OR = [{ fromBranchId: branchId }, { toBranchId: branchId }];
+
+    const [transfers, total] = await Promise.all([
+      prisma.transfer.findMany({
+        where,
+        include: {
+          fromBranch: { select: { id: true, code: true, name: true } },
+          toBranch: { select: { id: true, code: true, name: true } },
+          _count: { select: { items: true } }
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.transfer.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        transfers,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a transfer with its items
+ * GET /api/transfers/:id
+ */
+export const getTransferById = async (req, res, next) => {
+  try {
+    const transfer = await prisma.transfer.findUnique({
+      where: { id: req.params.id },
+      include: TRANSFER_INCLUDE
+    });
+
+    if (!transfer) {
+      throw new AppError('Transfer not found', 'TRANSFER_NOT_FOUND', 404);
+    }
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request a transfer between two branches
+ * POST /api/transfers
+ */
+export const createTransfer = async (req, res, next) => {
+  try {
+    const { fromBranchId, toBranchId, copyIds = [], notes } = req.body;
+
+    if (!fromBranchId || !toBranchId) {
+      throw new AppError('From and to branch IDs are required', 'VALIDATION_ERROR', 400);
+    }
+
+    if (fromBranchId === toBranchId) {
+      throw new AppError('A transfer must go to a different branch', 'VALIDATION_ERROR', 400);
+    }
+
+    if (!Array.isArray(copyIds)) {
+      throw new AppError('copyIds must be an array', 'VALIDATION_ERROR', 400);
+    }
+
+    await Promise.all([findActiveBranch(fromBranchId), findActiveBranch(toBranchId)]);
+
+    const transfer = await prisma.transfer.create({
+      data: {
+        fromBranchId,
+        toBranchId,
+        notes,
+        requestedById: req.user.id
+      }
+    });
+
+    for (const copyId of copyIds) {
+      await addTransferItem(transfer, copyId);
+    }
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'TRANSFER_REQUESTED',
+        newValue: {
+          transferId: transfer.id,
+          fromBranchId,
+          toBranchId,
+          copies: copyIds.length
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await prisma.transfer.findUnique({ where: { id: transfer.id }, include: TRANSFER_INCLUDE }),
+      message: 'Transfer requested successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a copy to a transfer before it is dispatched
+ * POST /api/transfers/:id/items
+ */
+export const addTransferCopy = async (req, res, next) => {
+  try {
+    const transfer = await findTransfer(req.params.id);
+    const copyId = await resolveScannedCopyId(req.body);
+
+    const item = await addTransferItem(transfer, copyId);
+
+    res.status(201).json({
+      success: true,
+      data: item,
+      message: 'Copy added to transfer'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take a copy out of a transfer before it is dispatched
+ * DELETE /api/transfers/:id/items/:itemId
+ */
+export const removeTransferCopy = async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const item = await prisma.transferItem.findUnique({
+      where: { id: itemId },
+      include: { copy: true }
+    });
+
+    if (!item || item.transferId !== id) {
+      throw new AppError('Transfer item not found', 'TRANSFER_ITEM_NOT_FOUND', 404);
+    }
+
+    if (item.status !== 'PENDING') {
+      throw new AppError('Only copies that have not been dispatched can be removed', 'INVALID_STATUS', 400);
+    }
+
+    await releaseTransferItem(item);
+
+    res.json({
+      success: true,
+      message: 'Copy removed from transfer'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dispatch a scanned copy from the sending branch
+ * POST /api/transfers/dispatch
+ */
+export const dispatchTransferCopy = async (req, res, next) => {
+  try {
+    const copyId = await resolveScannedCopyId(req.body);
+
+    const outcome = await dispatchCopy(copyId, {
+      actorId: req.user.id,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      data: outcome,
+      message: outcome.result === 'DISPATCHED'
+        ? `Dispatched to ${outcome.transfer.toBranch.name}`
+        : `Already in transit to ${outcome.transfer.toBranch.name}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive a scanned copy at the destination branch onto a scanned shelf
+ * POST /api/transfers/receive
+ */
+export const receiveTransferCopy = async (req, res, next) => {
+  try {
+    const { shelfQrData } = req.body;
+    let { shelfId } = req.body;
+
+    const copyId = await resolveScannedCopyId(req.body);
+
+    if (shelfQrData) {
+      shelfId = (await resolveQRCode(shelfQrData, 'SHELF')).id;
+    }
+
+    const { warning, ...outcome } = await receiveCopy(copyId, {
+      shelfId,
+      actorId: req.user.id,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      data: outcome,
+      message: outcome.result === 'HOLD_READY'
+        ? 'Received; place the copy on the hold shelf'
+        : `Received at ${outcome.transfer.toBranch.name}`,
+      ...(warning && { warning })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a transfer that has not been dispatched
+ * POST /api/transfers/:id/cancel
+ */
+export const cancelTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findTransfer(req.params.id);
+
+    if (transfer.status !== 'REQUESTED') {
+      throw new AppError('Only transfers that have not been dispatched can be cancelled', 'INVALID_STATUS', 400);
+    }
+
+    const items = await prisma.transferItem.findMany({
+      where: { transferId: transfer.id, status: 'PENDING' },
+      include: { copy: true }
+    });
+
+    for (const item of items) {
+      await releaseTransferItem(item);
+    }
+
+    const cancelled = await prisma.transfer.update({
+      where: { id: transfer.id },
+      data: {
+        status: 'CANCELLED',
+        cancelledAt: new Date()
+      },
+      include: TRANSFER_INCLUDE
+    });
+
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'TRANSFER_CANCELLED',
+        oldValue: { status: transfer.status },
+        newValue: {
+          transferId: transfer.id,
+          copiesReleased: items.length
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      success: true,
+      data: cancelled,
+      message: 'Transfer cancelled successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,13 +1,39 @@
 /**
  * Authentication Middleware
- * Handles JWT token validation and role-based access control
+ * Handles JWT token validation, session checks, role-based access control and kiosk device keys
  */
 
 import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
+import { hashKioskKey } from '../services/kiosk.service.js';
 
 const prisma = new PrismaClient();
 
+/**
+ * Get the session an access token was issued for, with its user
+ * Tokens issued before sessions existed carry no session and are refused.
+ */
+const findTokenSession = (decoded) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  return prisma.session.findFirst({
+    where: { id: decoded.sid, userId: decoded.userId },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          fullName: true,
+          role: true,
+          status: true
+        }
+      }
+    }
+  });
+};
+
 /**
  * Verify JWT token and attach user to request
  */
@@ -31,28 +57,31 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Get user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        fullName: true,
-        role: true,
-        status: true
-      }
-    });
+    // Get the session and its user from database
+    const session = await findTokenSession(decoded);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid authentication token'
+        }
+      });
+    }
 
-    if (!user) {
+    if (session.revokedAt || session.expiresAt <= new Date()) {
       return res.status(401).json({
         success: false,
         error: {
-          code: 'USER_NOT_FOUND',
-          message: 'User not found'
+          code: 'SESSION_REVOKED',
+          message: 'This session has been signed out'
         }
       });
     }
 
+    const { user } = session;
+
     if (user.status !== 'ACTIVE') {
       return res.status(403).json({
         success: false,
@@ -63,8 +92,9 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -141,25 +171,82 @@ export const optionalAuthenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7);
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await findTokenSession(decoded);
+
+    if (
+      session
+      && !session.revokedAt
+      && session.expiresAt > new Date()
+      && session.user.status === 'ACTIVE'
+    ) {
+      req.user = session.user;
+      req.sessionId = session.id;
+    }
 
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        fullName: true,
-        role: true,
-        status: true
-      }
+    next();
+  } catch (error) {
+    // Silently fail for optional auth
+    next();
+  }
+};
+
+/**
+ * Verify a self-checkout kiosk's device key (X-Kiosk-Key header) and attach the device to request
+ */
+export const authenticateKiosk = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-kiosk-key'];
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'NO_KIOSK_KEY',
+          message: 'Kiosk device key is required'
+        }
+      });
+    }
+
+    const device = await prisma.kioskDevice.findUnique({
+      where: { apiKeyHash: hashKioskKey(apiKey) }
     });
 
-    if (user && user.status === 'ACTIVE') {
-      req.user = user;
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_KIOSK_KEY',
+          message: 'Invalid kiosk device key'
+        }
+      });
+    }
+
+    if (!device.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'KIOSK_DISABLED',
+          message: 'This kiosk has been disabled'
+        }
+      });
     }
 
+    await prisma.kioskDevice.update({
+      where: { id: device.id },
+      data: { lastSeenAt: new Date() }
+    });
+
+    // Attach device to request
+    req.kiosk = device;
     next();
   } catch (error) {
-    // Silently fail for optional auth
-    next();
+    console.error('Kiosk authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'AUTH_ERROR',
+        message: 'Authentication failed'
+      }
+    });
   }
 };
@@ -26,6 +26,17 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Request body over the route's size limit
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      error: {
+        code: 'FILE_TOO_LARGE',
+        message: `Request body must not be larger than ${Math.floor(err.limit / 1024)} KB`
+      }
+    });
+  }
+
   // Validation errors
   if (err.name === 'ValidationError') {
     return res.status(400).json({
@@ -44,6 +55,7 @@ export const errorHandler = (err, req, res, next) => {
     error: {
       code: err.code || 'INTERNAL_ERROR',
       message: err.message || 'An unexpected error occurred',
+      ...(err.details && { details: err.details }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     }
   });
@@ -53,10 +65,11 @@ export const errorHandler = (err, req, res, next) => {
  * Create a custom error
  */
 export class AppError extends Error {
-  constructor(message, code, status = 500) {
+  constructor(message, code, status = 500, details = null) {
     super(message);
     this.code = code;
     this.status = status;
+    this.details = details;
     this.isOperational = true;
   }
 }
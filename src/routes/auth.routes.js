@@ -8,8 +8,15 @@ import {
   login,
   getCurrentUser,
   updateProfile,
-  changePassword
+  changePassword,
+  refresh,
+  logout
 } from '../controllers/auth.controller.js';
+import {
+  getMySessions,
+  revokeMySession,
+  revokeMySessions
+} from '../controllers/session.controller.js';
 import { authenticate } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
@@ -17,10 +24,17 @@ const router = express.Router();
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
 
 // Protected routes
 router.get('/me', authenticate, getCurrentUser);
 router.put('/profile', authenticate, updateProfile);
 router.put('/change-password', authenticate, changePassword);
+router.post('/logout', authenticate, logout);
+
+// Sessions
+router.get('/sessions', authenticate, getMySessions);
+router.delete('/sessions', authenticate, revokeMySessions);
+router.delete('/sessions/:sessionId', authenticate, revokeMySession);
 
 export default router;
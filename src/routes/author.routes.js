@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getAuthors,
+  getAuthorById,
+  createAuthor,
+  updateAuthor,
+  deleteAuthor
+} from '../controllers/author.controller.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, getAuthors);
+router.get('/:id', authenticate, getAuthorById);
+router.post('/', authenticate, authorize('ADMIN', 'STAFF'), createAuthor);
+router.put('/:id', authenticate, authorize('ADMIN', 'STAFF'), updateAuthor);
+router.delete('/:id', authenticate, authorize('ADMIN'), deleteAuthor);
+
+export default router;
@@ -5,9 +5,31 @@ import {
   createBook,
   updateBook,
   deleteBook,
-  regenerateQRCode,
-  getBookStats
+  getBookQRImage,
+  getBookStats,
+  lookupBook,
+  suggestBookTitles
 } from '../controllers/book.controller.js';
+import {
+  getBookCopies,
+  getCopyById,
+  createCopy,
+  updateCopy,
+  deleteCopy,
+  getCopyQRImage
+} from '../controllers/copy.controller.js';
+import {
+  importBooks,
+  exportBooks
+} from '../controllers/catalogImport.controller.js';
+import {
+  uploadBookCover,
+  removeBookCover
+} from '../controllers/cover.controller.js';
+import {
+  addDigitalResource,
+  removeDigitalResource
+} from '../controllers/digitalResource.controller.js';
 import { authenticate, authorize } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
@@ -18,10 +40,50 @@ router.get('/public/:id', getBookById);
 // Protected endpoints
 router.get('/', authenticate, getAllBooks);
 router.get('/stats', authenticate, getBookStats);
+router.get('/suggest', authenticate, suggestBookTitles);
+router.get('/lookup', authenticate, authorize('ADMIN', 'STAFF'), lookupBook);
+router.get('/export', authenticate, authorize('ADMIN', 'STAFF'), exportBooks);
 router.get('/:id', authenticate, getBookById);
+router.get('/:id/qr.:format(png|svg)', authenticate, getBookQRImage);
 router.post('/', authenticate, authorize('ADMIN', 'STAFF'), createBook);
 router.put('/:id', authenticate, authorize('ADMIN', 'STAFF'), updateBook);
 router.delete('/:id', authenticate, authorize('ADMIN'), deleteBook);
-router.post('/:id/regenerate-qr', authenticate, authorize('ADMIN', 'STAFF'), regenerateQRCode);
+
+// Bulk import (the file is the raw request body, whatever its Content-Type)
+router.post(
+  '/import',
+  authenticate,
+  authorize('ADMIN', 'STAFF'),
+  express.raw({ type: () => true, limit: '20mb' }),
+  importBooks
+);
+
+// Cover image (the image is the raw request body; type and MAX_FILE_SIZE are checked on upload)
+router.put(
+  '/:id/cover',
+  authenticate,
+  authorize('ADMIN', 'STAFF'),
+  express.raw({ type: () => true, limit: '20mb' }),
+  uploadBookCover
+);
+router.delete('/:id/cover', authenticate, authorize('ADMIN', 'STAFF'), removeBookCover);
+
+// Files and links of digital items (a file is the raw request body, a link is JSON)
+router.post(
+  '/:id/resources',
+  authenticate,
+  authorize('ADMIN', 'STAFF'),
+  express.raw({ type: () => true, limit: '250mb' }),
+  addDigitalResource
+);
+router.delete('/:id/resources/:resourceId', authenticate, authorize('ADMIN', 'STAFF'), removeDigitalResource);
+
+// Copy endpoints
+router.get('/:id/copies', authenticate, getBookCopies);
+router.get('/:id/copies/:copyId', authenticate, getCopyById);
+router.get('/:id/copies/:copyId/qr.:format(png|svg)', authenticate, getCopyQRImage);
+router.post('/:id/copies', authenticate, authorize('ADMIN', 'STAFF'), createCopy);
+router.put('/:id/copies/:copyId', authenticate, authorize('ADMIN', 'STAFF'), updateCopy);
+router.delete('/:id/copies/:copyId', authenticate, authorize('ADMIN'), deleteCopy);
 
 export default router;
@@ -1,11 +1,16 @@
 import express from 'express';
 import {
   borrowBook,
+  borrowDigitalItem,
+  getDownloadLinks,
+  downloadDigitalResource,
   returnBook,
+  markBorrowingLost,
   getAllBorrowings,
   getUserBorrowings,
   getOverdueBorrowings,
   extendBorrowing,
+  renewOwnBorrowing,
   getBorrowingStats
 } from '../controllers/borrowing.controller.js';
 import { authenticate, authorize } from '../middleware/auth.middleware.js';
@@ -14,10 +19,19 @@ const router = express.Router();
 
 router.post('/borrow', authenticate, authorize('ADMIN', 'STAFF'), borrowBook);
 router.post('/return/:borrowingId', authenticate, authorize('ADMIN', 'STAFF'), returnBook);
+router.post('/:borrowingId/lost', authenticate, authorize('ADMIN', 'STAFF'), markBorrowingLost);
 router.get('/', authenticate, getAllBorrowings);
 router.get('/overdue', authenticate, authorize('ADMIN', 'STAFF'), getOverdueBorrowings);
 router.get('/stats', authenticate, getBorrowingStats);
 router.get('/user/:userId', authenticate, getUserBorrowings);
 router.put('/:borrowingId/extend', authenticate, authorize('ADMIN', 'STAFF'), extendBorrowing);
+router.post('/:borrowingId/renew', authenticate, renewOwnBorrowing);
+
+// E-lending
+router.post('/digital', authenticate, borrowDigitalItem);
+router.get('/:borrowingId/download-links', authenticate, getDownloadLinks);
+
+// Signed download links work without a login (the signature grants access)
+router.get('/:borrowingId/download/:resourceId', downloadDigitalResource);
 
 export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getBranches,
+  getBranchById,
+  createBranch,
+  updateBranch,
+  deleteBranch,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getBranchStaff,
+  assignBranchStaff,
+  removeBranchStaff
+} from '../controllers/branch.controller.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, getBranches);
+router.get('/:id', authenticate, getBranchById);
+router.post('/', authenticate, authorize('ADMIN'), createBranch);
+router.put('/:id', authenticate, authorize('ADMIN'), updateBranch);
+router.delete('/:id', authenticate, authorize('ADMIN'), deleteBranch);
+
+// Floors, rooms and ranges
+router.post('/:id/locations', authenticate, authorize('ADMIN'), createLocation);
+router.put('/:id/locations/:locationId', authenticate, authorize('ADMIN'), updateLocation);
+router.delete('/:id/locations/:locationId', authenticate, authorize('ADMIN'), deleteLocation);
+
+// Staff assignment
+router.get('/:id/staff', authenticate, authorize('ADMIN', 'STAFF'), getBranchStaff);
+router.post('/:id/staff', authenticate, authorize('ADMIN'), assignBranchStaff);
+router.delete('/:id/staff/:userId', authenticate, authorize('ADMIN'), removeBranchStaff);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getAllFines,
+  getUserBalance,
+  getFineById,
+  payFine,
+  waiveFine,
+  getFinePolicies,
+  createFinePolicy,
+  updateFinePolicy,
+  deleteFinePolicy
+} from '../controllers/fine.controller.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Fine policies
+router.get('/policies', authenticate, authorize('ADMIN', 'STAFF'), getFinePolicies);
+router.post('/policies', authenticate, authorize('ADMIN'), createFinePolicy);
+router.put('/policies/:id', authenticate, authorize('ADMIN'), updateFinePolicy);
+router.delete('/policies/:id', authenticate, authorize('ADMIN'), deleteFinePolicy);
+
+// Fine ledger
+router.get('/', authenticate, getAllFines);
+router.get('/user/:userId/balance', authenticate, getUserBalance);
+router.get('/:id', authenticate, getFineById);
+router.post('/:id/pay', authenticate, authorize('ADMIN', 'STAFF'), payFine);
+router.post('/:id/waive', authenticate, authorize('ADMIN', 'STAFF'), waiveFine);
+
+export default router;
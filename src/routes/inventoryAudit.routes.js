@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getInventoryAudits,
+  startInventoryAudit,
+  getInventoryAudit,
+  recordInventoryScan,
+  removeInventoryScan,
+  closeInventoryAudit,
+  cancelInventoryAudit,
+  getInventoryAuditReport,
+  resolveInventoryFinding
+} from '../controllers/inventoryAudit.controller.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, authorize('ADMIN', 'STAFF'), getInventoryAudits);
+router.post('/', authenticate, authorize('ADMIN', 'STAFF'), startInventoryAudit);
+router.get('/:id', authenticate, authorize('ADMIN', 'STAFF'), getInventoryAudit);
+router.get('/:id/report', authenticate, authorize('ADMIN', 'STAFF'), getInventoryAuditReport);
+router.post('/:id/scans', authenticate, authorize('ADMIN', 'STAFF'), recordInventoryScan);
+router.delete('/:id/scans/:scanId', authenticate, authorize('ADMIN', 'STAFF'), removeInventoryScan);
+router.post('/:id/close', authenticate, authorize('ADMIN', 'STAFF'), closeInventoryAudit);
+router.post('/:id/cancel', authenticate, authorize('ADMIN', 'STAFF'), cancelInventoryAudit);
+router.post('/:id/findings/:findingId/resolve', authenticate, authorize('ADMIN', 'STAFF'), resolveInventoryFinding);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getKioskDevices,
+  createKioskDevice,
+  updateKioskDevice,
+  rotateKioskKey,
+  deleteKioskDevice,
+  startKioskSession,
+  getKioskSession,
+  addKioskSessionItem,
+  removeKioskSessionItem,
+  commitKioskSession,
+  cancelKioskSession
+} from '../controllers/kiosk.controller.js';
+import { authenticate, authenticateKiosk, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Device management (staff JWT)
+router.get('/devices', authenticate, authorize('ADMIN'), getKioskDevices);
+router.post('/devices', authenticate, authorize('ADMIN'), createKioskDevice);
+router.put('/devices/:id', authenticate, authorize('ADMIN'), updateKioskDevice);
+router.post('/devices/:id/rotate-key', authenticate, authorize('ADMIN'), rotateKioskKey);
+router.delete('/devices/:id', authenticate, authorize('ADMIN'), deleteKioskDevice);
+
+// Self-checkout sessions (kiosk device key)
+router.post('/sessions', authenticateKiosk, startKioskSession);
+router.get('/sessions/:id', authenticateKiosk, getKioskSession);
+router.post('/sessions/:id/items', authenticateKiosk, addKioskSessionItem);
+router.delete('/sessions/:id/items/:itemId', authenticateKiosk, removeKioskSessionItem);
+router.post('/sessions/:id/commit', authenticateKiosk, commitKioskSession);
+router.post('/sessions/:id/cancel', authenticateKiosk, cancelKioskSession);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getLoanPolicies,
+  resolvePolicy,
+  getLoanPolicyById,
+  createLoanPolicy,
+  updateLoanPolicy,
+  deleteLoanPolicy
+} from '../controllers/loanPolicy.controller.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, authorize('ADMIN', 'STAFF'), getLoanPolicies);
+router.get('/resolve', authenticate, authorize('ADMIN', 'STAFF'), resolvePolicy);
+router.get('/:id', authenticate, authorize('ADMIN', 'STAFF'), getLoanPolicyById);
+router.post('/', authenticate, authorize('ADMIN'), createLoanPolicy);
+router.put('/:id', authenticate, authorize('ADMIN'), updateLoanPolicy);
+router.delete('/:id', authenticate, authorize('ADMIN'), deleteLoanPolicy);
+
+export default router;
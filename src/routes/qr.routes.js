@@ -1,11 +1,31 @@
 import express from 'express';
-import { validateQR, scanBookQR, scanShelfQR } from '../controllers/qr.controller.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import {
+  validateQR,
+  scanBookQR,
+  scanCopyQR,
+  scanShelfQR,
+  scanUserQR,
+  printQRLabels,
+  startRelocation,
+  scanRelocationItem,
+  getRelocation,
+  closeRelocation
+} from '../controllers/qr.controller.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
 router.post('/validate', authenticate, validateQR);
 router.post('/scan/book', authenticate, scanBookQR);
+router.post('/scan/copy', authenticate, scanCopyQR);
 router.post('/scan/shelf', authenticate, scanShelfQR);
+router.post('/scan/user', authenticate, authorize('ADMIN', 'STAFF'), scanUserQR);
+router.post('/labels', authenticate, authorize('ADMIN', 'STAFF'), printQRLabels);
+
+// Relocation mode: scan a shelf, then the books moving onto it
+router.post('/relocations', authenticate, authorize('ADMIN', 'STAFF'), startRelocation);
+router.get('/relocations/:id', authenticate, authorize('ADMIN', 'STAFF'), getRelocation);
+router.post('/relocations/:id/scan', authenticate, authorize('ADMIN', 'STAFF'), scanRelocationItem);
+router.post('/relocations/:id/close', authenticate, authorize('ADMIN', 'STAFF'), closeRelocation);
 
 export default router;
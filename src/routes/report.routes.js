@@ -1,17 +1,22 @@
 import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.middleware.js';
-import { PrismaClient } from '@prisma/client';
+import { Prisma, PrismaClient } from '@prisma/client';
+import { branchShelfFilter } from '../services/location.service.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Most borrowed books
+// Most borrowed books (optionally lent from one branch)
 router.get('/most-borrowed', authenticate, async (req, res, next) => {
   try {
+    const { branchId } = req.query;
+    const branchFilter = branchId ? Prisma.sql`WHERE bo.branch_id = ${branchId}` : Prisma.empty;
+
     const result = await prisma.$queryRaw`
       SELECT b.id, b.title, b.author, COUNT(bo.id)::int as borrow_count
       FROM books b
       INNER JOIN borrowing bo ON b.id = bo.book_id
+      ${branchFilter}
       GROUP BY b.id, b.title, b.author
       ORDER BY borrow_count DESC
       LIMIT 10
@@ -22,15 +27,21 @@ router.get('/most-borrowed', authenticate, async (req, res, next) => {
   }
 });
 
-// Dashboard stats
+// Dashboard stats (optionally for one branch)
 router.get('/dashboard', authenticate, async (req, res, next) => {
   try {
+    const { branchId } = req.query;
+    const branch = branchId ? { branchId } : {};
+
     const [totalBooks, totalUsers, activeBorrowings, overdueBooks] = await Promise.all([
-      prisma.book.count(),
+      prisma.book.count({
+        where: branchId ? { copies: { some: { shelf: branchShelfFilter(branchId) } } } : {}
+      }),
       prisma.user.count(),
-      prisma.borrowing.count({ where: { status: 'BORROWED' } }),
+      prisma.borrowing.count({ where: { ...branch, status: 'BORROWED' } }),
       prisma.borrowing.count({
         where: {
+          ...branch,
           status: 'BORROWED',
           expectedReturnDate: { lt: new Date() }
         }
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  createReservation,
+  getAllReservations,
+  getBookQueue,
+  getReservationById,
+  cancelReservation
+} from '../controllers/reservation.controller.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.post('/', authenticate, createReservation);
+router.get('/', authenticate, getAllReservations);
+router.get('/book/:bookId', authenticate, authorize('ADMIN', 'STAFF'), getBookQueue);
+router.get('/:id', authenticate, getReservationById);
+router.post('/:id/cancel', authenticate, cancelReservation);
+
+export default router;
@@ -1,11 +1,23 @@
 import express from 'express';
-import { getAllShelves, getShelfById, createShelf, updateShelf, deleteShelf } from '../controllers/shelf.controller.js';
+import {
+  getAllShelves,
+  getShelfById,
+  createShelf,
+  updateShelf,
+  deleteShelf,
+  getShelfQRImage,
+  getShelfOccupancyReport,
+  getShelfSuggestions
+} from '../controllers/shelf.controller.js';
 import { authenticate, authorize } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
 router.get('/', authenticate, getAllShelves);
+router.get('/occupancy', authenticate, authorize('ADMIN', 'STAFF'), getShelfOccupancyReport);
 router.get('/:id', authenticate, getShelfById);
+router.get('/:id/qr.:format(png|svg)', authenticate, getShelfQRImage);
+router.get('/:id/suggestions', authenticate, authorize('ADMIN', 'STAFF'), getShelfSuggestions);
 router.post('/', authenticate, authorize('ADMIN', 'STAFF'), createShelf);
 router.put('/:id', authenticate, authorize('ADMIN', 'STAFF'), updateShelf);
 router.delete('/:id', authenticate, authorize('ADMIN'), deleteShelf);
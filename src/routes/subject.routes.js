@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getSubjects,
+  createSubject,
+  updateSubject,
+  deleteSubject
+} from '../controllers/subject.controller.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, getSubjects);
+router.post('/', authenticate, authorize('ADMIN', 'STAFF'), createSubject);
+router.put('/:id', authenticate, authorize('ADMIN', 'STAFF'), updateSubject);
+router.delete('/:id', authenticate, authorize('ADMIN'), deleteSubject);
+
+export default router;
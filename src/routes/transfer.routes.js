@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getTransfers,
+  getTransferById,
+  createTransfer,
+  addTransferCopy,
+  removeTransferCopy,
+  dispatchTransferCopy,
+  receiveTransferCopy,
+  cancelTransfer
+} from '../controllers/transfer.controller.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, authorize('ADMIN', 'STAFF'), getTransfers);
+router.post('/', authenticate, authorize('ADMIN', 'STAFF'), createTransfer);
+
+// Dispatch and receipt scans
+router.post('/dispatch', authenticate, authorize('ADMIN', 'STAFF'), dispatchTransferCopy);
+router.post('/receive', authenticate, authorize('ADMIN', 'STAFF'), receiveTransferCopy);
+
+router.get('/:id', authenticate, authorize('ADMIN', 'STAFF'), getTransferById);
+router.post('/:id/items', authenticate, authorize('ADMIN', 'STAFF'), addTransferCopy);
+router.delete('/:id/items/:itemId', authenticate, authorize('ADMIN', 'STAFF'), removeTransferCopy);
+router.post('/:id/cancel', authenticate, authorize('ADMIN', 'STAFF'), cancelTransfer);
+
+export default router;
@@ -1,6 +1,16 @@
 import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.middleware.js';
 import { PrismaClient } from '@prisma/client';
+import {
+  getUserCard,
+  getUserCardImage,
+  issueUserCard,
+  revokeUserCard
+} from '../controllers/libraryCard.controller.js';
+import {
+  getUserSessions,
+  revokeAllUserSessions
+} from '../controllers/session.controller.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -46,4 +56,15 @@ router.get('/:id', authenticate, async (req, res, next) => {
   }
 });
 
+// Library cards
+router.get('/:id/card', authenticate, getUserCard);
+router.get('/:id/card/image', authenticate, getUserCardImage);
+router.get('/:id/card/qr.:format(png|svg)', authenticate, getUserCardImage);
+router.post('/:id/card', authenticate, authorize('ADMIN', 'STAFF'), issueUserCard);
+router.post('/:id/card/revoke', authenticate, authorize('ADMIN', 'STAFF'), revokeUserCard);
+
+// Sessions
+router.get('/:id/sessions', authenticate, authorize('ADMIN'), getUserSessions);
+router.delete('/:id/sessions', authenticate, authorize('ADMIN'), revokeAllUserSessions);
+
 export default router;
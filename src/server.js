@@ -6,6 +6,7 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import path from 'path';
 import authRoutes from './routes/auth.routes.js';
 import userRoutes from './routes/user.routes.js';
 import bookRoutes from './routes/book.routes.js';
@@ -15,12 +16,29 @@ import borrowingRoutes from './routes/borrowing.routes.js';
 import qrRoutes from './routes/qr.routes.js';
 import reportRoutes from './routes/report.routes.js';
 import notificationRoutes from './routes/notification.routes.js';
+import reservationRoutes from './routes/reservation.routes.js';
+import fineRoutes from './routes/fine.routes.js';
+import loanPolicyRoutes from './routes/loanPolicy.routes.js';
+import kioskRoutes from './routes/kiosk.routes.js';
+import inventoryAuditRoutes from './routes/inventoryAudit.routes.js';
+import branchRoutes from './routes/branch.routes.js';
+import transferRoutes from './routes/transfer.routes.js';
+import authorRoutes from './routes/author.routes.js';
+import subjectRoutes from './routes/subject.routes.js';
 import { errorHandler } from './middleware/error.middleware.js';
+import { LOCAL_STORAGE_ROUTE, PUBLIC_STORAGE_PREFIXES, getUploadDir } from './services/storage.service.js';
 import { startOverdueChecker } from './services/overdue.service.js';
+import { startReservationExpiryChecker } from './services/reservation.service.js';
+import { startDigitalLoanExpiryChecker } from './services/digitalLending.service.js';
+import { startSessionCleanup } from './services/session.service.js';
+import { getSigningKeys } from './services/qrSignature.service.js';
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start with malformed QR signing keys rather than sign with a cut-short secret
+getSigningKeys();
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -47,6 +65,15 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public files kept by the local storage adapter (keys never change, so they cache well)
+for (const prefix of PUBLIC_STORAGE_PREFIXES) {
+  app.use(`${LOCAL_STORAGE_ROUTE}/${prefix}`, express.static(path.join(getUploadDir(), prefix), {
+    immutable: true,
+    maxAge: '365d',
+    index: false
+  }));
+}
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -57,6 +84,15 @@ app.use('/api/borrowing', borrowingRoutes);
 app.use('/api/qr', qrRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/fines', fineRoutes);
+app.use('/api/loan-policies', loanPolicyRoutes);
+app.use('/api/kiosk', kioskRoutes);
+app.use('/api/inventory-audits', inventoryAuditRoutes);
+app.use('/api/branches', branchRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/subjects', subjectRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -88,6 +124,12 @@ app.listen(PORT, () => {
   // Start background services
   startOverdueChecker();
   console.log('✓ Overdue checker service started');
+  startReservationExpiryChecker();
+  console.log('✓ Reservation expiry checker service started');
+  startDigitalLoanExpiryChecker();
+  console.log('✓ E-loan expiry checker service started');
+  startSessionCleanup();
+  console.log('✓ Session cleanup service started');
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,305 @@
+/**
+ * Bibliography Service
+ * Authors and other contributors, subjects, series and descriptive fields of books
+ *
+ * A book's `author` column keeps the printed author statement
+ * ("Thomas H. Cormen, Charles E. Leiserson") for lists, labels and notices. It is
+ * rewritten from the book's contributors whenever they change.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+
+const prisma = new PrismaClient();
+
+export const CONTRIBUTOR_ROLES = ['AUTHOR', 'EDITOR', 'TRANSLATOR', 'ILLUSTRATOR'];
+
+const ROLE_ABBREVIATIONS = {
+  EDITOR: 'ed.',
+  TRANSLATOR: 'tr.',
+  ILLUSTRATOR: 'ill.'
+};
+
+// Contributors in credit order, with their author records
+export const BOOK_AUTHORS_INCLUDE = {
+  include: { author: true },
+  orderBy: { position: 'asc' }
+};
+
+export const BOOK_SUBJECTS_INCLUDE = {
+  include: { subject: true }
+};
+
+/**
+ * Find a record by name, ignoring case, or create it
+ */
+const findOrCreateByName = async (model, name, db) => {
+  const existing = await db[model].findFirst({
+    where: { name: { equals: name, mode: 'insensitive' } }
+  });
+
+  return existing || db[model].create({ data: { name } });
+};
+
+/**
+ * Resolve the contributors sent for a book
+ *
+ * Each entry is an author name, or { authorId, role } / { name, role }. Names
+ * are matched to existing authors ignoring case, and new authors are created
+ * for the rest. The role defaults to AUTHOR.
+ *
+ * @param {Array} input - Contributors in credit order
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Array<{ authorId, name, role, position }>>}
+ */
+export const resolveContributors = async (input, db = prisma) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new AppError('A book needs at least one author', 'VALIDATION_ERROR', 400);
+  }
+
+  const contributors = [];
+
+  for (const entry of input) {
+    const { authorId, name, role = 'AUTHOR' } = typeof entry === 'string' ? { name: entry } : entry || {};
+
+    if (!CONTRIBUTOR_ROLES.includes(role)) {
+      throw new AppError(`Role must be one of ${CONTRIBUTOR_ROLES.join(', ')}`, 'VALIDATION_ERROR', 400);
+    }
+
+    let author;
+
+    if (authorId) {
+      author = await db.author.findUnique({ where: { id: authorId } });
+
+      if (!author) {
+        throw new AppError(`Author ${authorId} not found`, 'AUTHOR_NOT_FOUND', 404);
+      }
+    } else if (name && name.trim()) {
+      author = await findOrCreateByName('author', name.trim(), db);
+    } else {
+      throw new AppError('Each author needs an authorId or a name', 'VALIDATION_ERROR', 400);
+    }
+
+    // The same person credited twice in one role counts once
+    if (!contributors.some(contributor => contributor.authorId === author.id && contributor.role === role)) {
+      contributors.push({ authorId: author.id, name: author.name, role, position: contributors.length });
+    }
+  }
+
+  return contributors;
+};
+
+/**
+ * Build the printed author statement
+ * Authors are listed by name; when a book has none (an edited volume), the
+ * other contributors are listed with their role, e.g. "Jane Doe (ed.)".
+ * @param {Array} contributors - { name, role } in credit order
+ * @returns {string}
+ */
+export const formatAuthorStatement = (contributors) => {
+  const authors = contributors.filter(contributor => contributor.role === 'AUTHOR');
+
+  if (authors.length > 0) {
+    return authors.map(contributor => contributor.name).join(', ');
+  }
+
+  return contributors
+    .map(contributor => `${contributor.name} (${ROLE_ABBREVIATIONS[contributor.role]})`)
+    .join(', ');
+};
+
+/**
+ * Replace a book's contributors and rewrite its author statement
+ * @param {string} bookId - Book UUID
+ * @param {Array} contributors - From resolveContributors
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<string>} Author statement
+ */
+export const setBookContributors = async (bookId, contributors, db = prisma) => {
+  const author = formatAuthorStatement(contributors);
+
+  await db.bookAuthor.deleteMany({ where: { bookId } });
+  await db.bookAuthor.createMany({
+    data: contributors.map(({ authorId, role, position }) => ({ bookId, authorId, role, position }))
+  });
+  await db.book.update({ where: { id: bookId }, data: { author } });
+
+  return author;
+};
+
+/**
+ * Rewrite the author statement of every book an author contributed to (after a rename)
+ * @param {string} authorId - Author UUID
+ */
+export const refreshAuthorStatements = async (authorId) => {
+  const books = await prisma.book.findMany({
+    where: { authors: { some: { authorId } } },
+    select: { id: true, authors: BOOK_AUTHORS_INCLUDE }
+  });
+
+  for (const book of books) {
+    const author = formatAuthorStatement(
+      book.authors.map(contributor => ({ name: contributor.author.name, role: contributor.role }))
+    );
+
+    await prisma.book.update({ where: { id: book.id }, data: { author } });
+  }
+};
+
+/**
+ * Resolve the subjects sent for a book
+ * Each entry is a subject name, or { subjectId } / { name }; unknown names are created.
+ * @param {Array} input
+ * @returns {Promise<string[]>} Subject UUIDs
+ */
+export const resolveSubjects = async (input, db = prisma) => {
+  if (!Array.isArray(input)) {
+    throw new AppError('Subjects must be a list', 'VALIDATION_ERROR', 400);
+  }
+
+  const subjectIds = [];
+
+  for (const entry of input) {
+    const { subjectId, name } = typeof entry === 'string' ? { name: entry } : entry || {};
+    let subject;
+
+    if (subjectId) {
+      subject = await db.subject.findUnique({ where: { id: subjectId } });
+
+      if (!subject) {
+        throw new AppError(`Subject ${subjectId} not found`, 'SUBJECT_NOT_FOUND', 404);
+      }
+    } else if (name && name.trim()) {
+      subject = await findOrCreateByName('subject', name.trim(), db);
+    } else {
+      throw new AppError('Each subject needs a subjectId or a name', 'VALIDATION_ERROR', 400);
+    }
+
+    if (!subjectIds.includes(subject.id)) {
+      subjectIds.push(subject.id);
+    }
+  }
+
+  return subjectIds;
+};
+
+/**
+ * Replace a book's subjects
+ */
+export const setBookSubjects = async (bookId, subjectIds, db = prisma) => {
+  await db.bookSubject.deleteMany({ where: { bookId } });
+  await db.bookSubject.createMany({
+    data: subjectIds.map(subjectId => ({ bookId, subjectId }))
+  });
+};
+
+/**
+ * Resolve the series of a book from seriesId or a series name (created if new)
+ * @param {Object} body - { seriesId, series }
+ * @returns {Promise<string|null|undefined>} Series UUID, null to clear, undefined when not sent
+ */
+export const resolveSeries = async ({ seriesId, series }, db = prisma) => {
+  if (seriesId === null || series === null) {
+    return null;
+  }
+
+  if (seriesId) {
+    const existing = await db.series.findUnique({ where: { id: seriesId } });
+
+    if (!existing) {
+      throw new AppError('Series not found', 'SERIES_NOT_FOUND', 404);
+    }
+
+    return existing.id;
+  }
+
+  if (typeof series === 'string' && series.trim()) {
+    const existing = await findOrCreateByName('series', series.trim(), db);
+    return existing.id;
+  }
+
+  return undefined;
+};
+
+/**
+ * Check and normalize publisher, edition, language, page count and series number
+ * Only the fields present in the body are returned.
+ * @param {Object} body - Request body
+ * @returns {Object} Book data
+ */
+export const parseBibliographicFields = ({ publisher, edition, language, pageCount, seriesNumber }) => {
+  const data = {};
+
+  if (publisher !== undefined) data.publisher = publisher || null;
+  if (edition !== undefined) data.edition = edition || null;
+
+  if (language !== undefined) {
+    const code = language ? String(language).trim().toLowerCase() : null;
+
+    // ISO 639-1 or 639-2 code, e.g. "en" or "eng"
+    if (code && !/^[a-z]{2,3}$/.test(code)) {
+      throw new AppError('Language must be an ISO 639 code such as "en"', 'VALIDATION_ERROR', 400);
+    }
+
+    data.language = code;
+  }
+
+  if (pageCount !== undefined && pageCount !== null) {
+    if (!Number.isInteger(Number(pageCount)) || Number(pageCount) < 1) {
+      throw new AppError('Page count must be a positive whole number', 'VALIDATION_ERROR', 400);
+    }
+
+    data.pageCount = Number(pageCount);
+  } else if (pageCount === null) {
+    data.pageCount = null;
+  }
+
+  if (seriesNumber !== undefined && seriesNumber !== null) {
+    if (!Number.isFinite(Number(seriesNumber)) || Number(seriesNumber) <= 0) {
+      throw new AppError('Series number must be a positive number', 'VALIDATION_ERROR', 400);
+    }
+
+    data.seriesNumber = Number(seriesNumber);
+  } else if (seriesNumber === null) {
+    data.seriesNumber = null;
+  }
+
+  return data;
+};
+
+/**
+ * Find other books by the same contributors and the rest of the book's series
+ * @param {Object} book - Book with authors and seriesId
+ * @returns {Promise<{ byAuthor: Array, inSeries: Array }>}
+ */
+export const findRelatedBooks = async (book, limit = 5) => {
+  const select = {
+    id: true,
+    title: true,
+    author: true,
+    publicationYear: true,
+    seriesNumber: true,
+    copiesAvailable: true
+  };
+  const authorIds = book.authors.map(contributor => contributor.authorId);
+
+  const [byAuthor, inSeries] = await Promise.all([
+    authorIds.length > 0
+      ? prisma.book.findMany({
+        where: { id: { not: book.id }, authors: { some: { authorId: { in: authorIds } } } },
+        select,
+        orderBy: [{ publicationYear: { sort: 'desc', nulls: 'last' } }, { title: 'asc' }],
+        take: limit
+      })
+      : [],
+    book.seriesId
+      ? prisma.book.findMany({
+        where: { id: { not: book.id }, seriesId: book.seriesId },
+        select,
+        orderBy: [{ seriesNumber: { sort: 'asc', nulls: 'last' } }, { title: 'asc' }]
+      })
+      : []
+  ]);
+
+  return { byAuthor, inSeries };
+};
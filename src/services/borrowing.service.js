@@ -0,0 +1,439 @@
+/**
+ * Borrowing Service
+ * Runs the checkout checks and writes shared by the desk, the self-checkout kiosk
+ * and self-service e-lending
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { ACTIVE_BORROWING_STATUSES, syncBookCopyCounts } from './copy.service.js';
+import { ACTIVE_RESERVATION_STATUSES } from './reservation.service.js';
+import { getFineBlockThreshold, getOutstandingBalance } from './fine.service.js';
+import { resolveLoanPolicy } from './loanPolicy.service.js';
+import { resolveLendingBranchId } from './location.service.js';
+import { createDownloadLinks } from './digitalLending.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Check that a patron may borrow at all (account active, fines under threshold)
+ * @param {string} userId - User UUID
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Object>} User record
+ */
+export const assertPatronCanBorrow = async (userId, db = prisma) => {
+  const user = await db.user.findUnique({
+    where: { id: userId }
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 'USER_NOT_FOUND', 404);
+  }
+
+  if (user.status !== 'ACTIVE') {
+    throw new AppError('User account is not active', 'INACTIVE_USER', 403);
+  }
+
+  // Block borrowing while unpaid fines exceed the threshold
+  const outstandingBalance = await getOutstandingBalance(userId, db);
+  const fineThreshold = getFineBlockThreshold();
+  if (outstandingBalance > fineThreshold) {
+    throw new AppError(
+      `User has ${outstandingBalance.toFixed(2)} in outstanding fines (limit ${fineThreshold.toFixed(2)})`,
+      'FINES_OUTSTANDING',
+      403
+    );
+  }
+
+  return user;
+};
+
+/**
+ * Find the copy to lend and check it can go to this patron
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} params - { userId, bookId, copyId }
+ * @returns {Promise<{ book: Object, copy: Object }>}
+ */
+export const resolveCheckoutCopy = async (db, { userId, bookId, copyId }) => {
+  if (!bookId && !copyId) {
+    throw new AppError('Book ID or copy ID is required', 'VALIDATION_ERROR', 400);
+  }
+
+  // If a specific copy was scanned, it determines the book
+  let copy = null;
+  if (copyId) {
+    copy = await db.bookCopy.findUnique({
+      where: { id: copyId }
+    });
+
+    if (!copy) {
+      throw new AppError('Copy not found', 'COPY_NOT_FOUND', 404);
+    }
+
+    if (bookId && copy.bookId !== bookId) {
+      throw new AppError('Copy does not belong to this book', 'COPY_BOOK_MISMATCH', 400);
+    }
+
+    if (!['AVAILABLE', 'ON_HOLD'].includes(copy.status)) {
+      throw new AppError('This copy is not available for borrowing', 'COPY_NOT_AVAILABLE', 400);
+    }
+
+    bookId = copy.bookId;
+  }
+
+  const book = await db.book.findUnique({
+    where: { id: bookId }
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
+  }
+
+  // A copy on the hold shelf can only go to the patron it is held for
+  const readyReservation = await db.reservation.findFirst({
+    where: { userId, bookId, status: 'READY' }
+  });
+
+  if (copy && copy.status === 'ON_HOLD' && readyReservation?.copyId !== copy.id) {
+    throw new AppError('This copy is on hold for another patron', 'COPY_ON_HOLD', 409);
+  }
+
+  if (!copy && readyReservation?.copyId) {
+    copy = await db.bookCopy.findUnique({
+      where: { id: readyReservation.copyId }
+    });
+  }
+
+  if (!copy) {
+    copy = await db.bookCopy.findFirst({
+      where: { bookId, status: 'AVAILABLE' },
+      orderBy: { copyNumber: 'asc' }
+    });
+
+    if (!copy) {
+      throw new AppError(
+        'No copies available for borrowing. Place a reservation to join the queue',
+        'NO_COPIES_AVAILABLE',
+        400
+      );
+    }
+  }
+
+  return { book, copy };
+};
+
+/**
+ * Apply the patron's loan policy to a new loan
+ * pendingBooks are books already queued for checkout (e.g. in a kiosk session)
+ * and count towards the limits as if they were on loan.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} params - { user, book, borrowDays, pendingBooks }
+ * @returns {Promise<{ policy: Object, expectedReturnDate: Date }>}
+ */
+export const checkLoanPolicy = async (db, { user, book, borrowDays, pendingBooks = [] }) => {
+  // Check if user already has this book borrowed
+  const existingBorrowing = await db.borrowing.findFirst({
+    where: {
+      userId: user.id,
+      bookId: book.id,
+      status: { in: ACTIVE_BORROWING_STATUSES }
+    }
+  });
+
+  if (existingBorrowing || pendingBooks.some(pending => pending.id === book.id)) {
+    throw new AppError('User already has this book borrowed', 'ALREADY_BORROWED', 400);
+  }
+
+  // Resolve the loan rules for this patron and category
+  const policy = await resolveLoanPolicy({ role: user.role, categoryId: book.categoryId });
+
+  if (policy.referenceOnly) {
+    throw new AppError('This book is for reference use only and cannot be borrowed', 'REFERENCE_ONLY', 400);
+  }
+
+  // Check borrowing limits
+  const activeBorrowings = await db.borrowing.count({
+    where: {
+      userId: user.id,
+      status: { in: ACTIVE_BORROWING_STATUSES }
+    }
+  });
+
+  if (activeBorrowings + pendingBooks.length >= policy.maxItems) {
+    throw new AppError(
+      `User has reached the maximum borrowing limit of ${policy.maxItems} books`,
+      'BORROWING_LIMIT_REACHED',
+      400
+    );
+  }
+
+  if (policy.categoryMaxItems !== null && book.categoryId) {
+    const categoryBorrowings = await db.borrowing.count({
+      where: {
+        userId: user.id,
+        status: { in: ACTIVE_BORROWING_STATUSES },
+        book: { categoryId: book.categoryId }
+      }
+    });
+
+    const pendingInCategory = pendingBooks.filter(pending => pending.categoryId === book.categoryId).length;
+    if (categoryBorrowings + pendingInCategory >= policy.categoryMaxItems) {
+      throw new AppError(
+        `User has reached the limit of ${policy.categoryMaxItems} books from this category`,
+        'CATEGORY_LIMIT_REACHED',
+        400
+      );
+    }
+  }
+
+  // Calculate expected return date
+  const days = borrowDays ? parseInt(borrowDays) : policy.loanPeriodDays;
+  if (!days || days < 1) {
+    throw new AppError('Borrow days must be at least 1', 'VALIDATION_ERROR', 400);
+  }
+
+  if (days > policy.loanPeriodDays) {
+    throw new AppError(
+      `Loan period cannot exceed ${policy.loanPeriodDays} days`,
+      'LOAN_PERIOD_EXCEEDED',
+      400
+    );
+  }
+
+  const expectedReturnDate = new Date();
+  expectedReturnDate.setDate(expectedReturnDate.getDate() + days);
+
+  return { policy, expectedReturnDate };
+};
+
+/**
+ * Lend a copy to a patron
+ *
+ * Runs every availability, hold, fine and loan policy check, then claims the
+ * copy and writes the borrowing, audit entry and notification through db so a
+ * caller can lend several copies in one transaction. A copy that was held for
+ * the patron but not taken must be released by the caller once committed.
+ *
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} params - { userId, bookId, copyId, borrowDays, notes, actorId, ipAddress }
+ * @returns {Promise<{ borrowing: Object, releasedReservation: Object|null }>}
+ */
+export const checkoutCopy = async (db, { userId, bookId, copyId, borrowDays, notes, actorId, ipAddress }) => {
+  const { book, copy } = await resolveCheckoutCopy(db, { userId, bookId, copyId });
+  const user = await assertPatronCanBorrow(userId, db);
+  const { policy, expectedReturnDate } = await checkLoanPolicy(db, { user, book, borrowDays });
+
+  // Claim the copy (guards against two desks lending the same copy)
+  const claimed = await db.bookCopy.updateMany({
+    where: { id: copy.id, status: copy.status },
+    data: { status: 'BORROWED' }
+  });
+
+  if (claimed.count === 0) {
+    throw new AppError('This copy is not available for borrowing', 'COPY_NOT_AVAILABLE', 400);
+  }
+
+  // Create borrowing record
+  const borrowing = await db.borrowing.create({
+    data: {
+      userId,
+      bookId: book.id,
+      copyId: copy.id,
+      loanPolicyId: policy.policyId,
+      branchId: await resolveLendingBranchId(db, { shelfId: copy.shelfId, actorId }),
+      borrowDate: new Date(),
+      expectedReturnDate,
+      status: 'BORROWED',
+      notes
+    },
+    include: {
+      user: {
+        select: {
+          id: true,
+          fullName: true,
+          email: true
+        }
+      },
+      book: {
+        include: {
+          category: true,
+          shelf: true
+        }
+      },
+      copy: true
+    }
+  });
+
+  // Update book availability
+  await syncBookCopyCounts(book.id, db);
+
+  // Fulfil the patron's reservation for this book, if any
+  const reservation = await db.reservation.findFirst({
+    where: {
+      userId,
+      bookId: book.id,
+      status: { in: ACTIVE_RESERVATION_STATUSES }
+    }
+  });
+
+  if (reservation) {
+    await db.reservation.update({
+      where: { id: reservation.id },
+      data: { status: 'FULFILLED', fulfilledAt: new Date() }
+    });
+  }
+
+  // Log audit
+  await db.auditLog.create({
+    data: {
+      userId: actorId,
+      bookId: book.id,
+      action: 'BOOK_BORROWED',
+      newValue: {
+        borrower: user.fullName,
+        borrowerId: userId,
+        copyId: copy.id,
+        accessionNumber: copy.accessionNumber,
+        borrowDate: borrowing.borrowDate,
+        expectedReturn: expectedReturnDate
+      },
+      ipAddress
+    }
+  });
+
+  // Create notification for user
+  await db.notification.create({
+    data: {
+      userId,
+      type: 'INFO',
+      title: 'Book Borrowed Successfully',
+      message: `You have borrowed "${book.title}". Please return it by ${expectedReturnDate.toLocaleDateString()}.`,
+      isRead: false
+    }
+  });
+
+  return {
+    borrowing,
+    // The patron took a different copy, so the one held for them goes to the next in line
+    releasedReservation: reservation?.copyId && reservation.copyId !== copy.id ? reservation : null
+  };
+};
+
+/**
+ * Lend a digital item to a patron (an e-loan)
+ *
+ * Runs the same patron and loan policy checks as checkoutCopy, then claims one
+ * of the item's licenses instead of a copy. Must run in a transaction, which
+ * holds a lock on the book until the e-loan is saved. The e-loan ends by itself at its
+ * expected return date; until then the patron gets signed download links.
+ *
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} params - { userId, bookId, borrowDays, notes, actorId, ipAddress }
+ * @returns {Promise<{ borrowing: Object, downloadLinks: Array }>}
+ */
+export const checkoutDigitalItem = async (db, { userId, bookId, borrowDays, notes, actorId, ipAddress }) => {
+  if (!bookId) {
+    throw new AppError('Book ID is required', 'VALIDATION_ERROR', 400);
+  }
+
+  const book = await db.book.findUnique({
+    where: { id: bookId },
+    include: { digitalResources: { orderBy: { createdAt: 'asc' } } }
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
+  }
+
+  if (book.itemType !== 'DIGITAL') {
+    throw new AppError('This book is not a digital item', 'NOT_DIGITAL_ITEM', 400);
+  }
+
+  if (book.digitalResources.length === 0) {
+    throw new AppError('This digital item has no files or links yet', 'NO_DIGITAL_RESOURCES', 409);
+  }
+
+  const user = await assertPatronCanBorrow(userId, db);
+  const { policy, expectedReturnDate } = await checkLoanPolicy(db, { user, book, borrowDays });
+
+  // Lock the book so e-loans of it are counted one checkout at a time; the
+  // licenses are read under the lock in case they were just changed
+  const [locked] = await db.$queryRaw`
+    SELECT license_count AS "licenseCount" FROM books WHERE id = ${book.id} FOR UPDATE
+  `;
+
+  const activeELoans = await db.borrowing.count({
+    where: { bookId: book.id, itemType: 'DIGITAL', status: { in: ACTIVE_BORROWING_STATUSES } }
+  });
+
+  if (activeELoans >= (locked.licenseCount || 0)) {
+    throw new AppError(
+      `All ${locked.licenseCount || 0} license(s) of this item are on loan`,
+      'NO_LICENSES_AVAILABLE',
+      409
+    );
+  }
+
+  const borrowing = await db.borrowing.create({
+    data: {
+      userId,
+      bookId: book.id,
+      itemType: 'DIGITAL',
+      loanPolicyId: policy.policyId,
+      branchId: await resolveLendingBranchId(db, { shelfId: null, actorId }),
+      borrowDate: new Date(),
+      expectedReturnDate,
+      status: 'BORROWED',
+      notes
+    },
+    include: {
+      user: {
+        select: {
+          id: true,
+          fullName: true,
+          email: true
+        }
+      },
+      book: {
+        include: {
+          category: true
+        }
+      }
+    }
+  });
+
+  await syncBookCopyCounts(book.id, db);
+
+  // Log audit
+  await db.auditLog.create({
+    data: {
+      userId: actorId,
+      bookId: book.id,
+      action: 'BOOK_BORROWED',
+      newValue: {
+        borrower: user.fullName,
+        borrowerId: userId,
+        itemType: 'DIGITAL',
+        borrowDate: borrowing.borrowDate,
+        expectedReturn: expectedReturnDate
+      },
+      ipAddress
+    }
+  });
+
+  // Create notification for user
+  await db.notification.create({
+    data: {
+      userId,
+      type: 'INFO',
+      title: 'E-book Borrowed Successfully',
+      message: `You have borrowed "${book.title}". Your access ends on ${expectedReturnDate.toLocaleDateString()}.`,
+      isRead: false
+    }
+  });
+
+  return {
+    borrowing,
+    downloadLinks: createDownloadLinks(borrowing, book.digitalResources)
+  };
+};
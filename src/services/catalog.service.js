@@ -0,0 +1,230 @@
+/**
+ * Catalog Service
+ * Looks up book metadata by ISBN from pluggable catalog providers
+ *
+ * A provider is an object { name, lookup(isbn) } where lookup receives a
+ * normalized ISBN-13 and resolves to metadata or null when the provider has no
+ * record of the book:
+ *
+ *   { title, author, authors, description, publicationYear, publisher, pageCount, language }
+ *
+ * `author` is the printed author statement and `authors` the individual names.
+ *
+ * Providers are tried in the order given by CATALOG_PROVIDERS; the first match wins.
+ */
+
+import { readFileSync } from 'fs';
+import { AppError } from '../middleware/error.middleware.js';
+import { parseISBN } from './isbn.service.js';
+
+const DEFAULT_PROVIDERS = 'openlibrary,googlebooks';
+
+const DEFAULT_FIXTURE_FILE = new URL('../../prisma/fixtures/catalog.json', import.meta.url);
+
+/**
+ * Get how long to wait for a remote catalog before giving up (CATALOG_TIMEOUT_MS)
+ */
+const getTimeout = () => parseInt(process.env.CATALOG_TIMEOUT_MS) || 5000;
+
+/**
+ * Fetch JSON from a remote catalog
+ * @returns {Promise<Object|null>} Parsed body, or null for 404
+ */
+const fetchJson = async (url) => {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json' },
+    signal: AbortSignal.timeout(getTimeout())
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`${new URL(url).host} responded with ${response.status}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Pull a four-digit year out of a free-text date ("March 2008", "2008-03-01")
+ */
+const parseYear = (date) => {
+  const match = String(date || '').match(/\b(\d{4})\b/);
+  return match ? parseInt(match[1]) : null;
+};
+
+/**
+ * Join a title and subtitle the way they are printed
+ */
+const fullTitle = (title, subtitle) => (subtitle ? `${title}: ${subtitle}` : title);
+
+/**
+ * Open Library books API
+ */
+const openLibraryProvider = {
+  name: 'openlibrary',
+  lookup: async (isbn) => {
+    const key = `ISBN:${isbn}`;
+    const data = await fetchJson(
+      `https://openlibrary.org/api/books?bibkeys=${key}&format=json&jscmd=data`
+    );
+    const record = data?.[key];
+
+    if (!record) {
+      return null;
+    }
+
+    const notes = typeof record.notes === 'object' ? record.notes?.value : record.notes;
+    const authors = (record.authors || []).map(author => author.name);
+
+    return {
+      title: fullTitle(record.title, record.subtitle),
+      author: authors.join(', ') || null,
+      authors,
+      description: notes || null,
+      publicationYear: parseYear(record.publish_date),
+      publisher: record.publishers?.[0]?.name || null,
+      pageCount: record.number_of_pages || null,
+      language: null
+    };
+  }
+};
+
+/**
+ * Google Books volumes API (GOOGLE_BOOKS_API_KEY is optional)
+ */
+const googleBooksProvider = {
+  name: 'googlebooks',
+  lookup: async (isbn) => {
+    const params = new URLSearchParams({ q: `isbn:${isbn}` });
+
+    if (process.env.GOOGLE_BOOKS_API_KEY) {
+      params.set('key', process.env.GOOGLE_BOOKS_API_KEY);
+    }
+
+    const data = await fetchJson(`https://www.googleapis.com/books/v1/volumes?${params}`);
+    const volume = data?.items?.[0]?.volumeInfo;
+
+    if (!volume) {
+      return null;
+    }
+
+    return {
+      title: fullTitle(volume.title, volume.subtitle),
+      author: (volume.authors || []).join(', ') || null,
+      authors: volume.authors || [],
+      description: volume.description || null,
+      publicationYear: parseYear(volume.publishedDate),
+      publisher: volume.publisher || null,
+      pageCount: volume.pageCount || null,
+      language: volume.language || null
+    };
+  }
+};
+
+/**
+ * Local JSON file keyed by ISBN-13, for offline development and tests
+ * (CATALOG_FIXTURE_FILE, default prisma/fixtures/catalog.json)
+ */
+const fixtureProvider = {
+  name: 'fixture',
+  lookup: async (isbn) => {
+    const file = process.env.CATALOG_FIXTURE_FILE || DEFAULT_FIXTURE_FILE;
+    const records = JSON.parse(readFileSync(file, 'utf8'));
+    const record = records[isbn];
+
+    if (!record) {
+      return null;
+    }
+
+    const authors = record.authors || (record.author ? [record.author] : []);
+
+    return {
+      title: record.title,
+      author: authors.join(', ') || null,
+      authors,
+      description: record.description || null,
+      publicationYear: record.publicationYear || null,
+      publisher: record.publisher || null,
+      pageCount: record.pageCount || null,
+      language: record.language || null
+    };
+  }
+};
+
+const providers = new Map(
+  [openLibraryProvider, googleBooksProvider, fixtureProvider].map(provider => [provider.name, provider])
+);
+
+/**
+ * Make another catalog provider available to CATALOG_PROVIDERS
+ * @param {Object} provider - { name, lookup(isbn) }
+ */
+export const registerCatalogProvider = (provider) => {
+  if (!provider?.name || typeof provider.lookup !== 'function') {
+    throw new Error('A catalog provider needs a name and a lookup(isbn) function');
+  }
+
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get the providers to query, in order (CATALOG_PROVIDERS)
+ * @returns {Array<Object>}
+ */
+export const getCatalogProviders = () => {
+  const names = (process.env.CATALOG_PROVIDERS || DEFAULT_PROVIDERS)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names.map(name => {
+    const provider = providers.get(name);
+
+    if (!provider) {
+      throw new AppError(`Unknown catalog provider "${name}"`, 'CATALOG_UNAVAILABLE', 500);
+    }
+
+    return provider;
+  });
+};
+
+/**
+ * Look up a book's metadata by ISBN
+ *
+ * A provider that fails (network error, timeout) is skipped; the lookup only
+ * fails as unavailable when no provider could answer at all.
+ *
+ * @param {string} raw - ISBN-10 or ISBN-13, with or without hyphens
+ * @returns {Promise<Object>} { isbn, isbn10, title, author, description, publicationYear, source }
+ */
+export const lookupISBN = async (raw) => {
+  const { isbn13, isbn10 } = parseISBN(raw);
+  const catalogProviders = getCatalogProviders();
+  const failures = [];
+
+  for (const provider of catalogProviders) {
+    try {
+      const metadata = await provider.lookup(isbn13);
+
+      if (metadata?.title) {
+        return {
+          isbn: isbn13,
+          isbn10,
+          ...metadata,
+          source: provider.name
+        };
+      }
+    } catch (error) {
+      failures.push({ provider: provider.name, error: error.message });
+    }
+  }
+
+  if (failures.length > 0 && failures.length === catalogProviders.length) {
+    throw new AppError('No catalog provider could be reached', 'CATALOG_UNAVAILABLE', 502, { failures });
+  }
+
+  throw new AppError(`No catalog record found for ISBN ${isbn13}`, 'ISBN_NOT_FOUND', 404);
+};
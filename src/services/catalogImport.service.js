@@ -0,0 +1,636 @@
+/**
+ * Catalog Import Service
+ * Bulk imports books from CSV, MARC21 or MARCXML files and exports the catalog in the same formats
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { parseCSV, stringifyCSV, unescapeFormula } from './csv.service.js';
+import { getFields, getSubfield, parseMARC, parseMARCXML, writeMARC, writeMARCXML } from './marc.service.js';
+import { parseISBN } from './isbn.service.js';
+import {
+  BOOK_AUTHORS_INCLUDE,
+  formatAuthorStatement,
+  resolveContributors,
+  setBookContributors
+} from './bibliography.service.js';
+import {
+  CATEGORY_PATH_SEPARATOR,
+  buildCategoryPaths,
+  findOrCreateCategoryPath,
+  getCategoryClassification,
+  getCategorySubtreeIds
+} from './category.service.js';
+import {
+  callNumberFields,
+  generateCallNumber,
+  getClassificationScheme,
+  parseClassification
+} from './classification.service.js';
+import { createCopies, syncBookCopyCounts } from './copy.service.js';
+import { parseItemType } from './digitalResource.service.js';
+import { withQRCodeUrl } from './qr.service.js';
+import { branchShelfFilter } from './location.service.js';
+import { OCCUPYING_COPY_STATUSES, checkShelfPlacement, copiesFollowingBook } from './shelf.service.js';
+
+const prisma = new PrismaClient();
+
+export const CATALOG_FORMATS = ['csv', 'marc', 'marcxml'];
+
+// Columns of the CSV format, in export order
+export const CSV_COLUMNS = [
+  'isbn',
+  'title',
+  'author',
+  'category',
+  'shelfCode',
+  'copies',
+  'itemType',
+  'description',
+  'publicationYear',
+  'classification',
+  'callNumber'
+];
+
+// Other header names accepted for the CSV columns (compared lower-case, without spaces or underscores)
+const CSV_HEADER_ALIASES = {
+  shelf: 'shelfCode',
+  copiestotal: 'copies',
+  year: 'publicationYear',
+  classnumber: 'classification'
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  marc: 'application/marc',
+  marcxml: 'application/marcxml+xml; charset=utf-8'
+};
+
+const FILE_EXTENSIONS = { csv: 'csv', marc: 'mrc', marcxml: 'xml' };
+
+const MAX_COPIES_PER_ROW = 100;
+
+/**
+ * Get the most rows one import may contain (IMPORT_MAX_ROWS)
+ */
+const getMaxRows = () => parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+
+/**
+ * Work out the file format from ?format= or the request's Content-Type
+ * @param {string|undefined} format - csv, marc or marcxml
+ * @param {string|undefined} contentType - Request Content-Type
+ * @returns {string}
+ */
+export const resolveCatalogFormat = (format, contentType = '') => {
+  if (format) {
+    const value = String(format).toLowerCase();
+
+    if (!CATALOG_FORMATS.includes(value)) {
+      throw new AppError(`Format must be one of ${CATALOG_FORMATS.join(', ')}`, 'VALIDATION_ERROR', 400);
+    }
+
+    return value;
+  }
+
+  if (/csv/.test(contentType)) return 'csv';
+  if (/xml/.test(contentType)) return 'marcxml';
+  if (/marc/.test(contentType)) return 'marc';
+
+  throw new AppError('Give the file format with ?format=csv, marc or marcxml', 'VALIDATION_ERROR', 400);
+};
+
+/**
+ * Strip the ISBD punctuation MARC cataloguers leave at the end of subfields (" /", " :", ",", ".")
+ */
+const trimPunctuation = (value) => {
+  const text = value ? value.replace(/\s*[/:;,.]\s*$/, '').trim() : '';
+  return text || null;
+};
+
+/**
+ * Map a MARC21 record to import values
+ */
+const marcToValues = (record) => {
+  const isbn = getSubfield(record, '020', 'a');
+  const title = trimPunctuation(getSubfield(record, '245', 'a'));
+  const subtitle = trimPunctuation(getSubfield(record, '245', 'b'));
+  const date = getSubfield(record, '264', 'c') || getSubfield(record, '260', 'c');
+  const fixed = getFields(record, '008')[0]?.value || '';
+  const callNumber = ['050', '090']
+    .map(tag => [getSubfield(record, tag, 'a'), getSubfield(record, tag, 'b')].filter(Boolean).join(' '))
+    .find(Boolean);
+  const holdings = getFields(record, '852');
+  // Subdivisions ($x) of the first subject heading give the category path
+  const heading = getFields(record, '650')[0];
+  const categoryPath = (heading?.subfields || [])
+    .filter(subfield => subfield.code === 'a' || subfield.code === 'x')
+    .map(subfield => trimPunctuation(subfield.value))
+    .filter(Boolean);
+  // Dewey numbers may carry segmentation marks ("005.13/3")
+  const classification = getClassificationScheme() === 'LCC'
+    ? getSubfield(record, '050', 'a')
+    : getSubfield(record, '082', 'a')?.replace(/[/']/g, '');
+  const addedAuthors = getFields(record, '700')
+    .map(field => trimPunctuation(field.subfields.find(subfield => subfield.code === 'a')?.value));
+
+  return {
+    isbn: isbn ? isbn.trim().split(/\s+/)[0] : null,
+    title: title && subtitle ? `${title}: ${subtitle}` : title,
+    // Main entry first, then the added entries, as in a CSV author column
+    author: [trimPunctuation(getSubfield(record, '100', 'a') || getSubfield(record, '110', 'a')), ...addedAuthors]
+      .filter(Boolean)
+      .join('; ') || null,
+    category: categoryPath.join(CATEGORY_PATH_SEPARATOR) || null,
+    shelfCode: holdings[0]?.subfields.find(subfield => subfield.code === 'c')?.value || null,
+    // One 852 holdings field per copy
+    copies: holdings.length > 0 ? String(holdings.length) : null,
+    description: getSubfield(record, '520', 'a'),
+    publicationYear: (date && date.match(/\d{4}/)?.[0]) || fixed.slice(7, 11).trim() || null,
+    classification: classification ? classification.trim() : null,
+    callNumber: callNumber || null
+  };
+};
+
+/**
+ * Read an uploaded file into import rows
+ * @param {Buffer} buffer - Request body
+ * @param {string} format - csv, marc or marcxml
+ * @returns {Array<{ row: number, values: Object }>}
+ */
+export const parseCatalogFile = (buffer, format) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new AppError('The import file is empty', 'VALIDATION_ERROR', 400);
+  }
+
+  let rows;
+
+  try {
+    if (format === 'csv') {
+      const [header, ...lines] = parseCSV(buffer.toString('utf8'));
+      const columns = (header || []).map(name => {
+        const key = name.trim().toLowerCase().replace(/[\s_]/g, '');
+        return CSV_HEADER_ALIASES[key] || CSV_COLUMNS.find(column => column.toLowerCase() === key) || null;
+      });
+
+      if (!columns.includes('title') || !columns.includes('author')) {
+        throw new Error('The header row must include title and author columns');
+      }
+
+      // Row numbers count the header as row 1, as spreadsheets do
+      rows = lines.map((line, index) => ({
+        row: index + 2,
+        values: Object.fromEntries(
+          columns
+            .map((column, position) => [column, line[position] ? unescapeFormula(line[position]).trim() || null : null])
+            .filter(([column]) => column)
+        )
+      }));
+    } else {
+      const records = format === 'marc' ? parseMARC(buffer) : parseMARCXML(buffer.toString('utf8'));
+      rows = records.map((record, index) => ({ row: index + 1, values: marcToValues(record) }));
+    }
+  } catch (error) {
+    throw new AppError(`Could not read the ${format.toUpperCase()} file: ${error.message}`, 'IMPORT_PARSE_ERROR', 400);
+  }
+
+  if (rows.length > getMaxRows()) {
+    throw new AppError(
+      `An import can contain at most ${getMaxRows()} records; split the file`,
+      'IMPORT_TOO_LARGE',
+      413
+    );
+  }
+
+  return rows;
+};
+
+/**
+ * Parse a whole number within a range, or record an error
+ */
+const parseWholeNumber = (value, field, { min, max }, errors) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < min || number > max) {
+    errors.push({ field, code: 'INVALID_NUMBER', message: `${field} must be a whole number from ${min} to ${max}` });
+    return null;
+  }
+
+  return number;
+};
+
+/**
+ * Check one row and resolve its shelf
+ * @returns {{ data: Object, errors: Array }}
+ */
+const validateRow = (values, { shelves, seenIsbns }) => {
+  const errors = [];
+
+  if (!values.title) {
+    errors.push({ field: 'title', code: 'REQUIRED', message: 'title is required' });
+  }
+
+  if (!values.author) {
+    errors.push({ field: 'author', code: 'REQUIRED', message: 'author is required' });
+  }
+
+  let isbn = null;
+
+  if (values.isbn) {
+    try {
+      isbn = parseISBN(values.isbn);
+    } catch (error) {
+      errors.push({ field: 'isbn', code: error.code, message: error.message });
+    }
+  }
+
+  if (isbn && seenIsbns.has(isbn.isbn13)) {
+    errors.push({
+      field: 'isbn',
+      code: 'DUPLICATE_IN_FILE',
+      message: `ISBN also appears in row ${seenIsbns.get(isbn.isbn13)}`
+    });
+  }
+
+  const shelf = values.shelfCode ? shelves.get(values.shelfCode.toUpperCase()) : null;
+
+  if (values.shelfCode && !shelf) {
+    errors.push({ field: 'shelfCode', code: 'SHELF_NOT_FOUND', message: `No shelf with code ${values.shelfCode}` });
+  }
+
+  let itemType = null;
+
+  if (values.itemType) {
+    try {
+      itemType = parseItemType(values.itemType);
+    } catch (error) {
+      errors.push({ field: 'itemType', code: error.code, message: error.message });
+    }
+  }
+
+  const copies = parseWholeNumber(values.copies, 'copies', { min: 1, max: MAX_COPIES_PER_ROW }, errors);
+  const publicationYear = parseWholeNumber(
+    values.publicationYear,
+    'publicationYear',
+    { min: 0, max: new Date().getFullYear() + 1 },
+    errors
+  );
+
+  let classification = null;
+
+  try {
+    classification = parseClassification(values.classification);
+  } catch (error) {
+    errors.push({ field: 'classification', code: error.code, message: error.message });
+  }
+
+  return {
+    errors,
+    data: {
+      isbn,
+      title: values.title,
+      authors: values.author ? values.author.split(';').map(name => name.trim()).filter(Boolean) : [],
+      categoryPath: values.category || null,
+      shelfId: shelf ? shelf.id : null,
+      copies: copies || 1,
+      itemType,
+      description: values.description || null,
+      publicationYear,
+      classification,
+      callNumber: values.callNumber || null
+    }
+  };
+};
+
+/**
+ * Import rows: create new books, update books already catalogued under the same ISBN
+ *
+ * Rows are checked one by one and failures are reported without stopping the
+ * import. Each row is written in its own transaction, so a row that fails
+ * leaves no half-written book behind. With dryRun nothing is written; the result shows what
+ * would happen. Existing books gain copies when the file lists more than they
+ * have; copies are never removed. Digital items get no copies.
+ *
+ * @param {Array} rows - From parseCatalogFile
+ * @param {Object} options - { format, dryRun, actorId, ipAddress }
+ * @returns {Promise<Object>} Summary with a result per row
+ */
+export const importCatalog = async (rows, { format, dryRun = false, actorId, ipAddress }) => {
+  const shelfList = await prisma.shelf.findMany({ select: { id: true, shelfCode: true } });
+
+  const shelves = new Map(shelfList.map(shelf => [shelf.shelfCode.toUpperCase(), shelf]));
+  // Category paths already resolved in this import
+  const categories = new Map();
+  const seenIsbns = new Map();
+  const categoriesCreated = [];
+  const results = [];
+
+  for (const { row, values } of rows) {
+    const { data, errors } = validateRow(values, { shelves, seenIsbns });
+    const result = { row, isbn: data.isbn ? data.isbn.isbn13 : values.isbn, title: values.title };
+
+    if (data.isbn) {
+      seenIsbns.set(data.isbn.isbn13, row);
+    }
+
+    if (errors.length > 0) {
+      results.push({ ...result, action: 'ERROR', errors });
+      continue;
+    }
+
+    try {
+      const existing = data.isbn
+        ? await prisma.book.findFirst({
+          where: { isbn: { in: [data.isbn.isbn13, data.isbn.isbn10].filter(Boolean) } }
+        })
+        : null;
+
+      // Missing categories are created on the way, e.g. "Science > Physics"
+      let category = data.categoryPath ? categories.get(data.categoryPath.toLowerCase()) : null;
+
+      if (data.categoryPath && !category) {
+        const resolved = await findOrCreateCategoryPath(data.categoryPath, { dryRun });
+
+        category = resolved.category;
+        categories.set(data.categoryPath.toLowerCase(), category);
+        categoriesCreated.push(...resolved.created.filter(path => !categoriesCreated.includes(path)));
+      }
+
+      // Unclassified books take the category's class number; call numbers are built
+      // for books that do not have one yet
+      const classification = data.classification
+        || (!existing?.classification && category?.id ? await getCategoryClassification(category.id) : null);
+      const callNumber = data.callNumber || (!existing?.callNumber && generateCallNumber({
+        classification: classification || existing?.classification,
+        author: data.authors.join(', '),
+        title: data.title,
+        publicationYear: data.publicationYear
+      }));
+
+      // A book keeps its item type; rows without one take the existing book's
+      const itemType = data.itemType || existing?.itemType || 'PHYSICAL';
+
+      if (existing && itemType !== existing.itemType) {
+        throw new AppError('The item type of a book cannot be changed', 'VALIDATION_ERROR', 400);
+      }
+
+      const digital = itemType === 'DIGITAL';
+
+      // Digital items have licenses, not copies on a shelf
+      if (digital && (values.shelfCode || values.copies)) {
+        throw new AppError('shelfCode and copies do not apply to digital items', 'NOT_PHYSICAL_ITEM', 400);
+      }
+
+      const fields = {
+        title: data.title,
+        isbn: data.isbn ? data.isbn.isbn13 : null,
+        ...(category && { categoryId: category.id }),
+        ...(data.shelfId && { shelfId: data.shelfId }),
+        ...(data.description && { description: data.description }),
+        ...(data.publicationYear !== null && { publicationYear: data.publicationYear }),
+        ...(classification && { classification }),
+        ...(callNumber && callNumberFields(callNumber))
+      };
+
+      const copiesAdded = digital ? 0 : (existing ? Math.max(data.copies - existing.copiesTotal, 0) : data.copies);
+      const shelfId = data.shelfId || existing?.shelfId || null;
+
+      // Copies kept with an existing book move with it, as on a normal update
+      const movingShelf = Boolean(existing && data.shelfId && data.shelfId !== existing.shelfId);
+      const following = movingShelf
+        ? await prisma.bookCopy.count({
+          where: { ...copiesFollowingBook(existing), status: { in: OCCUPYING_COPY_STATUSES } }
+        })
+        : 0;
+
+      const warning = digital ? null : await checkShelfPlacement(shelfId, following + copiesAdded, {
+        categoryId: category ? category.id : existing?.categoryId
+      });
+
+      let book = existing;
+
+      if (!dryRun) {
+        book = await prisma.$transaction(async (tx) => {
+          const contributors = await resolveContributors(data.authors, tx);
+
+          if (existing) {
+            if (movingShelf) {
+              await tx.bookCopy.updateMany({
+                where: copiesFollowingBook(existing),
+                data: { shelfId: data.shelfId }
+              });
+            }
+
+            const updated = await tx.book.update({ where: { id: existing.id }, data: fields });
+
+            if (formatAuthorStatement(contributors) !== existing.author) {
+              await setBookContributors(updated.id, contributors, tx);
+            }
+
+            // Each new copy gets its own accession number and QR code
+            if (copiesAdded > 0) {
+              await createCopies(updated, copiesAdded, {}, tx);
+            }
+
+            return updated;
+          }
+
+          const created = await tx.book.create({
+            data: {
+              ...fields,
+              author: formatAuthorStatement(contributors),
+              itemType,
+              ...(digital && { licenseCount: 1 }),
+              copiesTotal: 0,
+              copiesAvailable: 0,
+              status: 'AVAILABLE',
+              authors: {
+                create: contributors.map(({ authorId, role, position }) => ({ authorId, role, position }))
+              }
+            }
+          });
+
+          // Digital items start with their license free; physical ones get copies
+          if (digital) {
+            await syncBookCopyCounts(created.id, tx);
+          } else {
+            await createCopies(created, copiesAdded, {}, tx);
+          }
+
+          return created;
+        }, { timeout: 15000 });
+      }
+
+      results.push({
+        ...result,
+        action: existing ? 'UPDATE' : 'CREATE',
+        bookId: book ? book.id : null,
+        copiesAdded,
+        ...(book && { qrCodeUrl: withQRCodeUrl('BOOK', book).qrCodeUrl }),
+        ...(warning && { warning })
+      });
+    } catch (error) {
+      results.push({
+        ...result,
+        action: 'ERROR',
+        errors: [{ field: null, code: error.code || 'IMPORT_FAILED', message: error.message }]
+      });
+    }
+  }
+
+  const summary = {
+    format,
+    dryRun,
+    total: rows.length,
+    created: results.filter(result => result.action === 'CREATE').length,
+    updated: results.filter(result => result.action === 'UPDATE').length,
+    failed: results.filter(result => result.action === 'ERROR').length,
+    copiesAdded: results.reduce((sum, result) => sum + (result.copiesAdded || 0), 0),
+    categoriesCreated,
+    rows: results
+  };
+
+  if (!dryRun) {
+    // Log audit
+    await prisma.auditLog.create({
+      data: {
+        userId: actorId,
+        action: 'CATALOG_IMPORTED',
+        newValue: {
+          format,
+          total: summary.total,
+          created: summary.created,
+          updated: summary.updated,
+          failed: summary.failed,
+          copiesAdded: summary.copiesAdded
+        },
+        ipAddress
+      }
+    });
+  }
+
+  return summary;
+};
+
+/**
+ * Build a 40-character MARC 008 field with the date entered and publication year
+ */
+const buildFixedField = (book) => {
+  const entered = book.createdAt.toISOString().slice(2, 10).replace(/-/g, '');
+  const year = book.publicationYear ? String(book.publicationYear).padStart(4, '0') : '    ';
+
+  return `${entered}s${year}    xx ${' '.repeat(17)}und d`;
+};
+
+/**
+ * Map a book to a MARC21 record
+ */
+const bookToMarc = (book) => {
+  const field = (tag, ind1, ind2, subfields) => ({
+    tag,
+    ind1,
+    ind2,
+    subfields: subfields.filter(([, value]) => value).map(([code, value]) => ({ code, value: String(value) }))
+  });
+
+  const [mainEntry, ...addedEntries] = book.authors;
+
+  const fields = [
+    { tag: '001', value: book.id },
+    { tag: '008', value: buildFixedField(book) },
+    book.isbn && field('020', ' ', ' ', [['a', book.isbn]]),
+    book.classification && (getClassificationScheme() === 'LCC'
+      ? field('050', ' ', '4', [['a', book.classification]])
+      : field('082', '0', '4', [['a', book.classification]])),
+    book.callNumber && field('090', ' ', ' ', [['a', book.callNumber]]),
+    field('100', '1', ' ', [['a', mainEntry ? mainEntry.author.name : book.author]]),
+    field('245', '1', '0', [['a', book.title]]),
+    book.publicationYear && field('264', ' ', '1', [['c', book.publicationYear]]),
+    book.description && field('520', ' ', ' ', [['a', book.description]]),
+    // Category path as a heading with subdivisions
+    book.categoryPath && field('650', ' ', '4', book.categoryPath.map((name, index) => [index === 0 ? 'a' : 'x', name])),
+    // Other contributors, with their role in $e unless they are authors
+    ...addedEntries.map(contributor => field('700', '1', ' ', [
+      ['a', contributor.author.name],
+      ['e', contributor.role !== 'AUTHOR' && contributor.role.toLowerCase()]
+    ])),
+    ...book.copies.map(copy => field('852', ' ', ' ', [
+      ['c', (copy.shelf || book.shelf)?.shelfCode],
+      ['p', copy.accessionNumber]
+    ]))
+  ];
+
+  return { fields: fields.filter(Boolean) };
+};
+
+/**
+ * Export the catalog
+ * @param {string} format - csv, marc or marcxml
+ * @param {Object} filters - { categoryId, shelfId, branchId }
+ * @returns {Promise<{ body: string|Buffer, contentType: string, extension: string, count: number }>}
+ */
+export const exportCatalog = async (format, { categoryId, shelfId, branchId } = {}) => {
+  const [categoryIds, categoryList] = await Promise.all([
+    categoryId ? getCategorySubtreeIds([categoryId]) : null,
+    prisma.category.findMany()
+  ]);
+  const categoryPaths = buildCategoryPaths(categoryList);
+
+  const found = await prisma.book.findMany({
+    where: {
+      ...(categoryIds && { categoryId: { in: categoryIds } }),
+      ...(shelfId && { shelfId }),
+      ...(branchId && { copies: { some: { shelf: branchShelfFilter(branchId) } } })
+    },
+    include: {
+      shelf: true,
+      authors: BOOK_AUTHORS_INCLUDE,
+      copies: {
+        where: { status: { not: 'LOST' } },
+        include: { shelf: true },
+        orderBy: { copyNumber: 'asc' }
+      }
+    },
+    orderBy: { title: 'asc' }
+  });
+
+  const books = found.map(book => ({
+    ...book,
+    categoryPath: book.categoryId ? categoryPaths.get(book.categoryId) : null
+  }));
+
+  let body;
+
+  if (format === 'csv') {
+    body = stringifyCSV([
+      CSV_COLUMNS,
+      ...books.map(book => [
+        book.isbn,
+        book.title,
+        book.authors.map(contributor => contributor.author.name).join('; ') || book.author,
+        book.categoryPath?.join(CATEGORY_PATH_SEPARATOR),
+        book.shelf?.shelfCode,
+        // copiesTotal counts the licenses of a digital item, not copies
+        book.itemType === 'DIGITAL' ? null : book.copiesTotal,
+        book.itemType,
+        book.description,
+        book.publicationYear,
+        book.classification,
+        book.callNumber
+      ])
+    ]);
+  } else {
+    const records = books.map(bookToMarc);
+    body = format === 'marc' ? writeMARC(records) : writeMARCXML(records);
+  }
+
+  return {
+    body,
+    contentType: CONTENT_TYPES[format],
+    extension: FILE_EXTENSIONS[format],
+    count: books.length
+  };
+};
@@ -0,0 +1,254 @@
+/**
+ * Category Service
+ * Handles the category tree (e.g. Science → Mathematics → Algebra)
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+
+const prisma = new PrismaClient();
+
+// Deepest allowed nesting, counting the top-level category
+export const MAX_CATEGORY_DEPTH = 6;
+
+// Separator of category paths in imports and exports, e.g. "Science > Mathematics"
+export const CATEGORY_PATH_SEPARATOR = ' > ';
+
+const CATEGORY_SELECT = { id: true, name: true, parentId: true, classification: true };
+
+/**
+ * Get a category and its ancestors, outermost first
+ * @param {string} categoryId - Category UUID
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Array>} e.g. [Science, Mathematics, Algebra]
+ */
+export const getCategoryPath = async (categoryId, db = prisma) => {
+  const path = [];
+  let id = categoryId;
+
+  while (id && path.length < MAX_CATEGORY_DEPTH) {
+    const category = await db.category.findUnique({
+      where: { id },
+      select: CATEGORY_SELECT
+    });
+
+    if (!category) break;
+
+    path.unshift(category);
+    id = category.parentId;
+  }
+
+  return path;
+};
+
+/**
+ * Get the IDs of categories and all of their descendants
+ * @param {string[]} categoryIds - Category UUIDs
+ * @returns {Promise<string[]>}
+ */
+export const getCategorySubtreeIds = async (categoryIds) => {
+  const ids = [...categoryIds];
+  let frontier = [...categoryIds];
+
+  while (frontier.length > 0) {
+    const children = await prisma.category.findMany({
+      where: { parentId: { in: frontier }, id: { notIn: ids } },
+      select: { id: true }
+    });
+
+    frontier = children.map(child => child.id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+/**
+ * Arrange categories into a tree
+ * Each node also gets totalBooks, its own books plus those of its descendants.
+ * @param {Array} categories - Flat Category records with _count.books
+ * @returns {Array} Top-level categories, each with children
+ */
+export const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const total = (node) => {
+    node.totalBooks = (node._count?.books || 0)
+      + node.children.reduce((sum, child) => sum + total(child), 0);
+    return node.totalBooks;
+  };
+
+  roots.forEach(total);
+
+  return roots;
+};
+
+/**
+ * Format a category path as text
+ * @param {Array} path - From getCategoryPath
+ * @returns {string} e.g. "Science > Mathematics"
+ */
+export const formatCategoryPath = (path) => path.map(category => category.name).join(CATEGORY_PATH_SEPARATOR);
+
+/**
+ * Get the path of every category from one flat list, without further queries
+ * @param {Array} categories - All Category records
+ * @returns {Map<string, string[]>} Category UUID → names, outermost first
+ */
+export const buildCategoryPaths = (categories) => {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const paths = new Map();
+
+  for (const category of categories) {
+    const names = [];
+    let node = category;
+
+    while (node && names.length < MAX_CATEGORY_DEPTH) {
+      names.unshift(node.name);
+      node = node.parentId && byId.get(node.parentId);
+    }
+
+    paths.set(category.id, names);
+  }
+
+  return paths;
+};
+
+/**
+ * Check that a category can be placed under a parent
+ * @param {string|null} categoryId - Category being moved, or null for a new one
+ * @param {string|null} parentId - New parent UUID, or null for the top level
+ * @returns {Promise<Array>} Path of the parent (empty for the top level)
+ */
+export const validateCategoryParent = async (categoryId, parentId) => {
+  if (!parentId) {
+    return [];
+  }
+
+  const parentPath = await getCategoryPath(parentId);
+
+  if (parentPath.length === 0) {
+    throw new AppError('Parent category not found', 'CATEGORY_NOT_FOUND', 404);
+  }
+
+  if (categoryId && parentPath.some(category => category.id === categoryId)) {
+    throw new AppError('A category cannot be placed inside itself', 'CATEGORY_PARENT_INVALID', 400);
+  }
+
+  // The moved category brings its own descendants along
+  const subtreeDepth = categoryId ? await getSubtreeDepth(categoryId) : 1;
+
+  if (parentPath.length + subtreeDepth > MAX_CATEGORY_DEPTH) {
+    throw new AppError(
+      `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`,
+      'CATEGORY_PARENT_INVALID',
+      400
+    );
+  }
+
+  return parentPath;
+};
+
+/**
+ * Count the levels of a category's subtree, itself included
+ */
+const getSubtreeDepth = async (categoryId) => {
+  let depth = 1;
+  let frontier = [categoryId];
+
+  while (true) {
+    const children = await prisma.category.findMany({
+      where: { parentId: { in: frontier } },
+      select: { id: true }
+    });
+
+    if (children.length === 0 || depth >= MAX_CATEGORY_DEPTH) {
+      return depth;
+    }
+
+    frontier = children.map(child => child.id);
+    depth += 1;
+  }
+};
+
+/**
+ * Get the class number a category gives its books: its own, or the nearest ancestor's
+ * @param {string|null} categoryId - Category UUID
+ * @returns {Promise<string|null>}
+ */
+export const getCategoryClassification = async (categoryId) => {
+  if (!categoryId) {
+    return null;
+  }
+
+  const path = await getCategoryPath(categoryId);
+  const classified = path.filter(category => category.classification);
+
+  return classified.length > 0 ? classified[classified.length - 1].classification : null;
+};
+
+/**
+ * Find a category by its path, creating the missing levels
+ * A single name matches an existing category anywhere in the tree.
+ * @param {string} text - e.g. "Science > Mathematics" or "Mathematics"
+ * @param {Object} options - { dryRun: resolve without creating }
+ * @returns {Promise<{ category, created: string[] }>} Leaf category (id is null when not yet created)
+ */
+export const findOrCreateCategoryPath = async (text, { dryRun = false } = {}) => {
+  const names = text.split(CATEGORY_PATH_SEPARATOR.trim()).map(name => name.trim()).filter(Boolean);
+  const created = [];
+
+  if (names.length === 1) {
+    const existing = await prisma.category.findFirst({
+      where: { name: { equals: names[0], mode: 'insensitive' } }
+    });
+
+    if (existing) {
+      return { category: existing, created };
+    }
+  }
+
+  if (names.length > MAX_CATEGORY_DEPTH) {
+    throw new AppError(
+      `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`,
+      'CATEGORY_PARENT_INVALID',
+      400
+    );
+  }
+
+  const path = [];
+
+  for (const name of names) {
+    const parent = path[path.length - 1] || null;
+    const existing = await prisma.category.findFirst({
+      where: { name: { equals: name, mode: 'insensitive' } }
+    });
+
+    // Names are unique across the tree, so a name under another parent is a conflict
+    if (existing && (existing.parentId !== (parent ? parent.id : null) || (parent && !parent.id))) {
+      throw new AppError(
+        `Category "${existing.name}" already exists under another parent`,
+        'CATEGORY_EXISTS',
+        409
+      );
+    }
+
+    const category = existing || (dryRun
+      ? { id: null, name, parentId: parent ? parent.id : null }
+      : await prisma.category.create({ data: { name, parentId: parent ? parent.id : null } }));
+
+    path.push(category);
+
+    if (!existing) {
+      created.push(formatCategoryPath(path));
+    }
+  }
+
+  return { category: path[path.length - 1], created };
+};
@@ -0,0 +1,218 @@
+/**
+ * Classification Service
+ * Class numbers (Dewey Decimal or Library of Congress) and the call numbers built from them
+ *
+ * A call number is the class number, a mark for the main entry (author, or
+ * title when there is none) and the publication year:
+ *   DDC  "005.133 COR 2009"
+ *   LCC  "QA76.6 .C67 2009"
+ * Call numbers are stored with a normalized sort key so shelves and label
+ * sheets come out in shelf order rather than string order.
+ */
+
+import { AppError } from '../middleware/error.middleware.js';
+
+export const CLASSIFICATION_SCHEMES = ['DDC', 'LCC'];
+
+const CLASSIFICATION_PATTERNS = {
+  // 000-999 with an optional decimal part, e.g. 005.133
+  DDC: /^\d{3}(\.\d+)?$/,
+  // One to three class letters with an optional class number, e.g. QA or QA76.73
+  LCC: /^[A-Z]{1,3}(\d{1,4}(\.\d+)?)?$/
+};
+
+const CLASSIFICATION_EXAMPLES = { DDC: '005.133', LCC: 'QA76.73' };
+
+// Library of Congress Cutter table: digit for the letter after the initial,
+// given as [first letter of the range, digit]
+const CUTTER_AFTER_VOWEL = [['A', 2], ['D', 3], ['L', 4], ['N', 5], ['P', 6], ['R', 7], ['S', 8], ['U', 9]];
+const CUTTER_AFTER_S = [['A', 2], ['E', 4], ['H', 5], ['M', 6], ['T', 7], ['U', 8], ['W', 9]];
+const CUTTER_AFTER_QU = [['A', 3], ['E', 4], ['I', 5], ['O', 6], ['R', 7], ['T', 8], ['Y', 9]];
+const CUTTER_AFTER_CONSONANT = [['A', 3], ['E', 4], ['I', 5], ['O', 6], ['R', 7], ['U', 8], ['Y', 9]];
+const CUTTER_EXPANSION = [['A', 3], ['E', 4], ['I', 5], ['M', 6], ['P', 7], ['T', 8], ['W', 9]];
+
+const CUTTER_DIGITS = 2;
+const AUTHOR_MARK_LENGTH = 3;
+
+// Leading articles skipped when a title is the main entry
+const LEADING_ARTICLES = /^(the|a|an)\s+/i;
+
+/**
+ * Get the classification scheme in use (CLASSIFICATION_SCHEME, default DDC)
+ * @returns {string} DDC or LCC
+ */
+export const getClassificationScheme = () => {
+  const scheme = (process.env.CLASSIFICATION_SCHEME || 'DDC').toUpperCase();
+  return CLASSIFICATION_SCHEMES.includes(scheme) ? scheme : 'DDC';
+};
+
+/**
+ * Check and normalize a class number
+ * @param {string|null} value - e.g. "005.133" or "qa76.73"
+ * @param {string} scheme - DDC or LCC
+ * @returns {string|null} Normalized class number, or null when empty
+ */
+export const parseClassification = (value, scheme = getClassificationScheme()) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const code = String(value).trim().toUpperCase().replace(/\s+/g, '');
+
+  if (!CLASSIFICATION_PATTERNS[scheme].test(code)) {
+    throw new AppError(
+      `Classification must be a ${scheme} class number such as "${CLASSIFICATION_EXAMPLES[scheme]}"`,
+      'VALIDATION_ERROR',
+      400
+    );
+  }
+
+  return code;
+};
+
+/**
+ * Reduce a name to plain capital letters ("Gödel" → "GODEL")
+ */
+const toLetters = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .replace(/[^A-Z]/g, '');
+
+/**
+ * Get the filing word of a main entry
+ * Accepts a personal name ("Thomas H. Cormen"), an inverted name ("Cormen, Thomas H.")
+ * or an author statement ("Thomas H. Cormen, Charles E. Leiserson"), and returns the surname.
+ */
+const filingWord = (name) => {
+  const first = name.split(',')[0].replace(/\(.*?\)/g, '').trim();
+  const words = first.split(/\s+/).filter(Boolean);
+
+  return toLetters(words[words.length - 1] || '');
+};
+
+/**
+ * Look up a letter in a Cutter table
+ */
+const cutterDigit = (table, letter) => {
+  if (!letter) {
+    return null;
+  }
+
+  let digit = table[0][1];
+
+  for (const [from, value] of table) {
+    if (letter >= from) digit = value;
+  }
+
+  return digit;
+};
+
+/**
+ * Build a Library of Congress Cutter number, e.g. "Cormen" → "C67"
+ * @param {string} word - Surname or title word
+ * @returns {string|null}
+ */
+export const cutterNumber = (word) => {
+  const letters = toLetters(word);
+
+  if (!letters) {
+    return null;
+  }
+
+  const [initial] = letters;
+  let digit;
+  let rest;
+
+  if ('AEIOU'.includes(initial)) {
+    digit = cutterDigit(CUTTER_AFTER_VOWEL, letters[1]);
+    rest = letters.slice(2);
+  } else if (initial === 'S') {
+    const ch = letters.startsWith('SCH');
+    digit = ch ? 3 : cutterDigit(CUTTER_AFTER_S, letters[1]);
+    rest = letters.slice(ch ? 3 : 2);
+  } else if (initial === 'Q' && letters[1] === 'U') {
+    digit = cutterDigit(CUTTER_AFTER_QU, letters[2]);
+    rest = letters.slice(3);
+  } else if (initial === 'Q') {
+    digit = letters[1] ? 2 : null;
+    rest = letters.slice(1);
+  } else {
+    digit = cutterDigit(CUTTER_AFTER_CONSONANT, letters[1]);
+    rest = letters.slice(2);
+  }
+
+  let number = digit === null ? '' : String(digit);
+
+  for (const letter of rest) {
+    if (number.length >= CUTTER_DIGITS) break;
+    number += cutterDigit(CUTTER_EXPANSION, letter);
+  }
+
+  return `${initial}${number}`;
+};
+
+/**
+ * Build a call number from a book's class number and main entry
+ * @param {Object} book - { classification, author, title, publicationYear }; author may be
+ *   the main entry's name or the book's author statement
+ * @param {string} scheme - DDC or LCC
+ * @returns {string|null} Call number, or null when the book is not classified
+ */
+export const generateCallNumber = (book, scheme = getClassificationScheme()) => {
+  const { classification, author, title, publicationYear } = book;
+
+  if (!classification) {
+    return null;
+  }
+
+  const entry = (author && filingWord(author))
+    || (title && toLetters(title.replace(LEADING_ARTICLES, '').split(/\s+/)[0]))
+    || null;
+
+  const mark = entry
+    ? (scheme === 'LCC' ? `.${cutterNumber(entry)}` : entry.slice(0, AUTHOR_MARK_LENGTH))
+    : null;
+
+  return [classification, mark, publicationYear].filter(Boolean).join(' ');
+};
+
+/**
+ * Normalize a call number for sorting
+ * Class numbers are padded so 76 sorts before 760, while Cutter numbers are
+ * compared as decimals (.C662 before .C7).
+ * @param {string|null} callNumber
+ * @returns {string|null} e.g. "QA76.6 .C67 2009" → "QA 000076.6 C67 002009"
+ */
+export const callNumberSortKey = (callNumber) => {
+  if (!callNumber) {
+    return null;
+  }
+
+  const tokens = callNumber.toUpperCase().match(/\.[A-Z]+\d*|[A-Z]+|\d+(?:\.\d+)?/g) || [];
+
+  const key = tokens.map((token) => {
+    if (token.startsWith('.')) {
+      return token.slice(1);
+    }
+
+    if (/^\d/.test(token)) {
+      const [whole, fraction] = token.split('.');
+      return whole.padStart(6, '0') + (fraction !== undefined ? `.${fraction}` : '');
+    }
+
+    return token;
+  }).join(' ');
+
+  return key || null;
+};
+
+/**
+ * Book data for a call number, with its sort key
+ * @param {string|null} callNumber
+ * @returns {Object} { callNumber, callNumberSort }
+ */
+export const callNumberFields = (callNumber) => ({
+  callNumber: callNumber || null,
+  callNumberSort: callNumberSortKey(callNumber)
+});
@@ -0,0 +1,101 @@
+/**
+ * Book Copy Service
+ * Handles creation of physical copies and keeps book-level counters in sync
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { withQRCodeUrl } from './qr.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Borrowing statuses that mean the copy is still with the patron
+ */
+export const ACTIVE_BORROWING_STATUSES = ['BORROWED', 'OVERDUE'];
+
+/**
+ * Build the default accession number for a copy
+ * @param {string} bookId - Book UUID
+ * @param {number} copyNumber - Sequential copy number within the book
+ * @returns {string} Accession number, e.g. "3F2A9C1D-002"
+ */
+export const formatAccessionNumber = (bookId, copyNumber) => {
+  return `${bookId.slice(0, 8).toUpperCase()}-${String(copyNumber).padStart(3, '0')}`;
+};
+
+/**
+ * Recalculate copiesTotal, copiesAvailable and status of a book from its copies
+ * Lost copies are not counted as part of the holdings. A digital item counts
+ * its licenses instead: copiesAvailable is the licenses not out on e-loan.
+ * @param {string} bookId - Book UUID
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Object>} Updated book
+ */
+export const syncBookCopyCounts = async (bookId, db = prisma) => {
+  const [book, physicalTotal, physicalAvailable, activeELoans] = await Promise.all([
+    db.book.findUnique({ where: { id: bookId } }),
+    db.bookCopy.count({ where: { bookId, status: { not: 'LOST' } } }),
+    db.bookCopy.count({ where: { bookId, status: 'AVAILABLE' } }),
+    db.borrowing.count({ where: { bookId, itemType: 'DIGITAL', status: { in: ACTIVE_BORROWING_STATUSES } } })
+  ]);
+
+  if (!book) {
+    return null;
+  }
+
+  const digital = book.itemType === 'DIGITAL';
+  const copiesTotal = digital ? book.licenseCount || 0 : physicalTotal;
+  const copiesAvailable = digital ? Math.max(copiesTotal - activeELoans, 0) : physicalAvailable;
+
+  // Don't change manual statuses
+  const status = ['MAINTENANCE', 'LOST'].includes(book.status)
+    ? book.status
+    : (copiesAvailable > 0 ? 'AVAILABLE' : 'BORROWED');
+
+  return db.book.update({
+    where: { id: bookId },
+    data: { copiesTotal, copiesAvailable, status }
+  });
+};
+
+/**
+ * Create new copies for a book, each with its own QR code
+ * @param {Object} book - Book record
+ * @param {number} count - Number of copies to create
+ * @param {Object} options - { accessionNumber, shelfId, condition, notes, acquiredAt }
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Array>} Created copies
+ */
+export const createCopies = async (book, count = 1, options = {}, db = prisma) => {
+  const { accessionNumber, shelfId, condition, notes, acquiredAt } = options;
+
+  const last = await db.bookCopy.findFirst({
+    where: { bookId: book.id },
+    orderBy: { copyNumber: 'desc' }
+  });
+
+  let copyNumber = last ? last.copyNumber : 0;
+  const copies = [];
+
+  for (let i = 0; i < count; i++) {
+    copyNumber++;
+
+    const copy = await db.bookCopy.create({
+      data: {
+        bookId: book.id,
+        copyNumber,
+        accessionNumber: accessionNumber || formatAccessionNumber(book.id, copyNumber),
+        shelfId: shelfId !== undefined ? shelfId : book.shelfId,
+        ...(condition && { condition }),
+        ...(notes && { notes }),
+        ...(acquiredAt && { acquiredAt: new Date(acquiredAt) })
+      }
+    });
+
+    copies.push(withQRCodeUrl('COPY', copy));
+  }
+
+  await syncBookCopyCounts(book.id, db);
+
+  return copies;
+};
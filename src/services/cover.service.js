@@ -0,0 +1,145 @@
+/**
+ * Cover Service
+ * Checks uploaded book covers, resizes them and keeps them in file storage
+ *
+ * Each upload is stored as a cover image and a thumbnail, both JPEG, under a
+ * new key so cached copies of the previous cover are never served.
+ */
+
+import sharp from 'sharp';
+import { AppError } from '../middleware/error.middleware.js';
+import { deleteStoredFiles, getStorage } from './storage.service.js';
+
+// Content types accepted for upload, and the formats sharp must find in the file
+export const COVER_CONTENT_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+// Bounding boxes of the stored images (covers are usually 2:3)
+const COVER_SIZE = { width: 800, height: 1200 };
+const THUMBNAIL_SIZE = { width: 200, height: 300 };
+
+const MIN_COVER_DIMENSION = 100;
+
+/**
+ * Get the largest accepted upload in bytes (MAX_FILE_SIZE, default 5 MB)
+ */
+export const getMaxFileSize = () => parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+
+/**
+ * Check an uploaded cover: declared type, size, and that the bytes really are that image
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Request Content-Type
+ * @returns {Promise<Object>} Image metadata from sharp
+ */
+const validateCover = async (body, contentType) => {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (!COVER_CONTENT_TYPES[type]) {
+    throw new AppError(
+      `Cover must be one of ${Object.keys(COVER_CONTENT_TYPES).join(', ')}`,
+      'UNSUPPORTED_MEDIA_TYPE',
+      415
+    );
+  }
+
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    throw new AppError('Send the image as the request body', 'VALIDATION_ERROR', 400);
+  }
+
+  if (body.length > getMaxFileSize()) {
+    throw new AppError(
+      `Cover must not be larger than ${Math.floor(getMaxFileSize() / 1024)} KB`,
+      'FILE_TOO_LARGE',
+      413
+    );
+  }
+
+  let metadata;
+
+  try {
+    metadata = await sharp(body).metadata();
+  } catch (error) {
+    throw new AppError('File is not a readable image', 'INVALID_IMAGE', 400);
+  }
+
+  if (metadata.format !== COVER_CONTENT_TYPES[type]) {
+    throw new AppError(`File content is not ${type}`, 'INVALID_IMAGE', 400);
+  }
+
+  if (metadata.width < MIN_COVER_DIMENSION || metadata.height < MIN_COVER_DIMENSION) {
+    throw new AppError(
+      `Cover must be at least ${MIN_COVER_DIMENSION}×${MIN_COVER_DIMENSION} pixels`,
+      'INVALID_IMAGE',
+      400
+    );
+  }
+
+  return metadata;
+};
+
+/**
+ * Resize an image to fit a box, as JPEG
+ * EXIF orientation is applied and metadata (location, camera) is dropped.
+ */
+const renderJpeg = (body, { width, height }) => sharp(body)
+  .rotate()
+  .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+  .flatten({ background: '#ffffff' })
+  .jpeg({ quality: 85, mozjpeg: true })
+  .toBuffer();
+
+/**
+ * Store a new cover for a book
+ * The previous cover is left in place until the book points at the new one.
+ * @param {Object} book - Book record
+ * @param {Buffer} body - Uploaded image
+ * @param {string} contentType - Upload Content-Type
+ * @returns {Promise<{ coverKey, coverThumbnailKey, width, height }>} New keys and the original size
+ */
+export const storeBookCover = async (book, body, contentType) => {
+  const { width, height } = await validateCover(body, contentType);
+
+  const [cover, thumbnail] = await Promise.all([
+    renderJpeg(body, COVER_SIZE),
+    renderJpeg(body, THUMBNAIL_SIZE)
+  ]);
+
+  const version = Date.now().toString(36);
+  const coverKey = `covers/${book.id}/${version}.jpg`;
+  const coverThumbnailKey = `covers/${book.id}/${version}-thumb.jpg`;
+  const storage = getStorage();
+
+  await storage.put(coverKey, cover, 'image/jpeg');
+  await storage.put(coverThumbnailKey, thumbnail, 'image/jpeg');
+
+  return { coverKey, coverThumbnailKey, width, height };
+};
+
+/**
+ * Remove a book's cover files
+ * @param {Object} book - Book record with coverKey and coverThumbnailKey
+ */
+export const deleteBookCover = (book) => deleteStoredFiles([book.coverKey, book.coverThumbnailKey]);
+
+/**
+ * Add the URLs of its cover images to a book
+ * @param {Object} book - Book record
+ * @returns {Object} Book with coverUrl and coverThumbnailUrl (null without a cover)
+ */
+export const withCoverUrls = (book) => {
+  if (!book || !('coverKey' in book)) {
+    return book;
+  }
+
+  const storage = getStorage();
+  const { coverKey, coverThumbnailKey, ...rest } = book;
+
+  return {
+    ...rest,
+    coverUrl: coverKey ? storage.url(coverKey) : null,
+    coverThumbnailUrl: coverThumbnailKey ? storage.url(coverThumbnailKey) : null
+  };
+};
@@ -0,0 +1,87 @@
+/**
+ * CSV Service
+ * Reads and writes RFC 4180 CSV (quoted fields, doubled quotes, CRLF or LF line endings)
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text, optionally starting with a UTF-8 BOM
+ * @returns {string[][]} Rows, blank lines skipped
+ */
+export const parseCSV = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Leading characters that make spreadsheets read a cell as a formula (after any ' already escaping it)
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * Quote a field when it contains a comma, quote or line break
+ * Text that a spreadsheet would run as a formula is prefixed with ' so it shows as text.
+ */
+const formatField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (typeof value === 'string' && FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Remove the ' that stringifyCSV puts in front of formula-like text
+ * @param {string} text - Field read from a CSV file
+ * @returns {string}
+ */
+export const unescapeFormula = (text) => {
+  return text.startsWith("'") && FORMULA_PATTERN.test(text) ? text.slice(1) : text;
+};
+
+/**
+ * Write rows as CSV
+ * @param {Array<Array>} rows - Header row first
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const stringifyCSV = (rows) => {
+  return rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,182 @@
+/**
+ * Digital Lending Service
+ * Signs the download links of e-loans and ends e-loans when their loan period is over
+ *
+ * A download link names the e-loan, the resource and an expiry time, signed with
+ * an HMAC. Links are short-lived (DOWNLOAD_LINK_TTL_MINUTES) and never outlive
+ * the e-loan, so a shared link stops working soon after it is handed out.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { ACTIVE_BORROWING_STATUSES, syncBookCopyCounts } from './copy.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get how long a download link stays valid, in minutes (DOWNLOAD_LINK_TTL_MINUTES, default 15)
+ */
+export const getDownloadLinkTtl = () => parseInt(process.env.DOWNLOAD_LINK_TTL_MINUTES) || 15;
+
+/**
+ * Get the secret download links are signed with
+ * DOWNLOAD_LINK_SECRET, or a key derived from JWT_SECRET.
+ */
+const getDownloadLinkSecret = () => {
+  if (process.env.DOWNLOAD_LINK_SECRET) {
+    return process.env.DOWNLOAD_LINK_SECRET;
+  }
+
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || '')
+    .update('download-links')
+    .digest('hex');
+};
+
+/**
+ * Compute the signature of a download link
+ */
+const computeSignature = (borrowingId, resourceId, expires) => {
+  return crypto
+    .createHmac('sha256', getDownloadLinkSecret())
+    .update(`${borrowingId}:${resourceId}:${expires}`)
+    .digest('base64url');
+};
+
+/**
+ * Issue signed download links for an e-loan
+ * @param {Object} borrowing - Borrowing record
+ * @param {Array} resources - DigitalResource records of the borrowed book
+ * @returns {Array<{ resourceId, format, fileName, url, expiresAt }>}
+ */
+export const createDownloadLinks = (borrowing, resources) => {
+  const expires = Math.min(
+    Date.now() + getDownloadLinkTtl() * 60 * 1000,
+    new Date(borrowing.expectedReturnDate).getTime()
+  );
+
+  return resources.map(resource => {
+    const signature = computeSignature(borrowing.id, resource.id, expires);
+
+    return {
+      resourceId: resource.id,
+      format: resource.format,
+      fileName: resource.fileName,
+      url: `/api/borrowing/${borrowing.id}/download/${resource.id}?expires=${expires}&signature=${signature}`,
+      expiresAt: new Date(expires)
+    };
+  });
+};
+
+/**
+ * Check a download link and find what it gives access to
+ * @param {Object} params - { borrowingId, resourceId, expires, signature }
+ * @returns {Promise<{ borrowing: Object, resource: Object }>}
+ * @throws {AppError} DOWNLOAD_LINK_INVALID, DOWNLOAD_LINK_EXPIRED or LOAN_NOT_ACTIVE
+ */
+export const resolveDownloadLink = async ({ borrowingId, resourceId, expires, signature }) => {
+  if (!/^\d+$/.test(String(expires || '')) || !signature) {
+    throw new AppError('Download link is invalid', 'DOWNLOAD_LINK_INVALID', 403);
+  }
+
+  const expected = Buffer.from(computeSignature(borrowingId, resourceId, expires));
+  const actual = Buffer.from(String(signature));
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AppError('Download link is invalid', 'DOWNLOAD_LINK_INVALID', 403);
+  }
+
+  if (Date.now() > parseInt(expires)) {
+    throw new AppError('Download link has expired; request a new one', 'DOWNLOAD_LINK_EXPIRED', 410);
+  }
+
+  const [borrowing, resource] = await Promise.all([
+    prisma.borrowing.findUnique({ where: { id: borrowingId } }),
+    prisma.digitalResource.findUnique({ where: { id: resourceId } })
+  ]);
+
+  if (!resource || !borrowing || resource.bookId !== borrowing.bookId) {
+    throw new AppError('Download link is invalid', 'DOWNLOAD_LINK_INVALID', 403);
+  }
+
+  // A returned or expired e-loan revokes its links straight away
+  if (!ACTIVE_BORROWING_STATUSES.includes(borrowing.status) || new Date() >= borrowing.expectedReturnDate) {
+    throw new AppError('This e-loan has ended', 'LOAN_NOT_ACTIVE', 410);
+  }
+
+  return { borrowing, resource };
+};
+
+/**
+ * End e-loans whose loan period is over
+ * E-loans have nothing to hand back, so they are returned automatically and
+ * their license goes back into circulation. No overdue fines apply.
+ */
+export const expireDigitalLoans = async () => {
+  try {
+    const expired = await prisma.borrowing.findMany({
+      where: {
+        itemType: 'DIGITAL',
+        status: { in: ACTIVE_BORROWING_STATUSES },
+        expectedReturnDate: { lte: new Date() }
+      },
+      include: {
+        book: { select: { id: true, title: true } }
+      }
+    });
+
+    let endedCount = 0;
+
+    for (const borrowing of expired) {
+      // The e-loan may have been returned since it was read
+      const ended = await prisma.borrowing.updateMany({
+        where: { id: borrowing.id, status: { in: ACTIVE_BORROWING_STATUSES } },
+        data: { status: 'RETURNED', actualReturnDate: borrowing.expectedReturnDate }
+      });
+
+      if (ended.count === 0) continue;
+      endedCount++;
+
+      await syncBookCopyCounts(borrowing.bookId);
+
+      await prisma.auditLog.create({
+        data: {
+          bookId: borrowing.bookId,
+          action: 'EBOOK_LOAN_EXPIRED',
+          oldValue: { status: borrowing.status },
+          newValue: {
+            status: 'RETURNED',
+            borrowerId: borrowing.userId,
+            returnDate: borrowing.expectedReturnDate
+          }
+        }
+      });
+
+      await prisma.notification.create({
+        data: {
+          userId: borrowing.userId,
+          type: 'INFO',
+          title: 'E-book Loan Ended',
+          message: `Your loan of "${borrowing.book.title}" has ended and its download links no longer work.`,
+          isRead: false
+        }
+      });
+    }
+
+    console.log(`E-loan expiry check completed. Ended ${endedCount} e-loan(s).`);
+  } catch (error) {
+    console.error('Error expiring e-loans:', error);
+  }
+};
+
+export const startDigitalLoanExpiryChecker = () => {
+  // Run immediately
+  expireDigitalLoans();
+
+  // Run every 15 minutes
+  const interval = parseInt(process.env.DIGITAL_LOAN_CHECK_INTERVAL) || 900000; // 15 minutes
+  setInterval(expireDigitalLoans, interval);
+
+  console.log('E-loan expiry checker service started');
+};
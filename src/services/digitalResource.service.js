@@ -0,0 +1,179 @@
+/**
+ * Digital Resource Service
+ * Checks and stores the files and links that make up a digital item
+ *
+ * Files are kept under "ebooks/<bookId>/", outside the public storage prefixes,
+ * so patrons only reach them through the signed links of an e-loan.
+ */
+
+import crypto from 'crypto';
+import { AppError } from '../middleware/error.middleware.js';
+import { deleteStoredFiles, getStorage } from './storage.service.js';
+
+export const ITEM_TYPES = ['PHYSICAL', 'DIGITAL'];
+
+// Content types accepted for upload, and the format each is stored as
+export const DIGITAL_CONTENT_TYPES = {
+  'application/pdf': 'PDF',
+  'application/epub+zip': 'EPUB'
+};
+
+const FILE_EXTENSIONS = { PDF: 'pdf', EPUB: 'epub' };
+
+// Fields of a resource shown to anyone who can see the book (storage keys and links stay private)
+export const DIGITAL_RESOURCE_SELECT = {
+  id: true,
+  format: true,
+  fileName: true,
+  contentType: true,
+  fileSize: true,
+  createdAt: true
+};
+
+/**
+ * Get the largest accepted e-book upload in bytes (MAX_DIGITAL_FILE_SIZE, default 100 MB)
+ */
+export const getMaxDigitalFileSize = () => parseInt(process.env.MAX_DIGITAL_FILE_SIZE) || 100 * 1024 * 1024;
+
+/**
+ * Read the item type of a new book
+ * @param {string} value - PHYSICAL or DIGITAL (default PHYSICAL)
+ * @returns {string}
+ */
+export const parseItemType = (value) => {
+  const itemType = String(value || 'PHYSICAL').toUpperCase();
+
+  if (!ITEM_TYPES.includes(itemType)) {
+    throw new AppError(`Item type must be one of ${ITEM_TYPES.join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+
+  return itemType;
+};
+
+/**
+ * Read the number of concurrent e-loans a digital item is licensed for
+ * @param {*} value - Whole number of at least 1
+ * @returns {number}
+ */
+export const parseLicenseCount = (value) => {
+  const licenseCount = Number(value);
+
+  if (!Number.isInteger(licenseCount) || licenseCount < 1) {
+    throw new AppError('License count must be a whole number of at least 1', 'VALIDATION_ERROR', 400);
+  }
+
+  return licenseCount;
+};
+
+/**
+ * Tell the format of a file from its first bytes
+ * @param {Buffer} body - File content
+ * @returns {string|null} PDF, EPUB or null
+ */
+const detectFormat = (body) => {
+  if (body.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'PDF';
+  }
+
+  // An EPUB is a ZIP archive whose first entry is an uncompressed "mimetype" file
+  if (
+    body.length >= 58
+    && body.readUInt32LE(0) === 0x04034b50
+    && body.subarray(30, 58).toString('latin1') === 'mimetypeapplication/epub+zip'
+  ) {
+    return 'EPUB';
+  }
+
+  return null;
+};
+
+/**
+ * Make an uploaded file name safe to send back in a Content-Disposition header
+ */
+const cleanFileName = (fileName, fallback) => {
+  const name = String(fileName || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f"]/g, '')
+    .trim()
+    .slice(0, 200);
+
+  return name || fallback;
+};
+
+/**
+ * Check and store an uploaded e-book file
+ * @param {Object} book - Book record
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Request Content-Type
+ * @param {string} fileName - Name to download the file as
+ * @returns {Promise<Object>} { format, storageKey, fileName, contentType, fileSize }
+ */
+export const storeDigitalFile = async (book, body, contentType, fileName) => {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const format = DIGITAL_CONTENT_TYPES[type];
+
+  if (!format) {
+    throw new AppError(
+      `File must be one of ${Object.keys(DIGITAL_CONTENT_TYPES).join(', ')}`,
+      'UNSUPPORTED_MEDIA_TYPE',
+      415
+    );
+  }
+
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    throw new AppError('Send the file as the request body', 'VALIDATION_ERROR', 400);
+  }
+
+  if (body.length > getMaxDigitalFileSize()) {
+    throw new AppError(
+      `File must not be larger than ${Math.floor(getMaxDigitalFileSize() / (1024 * 1024))} MB`,
+      'FILE_TOO_LARGE',
+      413
+    );
+  }
+
+  if (detectFormat(body) !== format) {
+    throw new AppError(`File content is not ${type}`, 'INVALID_FILE', 400);
+  }
+
+  const extension = FILE_EXTENSIONS[format];
+  const storageKey = `ebooks/${book.id}/${crypto.randomUUID()}.${extension}`;
+
+  await getStorage().put(storageKey, body, type);
+
+  return {
+    format,
+    storageKey,
+    fileName: cleanFileName(fileName, `${book.id}.${extension}`),
+    contentType: type,
+    fileSize: body.length
+  };
+};
+
+/**
+ * Check an external link to a digital item (e.g. a publisher's reader)
+ * @param {string} url - http or https address
+ * @returns {{ format: string, url: string }}
+ */
+export const parseResourceLink = (url) => {
+  let parsed;
+
+  try {
+    parsed = new URL(String(url || ''));
+  } catch (error) {
+    throw new AppError('Link must be a valid URL', 'VALIDATION_ERROR', 400);
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new AppError('Link must be an http or https URL', 'VALIDATION_ERROR', 400);
+  }
+
+  return { format: 'LINK', url: parsed.toString() };
+};
+
+/**
+ * Remove the stored files of digital resources (links have none)
+ * @param {Array} resources - DigitalResource records
+ */
+export const deleteDigitalFiles = (resources) => deleteStoredFiles(resources.map(resource => resource.storageKey));
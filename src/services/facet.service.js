@@ -0,0 +1,365 @@
+/**
+ * Facet Service
+ * Catalog filters, sort orders and facet counts for browsing books
+ *
+ * Facet counts are disjunctive: each facet is counted with every filter applied
+ * except its own, so choosing one category still shows how many books the
+ * other categories would add.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { ITEM_TYPES } from './digitalResource.service.js';
+import { branchShelfFilter } from './location.service.js';
+
+const prisma = new PrismaClient();
+
+const BOOK_STATUSES = ['AVAILABLE', 'BORROWED', 'MAINTENANCE', 'LOST'];
+
+// Primary sort of each order, followed by title to keep pages stable
+export const BOOK_SORTS = {
+  relevance: null,
+  newest: { field: 'createdAt', direction: 'desc' },
+  title: { field: 'title', direction: 'asc' },
+  author: { field: 'author', direction: 'asc' },
+  year: { field: 'publicationYear', direction: 'desc' },
+  // Shelf order
+  callNumber: { field: 'callNumberSort', direction: 'asc' },
+  popularity: { field: 'borrowings', direction: 'desc' }
+};
+
+const AUTHOR_FACET_SIZE = 20;
+const SUBJECT_FACET_SIZE = 20;
+const YEAR_BUCKET_SIZE = 10;
+
+/**
+ * Read a filter that may be repeated (?status=A&status=B) or comma-separated (?status=A,B)
+ * @returns {string[]}
+ */
+const readList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Read an optional year bound
+ */
+const readYear = (value, name) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const year = Number(value);
+
+  if (!Number.isInteger(year)) {
+    throw new AppError(`${name} must be a year`, 'VALIDATION_ERROR', 400);
+  }
+
+  return year;
+};
+
+/**
+ * Read catalog filters from a query string
+ * @param {Object} query - req.query
+ * @returns {Object} { categoryIds, shelfIds, branchIds, statuses, itemTypes, authorIds, authors, subjectIds,
+ *   seriesIds, languages, locations, yearFrom, yearTo, available }
+ */
+export const parseBookFilters = (query) => {
+  const statuses = readList(query.status).map(status => status.toUpperCase());
+  const invalid = statuses.filter(status => !BOOK_STATUSES.includes(status));
+
+  if (invalid.length > 0) {
+    throw new AppError(`Unknown status ${invalid.join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+
+  const itemTypes = readList(query.itemType).map(itemType => itemType.toUpperCase());
+  const invalidTypes = itemTypes.filter(itemType => !ITEM_TYPES.includes(itemType));
+
+  if (invalidTypes.length > 0) {
+    throw new AppError(`Unknown item type ${invalidTypes.join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+
+  const yearFrom = readYear(query.yearFrom, 'yearFrom');
+  const yearTo = readYear(query.yearTo, 'yearTo');
+
+  if (yearFrom !== null && yearTo !== null && yearFrom > yearTo) {
+    throw new AppError('yearFrom must not be after yearTo', 'VALIDATION_ERROR', 400);
+  }
+
+  return {
+    categoryIds: readList(query.categoryId),
+    shelfIds: readList(query.shelfId),
+    branchIds: readList(query.branchId),
+    statuses,
+    itemTypes,
+    authorIds: readList(query.authorId),
+    authors: readList(query.author),
+    subjectIds: readList(query.subjectId),
+    seriesIds: readList(query.seriesId),
+    languages: readList(query.language).map(language => language.toLowerCase()),
+    locations: readList(query.location),
+    yearFrom,
+    yearTo,
+    available: query.available === 'true'
+  };
+};
+
+/**
+ * Build the Prisma where clause for catalog filters
+ * @param {Object} filters - From parseBookFilters
+ * @param {Object} options - { scope: extra where clause, except: filter to leave out }
+ * @returns {Object} Prisma where clause
+ */
+export const buildBookWhere = (filters, { scope = null, except = null } = {}) => {
+  const conditions = scope ? [scope] : [];
+  const applies = (name) => except !== name;
+
+  if (applies('category') && filters.categoryIds.length > 0) {
+    conditions.push({ categoryId: { in: filters.categoryIds } });
+  }
+
+  if (applies('shelf') && filters.shelfIds.length > 0) {
+    conditions.push({ shelfId: { in: filters.shelfIds } });
+  }
+
+  if (applies('location') && filters.locations.length > 0) {
+    conditions.push({ shelf: { is: { location: { in: filters.locations } } } });
+  }
+
+  // Books with a copy shelved at one of the branches
+  if (filters.branchIds.length > 0) {
+    conditions.push({
+      OR: filters.branchIds.map(branchId => ({ copies: { some: { shelf: branchShelfFilter(branchId) } } }))
+    });
+  }
+
+  if (applies('status') && filters.statuses.length > 0) {
+    conditions.push({ status: { in: filters.statuses } });
+  }
+
+  if (applies('itemType') && filters.itemTypes.length > 0) {
+    conditions.push({ itemType: { in: filters.itemTypes } });
+  }
+
+  // Any contributor, by ID or by name
+  if (applies('author') && (filters.authorIds.length > 0 || filters.authors.length > 0)) {
+    conditions.push({
+      authors: {
+        some: {
+          OR: [
+            ...(filters.authorIds.length > 0 ? [{ authorId: { in: filters.authorIds } }] : []),
+            ...filters.authors.map(name => ({ author: { name: { equals: name, mode: 'insensitive' } } }))
+          ]
+        }
+      }
+    });
+  }
+
+  if (applies('subject') && filters.subjectIds.length > 0) {
+    conditions.push({ subjects: { some: { subjectId: { in: filters.subjectIds } } } });
+  }
+
+  if (filters.seriesIds.length > 0) {
+    conditions.push({ seriesId: { in: filters.seriesIds } });
+  }
+
+  if (applies('language') && filters.languages.length > 0) {
+    conditions.push({ language: { in: filters.languages } });
+  }
+
+  if (applies('year') && (filters.yearFrom !== null || filters.yearTo !== null)) {
+    conditions.push({
+      publicationYear: {
+        ...(filters.yearFrom !== null && { gte: filters.yearFrom }),
+        ...(filters.yearTo !== null && { lte: filters.yearTo })
+      }
+    });
+  }
+
+  if (applies('available') && filters.available) {
+    conditions.push({ copiesAvailable: { gt: 0 } });
+  }
+
+  return conditions.length > 0 ? { AND: conditions } : {};
+};
+
+/**
+ * Resolve ?sort= and ?order= into a Prisma orderBy
+ * @param {string} sort - relevance, newest, title, author, year, callNumber or popularity
+ * @param {string} order - asc or desc (defaults to the sort's natural direction)
+ * @param {boolean} searching - Whether a search is ranked (relevance is then the default)
+ * @returns {Array|null} orderBy, or null to keep relevance order
+ */
+export const resolveBookSort = (sort, order, searching) => {
+  const name = sort || (searching ? 'relevance' : 'newest');
+
+  if (!(name in BOOK_SORTS)) {
+    throw new AppError(`Sort must be one of ${Object.keys(BOOK_SORTS).join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+
+  if (order && !['asc', 'desc'].includes(order)) {
+    throw new AppError('Order must be asc or desc', 'VALIDATION_ERROR', 400);
+  }
+
+  if (name === 'relevance') {
+    return searching ? null : [{ createdAt: 'desc' }];
+  }
+
+  const { field, direction } = BOOK_SORTS[name];
+  const sortDirection = order || direction;
+
+  let primary;
+
+  if (field === 'borrowings') {
+    primary = { borrowings: { _count: sortDirection } };
+  } else if (field === 'publicationYear' || field === 'callNumberSort') {
+    // Books without a year or call number go last either way
+    primary = { [field]: { sort: sortDirection, nulls: 'last' } };
+  } else {
+    primary = { [field]: sortDirection };
+  }
+
+  return field === 'title' ? [primary] : [primary, { title: 'asc' }];
+};
+
+/**
+ * Group publication year counts into decades
+ */
+const bucketYears = (groups) => {
+  const buckets = new Map();
+
+  for (const { publicationYear, _count } of groups) {
+    if (publicationYear === null) continue;
+
+    const from = Math.floor(publicationYear / YEAR_BUCKET_SIZE) * YEAR_BUCKET_SIZE;
+    buckets.set(from, (buckets.get(from) || 0) + _count._all);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([from, count]) => ({ from, to: from + YEAR_BUCKET_SIZE - 1, count }));
+};
+
+/**
+ * Count the catalog by category, author, subject, language, decade, availability, status, item type,
+ * shelf and location
+ * @param {Object} filters - From parseBookFilters
+ * @param {Object|null} scope - Extra where clause, e.g. the books matching a search
+ * @returns {Promise<Object>} Facets
+ */
+export const getBookFacets = async (filters, scope = null) => {
+  const where = (except) => buildBookWhere(filters, { scope, except });
+
+  const [
+    categoryGroups,
+    authorGroups,
+    subjectGroups,
+    languageGroups,
+    yearGroups,
+    statusGroups,
+    itemTypeGroups,
+    shelfGroups,
+    locationGroups,
+    total,
+    available
+  ] = await Promise.all([
+    prisma.book.groupBy({ by: ['categoryId'], where: where('category'), _count: { _all: true } }),
+    // Books credit several contributors, so authors and subjects are counted through the links
+    prisma.bookAuthor.groupBy({
+      by: ['authorId'],
+      where: { book: where('author') },
+      _count: { bookId: true },
+      orderBy: { _count: { bookId: 'desc' } },
+      take: AUTHOR_FACET_SIZE
+    }),
+    prisma.bookSubject.groupBy({
+      by: ['subjectId'],
+      where: { book: where('subject') },
+      _count: { bookId: true },
+      orderBy: { _count: { bookId: 'desc' } },
+      take: SUBJECT_FACET_SIZE
+    }),
+    prisma.book.groupBy({ by: ['language'], where: where('language'), _count: { _all: true } }),
+    prisma.book.groupBy({ by: ['publicationYear'], where: where('year'), _count: { _all: true } }),
+    prisma.book.groupBy({ by: ['status'], where: where('status'), _count: { _all: true } }),
+    prisma.book.groupBy({ by: ['itemType'], where: where('itemType'), _count: { _all: true } }),
+    prisma.book.groupBy({ by: ['shelfId'], where: where('shelf'), _count: { _all: true } }),
+    prisma.book.groupBy({ by: ['shelfId'], where: where('location'), _count: { _all: true } }),
+    prisma.book.count({ where: where('available') }),
+    prisma.book.count({ where: { AND: [where('available'), { copiesAvailable: { gt: 0 } }] } })
+  ]);
+
+  const shelfIds = [...new Set([...shelfGroups, ...locationGroups].map(group => group.shelfId).filter(Boolean))];
+
+  const [categories, authors, subjects, shelves] = await Promise.all([
+    prisma.category.findMany({
+      where: { id: { in: categoryGroups.map(group => group.categoryId).filter(Boolean) } }
+    }),
+    prisma.author.findMany({ where: { id: { in: authorGroups.map(group => group.authorId) } } }),
+    prisma.subject.findMany({ where: { id: { in: subjectGroups.map(group => group.subjectId) } } }),
+    prisma.shelf.findMany({
+      where: { id: { in: shelfIds } },
+      select: { id: true, shelfCode: true, location: true }
+    })
+  ]);
+
+  const categoryById = new Map(categories.map(category => [category.id, category]));
+  const nameById = new Map([...authors, ...subjects].map(record => [record.id, record.name]));
+  const shelfById = new Map(shelves.map(shelf => [shelf.id, shelf]));
+
+  const locationCounts = new Map();
+
+  for (const { shelfId, _count } of locationGroups) {
+    const shelf = shelfById.get(shelfId);
+    if (!shelf) continue;
+
+    locationCounts.set(shelf.location, (locationCounts.get(shelf.location) || 0) + _count._all);
+  }
+
+  const byCount = (a, b) => b.count - a.count;
+
+  return {
+    categories: categoryGroups
+      .filter(group => categoryById.has(group.categoryId))
+      .map(group => ({
+        id: group.categoryId,
+        name: categoryById.get(group.categoryId).name,
+        count: group._count._all
+      }))
+      .sort(byCount),
+    authors: authorGroups.map(group => ({
+      id: group.authorId,
+      name: nameById.get(group.authorId),
+      count: group._count.bookId
+    })),
+    subjects: subjectGroups.map(group => ({
+      id: group.subjectId,
+      name: nameById.get(group.subjectId),
+      count: group._count.bookId
+    })),
+    languages: languageGroups
+      .filter(group => group.language)
+      .map(group => ({ value: group.language, count: group._count._all }))
+      .sort(byCount),
+    publicationYears: bucketYears(yearGroups),
+    availability: { available, unavailable: total - available },
+    statuses: statusGroups.map(group => ({ value: group.status, count: group._count._all })).sort(byCount),
+    itemTypes: itemTypeGroups.map(group => ({ value: group.itemType, count: group._count._all })).sort(byCount),
+    shelves: shelfGroups
+      .filter(group => shelfById.has(group.shelfId))
+      .map(group => ({
+        id: group.shelfId,
+        shelfCode: shelfById.get(group.shelfId).shelfCode,
+        location: shelfById.get(group.shelfId).location,
+        count: group._count._all
+      }))
+      .sort(byCount),
+    locations: [...locationCounts.entries()].map(([value, count]) => ({ value, count })).sort(byCount)
+  };
+};
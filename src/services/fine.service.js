@@ -0,0 +1,225 @@
+/**
+ * Fine Service
+ * Resolves fine policies and assesses overdue, lost and damaged item fines
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Round a money value to 2 decimal places
+ * @param {number|string|Object} value - Number, string or Prisma Decimal
+ * @returns {number}
+ */
+export const toMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Balance above which a patron may not borrow
+ * @returns {number}
+ */
+export const getFineBlockThreshold = () => {
+  const threshold = parseFloat(process.env.FINE_BLOCK_THRESHOLD);
+  return Number.isNaN(threshold) ? 10 : threshold;
+};
+
+/**
+ * Fine policy used when no default policy row exists
+ */
+const getEnvFinePolicy = () => ({
+  dailyRate: toMoney(process.env.FINE_DAILY_RATE ?? 0.5),
+  gracePeriodDays: parseInt(process.env.FINE_GRACE_DAYS) || 0,
+  maxAmount: process.env.FINE_MAX_AMOUNT ? toMoney(process.env.FINE_MAX_AMOUNT) : null,
+  lostItemFee: toMoney(process.env.LOST_ITEM_FEE ?? 30),
+  damagedItemFee: toMoney(process.env.DAMAGED_ITEM_FEE ?? 10)
+});
+
+/**
+ * Overlay the non-null fields of a policy row on top of a resolved policy
+ */
+const applyPolicyOverrides = (policy, row) => {
+  if (!row) {
+    return policy;
+  }
+
+  return {
+    dailyRate: row.dailyRate !== null ? toMoney(row.dailyRate) : policy.dailyRate,
+    gracePeriodDays: row.gracePeriodDays !== null ? row.gracePeriodDays : policy.gracePeriodDays,
+    maxAmount: row.maxAmount !== null ? toMoney(row.maxAmount) : policy.maxAmount,
+    lostItemFee: row.lostItemFee !== null ? toMoney(row.lostItemFee) : policy.lostItemFee,
+    damagedItemFee: row.damagedItemFee !== null ? toMoney(row.damagedItemFee) : policy.damagedItemFee
+  };
+};
+
+/**
+ * Resolve the fine policy for a category
+ * Environment defaults < default policy (no category) < category override
+ * @param {string|null} categoryId - Category UUID of the borrowed book
+ * @returns {Promise<Object>} { dailyRate, gracePeriodDays, maxAmount, lostItemFee, damagedItemFee }
+ */
+export const resolveFinePolicy = async (categoryId) => {
+  const [defaultPolicy, categoryPolicy] = await Promise.all([
+    prisma.finePolicy.findFirst({ where: { categoryId: null } }),
+    categoryId ? prisma.finePolicy.findUnique({ where: { categoryId } }) : null
+  ]);
+
+  return applyPolicyOverrides(
+    applyPolicyOverrides(getEnvFinePolicy(), defaultPolicy),
+    categoryPolicy
+  );
+};
+
+/**
+ * Calculate the overdue fine for a loan
+ * @param {Date} expectedReturnDate - Due date
+ * @param {Date} returnDate - Date the item came back (or was declared lost)
+ * @param {Object} policy - Resolved fine policy
+ * @returns {{ daysLate: number, amount: number }}
+ */
+export const calculateOverdueFine = (expectedReturnDate, returnDate, policy) => {
+  const daysLate = Math.max(
+    0,
+    Math.floor((new Date(returnDate) - new Date(expectedReturnDate)) / DAY_MS)
+  );
+  const chargeableDays = Math.max(0, daysLate - policy.gracePeriodDays);
+
+  let amount = toMoney(chargeableDays * policy.dailyRate);
+  if (policy.maxAmount !== null && amount > policy.maxAmount) {
+    amount = policy.maxAmount;
+  }
+
+  return { daysLate, amount };
+};
+
+/**
+ * Create a fine with an audit entry and notify the patron
+ */
+const createFine = async ({ borrowing, type, amount, description, actorId, ipAddress }) => {
+  const fine = await prisma.fine.create({
+    data: {
+      userId: borrowing.userId,
+      borrowingId: borrowing.id,
+      bookId: borrowing.bookId,
+      type,
+      amount,
+      balance: amount,
+      description
+    }
+  });
+
+  await prisma.auditLog.create({
+    data: {
+      userId: actorId,
+      bookId: borrowing.bookId,
+      action: 'FINE_ASSESSED',
+      newValue: {
+        fineId: fine.id,
+        patronId: borrowing.userId,
+        type,
+        amount
+      },
+      ipAddress
+    }
+  });
+
+  await prisma.notification.create({
+    data: {
+      userId: borrowing.userId,
+      type: 'REMINDER',
+      title: 'Fine Assessed',
+      message: `A fine of ${amount.toFixed(2)} was added to your account: ${description}.`,
+      isRead: false
+    }
+  });
+
+  return fine;
+};
+
+/**
+ * Assess fines when an item is returned
+ * @param {Object} borrowing - Borrowing record with book
+ * @param {Object} options - { returnDate, condition, actorId, ipAddress }
+ * @returns {Promise<Array>} Created fines
+ */
+export const assessReturnFines = async (borrowing, { returnDate, condition, actorId, ipAddress }) => {
+  const policy = await resolveFinePolicy(borrowing.book.categoryId);
+  const fines = [];
+
+  const overdue = calculateOverdueFine(borrowing.expectedReturnDate, returnDate, policy);
+  if (overdue.amount > 0) {
+    fines.push(await createFine({
+      borrowing,
+      type: 'OVERDUE',
+      amount: overdue.amount,
+      description: `"${borrowing.book.title}" returned ${overdue.daysLate} day(s) late`,
+      actorId,
+      ipAddress
+    }));
+  }
+
+  if (condition === 'DAMAGED' && policy.damagedItemFee > 0) {
+    fines.push(await createFine({
+      borrowing,
+      type: 'DAMAGED',
+      amount: policy.damagedItemFee,
+      description: `"${borrowing.book.title}" returned damaged`,
+      actorId,
+      ipAddress
+    }));
+  }
+
+  return fines;
+};
+
+/**
+ * Assess fines when a borrowed item is declared lost
+ * @param {Object} borrowing - Borrowing record with book
+ * @param {Object} options - { actorId, ipAddress }
+ * @returns {Promise<Array>} Created fines
+ */
+export const assessLostFines = async (borrowing, { actorId, ipAddress }) => {
+  const policy = await resolveFinePolicy(borrowing.book.categoryId);
+  const fines = [];
+
+  const overdue = calculateOverdueFine(borrowing.expectedReturnDate, new Date(), policy);
+  if (overdue.amount > 0) {
+    fines.push(await createFine({
+      borrowing,
+      type: 'OVERDUE',
+      amount: overdue.amount,
+      description: `"${borrowing.book.title}" was ${overdue.daysLate} day(s) overdue when declared lost`,
+      actorId,
+      ipAddress
+    }));
+  }
+
+  if (policy.lostItemFee > 0) {
+    fines.push(await createFine({
+      borrowing,
+      type: 'LOST',
+      amount: policy.lostItemFee,
+      description: `"${borrowing.book.title}" declared lost`,
+      actorId,
+      ipAddress
+    }));
+  }
+
+  return fines;
+};
+
+/**
+ * Get a patron's total outstanding fine balance
+ * @param {string} userId - User UUID
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<number>}
+ */
+export const getOutstandingBalance = async (userId, db = prisma) => {
+  const result = await db.fine.aggregate({
+    where: { userId, status: 'OUTSTANDING' },
+    _sum: { balance: true }
+  });
+
+  return toMoney(result._sum.balance);
+};
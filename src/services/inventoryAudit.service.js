@@ -0,0 +1,296 @@
+/**
+ * Inventory Audit Service
+ * Compares what was scanned on the shelves with the catalogue and applies corrections
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { syncBookCopyCounts } from './copy.service.js';
+import { branchShelfFilter } from './location.service.js';
+import { assignCopyToNextReservation } from './reservation.service.js';
+
+const prisma = new PrismaClient();
+
+// Copies with these statuses should be sitting on their shelf
+export const EXPECTED_ON_SHELF_STATUSES = ['AVAILABLE'];
+
+// Correction each action applies, and the findings it can be applied to
+const RESOLUTION_ACTIONS = {
+  MOVE: { resolution: 'SHELF_UPDATED', types: ['MISPLACED', 'UNEXPECTED'] },
+  MARK_LOST: { resolution: 'MARKED_LOST', types: ['MISSING'] },
+  IGNORE: { resolution: 'IGNORED', types: ['MISSING', 'MISPLACED', 'UNEXPECTED', 'BORROWED_ON_SHELF'] }
+};
+
+// Report section for each finding type
+const REPORT_SECTIONS = {
+  MISSING: 'missing',
+  MISPLACED: 'misplaced',
+  UNEXPECTED: 'unexpected',
+  BORROWED_ON_SHELF: 'borrowedOnShelf'
+};
+
+export const FINDING_INCLUDE = {
+  copy: {
+    select: {
+      id: true,
+      accessionNumber: true,
+      status: true,
+      book: { select: { id: true, title: true, author: true } }
+    }
+  },
+  expectedShelf: { select: { id: true, shelfCode: true, location: true } },
+  foundShelf: { select: { id: true, shelfCode: true, location: true } },
+  resolvedBy: { select: { id: true, fullName: true } }
+};
+
+/**
+ * Where clause for the shelves on a floor of a branch
+ * @param {string} branchId - Branch UUID
+ * @param {number} floor - Floor number
+ */
+export const floorShelfWhere = (branchId, floor) => ({
+  floor,
+  ...branchShelfFilter(branchId)
+});
+
+/**
+ * Get the IDs of the shelves an audit covers
+ * @param {Object} audit - InventoryAudit record (shelf, or branch and floor scope)
+ * @returns {Promise<string[]>}
+ */
+export const getAuditShelfIds = async (audit) => {
+  if (audit.shelfId) {
+    return [audit.shelfId];
+  }
+
+  const shelves = await prisma.shelf.findMany({
+    where: floorShelfWhere(audit.branchId, audit.floor),
+    select: { id: true }
+  });
+
+  return shelves.map(shelf => shelf.id);
+};
+
+/**
+ * Classify a copy found on a shelf
+ * @param {Object} copy - BookCopy with status and shelfId
+ * @param {string} foundShelfId - Shelf the copy was scanned on
+ * @returns {string|null} Finding type, or null when the copy is where it belongs
+ */
+export const classifyScan = (copy, foundShelfId) => {
+  if (copy.status === 'BORROWED') {
+    return 'BORROWED_ON_SHELF';
+  }
+
+  if (!EXPECTED_ON_SHELF_STATUSES.includes(copy.status) || !copy.shelfId) {
+    return 'UNEXPECTED';
+  }
+
+  if (copy.shelfId !== foundShelfId) {
+    return 'MISPLACED';
+  }
+
+  return null;
+};
+
+/**
+ * Work out the discrepancies of an audit from its scans
+ * @param {Object} audit - InventoryAudit record
+ * @returns {Promise<{ findings: Array, summary: Object }>} Unsaved findings and counts
+ */
+export const buildFindings = async (audit) => {
+  const shelfIds = await getAuditShelfIds(audit);
+
+  const [expectedCopies, scans] = await Promise.all([
+    prisma.bookCopy.findMany({
+      where: {
+        shelfId: { in: shelfIds },
+        status: { in: EXPECTED_ON_SHELF_STATUSES }
+      },
+      select: { id: true, shelfId: true, status: true }
+    }),
+    prisma.inventoryAuditScan.findMany({
+      where: { auditId: audit.id },
+      include: { copy: { select: { id: true, shelfId: true, status: true } } }
+    })
+  ]);
+
+  const scannedIds = new Set(scans.map(scan => scan.copyId));
+  const findings = [];
+
+  for (const copy of expectedCopies) {
+    if (!scannedIds.has(copy.id)) {
+      findings.push({
+        copyId: copy.id,
+        type: 'MISSING',
+        copyStatus: copy.status,
+        expectedShelfId: copy.shelfId,
+        foundShelfId: null
+      });
+    }
+  }
+
+  for (const scan of scans) {
+    const type = classifyScan(scan.copy, scan.shelfId);
+
+    if (type) {
+      findings.push({
+        copyId: scan.copyId,
+        type,
+        copyStatus: scan.copy.status,
+        expectedShelfId: scan.copy.shelfId,
+        foundShelfId: scan.shelfId
+      });
+    }
+  }
+
+  const count = (type) => findings.filter(finding => finding.type === type).length;
+  const missing = count('MISSING');
+
+  return {
+    findings,
+    summary: {
+      expected: expectedCopies.length,
+      scanned: scans.length,
+      found: scans.length - (findings.length - missing),
+      missing,
+      misplaced: count('MISPLACED'),
+      unexpected: count('UNEXPECTED'),
+      borrowedOnShelf: count('BORROWED_ON_SHELF')
+    }
+  };
+};
+
+/**
+ * Attach copy and shelf details to unsaved findings, matching FINDING_INCLUDE
+ */
+const describeFindings = async (findings) => {
+  const shelfIds = [...new Set(findings.flatMap(f => [f.expectedShelfId, f.foundShelfId]).filter(Boolean))];
+
+  const [copies, shelves] = await Promise.all([
+    prisma.bookCopy.findMany({
+      where: { id: { in: findings.map(finding => finding.copyId) } },
+      select: FINDING_INCLUDE.copy.select
+    }),
+    prisma.shelf.findMany({
+      where: { id: { in: shelfIds } },
+      select: FINDING_INCLUDE.expectedShelf.select
+    })
+  ]);
+
+  const copyById = new Map(copies.map(copy => [copy.id, copy]));
+  const shelfById = new Map(shelves.map(shelf => [shelf.id, shelf]));
+
+  return findings.map(finding => ({
+    ...finding,
+    copy: copyById.get(finding.copyId) || null,
+    expectedShelf: shelfById.get(finding.expectedShelfId) || null,
+    foundShelf: shelfById.get(finding.foundShelfId) || null,
+    resolution: null
+  }));
+};
+
+/**
+ * Build the discrepancy report of an audit
+ * Closed audits report their saved findings; open audits get a live preview.
+ * @param {Object} audit - InventoryAudit record
+ * @returns {Promise<Object>} { summary, missing, misplaced, unexpected, borrowedOnShelf }
+ */
+export const buildDiscrepancyReport = async (audit) => {
+  let summary = audit.summary;
+  let findings;
+
+  if (audit.status === 'OPEN') {
+    const preview = await buildFindings(audit);
+    summary = preview.summary;
+    findings = await describeFindings(preview.findings);
+  } else {
+    findings = await prisma.inventoryAuditFinding.findMany({
+      where: { auditId: audit.id },
+      include: FINDING_INCLUDE,
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  const report = { summary };
+
+  for (const [type, section] of Object.entries(REPORT_SECTIONS)) {
+    report[section] = findings.filter(finding => finding.type === type);
+  }
+
+  return report;
+};
+
+/**
+ * Apply a correction to a saved finding
+ * @param {Object} finding - InventoryAuditFinding record
+ * @param {string} action - MOVE (to the shelf it was found on), MARK_LOST or IGNORE
+ * @param {string} actorId - User UUID
+ * @returns {Promise<Object>} Updated finding
+ */
+export const resolveFinding = async (finding, action, actorId) => {
+  const rule = RESOLUTION_ACTIONS[action];
+
+  if (!rule) {
+    throw new AppError(
+      `Action must be one of ${Object.keys(RESOLUTION_ACTIONS).join(', ')}`,
+      'VALIDATION_ERROR',
+      400
+    );
+  }
+
+  if (finding.resolution) {
+    throw new AppError('Finding has already been resolved', 'FINDING_RESOLVED', 400);
+  }
+
+  if (!rule.types.includes(finding.type)) {
+    throw new AppError(`${action} cannot be applied to a ${finding.type} finding`, 'INVALID_ACTION', 400);
+  }
+
+  const copy = await prisma.bookCopy.findUnique({ where: { id: finding.copyId } });
+
+  if (action === 'MOVE') {
+    if (['BORROWED', 'ON_HOLD', 'IN_TRANSIT'].includes(copy.status)) {
+      throw new AppError('Copy has been lent, held or sent to another branch since the audit', 'INVALID_STATUS', 400);
+    }
+
+    // A copy recorded as lost that turns up on a shelf is back in circulation
+    const found = copy.status === 'LOST';
+
+    await prisma.bookCopy.update({
+      where: { id: copy.id },
+      data: {
+        shelfId: finding.foundShelfId,
+        ...(found && { status: 'AVAILABLE' })
+      }
+    });
+
+    if (found) {
+      await syncBookCopyCounts(copy.bookId);
+      await assignCopyToNextReservation(copy.id);
+    }
+  }
+
+  if (action === 'MARK_LOST') {
+    if (copy.status !== 'AVAILABLE') {
+      throw new AppError('Copy is no longer expected on the shelf', 'INVALID_STATUS', 400);
+    }
+
+    await prisma.bookCopy.update({
+      where: { id: copy.id },
+      data: { status: 'LOST' }
+    });
+
+    await syncBookCopyCounts(copy.bookId);
+  }
+
+  return prisma.inventoryAuditFinding.update({
+    where: { id: finding.id },
+    data: {
+      resolution: rule.resolution,
+      resolvedById: actorId,
+      resolvedAt: new Date()
+    },
+    include: FINDING_INCLUDE
+  });
+};
@@ -0,0 +1,105 @@
+/**
+ * ISBN Service
+ * Normalizes ISBN-10 and ISBN-13 numbers and checks their check digits
+ */
+
+import { AppError } from '../middleware/error.middleware.js';
+
+/**
+ * Strip spaces, hyphens and an "ISBN" prefix from a typed or scanned ISBN
+ * @param {string} raw - e.g. "ISBN 978-0-262-03384-8"
+ * @returns {string} e.g. "9780262033848"
+ */
+export const normalizeISBN = (raw) => {
+  return String(raw)
+    .toUpperCase()
+    .replace(/^ISBN(-1[03])?:?/, '')
+    .replace(/[\s-]/g, '');
+};
+
+/**
+ * Check an ISBN-10: weights 10..1, sum divisible by 11, final X = 10
+ * @param {string} isbn - Normalized ISBN
+ * @returns {boolean}
+ */
+export const isValidISBN10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) {
+    return false;
+  }
+
+  const sum = [...isbn].reduce((total, char, index) => {
+    const value = char === 'X' ? 10 : Number(char);
+    return total + value * (10 - index);
+  }, 0);
+
+  return sum % 11 === 0;
+};
+
+/**
+ * Check an ISBN-13: alternating weights 1 and 3, sum divisible by 10
+ * @param {string} isbn - Normalized ISBN
+ * @returns {boolean}
+ */
+export const isValidISBN13 = (isbn) => {
+  if (!/^97[89]\d{10}$/.test(isbn)) {
+    return false;
+  }
+
+  const sum = [...isbn].reduce((total, char, index) => {
+    return total + Number(char) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+
+  return sum % 10 === 0;
+};
+
+/**
+ * Convert a valid ISBN-10 to its ISBN-13 (978 prefix, new check digit)
+ */
+const toISBN13 = (isbn10) => {
+  const body = `978${isbn10.slice(0, 9)}`;
+  const sum = [...body].reduce((total, char, index) => {
+    return total + Number(char) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+
+  return `${body}${(10 - (sum % 10)) % 10}`;
+};
+
+/**
+ * Convert an ISBN-13 with the 978 prefix back to ISBN-10
+ * 979 numbers have no ISBN-10 form.
+ */
+const toISBN10 = (isbn13) => {
+  if (!isbn13.startsWith('978')) {
+    return null;
+  }
+
+  const body = isbn13.slice(3, 12);
+  const sum = [...body].reduce((total, char, index) => total + Number(char) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+
+  return `${body}${check === 10 ? 'X' : check}`;
+};
+
+/**
+ * Validate an ISBN and return both of its forms
+ * Books are stored under their ISBN-13.
+ * @param {string} raw - ISBN-10 or ISBN-13, with or without hyphens
+ * @returns {{ isbn13: string, isbn10: string|null }}
+ */
+export const parseISBN = (raw) => {
+  const isbn = normalizeISBN(raw || '');
+
+  if (isValidISBN13(isbn)) {
+    return { isbn13: isbn, isbn10: toISBN10(isbn) };
+  }
+
+  if (isValidISBN10(isbn)) {
+    return { isbn13: toISBN13(isbn), isbn10: isbn };
+  }
+
+  throw new AppError(
+    `"${raw}" is not a valid ISBN-10 or ISBN-13 (check the digits)`,
+    'INVALID_ISBN',
+    400
+  );
+};
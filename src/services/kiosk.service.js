@@ -0,0 +1,43 @@
+/**
+ * Kiosk Service
+ * Issues self-checkout kiosk device keys and times out idle kiosk sessions
+ */
+
+import crypto from 'crypto';
+
+const KIOSK_KEY_PREFIX = 'kiosk_';
+
+/**
+ * Hash a kiosk API key for storage and lookup
+ * Keys are long random strings, so a fast hash is sufficient.
+ * @param {string} apiKey - Raw API key sent in the X-Kiosk-Key header
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export const hashKioskKey = (apiKey) => {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+/**
+ * Generate a new kiosk API key
+ * The raw key is only ever returned once; the database keeps its hash.
+ * @returns {{ apiKey: string, apiKeyPrefix: string, apiKeyHash: string }}
+ */
+export const generateKioskKey = () => {
+  const apiKey = `${KIOSK_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  return {
+    apiKey,
+    apiKeyPrefix: apiKey.slice(0, KIOSK_KEY_PREFIX.length + 6),
+    apiKeyHash: hashKioskKey(apiKey)
+  };
+};
+
+/**
+ * Expiry time for a kiosk session that has just been used
+ * Sessions close after KIOSK_SESSION_MINUTES without activity.
+ * @returns {Date}
+ */
+export const getKioskSessionExpiry = () => {
+  const minutes = parseInt(process.env.KIOSK_SESSION_MINUTES) || 5;
+  return new Date(Date.now() + minutes * 60 * 1000);
+};
@@ -0,0 +1,250 @@
+/**
+ * Label Service
+ * Lays out QR labels for books and shelves on printable label sheets
+ */
+
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { buildQRPayload } from './qrPayload.service.js';
+import { getCategorySubtreeIds } from './category.service.js';
+import { generateCallNumber } from './classification.service.js';
+
+const prisma = new PrismaClient();
+
+// Largest selection rendered in one request (100 Avery 5160 sheets)
+const MAX_LABELS = 3000;
+
+// Space between the label edge, the QR code and the text
+const PADDING = 4;
+
+const mm = (value) => (value * 72) / 25.4;
+
+/**
+ * Supported label sheets, all measurements in PDF points (1/72 inch)
+ */
+export const LABEL_LAYOUTS = {
+  AVERY_5160: {
+    name: 'Avery 5160 (US Letter, 3 x 10)',
+    pageSize: 'LETTER',
+    columns: 3,
+    rows: 10,
+    labelWidth: 189,
+    labelHeight: 72,
+    marginTop: 36,
+    marginLeft: 13.5,
+    pitchX: 198,
+    pitchY: 72
+  },
+  A4_24: {
+    name: 'Avery L7159 (A4, 3 x 8)',
+    pageSize: 'A4',
+    columns: 3,
+    rows: 8,
+    labelWidth: mm(63.5),
+    labelHeight: mm(33.9),
+    marginTop: mm(13.1),
+    marginLeft: mm(6.4),
+    pitchX: mm(66),
+    pitchY: mm(33.9)
+  }
+};
+
+/**
+ * Collect the books and shelves a label request selects
+ *
+ * Selection (any combination):
+ * - bookIds / shelfIds: specific books and shelves
+ * - categoryId / shelfId: every book in a category and/or on a shelf
+ * - unlabeled: only items never printed; on its own, every unlabeled book and shelf
+ *
+ * @param {Object} selection - Request body
+ * @returns {Promise<Array>} Label items, shelves first, books in shelf order
+ */
+export const collectLabelItems = async ({ bookIds, shelfIds, categoryId, shelfId, unlabeled }) => {
+  const onlyUnlabeled = unlabeled === true || unlabeled === 'true';
+  const bookFilters = [];
+  const shelfFilters = [];
+
+  if (Array.isArray(bookIds) && bookIds.length > 0) {
+    bookFilters.push({ id: { in: bookIds } });
+  }
+
+  // A category includes its subcategories
+  if (categoryId || shelfId) {
+    bookFilters.push({
+      ...(categoryId && { categoryId: { in: await getCategorySubtreeIds([categoryId]) } }),
+      ...(shelfId && { shelfId })
+    });
+  }
+
+  if (Array.isArray(shelfIds) && shelfIds.length > 0) {
+    shelfFilters.push({ id: { in: shelfIds } });
+  }
+
+  // "Everything without a label" when nothing more specific is selected
+  if (onlyUnlabeled && bookFilters.length === 0 && shelfFilters.length === 0) {
+    bookFilters.push({});
+    shelfFilters.push({});
+  }
+
+  if (bookFilters.length === 0 && shelfFilters.length === 0) {
+    throw new AppError(
+      'Select books or shelves: bookIds, shelfIds, categoryId, shelfId or unlabeled',
+      'VALIDATION_ERROR',
+      400
+    );
+  }
+
+  const printedFilter = onlyUnlabeled ? { labelPrintedAt: null } : {};
+
+  const [shelves, books] = await Promise.all([
+    shelfFilters.length > 0
+      ? prisma.shelf.findMany({
+        where: { OR: shelfFilters, ...printedFilter },
+        orderBy: { shelfCode: 'asc' }
+      })
+      : [],
+    bookFilters.length > 0
+      ? prisma.book.findMany({
+        where: { OR: bookFilters, ...printedFilter },
+        include: { shelf: { select: { shelfCode: true } } },
+        orderBy: [
+          { shelf: { shelfCode: 'asc' } },
+          { callNumberSort: { sort: 'asc', nulls: 'last' } },
+          { title: 'asc' }
+        ]
+      })
+      : []
+  ]);
+
+  return [
+    ...shelves.map(shelf => ({
+      type: 'SHELF',
+      id: shelf.id,
+      title: shelf.shelfCode,
+      subtitle: shelf.location
+    })),
+    ...books.map(book => ({
+      type: 'BOOK',
+      id: book.id,
+      title: book.title,
+      // Classified books without a call number get one built for the label
+      callNumber: book.callNumber || generateCallNumber(book),
+      shelfCode: book.shelf?.shelfCode || null
+    }))
+  ];
+};
+
+/**
+ * Draw the text beside the QR code
+ */
+const drawLabelText = (doc, item, x, y, width, height) => {
+  if (item.type === 'SHELF') {
+    doc.font('Helvetica-Bold').fontSize(11)
+      .text(item.title, x, y, { width, height: 28, ellipsis: true });
+    doc.font('Helvetica').fontSize(7)
+      .text(item.subtitle || '', x, doc.y + 2, { width, height: height - 32, ellipsis: true });
+    return;
+  }
+
+  const detailHeight = 20;
+
+  doc.font('Helvetica-Bold').fontSize(8)
+    .text(item.title, x, y, { width, height: height - detailHeight, ellipsis: true });
+
+  doc.font('Helvetica').fontSize(7);
+  doc.text(item.callNumber || '', x, y + height - detailHeight, { width, lineBreak: false, ellipsis: true });
+  doc.text(item.shelfCode ? `Shelf ${item.shelfCode}` : '', x, y + height - detailHeight + 9, {
+    width,
+    lineBreak: false,
+    ellipsis: true
+  });
+};
+
+/**
+ * Render QR labels onto label sheets
+ * @param {Array} items - Items from collectLabelItems
+ * @param {Object} options - { layout, startPosition } (startPosition is 1-based, to reuse part-used sheets)
+ * @returns {Promise<Buffer>} PDF document
+ */
+export const renderLabelSheet = async (items, { layout = 'AVERY_5160', startPosition = 1 } = {}) => {
+  const sheet = LABEL_LAYOUTS[layout];
+
+  if (!sheet) {
+    throw new AppError(
+      `Unknown label layout. Use one of: ${Object.keys(LABEL_LAYOUTS).join(', ')}`,
+      'VALIDATION_ERROR',
+      400
+    );
+  }
+
+  const perPage = sheet.columns * sheet.rows;
+  const offset = (parseInt(startPosition) || 1) - 1;
+
+  if (offset < 0 || offset >= perPage) {
+    throw new AppError(`startPosition must be between 1 and ${perPage}`, 'VALIDATION_ERROR', 400);
+  }
+
+  if (items.length > MAX_LABELS) {
+    throw new AppError(`At most ${MAX_LABELS} labels can be printed at once`, 'TOO_MANY_LABELS', 400);
+  }
+
+  const doc = new PDFDocument({
+    size: sheet.pageSize,
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: `QR Labels - ${sheet.name}` }
+  });
+
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const qrSize = sheet.labelHeight - PADDING * 2;
+  const textWidth = sheet.labelWidth - qrSize - PADDING * 3;
+
+  for (let i = 0; i < items.length; i++) {
+    const position = (i + offset) % perPage;
+
+    if (i === 0 || position === 0) {
+      doc.addPage();
+    }
+
+    const x = sheet.marginLeft + (position % sheet.columns) * sheet.pitchX;
+    const y = sheet.marginTop + Math.floor(position / sheet.columns) * sheet.pitchY;
+
+    const image = await QRCode.toBuffer(buildQRPayload(items[i].type, items[i].id), {
+      errorCorrectionLevel: 'M',
+      type: 'png',
+      width: 240,
+      margin: 0
+    });
+
+    doc.image(image, x + PADDING, y + PADDING, { width: qrSize, height: qrSize });
+    drawLabelText(doc, items[i], x + qrSize + PADDING * 2, y + PADDING, textWidth, qrSize);
+  }
+
+  doc.end();
+
+  return finished;
+};
+
+/**
+ * Record that labels were printed so "unlabeled" selections skip them next time
+ * @param {Array} items - Printed label items
+ */
+export const markLabelsPrinted = async (items) => {
+  const printedAt = new Date();
+  const bookIds = items.filter(item => item.type === 'BOOK').map(item => item.id);
+  const shelfIds = items.filter(item => item.type === 'SHELF').map(item => item.id);
+
+  await prisma.$transaction([
+    prisma.book.updateMany({ where: { id: { in: bookIds } }, data: { labelPrintedAt: printedAt } }),
+    prisma.shelf.updateMany({ where: { id: { in: shelfIds } }, data: { labelPrintedAt: printedAt } })
+  ]);
+};
@@ -0,0 +1,174 @@
+/**
+ * Library Card Service
+ * Issues, resolves and validates patron library cards
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { withQRCodeUrl } from './qr.service.js';
+import { resolveQRCode } from './qrPayload.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Calculate the Luhn check digit for a string of digits
+ * @param {string} digits - Card number without its check digit
+ * @returns {number}
+ */
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+
+  // Double every second digit, starting from the rightmost
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check that a card number is well-formed and its check digit matches
+ * Catches mistyped numbers before they reach the database.
+ * @param {string} cardNumber - 14-digit card number
+ * @returns {boolean}
+ */
+export const isValidCardNumber = (cardNumber) => {
+  if (!/^\d{14}$/.test(cardNumber)) {
+    return false;
+  }
+
+  return luhnCheckDigit(cardNumber.slice(0, -1)) === Number(cardNumber.slice(-1));
+};
+
+/**
+ * Generate a random card number: 4-digit library prefix, 9 random digits, Luhn check digit
+ * @returns {string}
+ */
+export const generateCardNumber = () => {
+  const prefix = (process.env.LIBRARY_CARD_PREFIX || '2900').padStart(4, '0').slice(0, 4);
+  const body = String(crypto.randomInt(0, 1e9)).padStart(9, '0');
+  const digits = `${prefix}${body}`;
+
+  return `${digits}${luhnCheckDigit(digits)}`;
+};
+
+/**
+ * Whether a card is past its expiry date
+ * @param {Object} card - LibraryCard record
+ * @returns {boolean}
+ */
+export const isCardExpired = (card) => new Date(card.expiresAt) < new Date();
+
+/**
+ * Issue a new library card, replacing any active card the patron holds
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} New card with its QR image URL
+ */
+export const issueLibraryCard = async (userId) => {
+  const validityYears = parseInt(process.env.LIBRARY_CARD_VALIDITY_YEARS) || 3;
+  const expiresAt = new Date();
+  expiresAt.setFullYear(expiresAt.getFullYear() + validityYears);
+
+  await prisma.libraryCard.updateMany({
+    where: { userId, status: 'ACTIVE' },
+    data: { status: 'REPLACED', revokedAt: new Date() }
+  });
+
+  // Retry on the rare card number collision
+  let card = null;
+  for (let attempt = 0; !card; attempt++) {
+    try {
+      card = await prisma.libraryCard.create({
+        data: {
+          userId,
+          cardNumber: generateCardNumber(),
+          expiresAt
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= 4) {
+        throw error;
+      }
+    }
+  }
+
+  return withQRCodeUrl('USER', card);
+};
+
+/**
+ * Resolve a scanned or typed card to the card and its patron
+ * Replaced and revoked cards are refused; expiry is left to the caller.
+ * @param {Object} params - { qrData, cardNumber }
+ * @returns {Promise<Object>} Card with user
+ */
+export const resolveLibraryCard = async ({ qrData, cardNumber }) => {
+  let number = cardNumber;
+
+  // Card QR carries the card number as a USER payload
+  if (qrData) {
+    number = (await resolveQRCode(qrData, 'USER')).id;
+  }
+
+  if (!number) {
+    throw new AppError('Library card QR data or card number is required', 'VALIDATION_ERROR', 400);
+  }
+
+  number = String(number).replace(/[\s-]/g, '');
+
+  if (!isValidCardNumber(number)) {
+    throw new AppError('Invalid library card number', 'INVALID_CARD_NUMBER', 400);
+  }
+
+  const card = await prisma.libraryCard.findUnique({
+    where: { cardNumber: number },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          fullName: true,
+          role: true,
+          phone: true,
+          status: true
+        }
+      }
+    }
+  });
+
+  if (!card) {
+    throw new AppError('Library card not found', 'CARD_NOT_FOUND', 404);
+  }
+
+  if (card.status !== 'ACTIVE') {
+    throw new AppError(
+      card.status === 'REPLACED'
+        ? 'This library card has been replaced by a newer card'
+        : 'This library card has been revoked',
+      'CARD_REVOKED',
+      403
+    );
+  }
+
+  return card;
+};
+
+/**
+ * Resolve a card to the patron's user ID for borrowing
+ * @param {Object} params - { qrData, cardNumber }
+ * @returns {Promise<string>} User UUID
+ */
+export const resolveCardHolderId = async (params) => {
+  const card = await resolveLibraryCard(params);
+
+  if (isCardExpired(card)) {
+    throw new AppError('This library card has expired; please renew it at the desk', 'CARD_EXPIRED', 403);
+  }
+
+  return card.userId;
+};
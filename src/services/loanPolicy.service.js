@@ -0,0 +1,105 @@
+/**
+ * Loan Policy Service
+ * Resolves the loan rules that apply to a patron role and book category
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const LOAN_POLICY_FIELDS = [
+  'loanPeriodDays',
+  'maxItems',
+  'maxRenewals',
+  'renewalDays',
+  'referenceOnly'
+];
+
+/**
+ * Read a whole-number setting, keeping 0 (e.g. MAX_RENEWALS=0 turns renewals off)
+ */
+const getEnvInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Loan rules used when no policy row matches
+ */
+const getEnvLoanPolicy = () => ({
+  loanPeriodDays: getEnvInt('MAX_BORROW_DAYS', 14),
+  maxItems: getEnvInt('MAX_BOOKS_PER_USER', 5),
+  maxRenewals: getEnvInt('MAX_RENEWALS', 2),
+  renewalDays: getEnvInt('RENEWAL_DAYS', 7),
+  referenceOnly: false
+});
+
+/**
+ * Overlay the non-null fields of a policy row on top of resolved rules
+ */
+const applyPolicyOverrides = (rules, row) => {
+  if (!row) {
+    return rules;
+  }
+
+  const merged = { ...rules };
+  for (const field of LOAN_POLICY_FIELDS) {
+    if (row[field] !== null && row[field] !== undefined) {
+      merged[field] = row[field];
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Resolve the loan policy for a patron role and book category
+ *
+ * Rows are applied from least to most specific:
+ * environment defaults < default < role < category < role + category.
+ * maxItems from the role layers caps all of a patron's loans; maxItems set on a
+ * category layer is returned separately as categoryMaxItems and caps loans in
+ * that category only.
+ *
+ * @param {Object} params - { role, categoryId }
+ * @returns {Promise<Object>} Resolved rules with policyId of the most specific match
+ */
+export const resolveLoanPolicy = async ({ role, categoryId }) => {
+  const rows = await prisma.loanPolicy.findMany({
+    where: {
+      OR: [
+        { role: null, categoryId: null },
+        { role, categoryId: null },
+        ...(categoryId ? [{ role: null, categoryId }, { role, categoryId }] : [])
+      ]
+    }
+  });
+
+  const find = (matchRole, matchCategory) => rows.find(
+    row => row.role === matchRole && row.categoryId === matchCategory
+  );
+
+  const defaultRow = find(null, null);
+  const roleRow = find(role, null);
+  const categoryRow = categoryId ? find(null, categoryId) : null;
+  const roleCategoryRow = categoryId ? find(role, categoryId) : null;
+
+  const general = applyPolicyOverrides(
+    applyPolicyOverrides(getEnvLoanPolicy(), defaultRow),
+    roleRow
+  );
+  const specific = applyPolicyOverrides(
+    applyPolicyOverrides(general, categoryRow),
+    roleCategoryRow
+  );
+
+  const categoryMaxItems = roleCategoryRow?.maxItems ?? categoryRow?.maxItems ?? null;
+  const mostSpecific = roleCategoryRow || categoryRow || roleRow || defaultRow;
+
+  return {
+    ...specific,
+    maxItems: general.maxItems,
+    categoryMaxItems,
+    policyId: mostSpecific ? mostSpecific.id : null
+  };
+};
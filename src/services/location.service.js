@@ -0,0 +1,241 @@
+/**
+ * Location Service
+ * Handles the branch → floor → room → range hierarchy that shelves belong to
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+
+const prisma = new PrismaClient();
+
+export const LOCATION_TYPES = ['FLOOR', 'ROOM', 'RANGE'];
+
+// Where each kind of location may sit (null = directly under the branch)
+const PARENT_TYPES = {
+  FLOOR: [null],
+  ROOM: [null, 'FLOOR'],
+  RANGE: ['ROOM']
+};
+
+const BRANCH_SELECT = { id: true, code: true, name: true };
+const LOCATION_SELECT = { id: true, branchId: true, parentId: true, type: true, name: true, code: true, level: true };
+
+/**
+ * Check that a location can be placed under a parent
+ * @param {Object} location - { branchId, type }
+ * @param {Object|null} parent - Parent Location record, or null for the branch itself
+ */
+export const validateLocationParent = ({ branchId, type }, parent) => {
+  if (!LOCATION_TYPES.includes(type)) {
+    throw new AppError(`Type must be one of ${LOCATION_TYPES.join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+
+  if (parent && parent.branchId !== branchId) {
+    throw new AppError('Parent location belongs to another branch', 'LOCATION_PARENT_INVALID', 400);
+  }
+
+  if (!PARENT_TYPES[type].includes(parent ? parent.type : null)) {
+    const allowed = PARENT_TYPES[type]
+      .map(parentType => (parentType ? `a ${parentType.toLowerCase()}` : 'the branch'))
+      .join(' or ');
+
+    throw new AppError(
+      `A ${type.toLowerCase()} must be placed in ${allowed}`,
+      'LOCATION_PARENT_INVALID',
+      400
+    );
+  }
+};
+
+/**
+ * Get a location and its ancestors, outermost first
+ * @param {string} locationId - Location UUID
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Array>} e.g. [floor, room, range]
+ */
+export const getLocationPath = async (locationId, db = prisma) => {
+  const path = [];
+  let id = locationId;
+
+  // Hierarchies are at most three deep (floor → room → range)
+  while (id && path.length < LOCATION_TYPES.length) {
+    const location = await db.location.findUnique({
+      where: { id },
+      select: LOCATION_SELECT
+    });
+
+    if (!location) break;
+
+    path.unshift(location);
+    id = location.parentId;
+  }
+
+  return path;
+};
+
+/**
+ * Get the IDs of a location and everything inside it
+ * @param {string} locationId - Location UUID
+ * @returns {Promise<string[]>}
+ */
+export const getLocationSubtreeIds = async (locationId) => {
+  const ids = [locationId];
+  let frontier = [locationId];
+
+  while (frontier.length > 0) {
+    const children = await prisma.location.findMany({
+      where: { parentId: { in: frontier } },
+      select: { id: true }
+    });
+
+    frontier = children.map(child => child.id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+/**
+ * Arrange a branch's locations into a tree
+ * @param {Array} locations - Flat Location records of one branch
+ * @returns {Array} Top-level locations, each with children
+ */
+export const buildLocationTree = (locations) => {
+  const nodes = new Map(locations.map(location => [location.id, { ...location, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  return roots;
+};
+
+/**
+ * Shelf filter for everything in a branch
+ * @param {string} branchId - Branch UUID
+ * @returns {Object} Shelf where clause
+ */
+export const branchShelfFilter = (branchId) => ({
+  place: { is: { branchId } }
+});
+
+/**
+ * Get the branch a shelf stands in
+ * @param {string|null} shelfId - Shelf UUID
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<string|null>} Branch UUID, or null when the shelf is not placed in a branch
+ */
+export const getShelfBranchId = async (shelfId, db = prisma) => {
+  if (!shelfId) {
+    return null;
+  }
+
+  const shelf = await db.shelf.findUnique({
+    where: { id: shelfId },
+    select: { place: { select: { branchId: true } } }
+  });
+
+  return shelf?.place ? shelf.place.branchId : null;
+};
+
+/**
+ * Work out the branch a copy is lent from
+ * The branch of the copy's shelf, else the lending staff member's primary branch.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} params - { shelfId, actorId }
+ * @returns {Promise<string|null>} Branch UUID
+ */
+export const resolveLendingBranchId = async (db, { shelfId, actorId }) => {
+  const shelfBranchId = await getShelfBranchId(shelfId, db);
+
+  if (shelfBranchId) {
+    return shelfBranchId;
+  }
+
+  if (actorId) {
+    const assignment = await db.branchStaff.findFirst({
+      where: { userId: actorId },
+      orderBy: [{ isPrimary: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    if (assignment) {
+      return assignment.branchId;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Keep a shelf's legacy floor and location fields in step with its place in the hierarchy
+ * @param {string|null} locationId - Location UUID
+ * @returns {Promise<Object>} { floor, location } to write on the shelf (empty when unplaced)
+ */
+export const describeShelfPlacement = async (locationId) => {
+  if (!locationId) {
+    return {};
+  }
+
+  const path = await getLocationPath(locationId);
+
+  if (path.length === 0) {
+    throw new AppError('Location not found', 'LOCATION_NOT_FOUND', 404);
+  }
+
+  const branch = await prisma.branch.findUnique({
+    where: { id: path[0].branchId },
+    select: BRANCH_SELECT
+  });
+  const floor = path.find(location => location.type === 'FLOOR');
+
+  return {
+    ...(floor?.level !== null && floor?.level !== undefined && { floor: floor.level }),
+    location: [branch.name, ...path.map(location => location.name)].join(', ')
+  };
+};
+
+/**
+ * Build directions to a shelf: branch → floor → room → range → shelf
+ * @param {string} shelfId - Shelf UUID
+ * @returns {Promise<Object|null>} Wayfinding, or null when the shelf does not exist
+ */
+export const buildWayfinding = async (shelfId) => {
+  const shelf = await prisma.shelf.findUnique({
+    where: { id: shelfId },
+    select: { id: true, shelfCode: true, location: true, floor: true, locationId: true }
+  });
+
+  if (!shelf) {
+    return null;
+  }
+
+  const path = shelf.locationId ? await getLocationPath(shelf.locationId) : [];
+  const branch = path.length > 0
+    ? await prisma.branch.findUnique({ where: { id: path[0].branchId }, select: BRANCH_SELECT })
+    : null;
+
+  const step = (type) => {
+    const location = path.find(entry => entry.type === type);
+    return location ? { id: location.id, name: location.name, code: location.code, level: location.level } : null;
+  };
+
+  const steps = path.length > 0
+    ? [branch.name, ...path.map(location => location.name)]
+    : [shelf.location];
+
+  // Shelves not yet placed in the hierarchy fall back to their floor number
+  const legacyFloor = shelf.floor !== null
+    ? { id: null, name: `Floor ${shelf.floor}`, code: null, level: shelf.floor }
+    : null;
+
+  return {
+    branch,
+    floor: step('FLOOR') || legacyFloor,
+    room: step('ROOM'),
+    range: step('RANGE'),
+    shelf: { id: shelf.id, shelfCode: shelf.shelfCode },
+    directions: [...steps, `Shelf ${shelf.shelfCode}`].join(' → ')
+  };
+};
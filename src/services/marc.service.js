@@ -0,0 +1,259 @@
+/**
+ * MARC Service
+ * Reads and writes MARC21 bibliographic records, as binary ISO 2709 and as MARCXML
+ *
+ * Records are handled as { leader, fields } where each field is either
+ * { tag, value } (control fields 001-009) or
+ * { tag, ind1, ind2, subfields: [{ code, value }] } (data fields).
+ */
+
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+const SUBFIELD_DELIMITER = 0x1f;
+
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+// New records: "n" new, "a" language material, "m" monograph, "a" Unicode
+const DEFAULT_LEADER = '00000nam a2200000 a 4500';
+
+const isControlTag = (tag) => tag < '010';
+
+/**
+ * Parse binary MARC21 (ISO 2709) records
+ * Lengths and offsets in the leader and directory count bytes, so the record is
+ * sliced as a buffer before decoding each field as UTF-8.
+ * @param {Buffer} buffer - One or more concatenated records
+ * @returns {Array<Object>} Records
+ */
+export const parseMARC = (buffer) => {
+  const records = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    // Skip stray line breaks between records
+    if (buffer[offset] === 0x0a || buffer[offset] === 0x0d) {
+      offset++;
+      continue;
+    }
+
+    const recordLength = parseInt(buffer.toString('latin1', offset, offset + 5));
+
+    if (!Number.isInteger(recordLength) || recordLength < LEADER_LENGTH || offset + recordLength > buffer.length) {
+      throw new Error(`Malformed MARC record at byte ${offset}`);
+    }
+
+    const record = buffer.subarray(offset, offset + recordLength);
+    const leader = record.toString('latin1', 0, LEADER_LENGTH);
+    const baseAddress = parseInt(leader.slice(12, 17));
+    const fields = [];
+
+    for (
+      let entry = LEADER_LENGTH;
+      entry + DIRECTORY_ENTRY_LENGTH <= baseAddress && record[entry] !== FIELD_TERMINATOR;
+      entry += DIRECTORY_ENTRY_LENGTH
+    ) {
+      const directory = record.toString('latin1', entry, entry + DIRECTORY_ENTRY_LENGTH);
+      const tag = directory.slice(0, 3);
+      const length = parseInt(directory.slice(3, 7));
+      const start = baseAddress + parseInt(directory.slice(7, 12));
+
+      // Drop the field terminator
+      const data = record.subarray(start, start + length - 1);
+
+      if (isControlTag(tag)) {
+        fields.push({ tag, value: data.toString('utf8') });
+        continue;
+      }
+
+      const [indicators, ...subfields] = data.toString('utf8').split(String.fromCharCode(SUBFIELD_DELIMITER));
+
+      fields.push({
+        tag,
+        ind1: indicators[0] || ' ',
+        ind2: indicators[1] || ' ',
+        subfields: subfields
+          .filter(subfield => subfield.length > 0)
+          .map(subfield => ({ code: subfield[0], value: subfield.slice(1) }))
+      });
+    }
+
+    records.push({ leader, fields });
+    offset += recordLength;
+  }
+
+  return records;
+};
+
+/**
+ * Write records as binary MARC21 (ISO 2709)
+ * @param {Array<Object>} records
+ * @returns {Buffer}
+ */
+export const writeMARC = (records) => {
+  return Buffer.concat(records.map(({ leader = DEFAULT_LEADER, fields }) => {
+    const data = fields.map(field => {
+      const body = isControlTag(field.tag)
+        ? field.value
+        : `${field.ind1 || ' '}${field.ind2 || ' '}` +
+          field.subfields.map(({ code, value }) => `${String.fromCharCode(SUBFIELD_DELIMITER)}${code}${value}`).join('');
+
+      return Buffer.concat([Buffer.from(body, 'utf8'), Buffer.from([FIELD_TERMINATOR])]);
+    });
+
+    let start = 0;
+    const directory = fields.map((field, index) => {
+      const entry = `${field.tag}${String(data[index].length).padStart(4, '0')}${String(start).padStart(5, '0')}`;
+      start += data[index].length;
+      return entry;
+    }).join('');
+
+    const baseAddress = LEADER_LENGTH + directory.length + 1;
+    const recordLength = baseAddress + start + 1;
+
+    const recordLeader = String(recordLength).padStart(5, '0') +
+      leader.slice(5, 12) +
+      String(baseAddress).padStart(5, '0') +
+      leader.slice(17);
+
+    return Buffer.concat([
+      Buffer.from(recordLeader + directory, 'latin1'),
+      Buffer.from([FIELD_TERMINATOR]),
+      ...data,
+      Buffer.from([RECORD_TERMINATOR])
+    ]);
+  }));
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+      return String.fromCodePoint(code);
+    }
+
+    return XML_ENTITIES[entity] ?? match;
+  });
+};
+
+const encodeXml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Read an attribute from an element's opening tag
+ */
+const readAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+/**
+ * Parse MARCXML (a <collection> or a single <record>, with or without a namespace prefix)
+ * @param {string} xml
+ * @returns {Array<Object>} Records
+ */
+export const parseMARCXML = (xml) => {
+  const body = xml.replace(/<!--[\s\S]*?-->/g, '');
+  const element = (name) => `<(?:[\\w-]+:)?${name}\\b([^>]*)>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`;
+
+  const records = [...body.matchAll(new RegExp(element('record'), 'g'))].map(([, , content]) => {
+    const leader = content.match(new RegExp(element('leader')));
+    const fields = [];
+
+    const fieldPattern = new RegExp(`${element('controlfield')}|${element('datafield')}`, 'g');
+
+    for (const [, controlAttributes, controlValue, dataAttributes, dataContent] of content.matchAll(fieldPattern)) {
+      if (controlAttributes !== undefined) {
+        fields.push({ tag: readAttribute(controlAttributes, 'tag'), value: decodeXml(controlValue) });
+        continue;
+      }
+
+      fields.push({
+        tag: readAttribute(dataAttributes, 'tag'),
+        ind1: readAttribute(dataAttributes, 'ind1') || ' ',
+        ind2: readAttribute(dataAttributes, 'ind2') || ' ',
+        subfields: [...dataContent.matchAll(new RegExp(element('subfield'), 'g'))].map(([, attributes, value]) => ({
+          code: readAttribute(attributes, 'code'),
+          value: decodeXml(value)
+        }))
+      });
+    }
+
+    return { leader: leader ? decodeXml(leader[2]) : DEFAULT_LEADER, fields };
+  });
+
+  if (records.length === 0) {
+    throw new Error('No MARCXML <record> elements found');
+  }
+
+  return records;
+};
+
+/**
+ * Write records as a MARCXML collection
+ * @param {Array<Object>} records
+ * @returns {string}
+ */
+export const writeMARCXML = (records) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<collection xmlns="${MARCXML_NAMESPACE}">`
+  ];
+
+  for (const { leader = DEFAULT_LEADER, fields } of records) {
+    lines.push('  <record>', `    <leader>${encodeXml(leader)}</leader>`);
+
+    for (const field of fields) {
+      if (isControlTag(field.tag)) {
+        lines.push(`    <controlfield tag="${field.tag}">${encodeXml(field.value)}</controlfield>`);
+        continue;
+      }
+
+      lines.push(`    <datafield tag="${field.tag}" ind1="${field.ind1 || ' '}" ind2="${field.ind2 || ' '}">`);
+
+      for (const { code, value } of field.subfields) {
+        lines.push(`      <subfield code="${code}">${encodeXml(value)}</subfield>`);
+      }
+
+      lines.push('    </datafield>');
+    }
+
+    lines.push('  </record>');
+  }
+
+  lines.push('</collection>', '');
+
+  return lines.join('\n');
+};
+
+/**
+ * Get the first value of a subfield in the first field with a tag
+ * @param {Object} record
+ * @param {string} tag - e.g. "245"
+ * @param {string} code - e.g. "a"
+ * @returns {string|null}
+ */
+export const getSubfield = (record, tag, code) => {
+  for (const field of record.fields) {
+    if (field.tag !== tag || !field.subfields) continue;
+
+    const subfield = field.subfields.find(entry => entry.code === code);
+    if (subfield) return subfield.value;
+  }
+
+  return null;
+};
+
+/**
+ * Get every field with a tag
+ */
+export const getFields = (record, tag) => record.fields.filter(field => field.tag === tag);
@@ -13,6 +13,8 @@ export const checkOverdueBooks = async () => {
     const overdueBorrowings = await prisma.borrowing.findMany({
       where: {
         status: 'BORROWED',
+        // E-loans are ended by the e-loan expiry checker instead
+        itemType: 'PHYSICAL',
         expectedReturnDate: {
           lt: new Date()
         }
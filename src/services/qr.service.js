@@ -1,124 +1,144 @@
 /**
  * QR Code Service
- * Handles QR code generation and validation for books and shelves
+ * Handles QR code generation and validation for books, copies, shelves and library cards
  */
 
+import crypto from 'crypto';
 import QRCode from 'qrcode';
 import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { getFineBlockThreshold, getOutstandingBalance } from './fine.service.js';
+import { resolveLoanPolicy } from './loanPolicy.service.js';
+import { buildQRPayload, resolveQRCode } from './qrPayload.service.js';
+import { buildWayfinding } from './location.service.js';
+import { ACTIVE_RESERVATION_STATUSES } from './reservation.service.js';
+import { withCoverUrls } from './cover.service.js';
 
 const prisma = new PrismaClient();
 
+// Content type for each image format served by the QR image endpoints
+export const QR_IMAGE_FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Rendered images keyed by payload and options; the payload carries the signing
+// key, so rotating keys or QR_CODE_BASE_URL never serves a stale image
+const imageCache = new Map();
+
 /**
- * Generate QR code for a book
- * QR contains only the book ID (secure approach)
- * @param {string} bookId - Book UUID
- * @returns {Promise<string>} Base64 encoded QR code image
+ * Path of the image endpoint for a record's QR code
  */
-export const generateBookQRCode = async (bookId) => {
-  try {
-    // Verify book exists
-    const book = await prisma.book.findUnique({
-      where: { id: bookId }
-    });
+const QR_IMAGE_PATHS = {
+  BOOK: (book) => `/api/books/${book.id}/qr.png`,
+  SHELF: (shelf) => `/api/shelves/${shelf.id}/qr.png`,
+  COPY: (copy) => `/api/books/${copy.bookId}/copies/${copy.id}/qr.png`,
+  USER: (card) => `/api/users/${card.userId}/card/qr.png`
+};
 
-    if (!book) {
-      throw new Error('Book not found');
-    }
+/**
+ * Add the URL of its QR image to a record
+ * Responses link to the image instead of embedding it.
+ * @param {string} type - BOOK, SHELF, COPY or USER (library card)
+ * @param {Object} record - Book, shelf, copy or library card
+ * @returns {Object} Record with qrCodeUrl
+ */
+export const withQRCodeUrl = (type, record) => {
+  if (!record) {
+    return record;
+  }
 
-    // QR contains URL to frontend book detail page
-    const baseUrl = process.env.QR_CODE_BASE_URL || 'http://localhost:3000/book';
-    const qrData = `${baseUrl}/${bookId}`;
-
-    // Generate QR code as base64 data URL
-    const qrCodeDataURL = await QRCode.toDataURL(qrData, {
-      errorCorrectionLevel: 'H',
-      type: 'image/png',
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
+  return { ...record, qrCodeUrl: QR_IMAGE_PATHS[type](record) };
+};
 
-    // Update book with QR code
-    await prisma.book.update({
-      where: { id: bookId },
-      data: { qrCode: qrCodeDataURL }
-    });
+/**
+ * Read and check image options from the query string
+ * @param {Object} query - { size, margin, ecc }
+ * @returns {{ size: number, margin: number, ecc: string }}
+ */
+const parseQRImageOptions = ({ size, margin, ecc } = {}) => {
+  const options = {
+    size: size !== undefined ? parseInt(size) : 300,
+    margin: margin !== undefined ? parseInt(margin) : 2,
+    ecc: ecc !== undefined ? String(ecc).toUpperCase() : 'H'
+  };
 
-    return qrCodeDataURL;
-  } catch (error) {
-    console.error('Error generating book QR code:', error);
-    throw error;
+  if (!(options.size >= 64 && options.size <= 1024)) {
+    throw new AppError('size must be between 64 and 1024 pixels', 'VALIDATION_ERROR', 400);
+  }
+
+  if (!(options.margin >= 0 && options.margin <= 16)) {
+    throw new AppError('margin must be between 0 and 16 modules', 'VALIDATION_ERROR', 400);
+  }
+
+  if (!QR_ERROR_CORRECTION_LEVELS.includes(options.ecc)) {
+    throw new AppError(
+      `ecc must be one of ${QR_ERROR_CORRECTION_LEVELS.join(', ')}`,
+      'VALIDATION_ERROR',
+      400
+    );
   }
+
+  return options;
 };
 
 /**
- * Generate QR code for a shelf
- * @param {string} shelfId - Shelf UUID
- * @returns {Promise<string>} Base64 encoded QR code image
+ * Render a QR code image on demand
+ * Recently rendered images are served from an in-memory cache (QR_IMAGE_CACHE_SIZE entries).
+ * @param {string} type - BOOK, SHELF, COPY or USER
+ * @param {string} id - Entity UUID, or card number for USER
+ * @param {string} format - png or svg
+ * @param {Object} query - Image options: size (px), margin (modules), ecc (L, M, Q or H)
+ * @returns {Promise<{ body: Buffer|string, contentType: string, etag: string, cacheControl: string }>}
  */
-export const generateShelfQRCode = async (shelfId) => {
-  try {
-    // Verify shelf exists
-    const shelf = await prisma.shelf.findUnique({
-      where: { id: shelfId }
-    });
+export const renderQRImage = async (type, id, format = 'png', query = {}) => {
+  if (!QR_IMAGE_FORMATS[format]) {
+    throw new AppError('Image format must be png or svg', 'VALIDATION_ERROR', 400);
+  }
 
-    if (!shelf) {
-      throw new Error('Shelf not found');
-    }
+  const { size, margin, ecc } = parseQRImageOptions(query);
+  const payload = buildQRPayload(type, id);
+  const cacheKey = `${format}:${size}:${margin}:${ecc}:${payload}`;
 
-    // QR contains URL to frontend shelf detail page
-    const baseUrl = process.env.QR_CODE_BASE_URL || 'http://localhost:3000/book';
-    const qrData = `${baseUrl.replace('/book', '/shelf')}/${shelfId}`;
-
-    // Generate QR code
-    const qrCodeDataURL = await QRCode.toDataURL(qrData, {
-      errorCorrectionLevel: 'H',
-      type: 'image/png',
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
+  let body = imageCache.get(cacheKey);
 
-    // Update shelf with QR code
-    await prisma.shelf.update({
-      where: { id: shelfId },
-      data: { qrCode: qrCodeDataURL }
-    });
+  if (body) {
+    // Move to the back so the least recently used image is evicted first
+    imageCache.delete(cacheKey);
+  } else {
+    const renderOptions = { errorCorrectionLevel: ecc, width: size, margin };
 
-    return qrCodeDataURL;
-  } catch (error) {
-    console.error('Error generating shelf QR code:', error);
-    throw error;
+    body = format === 'svg'
+      ? await QRCode.toString(payload, { ...renderOptions, type: 'svg' })
+      : await QRCode.toBuffer(payload, { ...renderOptions, type: 'png' });
+  }
+
+  imageCache.set(cacheKey, body);
+
+  const maxEntries = parseInt(process.env.QR_IMAGE_CACHE_SIZE) || 500;
+  while (imageCache.size > maxEntries) {
+    imageCache.delete(imageCache.keys().next().value);
   }
+
+  return {
+    body,
+    contentType: QR_IMAGE_FORMATS[format],
+    etag: `"${crypto.createHash('sha1').update(cacheKey).digest('hex')}"`,
+    cacheControl: 'private, max-age=86400'
+  };
 };
 
 /**
  * Validate and decode scanned QR code
- * @param {string} qrData - Scanned QR data (JSON string)
+ * @param {string} qrData - Scanned QR data (link, legacy JSON payload or raw ID)
  * @returns {Promise<Object>} Decoded QR data with validation
  */
 export const validateQRCode = async (qrData) => {
   try {
-    // Parse QR data
-    let parsed;
-    try {
-      parsed = JSON.parse(qrData);
-    } catch {
-      throw new Error('Invalid QR code format');
-    }
-
-    const { type, id } = parsed;
-
-    if (!type || !id) {
-      throw new Error('QR code missing required fields');
-    }
+    // Decode and verify the signature
+    const { type, id, version, signed } = await resolveQRCode(qrData);
 
     // Validate based on type
     if (type === 'BOOK') {
@@ -137,7 +157,9 @@ export const validateQRCode = async (qrData) => {
       return {
         valid: true,
         type: 'BOOK',
-        data: book
+        version,
+        signed,
+        data: withQRCodeUrl('BOOK', book)
       };
     } else if (type === 'SHELF') {
       const shelf = await prisma.shelf.findUnique({
@@ -158,7 +180,63 @@ export const validateQRCode = async (qrData) => {
       return {
         valid: true,
         type: 'SHELF',
-        data: shelf
+        version,
+        signed,
+        data: withQRCodeUrl('SHELF', shelf)
+      };
+    } else if (type === 'COPY') {
+      const copy = await prisma.bookCopy.findUnique({
+        where: { id },
+        include: {
+          book: {
+            include: {
+              category: true
+            }
+          },
+          shelf: true
+        }
+      });
+
+      if (!copy) {
+        throw new Error('Copy not found');
+      }
+
+      return {
+        valid: true,
+        type: 'COPY',
+        version,
+        signed,
+        data: withQRCodeUrl('COPY', copy)
+      };
+    } else if (type === 'USER') {
+      const card = await prisma.libraryCard.findUnique({
+        where: { cardNumber: id },
+        include: {
+          user: {
+            select: {
+              id: true,
+              fullName: true,
+              email: true,
+              status: true
+            }
+          }
+        }
+      });
+
+      if (!card) {
+        throw new Error('Library card not found');
+      }
+
+      if (card.status !== 'ACTIVE') {
+        throw new Error('Library card is no longer active');
+      }
+
+      return {
+        valid: true,
+        type: 'USER',
+        version,
+        signed,
+        data: withQRCodeUrl('USER', card)
       };
     } else {
       throw new Error('Unknown QR code type');
@@ -166,7 +244,8 @@ export const validateQRCode = async (qrData) => {
   } catch (error) {
     return {
       valid: false,
-      error: error.message
+      error: error.message,
+      code: error.code || 'INVALID_QR'
     };
   }
 };
@@ -198,6 +277,18 @@ export const scanBook = async (bookId) => {
         orderBy: {
           borrowDate: 'desc'
         }
+      },
+      copies: {
+        select: {
+          id: true,
+          accessionNumber: true,
+          status: true,
+          condition: true,
+          shelfId: true
+        },
+        orderBy: {
+          copyNumber: 'asc'
+        }
       }
     }
   });
@@ -226,11 +317,201 @@ export const scanBook = async (bookId) => {
     take: 10 // Last 10 borrowings
   });
 
+  // Directions to the book's shelf and to any other shelf with a copy on it
+  const availableShelfIds = [...new Set(
+    book.copies
+      .filter(copy => copy.status === 'AVAILABLE' && copy.shelfId && copy.shelfId !== book.shelfId)
+      .map(copy => copy.shelfId)
+  )];
+
+  const [wayfinding, ...alsoAvailableAt] = await Promise.all([
+    book.shelfId ? buildWayfinding(book.shelfId) : null,
+    ...availableShelfIds.map(shelfId => buildWayfinding(shelfId))
+  ]);
+
   return {
-    ...book,
+    ...withQRCodeUrl('BOOK', withCoverUrls(book)),
     borrowingHistory,
     isAvailable: book.copiesAvailable > 0,
-    currentBorrower: book.borrowings[0] || null
+    currentBorrower: book.borrowings[0] || null,
+    wayfinding,
+    alsoAvailableAt
+  };
+};
+
+/**
+ * Scan copy QR and return the exact copy with its current loan
+ * @param {Object} where - Unique lookup, either { id } or { accessionNumber }
+ * @returns {Promise<Object>} Copy details with current loan
+ */
+export const scanCopy = async (where) => {
+  const copy = await prisma.bookCopy.findUnique({
+    where,
+    include: {
+      book: {
+        include: {
+          category: true
+        }
+      },
+      shelf: true,
+      borrowings: {
+        where: {
+          status: {
+            in: ['BORROWED', 'OVERDUE']
+          }
+        },
+        include: {
+          user: {
+            select: {
+              id: true,
+              fullName: true,
+              email: true
+            }
+          }
+        },
+        orderBy: {
+          borrowDate: 'desc'
+        },
+        take: 1
+      },
+      transferItems: {
+        where: {
+          status: {
+            in: ['PENDING', 'IN_TRANSIT']
+          }
+        },
+        include: {
+          transfer: {
+            include: {
+              fromBranch: { select: { id: true, code: true, name: true } },
+              toBranch: { select: { id: true, code: true, name: true } }
+            }
+          }
+        },
+        take: 1
+      }
+    }
+  });
+
+  if (!copy) {
+    throw new AppError('Copy not found', 'COPY_NOT_FOUND', 404);
+  }
+
+  const { borrowings, transferItems, ...copyDetails } = copy;
+
+  return {
+    ...withQRCodeUrl('COPY', copyDetails),
+    isAvailable: copy.status === 'AVAILABLE',
+    currentLoan: borrowings[0] || null,
+    currentTransfer: transferItems[0] || null
+  };
+};
+
+/**
+ * Scan library card QR and return the patron with their loans, holds and blocks
+ * @param {Object} card - Active LibraryCard record with user
+ * @returns {Promise<Object>} Patron details with borrowing blocks
+ */
+export const scanUser = async (card) => {
+  const { user } = card;
+
+  const [activeLoans, holds, outstandingBalance, policy] = await Promise.all([
+    prisma.borrowing.findMany({
+      where: {
+        userId: user.id,
+        status: {
+          in: ['BORROWED', 'OVERDUE']
+        }
+      },
+      include: {
+        book: {
+          select: {
+            id: true,
+            title: true,
+            author: true
+          }
+        },
+        copy: {
+          select: {
+            id: true,
+            accessionNumber: true
+          }
+        }
+      },
+      orderBy: {
+        expectedReturnDate: 'asc'
+      }
+    }),
+    prisma.reservation.findMany({
+      where: {
+        userId: user.id,
+        status: {
+          in: ACTIVE_RESERVATION_STATUSES
+        }
+      },
+      include: {
+        book: {
+          select: {
+            id: true,
+            title: true,
+            author: true
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'asc'
+      }
+    }),
+    getOutstandingBalance(user.id),
+    resolveLoanPolicy({ role: user.role, categoryId: null })
+  ]);
+
+  const isExpired = new Date(card.expiresAt) < new Date();
+  const fineThreshold = getFineBlockThreshold();
+
+  // Reasons the patron cannot borrow right now
+  const blocks = [];
+  if (isExpired) {
+    blocks.push({ code: 'CARD_EXPIRED', message: 'Library card has expired' });
+  }
+  if (user.status !== 'ACTIVE') {
+    blocks.push({ code: 'INACTIVE_USER', message: `Account is ${user.status.toLowerCase()}` });
+  }
+  if (outstandingBalance > fineThreshold) {
+    blocks.push({
+      code: 'FINES_OUTSTANDING',
+      message: `${outstandingBalance.toFixed(2)} in outstanding fines (limit ${fineThreshold.toFixed(2)})`
+    });
+  }
+  if (activeLoans.length >= policy.maxItems) {
+    blocks.push({
+      code: 'BORROWING_LIMIT_REACHED',
+      message: `Has ${activeLoans.length} of ${policy.maxItems} items on loan`
+    });
+  }
+
+  const now = new Date();
+
+  return {
+    card: {
+      id: card.id,
+      cardNumber: card.cardNumber,
+      status: card.status,
+      issuedAt: card.issuedAt,
+      expiresAt: card.expiresAt,
+      isExpired,
+      qrCodeUrl: withQRCodeUrl('USER', card).qrCodeUrl
+    },
+    patron: user,
+    activeLoans: activeLoans.map(loan => ({
+      ...loan,
+      isOverdue: new Date(loan.expectedReturnDate) < now
+    })),
+    holds,
+    outstandingBalance,
+    maxItems: policy.maxItems,
+    blocks,
+    canBorrow: blocks.length === 0
   };
 };
 
@@ -251,7 +532,9 @@ export const scanShelf = async (shelfId) => {
               status: 'BORROWED'
             }
           }
-        }
+        },
+        // Shelf order, as the books should be found when scanning along the shelf
+        orderBy: [{ callNumberSort: { sort: 'asc', nulls: 'last' } }, { title: 'asc' }]
       }
     }
   });
@@ -272,7 +555,8 @@ export const scanShelf = async (shelfId) => {
       location: shelf.location,
       floor: shelf.floor,
       capacity: shelf.capacity,
-      description: shelf.description
+      description: shelf.description,
+      qrCodeUrl: withQRCodeUrl('SHELF', shelf).qrCodeUrl
     },
     expectedBooks: expectedBooks.length,
     availableBooks: availableBooks.length,
@@ -282,6 +566,7 @@ export const scanShelf = async (shelfId) => {
       title: book.title,
       author: book.author,
       isbn: book.isbn,
+      callNumber: book.callNumber,
       category: book.category?.name,
       copiesTotal: book.copiesTotal,
       copiesAvailable: book.copiesAvailable,
@@ -290,36 +575,3 @@ export const scanShelf = async (shelfId) => {
     }))
   };
 };
-
-/**
- * Generate printable QR codes (for multiple books or shelves)
- * @param {Array} items - Array of {id, type, title}
- * @returns {Promise<Array>} Array of QR codes with labels
- */
-export const generateBulkQRCodes = async (items) => {
-  const qrCodes = [];
-
-  for (const item of items) {
-    // Generate URL based on type
-    const baseUrl = process.env.QR_CODE_BASE_URL || 'http://localhost:3000/book';
-    const qrData = item.type === 'BOOK'
-      ? `${baseUrl}/${item.id}`
-      : `${baseUrl.replace('/book', '/shelf')}/${item.id}`;
-
-    const qrCodeDataURL = await QRCode.toDataURL(qrData, {
-      errorCorrectionLevel: 'H',
-      type: 'image/png',
-      width: 200,
-      margin: 1
-    });
-
-    qrCodes.push({
-      id: item.id,
-      type: item.type,
-      label: item.title || item.code,
-      qrCode: qrCodeDataURL
-    });
-  }
-
-  return qrCodes;
-};
@@ -0,0 +1,201 @@
+/**
+ * QR Payload Service
+ * Builds and parses the versioned payload carried by every QR code the library prints
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { signQRPayload, verifyQRSignature } from './qrSignature.service.js';
+
+const prisma = new PrismaClient();
+
+// Version written into new codes; older codes without a version are read as version 0
+export const QR_PAYLOAD_VERSION = 1;
+
+export const QR_TYPES = ['BOOK', 'SHELF', 'COPY', 'USER'];
+
+// URL path segment for each payload type
+const URL_SEGMENTS = {
+  BOOK: 'book',
+  SHELF: 'shelf',
+  COPY: 'copy',
+  USER: 'user'
+};
+
+const SEGMENT_TYPES = {
+  book: 'BOOK',
+  shelf: 'SHELF',
+  copy: 'COPY',
+  user: 'USER'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CARD_NUMBER_PATTERN = /^\d{14}$/;
+
+/**
+ * Build the payload for a new QR code
+ * Patrons are encoded by library card number, everything else by UUID.
+ * @param {string} type - BOOK, SHELF, COPY or USER
+ * @param {string} id - Entity UUID, or card number for USER
+ * @returns {string} URL, e.g. "http://localhost:3000/book/<id>?v=1&k=k1&s=..."
+ */
+export const buildQRPayload = (type, id) => {
+  const baseUrl = process.env.QR_CODE_BASE_URL || 'http://localhost:3000/book';
+  const path = type === 'BOOK' ? baseUrl : baseUrl.replace('/book', `/${URL_SEGMENTS[type]}`);
+  const { k, s } = signQRPayload(type, id);
+
+  return `${path}/${id}?v=${QR_PAYLOAD_VERSION}&k=${encodeURIComponent(k)}&s=${s}`;
+};
+
+/**
+ * Parse a JSON payload: { "type": "BOOK", "id": "<uuid>" } and its signed variants
+ */
+const parseJsonPayload = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new AppError('Invalid QR data format', 'INVALID_QR', 400);
+  }
+
+  const rawType = String(parsed.type || '').toUpperCase();
+
+  return {
+    format: 'JSON',
+    version: parseInt(parsed.v) || 0,
+    type: QR_TYPES.includes(rawType) ? rawType : null,
+    id: parsed.id ? String(parsed.id) : null,
+    k: parsed.k || null,
+    s: parsed.s || null
+  };
+};
+
+/**
+ * Parse a URL payload: ".../<type>/<id>?v=1&k=&s="
+ */
+const parseUrlPayload = (text) => {
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    throw new AppError('Invalid QR data format', 'INVALID_QR', 400);
+  }
+
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  return {
+    format: 'URL',
+    version: parseInt(url.searchParams.get('v')) || 0,
+    type: SEGMENT_TYPES[segments[segments.length - 2]] || null,
+    id: segments[segments.length - 1] || null,
+    k: url.searchParams.get('k'),
+    s: url.searchParams.get('s')
+  };
+};
+
+/**
+ * Parse scanned QR text without touching the database
+ *
+ * Accepts the current URL format, legacy JSON payloads and raw IDs typed or
+ * scanned from plain barcodes. A raw UUID leaves the type open (null); a raw
+ * 14-digit number is read as a library card.
+ *
+ * @param {string} qrData - Raw scanned text
+ * @returns {{ format: string, version: number, type: string|null, id: string, k: string|null, s: string|null }}
+ */
+export const parseQRPayload = (qrData) => {
+  const text = String(qrData ?? '').trim();
+  let payload;
+
+  if (text.startsWith('{')) {
+    payload = parseJsonPayload(text);
+  } else if (/^https?:\/\//i.test(text)) {
+    payload = parseUrlPayload(text);
+  } else if (UUID_PATTERN.test(text) || CARD_NUMBER_PATTERN.test(text)) {
+    payload = {
+      format: 'RAW',
+      version: 0,
+      type: CARD_NUMBER_PATTERN.test(text) ? 'USER' : null,
+      id: text,
+      k: null,
+      s: null
+    };
+  } else {
+    throw new AppError('Invalid QR data format', 'INVALID_QR', 400);
+  }
+
+  if (!payload.id) {
+    throw new AppError('QR code missing required fields', 'INVALID_QR', 400);
+  }
+
+  if (payload.version > QR_PAYLOAD_VERSION) {
+    throw new AppError(
+      `QR payload version ${payload.version} is not supported`,
+      'QR_VERSION_UNSUPPORTED',
+      400
+    );
+  }
+
+  return payload;
+};
+
+/**
+ * Work out which kind of record a raw UUID belongs to
+ * Only the types the caller accepts are looked up, in order.
+ */
+const detectType = async (id, accepted) => {
+  if (accepted.length === 1) {
+    return accepted[0];
+  }
+
+  if (!UUID_PATTERN.test(id)) {
+    return null;
+  }
+
+  const lookups = {
+    BOOK: () => prisma.book.findUnique({ where: { id }, select: { id: true } }),
+    SHELF: () => prisma.shelf.findUnique({ where: { id }, select: { id: true } }),
+    COPY: () => prisma.bookCopy.findUnique({ where: { id }, select: { id: true } })
+  };
+
+  for (const type of accepted) {
+    if (lookups[type] && await lookups[type]()) {
+      return type;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve scanned QR text to a typed, signature-checked ID
+ * Every scan route goes through this so all code formats are read the same way.
+ * @param {string} qrData - Raw scanned text
+ * @param {string|string[]} expectedTypes - Accepted payload type(s), defaults to all
+ * @returns {Promise<{ type: string, id: string, version: number, format: string, signed: boolean, keyId: string|null }>}
+ */
+export const resolveQRCode = async (qrData, expectedTypes = QR_TYPES) => {
+  const accepted = Array.isArray(expectedTypes) ? expectedTypes : [expectedTypes];
+  const payload = parseQRPayload(qrData);
+
+  const type = payload.type || await detectType(payload.id, accepted);
+
+  if (!type || !accepted.includes(type)) {
+    throw new AppError(`Expected a ${accepted.join(' or ').toLowerCase()} QR code`, 'INVALID_QR', 400);
+  }
+
+  const verification = verifyQRSignature({
+    type,
+    id: payload.id,
+    k: payload.k,
+    s: payload.s
+  });
+
+  return {
+    type,
+    id: payload.id,
+    version: payload.version,
+    format: payload.format,
+    ...verification
+  };
+};
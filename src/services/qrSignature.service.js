@@ -0,0 +1,125 @@
+/**
+ * QR Signature Service
+ * Signs QR payloads with an HMAC so forged codes can be told apart from printed ones
+ */
+
+import crypto from 'crypto';
+import { AppError } from '../middleware/error.middleware.js';
+
+// Truncated HMAC keeps printed codes small while still being infeasible to guess
+const SIGNATURE_BYTES = 12;
+
+/**
+ * Parse the signing keys from QR_SIGNING_KEYS
+ *
+ * Format: "kid:secret[:retireDate],kid:secret[:retireDate]". The first key signs
+ * new codes; the others only verify, so labels printed with an older key keep
+ * scanning until that key's retire date. Without QR_SIGNING_KEYS a key derived
+ * from JWT_SECRET is used. Secrets cannot contain ':'; the retire date may be a
+ * date or an ISO timestamp.
+ *
+ * @returns {Array<{ kid: string, secret: string, retiresAt: Date|null }>}
+ * @throws {Error} When an entry is malformed
+ */
+export const getSigningKeys = () => {
+  const raw = process.env.QR_SIGNING_KEYS;
+
+  if (!raw) {
+    const derived = crypto
+      .createHmac('sha256', process.env.JWT_SECRET || '')
+      .update('qr-signing')
+      .digest('hex');
+    return [{ kid: 'default', secret: derived, retiresAt: null }];
+  }
+
+  return raw.split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+    // The retire date may be a timestamp with colons of its own, so it takes the rest
+    const first = entry.indexOf(':');
+    const second = first === -1 ? -1 : entry.indexOf(':', first + 1);
+    const kid = first === -1 ? entry : entry.slice(0, first);
+    const secret = first === -1 ? '' : entry.slice(first + 1, second === -1 ? undefined : second);
+    const retireDate = second === -1 ? null : entry.slice(second + 1);
+    const retiresAt = retireDate ? new Date(retireDate) : null;
+
+    // Entries are reported by position so the secret is not logged
+    if (!kid || !secret) {
+      throw new Error(`QR_SIGNING_KEYS entry ${index + 1} must be kid:secret[:retireDate]`);
+    }
+
+    if (retireDate !== null && (!retireDate || Number.isNaN(retiresAt.getTime()))) {
+      throw new Error(`QR_SIGNING_KEYS entry ${index + 1} (${kid}) has an invalid retire date`);
+    }
+
+    return { kid, secret, retiresAt };
+  });
+};
+
+/**
+ * Compute the signature for a payload with a given secret
+ */
+const computeSignature = (secret, type, id) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${type}:${id}`)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString('base64url');
+};
+
+/**
+ * Sign a QR payload with the current signing key
+ * @param {string} type - BOOK, SHELF, COPY or USER
+ * @param {string} id - Entity ID (card number for patrons)
+ * @returns {{ k: string, s: string }} Key ID and signature
+ */
+export const signQRPayload = (type, id) => {
+  const [current] = getSigningKeys();
+
+  return {
+    k: current.kid,
+    s: computeSignature(current.secret, type, id)
+  };
+};
+
+/**
+ * Whether unsigned codes are still accepted (QR_ALLOW_UNSIGNED_UNTIL)
+ * @returns {boolean}
+ */
+const unsignedCodesAllowed = () => {
+  const until = process.env.QR_ALLOW_UNSIGNED_UNTIL;
+  return Boolean(until) && new Date() <= new Date(until);
+};
+
+/**
+ * Verify the signature of a decoded payload
+ * @param {Object} payload - { type, id, k, s }
+ * @returns {{ signed: boolean, keyId: string|null }}
+ * @throws {AppError} QR_UNSIGNED or QR_SIGNATURE_INVALID
+ */
+export const verifyQRSignature = ({ type, id, k, s }) => {
+  if (!s) {
+    if (unsignedCodesAllowed()) {
+      return { signed: false, keyId: null };
+    }
+    throw new AppError('QR code is not signed; please reprint the label', 'QR_UNSIGNED', 400);
+  }
+
+  const key = getSigningKeys().find(candidate => candidate.kid === (k || 'default'));
+
+  if (!key) {
+    throw new AppError('QR code was signed with an unknown key', 'QR_SIGNATURE_INVALID', 400);
+  }
+
+  if (key.retiresAt && new Date() > key.retiresAt) {
+    throw new AppError('QR code was signed with a retired key; please reprint the label', 'QR_SIGNATURE_INVALID', 400);
+  }
+
+  const expected = Buffer.from(computeSignature(key.secret, type, id));
+  const actual = Buffer.from(s);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AppError('QR code signature is invalid', 'QR_SIGNATURE_INVALID', 400);
+  }
+
+  return { signed: true, keyId: key.kid };
+};
@@ -0,0 +1,155 @@
+/**
+ * Relocation Service
+ * Moves books between shelves during a shelf-then-book scanning session
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import {
+  OCCUPYING_COPY_STATUSES,
+  checkShelfPlacement,
+  copiesFollowingBook,
+  getShelfOccupancy
+} from './shelf.service.js';
+
+const prisma = new PrismaClient();
+
+const SHELF_SELECT = { id: true, shelfCode: true, location: true, floor: true, capacity: true };
+
+export const RELOCATION_INCLUDE = {
+  shelf: { select: SHELF_SELECT },
+  startedBy: { select: { id: true, fullName: true } }
+};
+
+/**
+ * Move a book, and the copies kept with it, onto the session's shelf
+ * The move is checked against the shelf's capacity (see checkShelfPlacement).
+ *
+ * @param {Object} session - Open RelocationSession with a target shelf
+ * @param {string} bookId - Book UUID
+ * @param {Object} options - { actorId, ipAddress }
+ * @returns {Promise<Object>} { result: MOVED | ALREADY_ON_SHELF, book, fromShelf, toShelf, copiesMoved, warning }
+ */
+export const relocateBook = async (session, bookId, { actorId, ipAddress }) => {
+  const book = await prisma.book.findUnique({
+    where: { id: bookId },
+    include: { shelf: { select: SHELF_SELECT } }
+  });
+
+  if (!book) {
+    throw new AppError('Book not found', 'BOOK_NOT_FOUND', 404);
+  }
+
+  const target = await getShelfOccupancy(session.shelfId);
+  const summary = {
+    book: { id: book.id, title: book.title, author: book.author, callNumber: book.callNumber },
+    fromShelf: book.shelf
+  };
+
+  if (book.shelfId === target.id) {
+    return { result: 'ALREADY_ON_SHELF', ...summary, toShelf: target, copiesMoved: 0 };
+  }
+
+  const incoming = await prisma.bookCopy.count({
+    where: { ...copiesFollowingBook(book), status: { in: OCCUPYING_COPY_STATUSES } }
+  });
+
+  const warning = await checkShelfPlacement(target.id, incoming, { categoryId: book.categoryId });
+
+  const copiesMoved = await prisma.$transaction(async (tx) => {
+    await tx.book.update({
+      where: { id: book.id },
+      data: { shelfId: target.id }
+    });
+
+    const copies = await tx.bookCopy.updateMany({
+      where: copiesFollowingBook(book),
+      data: { shelfId: target.id }
+    });
+
+    await tx.relocationMove.create({
+      data: {
+        sessionId: session.id,
+        bookId: book.id,
+        fromShelfId: book.shelfId,
+        toShelfId: target.id,
+        copiesMoved: copies.count,
+        movedById: actorId
+      }
+    });
+
+    return copies.count;
+  });
+
+  // Log audit
+  await prisma.auditLog.create({
+    data: {
+      userId: actorId,
+      bookId: book.id,
+      shelfId: target.id,
+      action: 'BOOK_RELOCATED',
+      oldValue: {
+        shelfId: book.shelfId,
+        shelfCode: book.shelf?.shelfCode || null
+      },
+      newValue: {
+        shelfId: target.id,
+        shelfCode: target.shelfCode,
+        copiesMoved,
+        relocationId: session.id
+      },
+      ipAddress
+    }
+  });
+
+  return {
+    result: 'MOVED',
+    ...summary,
+    toShelf: await getShelfOccupancy(target.id),
+    copiesMoved,
+    ...(warning && { warning })
+  };
+};
+
+/**
+ * Summarise what a relocation session moved
+ * A book moved more than once counts once, at its final shelf.
+ * @param {string} sessionId - RelocationSession UUID
+ * @returns {Promise<Object>} { booksMoved, copiesMoved, byShelf, moves }
+ */
+export const buildRelocationSummary = async (sessionId) => {
+  const moves = await prisma.relocationMove.findMany({
+    where: { sessionId },
+    include: {
+      book: { select: { id: true, title: true, author: true, callNumber: true } },
+      fromShelf: { select: { id: true, shelfCode: true } },
+      toShelf: { select: { id: true, shelfCode: true } }
+    },
+    orderBy: { movedAt: 'asc' }
+  });
+
+  const finalMoves = new Map();
+
+  for (const move of moves) {
+    const earlier = finalMoves.get(move.bookId);
+
+    // Keep where the book started and where it ended up
+    finalMoves.set(move.bookId, earlier ? { ...move, fromShelf: earlier.fromShelf } : move);
+  }
+
+  const byShelf = new Map();
+
+  for (const move of finalMoves.values()) {
+    const key = move.toShelf?.id || null;
+    const entry = byShelf.get(key) || { shelf: move.toShelf, books: 0 };
+    entry.books++;
+    byShelf.set(key, entry);
+  }
+
+  return {
+    booksMoved: finalMoves.size,
+    copiesMoved: moves.reduce((sum, move) => sum + move.copiesMoved, 0),
+    byShelf: [...byShelf.values()],
+    moves
+  };
+};
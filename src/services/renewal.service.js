@@ -0,0 +1,163 @@
+/**
+ * Renewal Service
+ * Applies loan policy rules when a borrowing is renewed and records the history
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { ACTIVE_BORROWING_STATUSES } from './copy.service.js';
+import { resolveLoanPolicy } from './loanPolicy.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Renew an active borrowing
+ *
+ * Renewals are refused once the policy's renewal limit is reached, when another
+ * patron is waiting in the hold queue for the book, and - for self-service
+ * renewals - when the item is already overdue.
+ *
+ * @param {Object} borrowing - Borrowing record with book and user
+ * @param {Object} options - { source, additionalDays, actorId, ipAddress }
+ * @returns {Promise<Object>} Updated borrowing with its renewal history
+ */
+export const renewBorrowing = async (borrowing, { source, additionalDays, actorId, ipAddress }) => {
+  if (!ACTIVE_BORROWING_STATUSES.includes(borrowing.status)) {
+    throw new AppError('Can only renew active borrowings', 'INVALID_STATUS', 400);
+  }
+
+  const isOverdue = borrowing.status === 'OVERDUE' || new Date(borrowing.expectedReturnDate) < new Date();
+  if (isOverdue && source === 'SELF') {
+    throw new AppError('Overdue items cannot be renewed; please return the item', 'ITEM_OVERDUE', 400);
+  }
+
+  const policy = await resolveLoanPolicy({
+    role: borrowing.user.role,
+    categoryId: borrowing.book.categoryId
+  });
+
+  if (borrowing.renewalCount >= policy.maxRenewals) {
+    throw new AppError(
+      `This loan has reached the maximum of ${policy.maxRenewals} renewals`,
+      'RENEWAL_LIMIT_REACHED',
+      400
+    );
+  }
+
+  const days = additionalDays !== undefined ? parseInt(additionalDays) : policy.renewalDays;
+  if (!(days >= 1)) {
+    throw new AppError('Additional days must be at least 1', 'VALIDATION_ERROR', 400);
+  }
+
+  if (days > policy.renewalDays) {
+    throw new AppError(
+      `A renewal cannot exceed ${policy.renewalDays} days`,
+      'RENEWAL_PERIOD_EXCEEDED',
+      400
+    );
+  }
+
+  // Another patron waiting for this title takes priority over a renewal
+  const pendingHolds = await prisma.reservation.count({
+    where: {
+      bookId: borrowing.bookId,
+      status: 'PENDING',
+      userId: { not: borrowing.userId }
+    }
+  });
+
+  if (pendingHolds > 0) {
+    throw new AppError(
+      'Another patron is waiting for this book, so it cannot be renewed',
+      'HOLD_PENDING',
+      409
+    );
+  }
+
+  // Calculate new expected return date
+  const previousDueDate = new Date(borrowing.expectedReturnDate);
+  const newDueDate = new Date(previousDueDate);
+  newDueDate.setDate(newDueDate.getDate() + days);
+
+  const updatedBorrowing = await prisma.$transaction(async (tx) => {
+    // Only renew the loan as it was checked above; a concurrent renewal or return loses
+    const updated = await tx.borrowing.updateMany({
+      where: {
+        id: borrowing.id,
+        status: { in: ACTIVE_BORROWING_STATUSES },
+        renewalCount: borrowing.renewalCount
+      },
+      data: {
+        expectedReturnDate: newDueDate,
+        renewalCount: borrowing.renewalCount + 1,
+        // Staff renewing an overdue loan puts it back in good standing
+        ...(borrowing.status === 'OVERDUE' && { status: 'BORROWED' })
+      }
+    });
+
+    if (updated.count === 0) {
+      throw new AppError('Loan was changed by another request; reload it and try again', 'LOAN_CHANGED', 409);
+    }
+
+    await tx.borrowingRenewal.create({
+      data: {
+        borrowingId: borrowing.id,
+        renewedById: actorId,
+        source,
+        previousDueDate,
+        newDueDate
+      }
+    });
+
+    return tx.borrowing.findUnique({
+      where: { id: borrowing.id },
+      include: {
+        user: {
+          select: {
+            id: true,
+            fullName: true,
+            email: true
+          }
+        },
+        book: true,
+        copy: true
+      }
+    });
+  });
+
+  updatedBorrowing.renewals = await prisma.borrowingRenewal.findMany({
+    where: { borrowingId: borrowing.id },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  // Log audit
+  await prisma.auditLog.create({
+    data: {
+      userId: actorId,
+      bookId: borrowing.bookId,
+      action: 'BORROWING_EXTENDED',
+      oldValue: {
+        expectedReturnDate: previousDueDate,
+        renewalCount: borrowing.renewalCount
+      },
+      newValue: {
+        expectedReturnDate: newDueDate,
+        renewalCount: updatedBorrowing.renewalCount,
+        source
+      },
+      ipAddress
+    }
+  });
+
+  await prisma.notification.create({
+    data: {
+      userId: borrowing.userId,
+      type: 'INFO',
+      title: 'Loan Renewed',
+      message: `"${borrowing.book.title}" is now due back on ${newDueDate.toLocaleDateString()} (renewal ${updatedBorrowing.renewalCount} of ${policy.maxRenewals}).`,
+      isRead: false
+    }
+  });
+
+  return updatedBorrowing;
+};
@@ -0,0 +1,260 @@
+/**
+ * Reservation Service
+ * Allocates returned copies to the hold queue, routes holds to their pickup branch and expires uncollected holds
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { syncBookCopyCounts } from './copy.service.js';
+import { getShelfBranchId } from './location.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Reservation statuses that still occupy a place in the queue
+ */
+export const ACTIVE_RESERVATION_STATUSES = ['PENDING', 'IN_TRANSIT', 'READY'];
+
+/**
+ * Get the 1-based position of a pending reservation in its book's queue
+ * @param {Object} reservation - Reservation record
+ * @returns {Promise<number|null>} Queue position, or null if not pending
+ */
+export const getQueuePosition = async (reservation) => {
+  if (reservation.status !== 'PENDING') {
+    return null;
+  }
+
+  const ahead = await prisma.reservation.count({
+    where: {
+      bookId: reservation.bookId,
+      status: 'PENDING',
+      createdAt: { lt: reservation.createdAt }
+    }
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * Put a held copy on the hold shelf and tell the patron to collect it
+ * @param {Object} reservation - Reservation with book and pickupBranch
+ * @param {string} copyId - BookCopy UUID already held for the reservation
+ * @returns {Promise<Object>} The reservation, now ready for pickup
+ */
+export const markReservationReady = async (reservation, copyId) => {
+  const pickupDays = parseInt(process.env.HOLD_PICKUP_DAYS) || 3;
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + pickupDays);
+
+  const ready = await prisma.reservation.update({
+    where: { id: reservation.id },
+    data: {
+      status: 'READY',
+      copyId,
+      readyAt: new Date(),
+      expiresAt
+    }
+  });
+
+  const pickupAt = reservation.pickupBranch ? ` at ${reservation.pickupBranch.name}` : '';
+
+  await prisma.notification.create({
+    data: {
+      userId: reservation.userId,
+      type: 'INFO',
+      title: 'Reserved Book Ready for Pickup',
+      message: `"${reservation.book.title}" is ready for pickup${pickupAt}. Please collect it by ${expiresAt.toLocaleDateString()}.`,
+      isRead: false
+    }
+  });
+
+  return ready;
+};
+
+/**
+ * Send a held copy to the reservation's pickup branch
+ * Holds routed between the same two branches travel together in one open transfer.
+ * @param {Object} reservation - Reservation with book and pickupBranch
+ * @param {Object} copy - BookCopy held for the reservation
+ * @param {string} fromBranchId - Branch UUID the copy is shelved at
+ * @returns {Promise<Object>} The reservation, now in transit
+ */
+const routeToPickupBranch = async (reservation, copy, fromBranchId) => {
+  const route = {
+    fromBranchId,
+    toBranchId: reservation.pickupBranchId
+  };
+
+  const transfer = await prisma.transfer.findFirst({
+    where: { ...route, status: 'REQUESTED' },
+    orderBy: { createdAt: 'asc' }
+  }) || await prisma.transfer.create({
+    data: { ...route, notes: 'Holds for pickup' }
+  });
+
+  await prisma.transferItem.create({
+    data: {
+      transferId: transfer.id,
+      copyId: copy.id,
+      reservationId: reservation.id
+    }
+  });
+
+  const routed = await prisma.reservation.update({
+    where: { id: reservation.id },
+    data: {
+      status: 'IN_TRANSIT',
+      copyId: copy.id
+    }
+  });
+
+  await prisma.notification.create({
+    data: {
+      userId: reservation.userId,
+      type: 'INFO',
+      title: 'Reserved Book on Its Way',
+      message: `"${reservation.book.title}" is being sent to ${reservation.pickupBranch.name}. We will notify you when it is ready for pickup.`,
+      isRead: false
+    }
+  });
+
+  return routed;
+};
+
+/**
+ * Hold an available copy for the patron at the head of the book's queue
+ * A copy shelved at another branch than the patron's pickup branch is held
+ * and routed there; the hold becomes ready once the copy is received.
+ * @param {string} copyId - BookCopy UUID that has just become available
+ * @returns {Promise<Object|null>} The reservation now ready or in transit, or null
+ */
+export const assignCopyToNextReservation = async (copyId) => {
+  const copy = await prisma.bookCopy.findUnique({
+    where: { id: copyId }
+  });
+
+  if (!copy || copy.status !== 'AVAILABLE') {
+    return null;
+  }
+
+  // FIFO: oldest pending reservation first
+  const next = await prisma.reservation.findFirst({
+    where: {
+      bookId: copy.bookId,
+      status: 'PENDING'
+    },
+    include: {
+      book: true,
+      pickupBranch: true
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  if (!next) {
+    return null;
+  }
+
+  // Claim the copy for the hold shelf
+  const claimed = await prisma.bookCopy.updateMany({
+    where: { id: copyId, status: 'AVAILABLE' },
+    data: { status: 'ON_HOLD' }
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  // Copies on shelves outside any branch are treated as already at the pickup branch
+  const copyBranchId = await getShelfBranchId(copy.shelfId);
+  const reservation = next.pickupBranchId && copyBranchId && copyBranchId !== next.pickupBranchId
+    ? await routeToPickupBranch(next, copy, copyBranchId)
+    : await markReservationReady(next, copyId);
+
+  await syncBookCopyCounts(copy.bookId);
+
+  return reservation;
+};
+
+/**
+ * Release the copy held by a cancelled or expired reservation
+ * The copy goes to the next patron in the queue, or back into circulation.
+ * @param {Object} reservation - Reservation record that held a copy
+ * @returns {Promise<Object|null>} The next reservation now ready, or null
+ */
+export const releaseHeldCopy = async (reservation) => {
+  if (!reservation.copyId) {
+    return null;
+  }
+
+  // A copy that has not left for the pickup branch yet stays where it is
+  await prisma.transferItem.updateMany({
+    where: { reservationId: reservation.id, status: 'PENDING' },
+    data: { status: 'CANCELLED' }
+  });
+
+  await prisma.bookCopy.updateMany({
+    where: { id: reservation.copyId, status: 'ON_HOLD' },
+    data: { status: 'AVAILABLE' }
+  });
+
+  const next = await assignCopyToNextReservation(reservation.copyId);
+
+  if (!next) {
+    await syncBookCopyCounts(reservation.bookId);
+  }
+
+  return next;
+};
+
+/**
+ * Expire ready reservations whose pickup window has passed
+ */
+export const expireReadyReservations = async () => {
+  try {
+    const expired = await prisma.reservation.findMany({
+      where: {
+        status: 'READY',
+        expiresAt: {
+          lt: new Date()
+        }
+      },
+      include: {
+        book: true
+      }
+    });
+
+    for (const reservation of expired) {
+      await prisma.reservation.update({
+        where: { id: reservation.id },
+        data: { status: 'EXPIRED' }
+      });
+
+      await prisma.notification.create({
+        data: {
+          userId: reservation.userId,
+          type: 'REMINDER',
+          title: 'Reservation Expired',
+          message: `Your reservation for "${reservation.book.title}" expired because it was not collected in time.`,
+          isRead: false
+        }
+      });
+
+      await releaseHeldCopy(reservation);
+    }
+
+    console.log(`Reservation expiry check completed. Expired ${expired.length} reservation(s).`);
+  } catch (error) {
+    console.error('Error expiring reservations:', error);
+  }
+};
+
+export const startReservationExpiryChecker = () => {
+  // Run immediately
+  expireReadyReservations();
+
+  // Run every hour
+  const interval = parseInt(process.env.HOLD_EXPIRY_CHECK_INTERVAL) || 3600000; // 1 hour
+  setInterval(expireReadyReservations, interval);
+
+  console.log('Reservation expiry checker service started');
+};
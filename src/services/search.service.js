@@ -0,0 +1,207 @@
+/**
+ * Search Service
+ * Ranked full-text book search over PostgreSQL tsvector documents, with a
+ * trigram fallback for misspelled queries
+ *
+ * Each book's search_vector is maintained by a database trigger from its title
+ * (weight A), author (B), category name (C) and description (D).
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { normalizeISBN } from './isbn.service.js';
+
+const prisma = new PrismaClient();
+
+// Words of a query that take part in the search
+const MAX_QUERY_TERMS = 10;
+
+const HIGHLIGHT_MARKERS = 'StartSel=<mark>, StopSel=</mark>';
+const FIELD_HIGHLIGHT = `${HIGHLIGHT_MARKERS}, HighlightAll=true`;
+const SNIPPET_HIGHLIGHT = `${HIGHLIGHT_MARKERS}, MaxFragments=2, MaxWords=20, MinWords=8, FragmentDelimiter=" … "`;
+
+/**
+ * Get the most matches ranked for one search (SEARCH_MAX_RESULTS)
+ */
+const getMaxResults = () => parseInt(process.env.SEARCH_MAX_RESULTS) || 1000;
+
+/**
+ * Turn free text into a prefix tsquery, so partly typed words match
+ * ("intro algo" -> "intro:* & algo:*")
+ * @param {string} text - What the user typed
+ * @param {string} weights - Restrict matches to these weights, e.g. "AB"
+ * @returns {string|null} tsquery text, or null when nothing searchable is left
+ */
+export const buildSearchQuery = (text, weights = '') => {
+  const terms = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms
+    .slice(0, MAX_QUERY_TERMS)
+    .map(term => `${term}:*${weights}`)
+    .join(' & ');
+};
+
+/**
+ * LIKE pattern for queries that look like part of an ISBN
+ */
+const isbnPattern = (text) => {
+  const isbn = normalizeISBN(text);
+  return /^\d[\dX]{3,12}$/.test(isbn) ? `%${isbn}%` : null;
+};
+
+/**
+ * Rank the books matching a search
+ *
+ * Full-text matches are ranked with ts_rank; ISBN fragments rank above them.
+ * When nothing matches, titles and authors are compared by trigram word
+ * similarity instead, so "algoritms" still finds "Algorithms".
+ *
+ * @param {string} text - Search text
+ * @returns {Promise<{ mode: string, matches: Array<{ id: string, rank: number }> }>}
+ *   mode is "fulltext" or "fuzzy"; matches are best first
+ */
+export const rankBooks = async (text) => {
+  const query = buildSearchQuery(text);
+  const isbn = isbnPattern(text);
+  const limit = getMaxResults();
+
+  if (query || isbn) {
+    const matches = await prisma.$queryRaw`
+      SELECT b.id,
+        (COALESCE(ts_rank(b.search_vector, q), 0) + CASE WHEN b.isbn LIKE ${isbn} THEN 1 ELSE 0 END)::float AS rank
+      FROM books b, to_tsquery('english', ${query || ''}) q
+      WHERE b.search_vector @@ q OR b.isbn LIKE ${isbn}
+      ORDER BY rank DESC, b.title
+      LIMIT ${limit}
+    `;
+
+    if (matches.length > 0) {
+      return { mode: 'fulltext', matches };
+    }
+  }
+
+  const matches = await prisma.$queryRaw`
+    SELECT b.id, GREATEST(word_similarity(${text}, b.title), word_similarity(${text}, b.author))::float AS rank
+    FROM books b
+    WHERE ${text} <% b.title OR ${text} <% b.author
+    ORDER BY rank DESC, b.title
+    LIMIT ${limit}
+  `;
+
+  return { mode: 'fuzzy', matches };
+};
+
+/**
+ * Mark the matched words in a page of full-text results
+ * @param {string} text - Search text
+ * @param {string[]} ids - Book UUIDs
+ * @returns {Promise<Map<string, Object>>} Book ID -> { title, author, description }
+ */
+export const highlightBooks = async (text, ids) => {
+  const query = buildSearchQuery(text);
+
+  if (!query || ids.length === 0) {
+    return new Map();
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT b.id,
+      ts_headline('english', b.title, q, ${FIELD_HIGHLIGHT}) AS title,
+      ts_headline('english', b.author, q, ${FIELD_HIGHLIGHT}) AS author,
+      CASE WHEN b.description IS NULL THEN NULL
+        ELSE ts_headline('english', b.description, q, ${SNIPPET_HIGHLIGHT}) END AS description
+    FROM books b, to_tsquery('english', ${query}) q
+    WHERE b.id = ANY(${ids})
+  `;
+
+  return new Map(rows.map(({ id, ...highlights }) => [id, highlights]));
+};
+
+/**
+ * Search books within other filters
+ * @param {string} text - Search text
+ * @param {Object} where - Prisma where clause for the other filters
+ * @param {Object} options - { skip, take, include, orderBy }; without orderBy books come in rank order
+ * @returns {Promise<{ books: Array, total: number, mode: string, scope: Object }>}
+ *   Each book carries search: { rank, highlights }; scope is a where clause for all matches
+ */
+export const searchBooks = async (text, where, { skip, take, include, orderBy = null }) => {
+  const { mode, matches } = await rankBooks(text);
+  const rankById = new Map(matches.map(match => [match.id, match.rank]));
+  const scope = { id: { in: [...rankById.keys()] } };
+
+  let ids;
+  let total;
+
+  if (orderBy) {
+    const [page, count] = await Promise.all([
+      prisma.book.findMany({ where: { ...where, ...scope }, select: { id: true }, orderBy, skip, take }),
+      prisma.book.count({ where: { ...where, ...scope } })
+    ]);
+
+    ids = page.map(book => book.id);
+    total = count;
+  } else {
+    // Apply the filters to the ranked matches, then page through them in rank order
+    const filtered = await prisma.book.findMany({ where: { ...where, ...scope }, select: { id: true } });
+    const allowed = new Set(filtered.map(book => book.id));
+
+    ids = matches.filter(match => allowed.has(match.id)).slice(skip, skip + take).map(match => match.id);
+    total = allowed.size;
+  }
+
+  const [books, highlights] = await Promise.all([
+    prisma.book.findMany({ where: { id: { in: ids } }, include }),
+    mode === 'fulltext' ? highlightBooks(text, ids) : new Map()
+  ]);
+
+  const byId = new Map(books.map(book => [book.id, book]));
+
+  return {
+    mode,
+    total,
+    scope,
+    books: ids.map(id => ({
+      ...byId.get(id),
+      search: {
+        rank: rankById.get(id),
+        highlights: highlights.get(id) || null
+      }
+    }))
+  };
+};
+
+/**
+ * Suggest books as the user types, matching titles and authors only
+ * @param {string} text - Partly typed query
+ * @param {number} limit - Suggestions to return
+ * @returns {Promise<Array<{ id, title, author, highlight }>>}
+ */
+export const suggestBooks = async (text, limit = 8) => {
+  const query = buildSearchQuery(text, 'AB');
+
+  if (query) {
+    const suggestions = await prisma.$queryRaw`
+      SELECT b.id, b.title, b.author, ts_headline('english', b.title, q, ${FIELD_HIGHLIGHT}) AS highlight
+      FROM books b, to_tsquery('english', ${query}) q
+      WHERE b.search_vector @@ q
+      ORDER BY ts_rank(b.search_vector, q) DESC, length(b.title), b.title
+      LIMIT ${limit}
+    `;
+
+    if (suggestions.length > 0) {
+      return suggestions;
+    }
+  }
+
+  return prisma.$queryRaw`
+    SELECT b.id, b.title, b.author, NULL AS highlight
+    FROM books b
+    WHERE ${text} <% b.title OR ${text} <% b.author
+    ORDER BY GREATEST(word_similarity(${text}, b.title), word_similarity(${text}, b.author)) DESC, b.title
+    LIMIT ${limit}
+  `;
+};
@@ -0,0 +1,318 @@
+/**
+ * Session Service
+ * Issues access and refresh tokens, rotates refresh tokens and revokes sessions
+ *
+ * Every sign-in opens a session. The client gets a short-lived access token (a
+ * JWT naming the user and the session) and a refresh token that is exchanged
+ * for a new pair before the access token runs out. Each refresh token works
+ * once: presenting a used one means it was copied, so the whole session is
+ * revoked and both the thief and the patron have to sign in again.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+
+const prisma = new PrismaClient();
+
+// Ended sessions are kept this long so they still show in history
+const SESSION_RETENTION_DAYS = 30;
+
+/**
+ * Get the lifetime of access tokens (JWT_EXPIRES_IN, default 15 minutes)
+ */
+export const getAccessTokenTtl = () => process.env.JWT_EXPIRES_IN || '15m';
+
+/**
+ * Get the lifetime of refresh tokens in days (REFRESH_TOKEN_TTL_DAYS, default 30)
+ * A session ends when it goes this long without a refresh.
+ */
+export const getRefreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * Tokens are long random strings, so a fast hash is sufficient.
+ * @param {string} refreshToken - Raw token sent by the client
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export const hashRefreshToken = (refreshToken) => {
+  return crypto.createHash('sha256').update(String(refreshToken)).digest('hex');
+};
+
+/**
+ * Describe the device behind a User-Agent, e.g. "Chrome on Windows"
+ * @param {string|null} userAgent - User-Agent header
+ * @returns {string|null}
+ */
+export const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return null;
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.slice(0, 100);
+};
+
+/**
+ * Create a refresh token for a session and sign a matching access token
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} session - Session record
+ * @returns {Promise<Object>} { token, tokenExpiresAt, refreshToken, refreshTokenExpiresAt, sessionId }
+ */
+const issueTokens = async (db, session) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const refreshTokenExpiresAt = new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+
+  await db.refreshToken.create({
+    data: {
+      sessionId: session.id,
+      tokenHash: hashRefreshToken(refreshToken),
+      expiresAt: refreshTokenExpiresAt
+    }
+  });
+
+  await db.session.update({
+    where: { id: session.id },
+    data: { expiresAt: refreshTokenExpiresAt }
+  });
+
+  const token = jwt.sign(
+    { userId: session.userId, sid: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenTtl() }
+  );
+
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken,
+    refreshTokenExpiresAt,
+    sessionId: session.id
+  };
+};
+
+/**
+ * Open a session for a user who has just signed in
+ * @param {Object} user - User record
+ * @param {Object} client - { ipAddress, userAgent, deviceName }
+ * @returns {Promise<Object>} Tokens, as from issueTokens
+ */
+export const createSession = (user, { ipAddress, userAgent, deviceName }) => {
+  return prisma.$transaction(async (tx) => {
+    const session = await tx.session.create({
+      data: {
+        userId: user.id,
+        deviceName: deviceName ? String(deviceName).slice(0, 100) : describeDevice(userAgent),
+        userAgent: userAgent ? userAgent.slice(0, 500) : null,
+        ipAddress,
+        // Replaced by the refresh token's expiry
+        expiresAt: new Date()
+      }
+    });
+
+    return issueTokens(tx, session);
+  });
+};
+
+/**
+ * Sign out the session of a refresh token presented a second time and tell its user
+ * @param {Object} session - Session record of the token
+ * @param {string} ipAddress - Address the token was presented from
+ * @throws {AppError} REFRESH_TOKEN_REUSED, always
+ */
+const rejectReusedToken = async (session, ipAddress) => {
+  await revokeSession(session.id, 'TOKEN_REUSE');
+
+  await prisma.auditLog.create({
+    data: {
+      userId: session.userId,
+      action: 'REFRESH_TOKEN_REUSED',
+      newValue: { sessionId: session.id, deviceName: session.deviceName },
+      ipAddress
+    }
+  });
+
+  await prisma.notification.create({
+    data: {
+      userId: session.userId,
+      type: 'SYSTEM',
+      title: 'Session Signed Out',
+      message: `A sign-in token for ${session.deviceName || 'one of your devices'} was used twice, so that session was signed out. If this was not you, change your password.`,
+      isRead: false
+    }
+  });
+
+  throw new AppError('Refresh token has already been used; sign in again', 'REFRESH_TOKEN_REUSED', 401);
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token
+ * @param {string} refreshToken - Token sent by the client
+ * @param {Object} client - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Tokens, as from issueTokens
+ * @throws {AppError} INVALID_REFRESH_TOKEN, REFRESH_TOKEN_EXPIRED, REFRESH_TOKEN_REUSED,
+ *   SESSION_REVOKED or ACCOUNT_INACTIVE
+ */
+export const rotateRefreshToken = async (refreshToken, { ipAddress, userAgent }) => {
+  if (!refreshToken) {
+    throw new AppError('Refresh token is required', 'VALIDATION_ERROR', 400);
+  }
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashRefreshToken(refreshToken) },
+    include: {
+      session: {
+        include: { user: { select: { id: true, status: true } } }
+      }
+    }
+  });
+
+  if (!stored) {
+    throw new AppError('Invalid refresh token', 'INVALID_REFRESH_TOKEN', 401);
+  }
+
+  const { session } = stored;
+
+  if (session.revokedAt) {
+    throw new AppError('This session has been signed out', 'SESSION_REVOKED', 401);
+  }
+
+  if (stored.usedAt) {
+    return rejectReusedToken(session, ipAddress);
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw new AppError('Refresh token has expired; sign in again', 'REFRESH_TOKEN_EXPIRED', 401);
+  }
+
+  if (session.user.status !== 'ACTIVE') {
+    throw new AppError('Your account is inactive or suspended', 'ACCOUNT_INACTIVE', 403);
+  }
+
+  // Claim the token and issue its replacement together, so a failure leaves it unused
+  const tokens = await prisma.$transaction(async (tx) => {
+    const claimed = await tx.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    // A concurrent refresh with the same token claimed it first
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    const updated = await tx.session.update({
+      where: { id: session.id },
+      data: {
+        lastUsedAt: new Date(),
+        ipAddress,
+        ...(userAgent && { userAgent: userAgent.slice(0, 500) })
+      }
+    });
+
+    return issueTokens(tx, updated);
+  });
+
+  return tokens || rejectReusedToken(session, ipAddress);
+};
+
+/**
+ * Sign a session out
+ * @param {string} sessionId - Session UUID
+ * @param {string} reason - SessionRevokeReason
+ * @returns {Promise<boolean>} Whether the session was still active
+ */
+export const revokeSession = async (sessionId, reason) => {
+  const revoked = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return revoked.count > 0;
+};
+
+/**
+ * Sign out all of a user's sessions
+ * @param {string} userId - User UUID
+ * @param {string} reason - SessionRevokeReason
+ * @param {Object} options - { exceptSessionId: session to keep signed in }
+ * @returns {Promise<number>} Number of sessions signed out
+ */
+export const revokeUserSessions = async (userId, reason, { exceptSessionId = null } = {}) => {
+  const revoked = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return revoked.count;
+};
+
+/**
+ * Where clause for sessions that are signed in
+ */
+export const activeSessionWhere = () => ({
+  revokedAt: null,
+  expiresAt: { gt: new Date() }
+});
+
+/**
+ * Remove sessions and refresh tokens that ended long ago
+ * Used refresh tokens are kept until they expire so their reuse is still noticed.
+ */
+export const purgeEndedSessions = async () => {
+  try {
+    const cutoff = new Date(Date.now() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const [tokens, sessions] = await Promise.all([
+      prisma.refreshToken.deleteMany({
+        where: { expiresAt: { lt: new Date() } }
+      }),
+      prisma.session.deleteMany({
+        where: {
+          OR: [
+            { expiresAt: { lt: cutoff } },
+            { revokedAt: { lt: cutoff } }
+          ]
+        }
+      })
+    ]);
+
+    console.log(`Session cleanup completed. Removed ${sessions.count} session(s) and ${tokens.count} refresh token(s).`);
+  } catch (error) {
+    console.error('Error cleaning up sessions:', error);
+  }
+};
+
+export const startSessionCleanup = () => {
+  // Run immediately
+  purgeEndedSessions();
+
+  // Run every 24 hours
+  const interval = parseInt(process.env.SESSION_CLEANUP_INTERVAL) || 86400000; // 24 hours
+  setInterval(purgeEndedSessions, interval);
+
+  console.log('Session cleanup service started');
+};
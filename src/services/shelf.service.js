@@ -0,0 +1,295 @@
+/**
+ * Shelf Service
+ * Works out shelf occupancy from the copies assigned to each shelf and checks placements against capacity
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { branchShelfFilter, getShelfBranchId } from './location.service.js';
+
+const prisma = new PrismaClient();
+
+// Lost copies are not on any shelf, so they take up no space
+export const OCCUPYING_COPY_STATUSES = ['AVAILABLE', 'BORROWED', 'ON_HOLD', 'MAINTENANCE'];
+
+export const SHELF_CAPACITY_MODES = ['WARN', 'REJECT'];
+
+export const OCCUPANCY_GROUPS = ['shelf', 'floor', 'location'];
+
+// Shelves at or above this share of their capacity are reported as nearly full
+const NEAR_FULL_RATIO = 0.9;
+
+const SHELF_SELECT = { id: true, shelfCode: true, location: true, floor: true, capacity: true };
+
+/**
+ * Get what happens when a placement exceeds a shelf's capacity
+ * @returns {string} WARN (place it and report a warning) or REJECT
+ */
+export const getShelfCapacityMode = () => {
+  const mode = String(process.env.SHELF_CAPACITY_MODE || 'WARN').toUpperCase();
+  return SHELF_CAPACITY_MODES.includes(mode) ? mode : 'WARN';
+};
+
+/**
+ * Copies of a book that move with it when the book changes shelf
+ * Copies shelved with the book, or not shelved at all, follow it; copies
+ * deliberately kept on another shelf stay where they are.
+ * @param {Object} book - Book record
+ * @returns {Object} BookCopy where clause
+ */
+export const copiesFollowingBook = (book) => ({
+  bookId: book.id,
+  OR: [{ shelfId: book.shelfId }, { shelfId: null }]
+});
+
+/**
+ * Add occupancy figures to a shelf
+ */
+const describeOccupancy = (shelf, occupancy) => {
+  const utilization = shelf.capacity > 0 ? occupancy / shelf.capacity : 1;
+
+  let status = 'OK';
+  if (occupancy > shelf.capacity) status = 'OVER_CAPACITY';
+  else if (occupancy === shelf.capacity) status = 'FULL';
+  else if (utilization >= NEAR_FULL_RATIO) status = 'NEAR_FULL';
+
+  return {
+    ...shelf,
+    occupancy,
+    free: Math.max(shelf.capacity - occupancy, 0),
+    utilization: Math.round(utilization * 1000) / 10,
+    status
+  };
+};
+
+/**
+ * Count the copies on each shelf
+ * @param {Object} shelfWhere - Shelf filter
+ * @returns {Promise<Map<string, number>>} Copies per shelf ID
+ */
+const countCopiesByShelf = async (shelfWhere = {}) => {
+  const counts = await prisma.bookCopy.groupBy({
+    by: ['shelfId'],
+    where: {
+      shelfId: { not: null },
+      ...(Object.keys(shelfWhere).length > 0 && { shelf: { is: shelfWhere } }),
+      status: { in: OCCUPYING_COPY_STATUSES }
+    },
+    _count: { _all: true }
+  });
+
+  return new Map(counts.map(row => [row.shelfId, row._count._all]));
+};
+
+/**
+ * Get a shelf with its occupancy
+ * @param {string} shelfId - Shelf UUID
+ * @returns {Promise<Object>} Shelf with occupancy, free, utilization (%) and status
+ */
+export const getShelfOccupancy = async (shelfId) => {
+  const shelf = await prisma.shelf.findUnique({
+    where: { id: shelfId },
+    select: SHELF_SELECT
+  });
+
+  if (!shelf) {
+    throw new AppError('Shelf not found', 'SHELF_NOT_FOUND', 404);
+  }
+
+  const occupancy = await prisma.bookCopy.count({
+    where: { shelfId, status: { in: OCCUPYING_COPY_STATUSES } }
+  });
+
+  return describeOccupancy(shelf, occupancy);
+};
+
+/**
+ * Where clause for the shelves in the same branch as a shelf
+ * Shelves not placed in a branch are only compared with each other.
+ */
+const sameBranchShelfWhere = async (shelf) => {
+  const branchId = await getShelfBranchId(shelf.id);
+  return branchId ? branchShelfFilter(branchId) : { locationId: null };
+};
+
+/**
+ * Suggest the nearest shelves with room for some copies
+ *
+ * Only shelves in the same branch as `near` are suggested. Shelves already
+ * holding the category come first, then the rest; within each, shelves at the
+ * same location, then on the same floor, then on the nearest floors.
+ *
+ * @param {Object} options - { near: shelf, categoryId, needed, limit }
+ * @returns {Promise<Array>} Shelves with occupancy and sameCategory
+ */
+export const suggestShelves = async ({ near = null, categoryId = null, needed = 1, limit = 5 }) => {
+  const where = near ? { id: { not: near.id }, ...(await sameBranchShelfWhere(near)) } : {};
+
+  const [shelves, counts, categoryShelves] = await Promise.all([
+    prisma.shelf.findMany({
+      where,
+      select: SHELF_SELECT
+    }),
+    countCopiesByShelf(),
+    categoryId
+      ? prisma.shelf.findMany({
+        where: { copies: { some: { book: { categoryId } } } },
+        select: { id: true }
+      })
+      : []
+  ]);
+
+  const inCategory = new Set(categoryShelves.map(shelf => shelf.id));
+
+  const distance = (shelf) => {
+    if (!near) return 0;
+    if (shelf.location === near.location) return 0;
+    if (shelf.floor === null || near.floor === null) return 1000;
+    return 1 + Math.abs(shelf.floor - near.floor);
+  };
+
+  return shelves
+    .map(shelf => ({
+      ...describeOccupancy(shelf, counts.get(shelf.id) || 0),
+      sameCategory: inCategory.has(shelf.id),
+      distance: distance(shelf)
+    }))
+    .filter(shelf => shelf.free >= needed)
+    .sort((a, b) =>
+      (b.sameCategory - a.sameCategory) ||
+      (a.distance - b.distance) ||
+      a.shelfCode.localeCompare(b.shelfCode)
+    )
+    .slice(0, limit)
+    .map(({ distance: _distance, ...shelf }) => shelf);
+};
+
+/**
+ * Check that a shelf has room for incoming copies
+ *
+ * With SHELF_CAPACITY_MODE=REJECT an overfull placement throws SHELF_FULL;
+ * otherwise it is allowed and a warning is returned for the response.
+ *
+ * @param {string|null} shelfId - Target shelf UUID
+ * @param {number} incoming - Copies being placed on the shelf
+ * @param {Object} options - { categoryId } used to suggest alternatives
+ * @returns {Promise<Object|null>} Warning, or null when the copies fit
+ */
+export const checkShelfPlacement = async (shelfId, incoming, { categoryId = null } = {}) => {
+  if (!shelfId || incoming < 1) {
+    return null;
+  }
+
+  const shelf = await getShelfOccupancy(shelfId);
+
+  if (shelf.occupancy + incoming <= shelf.capacity) {
+    return null;
+  }
+
+  const suggestions = await suggestShelves({ near: shelf, categoryId, needed: incoming });
+  const message = `Shelf ${shelf.shelfCode} holds ${shelf.occupancy} of ${shelf.capacity} copies; ` +
+    `${incoming} more would exceed its capacity`;
+
+  if (getShelfCapacityMode() === 'REJECT') {
+    throw new AppError(message, 'SHELF_FULL', 409, { shelf, incoming, suggestions });
+  }
+
+  return {
+    code: 'SHELF_OVER_CAPACITY',
+    message,
+    shelf,
+    incoming,
+    suggestions
+  };
+};
+
+/**
+ * Build the occupancy report
+ * Floors and locations are grouped per branch, since their numbers and names repeat across branches.
+ * @param {Object} options - { groupBy: shelf | floor | location, branchId, floor, location, status }
+ * @returns {Promise<Object>} { totals, groups } (groups are shelves when grouping by shelf)
+ */
+export const buildOccupancyReport = async ({ groupBy = 'shelf', branchId, floor, location, status } = {}) => {
+  if (!OCCUPANCY_GROUPS.includes(groupBy)) {
+    throw new AppError(`groupBy must be one of ${OCCUPANCY_GROUPS.join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+
+  const where = {
+    ...(branchId && branchShelfFilter(branchId)),
+    ...(floor !== undefined && { floor: parseInt(floor) }),
+    ...(location && { location })
+  };
+
+  const [shelves, counts] = await Promise.all([
+    prisma.shelf.findMany({
+      where,
+      select: {
+        ...SHELF_SELECT,
+        place: { select: { branch: { select: { id: true, code: true, name: true } } } }
+      },
+      orderBy: { shelfCode: 'asc' }
+    }),
+    countCopiesByShelf(where)
+  ]);
+
+  const branches = new Map();
+
+  let rows = shelves.map(({ place, ...shelf }) => {
+    branches.set(shelf.id, place ? place.branch : null);
+    return describeOccupancy(shelf, counts.get(shelf.id) || 0);
+  });
+
+  const summarize = (group) => {
+    const capacity = group.reduce((sum, shelf) => sum + shelf.capacity, 0);
+    const occupancy = group.reduce((sum, shelf) => sum + shelf.occupancy, 0);
+
+    return {
+      shelves: group.length,
+      capacity,
+      occupancy,
+      free: group.reduce((sum, shelf) => sum + shelf.free, 0),
+      utilization: capacity > 0 ? Math.round((occupancy / capacity) * 1000) / 10 : 0,
+      fullShelves: group.filter(shelf => ['FULL', 'OVER_CAPACITY'].includes(shelf.status)).length
+    };
+  };
+
+  const totals = summarize(rows);
+
+  if (status) {
+    rows = rows.filter(shelf => shelf.status === status);
+  }
+
+  if (groupBy === 'shelf') {
+    return { totals, groups: rows };
+  }
+
+  const groups = new Map();
+
+  for (const shelf of rows) {
+    const branch = branches.get(shelf.id);
+    const key = `${branch ? branch.id : ''}:${shelf[groupBy]}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { branch, value: shelf[groupBy], shelves: [] });
+    }
+    groups.get(key).shelves.push(shelf);
+  }
+
+  // By branch (shelves not in a branch last), then floors in order with shelves
+  // without a floor last, or locations alphabetically
+  const ordered = [...groups.values()].sort((a, b) =>
+    (a.branch === null) - (b.branch === null) ||
+    (a.branch && b.branch ? a.branch.name.localeCompare(b.branch.name) : 0) ||
+    (a.value === null) - (b.value === null) ||
+    (groupBy === 'floor' ? a.value - b.value : String(a.value).localeCompare(String(b.value)))
+  );
+
+  return {
+    totals,
+    groups: ordered.map(group => ({
+      branch: group.branch,
+      [groupBy]: group.value,
+      ...summarize(group.shelves)
+    }))
+  };
+};
@@ -0,0 +1,125 @@
+/**
+ * Storage Service
+ * Keeps uploaded files behind pluggable storage adapters
+ *
+ * An adapter is an object { name, put(key, body, contentType), get(key), delete(key), url(key) }.
+ * Keys are slash-separated paths such as "covers/<bookId>/<version>.jpg";
+ * put resolves once the file is stored, get resolves to a readable stream of
+ * the file (STORED_FILE_NOT_FOUND when missing), delete ignores missing files,
+ * and url returns the public address clients fetch the file from.
+ *
+ * Only keys under PUBLIC_STORAGE_PREFIXES are public. Other files, such as
+ * e-book attachments, are read through get and never served directly.
+ *
+ * The adapter is chosen by STORAGE_ADAPTER (default "local"). Other backends,
+ * e.g. an S3-compatible bucket, are added with registerStorageAdapter.
+ */
+
+import { createReadStream } from 'fs';
+import { mkdir, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { AppError } from '../middleware/error.middleware.js';
+
+// URL path the local adapter's files are served under
+export const LOCAL_STORAGE_ROUTE = '/uploads';
+
+// Top-level key folders whose files may be served to anyone
+export const PUBLIC_STORAGE_PREFIXES = ['covers'];
+
+/**
+ * Get the directory the local adapter writes to (UPLOAD_DIR)
+ */
+export const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+/**
+ * Map a key to a path inside the upload directory
+ */
+const localPath = (key) => {
+  const root = getUploadDir();
+  const file = path.resolve(root, key);
+
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Storage key "${key}" is outside the upload directory`);
+  }
+
+  return file;
+};
+
+const localAdapter = {
+  name: 'local',
+
+  async put(key, body) {
+    const file = localPath(key);
+
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, body);
+  },
+
+  async get(key) {
+    const file = localPath(key);
+
+    try {
+      await stat(file);
+    } catch (error) {
+      throw new AppError('Stored file not found', 'STORED_FILE_NOT_FOUND', 404);
+    }
+
+    return createReadStream(file);
+  },
+
+  async delete(key) {
+    await rm(localPath(key), { force: true });
+  },
+
+  url(key) {
+    return `${process.env.UPLOAD_BASE_URL || LOCAL_STORAGE_ROUTE}/${key}`;
+  }
+};
+
+const adapters = new Map([[localAdapter.name, localAdapter]]);
+
+/**
+ * Make another storage adapter available to STORAGE_ADAPTER
+ * @param {Object} adapter - { name, put(key, body, contentType), get(key), delete(key), url(key) }
+ */
+export const registerStorageAdapter = (adapter) => {
+  const methods = ['put', 'get', 'delete', 'url'];
+
+  if (!adapter?.name || methods.some(method => typeof adapter[method] !== 'function')) {
+    throw new Error('A storage adapter needs a name and put, get, delete and url functions');
+  }
+
+  adapters.set(adapter.name, adapter);
+};
+
+/**
+ * Get the storage adapter in use (STORAGE_ADAPTER)
+ * @returns {Object}
+ */
+export const getStorage = () => {
+  const name = (process.env.STORAGE_ADAPTER || 'local').trim().toLowerCase();
+  const adapter = adapters.get(name);
+
+  if (!adapter) {
+    throw new AppError(`Unknown storage adapter "${name}"`, 'STORAGE_UNAVAILABLE', 500);
+  }
+
+  return adapter;
+};
+
+/**
+ * Delete stored files, logging failures instead of throwing
+ * Used for cleanup, where a leftover file must not fail the request.
+ * @param {Array<string|null>} keys - Storage keys (empty entries are skipped)
+ */
+export const deleteStoredFiles = async (keys) => {
+  const storage = getStorage();
+
+  await Promise.all(keys.filter(Boolean).map(async (key) => {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.error(`Failed to delete stored file ${key}:`, error.message);
+    }
+  }));
+};
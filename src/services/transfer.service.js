@@ -0,0 +1,326 @@
+/**
+ * Transfer Service
+ * Moves copies between branches: dispatch and receipt scans, and holds routed to their pickup branch
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../middleware/error.middleware.js';
+import { syncBookCopyCounts } from './copy.service.js';
+import { getShelfBranchId } from './location.service.js';
+import { assignCopyToNextReservation, markReservationReady } from './reservation.service.js';
+import { checkShelfPlacement } from './shelf.service.js';
+
+const prisma = new PrismaClient();
+
+export const TRANSFER_STATUSES = ['REQUESTED', 'IN_TRANSIT', 'COMPLETED', 'CANCELLED'];
+
+// Items that are still waiting to leave or on their way
+export const ACTIVE_TRANSFER_ITEM_STATUSES = ['PENDING', 'IN_TRANSIT'];
+
+const BRANCH_SELECT = { id: true, code: true, name: true };
+
+export const TRANSFER_INCLUDE = {
+  fromBranch: { select: BRANCH_SELECT },
+  toBranch: { select: BRANCH_SELECT },
+  requestedBy: {
+    select: {
+      id: true,
+      fullName: true,
+      email: true
+    }
+  },
+  items: {
+    include: {
+      copy: {
+        select: {
+          id: true,
+          accessionNumber: true,
+          status: true,
+          book: { select: { id: true, title: true, author: true } }
+        }
+      },
+      reservation: { select: { id: true, userId: true, status: true } },
+      receivedShelf: { select: { id: true, shelfCode: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+/**
+ * Add a copy to a transfer that has not been dispatched yet
+ * @param {Object} transfer - Transfer record
+ * @param {string} copyId - BookCopy UUID
+ * @returns {Promise<Object>} TransferItem
+ */
+export const addTransferItem = async (transfer, copyId) => {
+  if (transfer.status !== 'REQUESTED') {
+    throw new AppError('Copies can only be added before the transfer is dispatched', 'INVALID_STATUS', 400);
+  }
+
+  const copy = await prisma.bookCopy.findUnique({ where: { id: copyId } });
+
+  if (!copy) {
+    throw new AppError('Copy not found', 'COPY_NOT_FOUND', 404);
+  }
+
+  if (copy.status !== 'AVAILABLE') {
+    throw new AppError('Only available copies can be transferred', 'COPY_NOT_AVAILABLE', 400);
+  }
+
+  const [branchId, activeItem] = await Promise.all([
+    getShelfBranchId(copy.shelfId),
+    prisma.transferItem.findFirst({
+      where: { copyId, status: { in: ACTIVE_TRANSFER_ITEM_STATUSES } }
+    })
+  ]);
+
+  if (activeItem) {
+    throw new AppError('Copy is already part of an open transfer', 'COPY_IN_TRANSFER', 409);
+  }
+
+  if (branchId && branchId !== transfer.fromBranchId) {
+    throw new AppError('Copy is not shelved at the sending branch', 'COPY_NOT_AT_BRANCH', 400);
+  }
+
+  return prisma.transferItem.create({
+    data: {
+      transferId: transfer.id,
+      copyId
+    }
+  });
+};
+
+/**
+ * Take a copy out of a transfer before it leaves
+ * A copy held for a routed reservation is released and the hold waits for the next copy.
+ * @param {Object} item - TransferItem with copy
+ */
+export const releaseTransferItem = async (item) => {
+  await prisma.transferItem.update({
+    where: { id: item.id },
+    data: { status: 'CANCELLED' }
+  });
+
+  if (item.reservationId) {
+    await prisma.reservation.updateMany({
+      where: { id: item.reservationId, status: 'IN_TRANSIT' },
+      data: { status: 'PENDING', copyId: null }
+    });
+
+    await prisma.bookCopy.updateMany({
+      where: { id: item.copyId, status: 'ON_HOLD' },
+      data: { status: 'AVAILABLE' }
+    });
+
+    await syncBookCopyCounts(item.copy.bookId);
+  }
+};
+
+/**
+ * Dispatch a scanned copy from the sending branch
+ * @param {string} copyId - BookCopy UUID
+ * @param {Object} context - { actorId, ipAddress }
+ * @returns {Promise<Object>} { result: DISPATCHED | ALREADY_DISPATCHED, copy, transfer }
+ */
+export const dispatchCopy = async (copyId, { actorId, ipAddress }) => {
+  const item = await prisma.transferItem.findFirst({
+    where: { copyId, status: { in: ACTIVE_TRANSFER_ITEM_STATUSES } },
+    include: { transfer: true, copy: true }
+  });
+
+  if (!item) {
+    throw new AppError('Copy is not part of an open transfer', 'TRANSFER_ITEM_NOT_FOUND', 404);
+  }
+
+  if (item.status === 'IN_TRANSIT') {
+    return {
+      result: 'ALREADY_DISPATCHED',
+      copy: item.copy,
+      transfer: await prisma.transfer.findUnique({ where: { id: item.transferId }, include: TRANSFER_INCLUDE })
+    };
+  }
+
+  // A held copy only travels for the reservation it is held for
+  const expectedStatus = item.reservationId ? 'ON_HOLD' : 'AVAILABLE';
+
+  if (item.copy.status !== expectedStatus) {
+    throw new AppError(
+      `Copy is ${item.copy.status.toLowerCase().replace('_', ' ')} and cannot be dispatched`,
+      'COPY_NOT_AVAILABLE',
+      400
+    );
+  }
+
+  const now = new Date();
+
+  const [, copy, transfer] = await prisma.$transaction([
+    prisma.transferItem.update({
+      where: { id: item.id },
+      data: {
+        status: 'IN_TRANSIT',
+        dispatchedById: actorId,
+        dispatchedAt: now
+      }
+    }),
+    prisma.bookCopy.update({
+      where: { id: copyId },
+      data: { status: 'IN_TRANSIT', shelfId: null }
+    }),
+    prisma.transfer.update({
+      where: { id: item.transferId },
+      data: {
+        status: 'IN_TRANSIT',
+        dispatchedAt: item.transfer.dispatchedAt || now
+      },
+      include: TRANSFER_INCLUDE
+    })
+  ]);
+
+  await syncBookCopyCounts(copy.bookId);
+
+  // Log audit
+  await prisma.auditLog.create({
+    data: {
+      userId: actorId,
+      bookId: copy.bookId,
+      shelfId: item.copy.shelfId,
+      action: 'COPY_DISPATCHED',
+      oldValue: {
+        status: item.copy.status,
+        shelfId: item.copy.shelfId
+      },
+      newValue: {
+        transferId: item.transferId,
+        copyId,
+        accessionNumber: copy.accessionNumber,
+        toBranchId: item.transfer.toBranchId
+      },
+      ipAddress
+    }
+  });
+
+  return { result: 'DISPATCHED', copy, transfer };
+};
+
+/**
+ * Receive a scanned copy at the destination branch
+ *
+ * A copy routed for a hold goes onto the hold shelf and the patron is told it
+ * is ready; anything else goes back into circulation and serves the local
+ * queue first. The copy is put on a shelf at the receiving branch, since its
+ * shelf is how holds tell which branch a copy is at.
+ *
+ * @param {string} copyId - BookCopy UUID
+ * @param {Object} options - { shelfId, actorId, ipAddress }
+ * @returns {Promise<Object>} { result, copy, reservation, transfer, warning? }
+ */
+export const receiveCopy = async (copyId, { shelfId, actorId, ipAddress }) => {
+  const item = await prisma.transferItem.findFirst({
+    where: { copyId, status: 'IN_TRANSIT' },
+    include: {
+      transfer: { include: { toBranch: true } },
+      copy: { include: { book: true } },
+      reservation: {
+        include: {
+          book: true,
+          pickupBranch: true
+        }
+      }
+    }
+  });
+
+  if (!item) {
+    throw new AppError('Copy is not in transit', 'TRANSFER_ITEM_NOT_FOUND', 404);
+  }
+
+  const { transfer } = item;
+
+  if (!shelfId) {
+    throw new AppError(`Scan the shelf at ${transfer.toBranch.name} the copy goes on`, 'VALIDATION_ERROR', 400);
+  }
+
+  const shelf = await prisma.shelf.findUnique({ where: { id: shelfId }, select: { id: true } });
+
+  if (!shelf) {
+    throw new AppError('Shelf not found', 'SHELF_NOT_FOUND', 404);
+  }
+
+  if (await getShelfBranchId(shelfId) !== transfer.toBranchId) {
+    throw new AppError(`Shelf is not at ${transfer.toBranch.name}`, 'SHELF_NOT_IN_BRANCH', 400);
+  }
+
+  const warning = await checkShelfPlacement(shelfId, 1, { categoryId: item.copy.book.categoryId });
+
+  const hold = item.reservation?.status === 'IN_TRANSIT' &&
+    item.reservation.pickupBranchId === transfer.toBranchId
+    ? item.reservation
+    : null;
+
+  await prisma.$transaction([
+    prisma.transferItem.update({
+      where: { id: item.id },
+      data: {
+        status: 'RECEIVED',
+        receivedById: actorId,
+        receivedAt: new Date(),
+        receivedShelfId: shelfId
+      }
+    }),
+    prisma.bookCopy.update({
+      where: { id: copyId },
+      data: {
+        status: hold ? 'ON_HOLD' : 'AVAILABLE',
+        shelfId
+      }
+    })
+  ]);
+
+  // The transfer is complete once nothing is left to dispatch or receive
+  const remaining = await prisma.transferItem.count({
+    where: { transferId: transfer.id, status: { in: ACTIVE_TRANSFER_ITEM_STATUSES } }
+  });
+
+  if (remaining === 0) {
+    await prisma.transfer.update({
+      where: { id: transfer.id },
+      data: { status: 'COMPLETED', completedAt: new Date() }
+    });
+  }
+
+  await syncBookCopyCounts(item.copy.bookId);
+
+  const reservation = hold
+    ? await markReservationReady(hold, copyId)
+    : await assignCopyToNextReservation(copyId);
+
+  // Log audit
+  await prisma.auditLog.create({
+    data: {
+      userId: actorId,
+      bookId: item.copy.bookId,
+      shelfId,
+      action: 'COPY_RECEIVED',
+      newValue: {
+        transferId: transfer.id,
+        copyId,
+        accessionNumber: item.copy.accessionNumber,
+        branchId: transfer.toBranchId,
+        reservationId: reservation ? reservation.id : null
+      },
+      ipAddress
+    }
+  });
+
+  const [copy, updatedTransfer] = await Promise.all([
+    prisma.bookCopy.findUnique({ where: { id: copyId }, include: { shelf: true } }),
+    prisma.transfer.findUnique({ where: { id: transfer.id }, include: TRANSFER_INCLUDE })
+  ]);
+
+  return {
+    result: hold ? 'HOLD_READY' : 'RECEIVED',
+    copy,
+    reservation,
+    transfer: updatedTransfer,
+    ...(warning && { warning })
+  };
+};